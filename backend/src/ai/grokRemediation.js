@@ -1,14 +1,25 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const Cache = require('../cache/cache');
+const { normalizeConformance, getCriterion, formatCriterion } = require('../compliance/wcagCatalog');
 
 /**
  * WCAGAI v4.0 AI Remediation Engine
  * Integrates with xAI for automated accessibility fixes
  * Implements $0.50/fix microtransaction model
+ *
+ * xAI responses are cached in the `ai-fix` namespace by prompt and conformance
+ * target (tagged with the vertical), so the same element is only paid for once.
+ * Fallback fixes are never cached.
  */
 
 class GrokRemediationEngine {
-    constructor() {
+    /**
+     * @param {Object} options - { cache } a Cache or Cache options (default: configured from the environment)
+     */
+    constructor(options = {}) {
         this.apiKey = process.env.XAI_API_KEY;
+        this.cache = options.cache instanceof Cache ? options.cache : new Cache(options.cache);
         this.baseUrl = 'https://api.x.ai/v1/chat/completions';
         this.pricing = {
             altText: { cost: 0.01, sellPrice: 0.50, margin: 0.98 },
@@ -45,18 +56,24 @@ class GrokRemediationEngine {
             element,
             context,
             vertical = 'default',
-            customerId
+            customerId,
+            wcagLevel,
+            wcagVersion
         } = params;
 
         try {
             // Calculate pricing
             const pricing = this.pricing[violationType] || this.pricing.altText;
             
-            // Generate prompt based on violation type and vertical
-            const prompt = this.buildPrompt(violationType, element, context, vertical);
+            // Generate prompt based on violation type, vertical and conformance target
+            const conformance = normalizeConformance({ level: wcagLevel, version: wcagVersion });
+            const prompt = this.buildPrompt(violationType, element, context, vertical, conformance);
             
-            // Call xAI API
-            const response = await this.callXAI(prompt);
+            // Call xAI API, unless this prompt was answered before
+            const cacheKey = crypto.createHash('sha1').update(`${conformance.version}|${conformance.level}|${prompt}`).digest('hex');
+            const response = await this.cache.wrap('ai-fix', cacheKey, () => this.callXAI(prompt, conformance), {
+                tags: [Cache.tag('vertical', vertical)]
+            });
             
             const aiSuggestion = response.choices[0].message.content;
             
@@ -78,6 +95,9 @@ class GrokRemediationEngine {
                 
                 // Compliance metadata
                 wcagRule: this.getWCAGRule(violationType),
+                wcagLevel: this.getWCAGCriterion(violationType)?.level || null,
+                understandingUrl: this.getWCAGCriterion(violationType)?.understandingUrl || null,
+                conformanceTarget: `WCAG ${conformance.version} ${conformance.level}`,
                 hipaaCompliant: vertical === 'healthcare',
                 confidence: this.calculateConfidence(response),
                 
@@ -101,7 +121,7 @@ class GrokRemediationEngine {
     /**
      * Build contextual prompt for xAI
      */
-    buildPrompt(violationType, element, context, vertical) {
+    buildPrompt(violationType, element, context, vertical, conformance = normalizeConformance()) {
         const basePrompt = this.verticalPrompts[vertical]?.[violationType] || 
                           this.verticalPrompts.default[violationType];
         
@@ -114,7 +134,7 @@ Element to fix: ${element}
 Context: ${context}
 Vertical: ${vertical}
 
-Provide a specific, actionable solution that will make this element compliant with WCAG 2.2 AA requirements.
+Provide a specific, actionable solution that will make this element compliant with WCAG ${conformance.version} ${conformance.level} requirements.
 
 Return only the fix suggestion, no explanations.
         `.trim();
@@ -123,13 +143,13 @@ Return only the fix suggestion, no explanations.
     /**
      * Call xAI API for AI generation
      */
-    async callXAI(prompt) {
+    async callXAI(prompt, conformance = normalizeConformance()) {
         const response = await axios.post(this.baseUrl, {
             model: 'grok-beta',
             messages: [
                 {
                     role: 'system',
-                    content: 'You are an accessibility compliance expert specializing in WCAG 2.2 AA requirements.'
+                    content: `You are an accessibility compliance expert specializing in WCAG ${conformance.version} ${conformance.level} requirements.`
                 },
                 {
                     role: 'user',
@@ -148,17 +168,25 @@ Return only the fix suggestion, no explanations.
         return response.data;
     }
 
+    /**
+     * Get the WCAG catalog entry for a violation type or success criterion ID
+     */
+    getWCAGCriterion(violationType) {
+        const criteria = {
+            altText: '1.1.1',
+            formLabels: '3.3.2',
+            focusFix: '2.4.7',
+            contrast: '1.4.3'
+        };
+        return getCriterion(criteria[violationType] || violationType);
+    }
+
     /**
      * Get WCAG rule for violation type
      */
     getWCAGRule(violationType) {
-        const rules = {
-            altText: '1.1.1 Non-text Content',
-            formLabels: '3.3.2 Labels or Instructions',
-            focusFix: '2.4.7 Focus Visible',
-            contrast: '1.4.3 Contrast (Minimum)'
-        };
-        return rules[violationType] || 'Unknown';
+        const criterion = this.getWCAGCriterion(violationType);
+        return criterion ? formatCriterion(criterion.id) : 'Unknown';
     }
 
     /**
@@ -0,0 +1,186 @@
+const { normalizeScanInput, compareScans } = require('./scanComparison');
+
+/**
+ * WCAGAI v4.0 CI Gate
+ * Checks a scan report against pull-request thresholds and picks the process exit code
+ *
+ * Thresholds:
+ *   failOn            - impact level; any active violation at or above it fails
+ *   minScore          - minimum overall compliance score (0-1, or 0-100)
+ *   maxNewViolations  - new violations allowed against `previous` (or all
+ *                       active violations when no previous run is given)
+ *
+ * A site that failed to scan, or a run that scanned nothing, fails the gate
+ * with SCAN_FAILED before any threshold is looked at: unscanned pages can't
+ * count as passing.
+ */
+
+// Distinct exit codes so pipelines can tell breaches apart
+const EXIT_CODES = {
+    PASSED: 0,
+    SCAN_FAILED: 1,
+    IMPACT: 2,
+    MIN_SCORE: 3,
+    NEW_VIOLATIONS: 4,
+    USAGE: 64
+};
+
+// axe-core impact levels, least to most severe
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+/**
+ * Parse and validate threshold options
+ * @param {Object} options - { failOn, minScore, maxNewViolations } as strings or numbers
+ * @returns {Object} Normalised thresholds (unset ones are null)
+ */
+function parseThresholds(options = {}) {
+    const thresholds = { failOn: null, minScore: null, maxNewViolations: null };
+
+    if (options.failOn !== undefined && options.failOn !== null) {
+        const level = String(options.failOn).toLowerCase();
+        if (!IMPACT_LEVELS.includes(level)) {
+            throw new Error(`--fail-on must be one of ${IMPACT_LEVELS.join(', ')} (got "${options.failOn}")`);
+        }
+        thresholds.failOn = level;
+    }
+
+    if (options.minScore !== undefined && options.minScore !== null) {
+        const score = Number(options.minScore);
+        if (isNaN(score) || score < 0 || score > 100) {
+            throw new Error(`--min-score must be between 0 and 1 (or 0 and 100), got "${options.minScore}"`);
+        }
+        thresholds.minScore = score > 1 ? score / 100 : score;
+    }
+
+    if (options.maxNewViolations !== undefined && options.maxNewViolations !== null) {
+        const max = Number(options.maxNewViolations);
+        if (!Number.isInteger(max) || max < 0) {
+            throw new Error(`--max-new-violations must be a non-negative integer, got "${options.maxNewViolations}"`);
+        }
+        thresholds.maxNewViolations = max;
+    }
+
+    return thresholds;
+}
+
+/**
+ * Whether any threshold is set
+ */
+function hasThresholds(thresholds) {
+    return Object.values(thresholds).some(value => value !== null);
+}
+
+/**
+ * Evaluate a scan report against thresholds
+ * @param {Object} report - Scanner report (direct, local or discovery mode)
+ * @param {Object} thresholds - Output of parseThresholds()
+ * @param {Object} options - { previous } earlier report used for new-violation counts
+ * @returns {Object} { passed, exitCode, checks, metrics }
+ */
+function evaluateGate(report, thresholds, options = {}) {
+    const { sites } = normalizeScanInput(report);
+    const scanned = sites.filter(site => !site.error);
+    const violations = scanned.flatMap(site => site.violations || []);
+    const scores = scanned.map(site => site.score).filter(score => typeof score === 'number');
+
+    const newViolations = options.previous
+        ? compareScans(options.previous, report).summary.newViolations
+        : violations.length;
+
+    const impactCounts = IMPACT_LEVELS.reduce((counts, level) => {
+        counts[level] = violations.filter(v => v.impact === level).length;
+        return counts;
+    }, {});
+
+    const metrics = {
+        sitesScanned: scanned.length,
+        sitesFailed: sites.length - scanned.length,
+        score: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+        totalViolations: violations.length,
+        impactCounts,
+        newViolations,
+        comparedToPrevious: Boolean(options.previous)
+    };
+
+    const checks = [{
+        name: 'scan-errors',
+        passed: metrics.sitesFailed === 0 && metrics.sitesScanned > 0,
+        exitCode: EXIT_CODES.SCAN_FAILED,
+        message: metrics.sitesScanned === 0 && metrics.sitesFailed === 0
+            ? 'nothing was scanned'
+            : `${metrics.sitesFailed} of ${sites.length} sites failed to scan`
+    }];
+
+    if (thresholds.failOn) {
+        const blocking = IMPACT_LEVELS.slice(IMPACT_LEVELS.indexOf(thresholds.failOn));
+        const count = blocking.reduce((sum, level) => sum + impactCounts[level], 0);
+        checks.push({
+            name: 'fail-on',
+            passed: count === 0,
+            exitCode: EXIT_CODES.IMPACT,
+            message: `${count} violations at ${thresholds.failOn} impact or above`
+        });
+    }
+
+    if (thresholds.minScore !== null) {
+        const passed = metrics.score !== null && metrics.score >= thresholds.minScore;
+        checks.push({
+            name: 'min-score',
+            passed,
+            exitCode: EXIT_CODES.MIN_SCORE,
+            message: `score ${formatPercent(metrics.score)} (minimum ${formatPercent(thresholds.minScore)})`
+        });
+    }
+
+    if (thresholds.maxNewViolations !== null) {
+        checks.push({
+            name: 'max-new-violations',
+            passed: newViolations <= thresholds.maxNewViolations,
+            exitCode: EXIT_CODES.NEW_VIOLATIONS,
+            message: `${newViolations} new violations${options.previous ? ' since previous run' : ''} (maximum ${thresholds.maxNewViolations})`
+        });
+    }
+
+    // First breached check decides the exit code
+    const failed = checks.find(check => !check.passed);
+
+    return {
+        passed: !failed,
+        exitCode: failed ? failed.exitCode : EXIT_CODES.PASSED,
+        checks,
+        metrics
+    };
+}
+
+/**
+ * Short plain-text summary for CI logs
+ */
+function formatGateSummary(gate) {
+    const { metrics } = gate;
+    const lines = [
+        `WCAGAI CI gate: ${gate.passed ? 'PASSED' : 'FAILED'} (exit ${gate.exitCode})`,
+        `  Sites: ${metrics.sitesScanned} scanned, ${metrics.sitesFailed} failed`,
+        `  Score: ${formatPercent(metrics.score)}`,
+        `  Violations: ${metrics.totalViolations} (` +
+            IMPACT_LEVELS.slice().reverse().map(level => `${metrics.impactCounts[level]} ${level}`).join(', ') + ')'
+    ];
+
+    gate.checks.forEach(check => {
+        lines.push(`  ${check.passed ? '✅' : '❌'} ${check.name}: ${check.message}`);
+    });
+
+    return lines.join('\n');
+}
+
+function formatPercent(score) {
+    return score === null || score === undefined ? 'n/a' : `${Math.round(score * 1000) / 10}%`;
+}
+
+module.exports = {
+    EXIT_CODES,
+    IMPACT_LEVELS,
+    parseThresholds,
+    hasThresholds,
+    evaluateGate,
+    formatGateSummary
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+/**
+ * WCAGAI v4.0 Scan Comparison
+ * Diffs two scan runs: new / fixed / persisting violations and score deltas
+ *
+ * Accepts scanner reports (discovery, local or direct mode, as returned by
+ * WCAGAIV4Scanner.scan() or saved with --output) and arrays of Prisma `Scan`
+ * rows. Rows only carry counts unless their element-level findings are
+ * included as `findings` (or a `violations` array).
+ */
+
+/**
+ * Normalise a page URL so cosmetic differences don't break fingerprints
+ */
+function normalizePageUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        parsed.searchParams.sort();
+        const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+        return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`;
+    } catch (error) {
+        return String(url).trim();
+    }
+}
+
+/**
+ * Stable fingerprint of a violation: rule + selector + page
+ */
+function fingerprintViolation(violation, pageUrl) {
+    const key = [
+        violation.ruleId || violation.rule || '',
+        (violation.selector || '').replace(/\s+/g, ' ').trim(),
+        normalizePageUrl(violation.url || pageUrl)
+    ].join('|');
+
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Site key used to pair sites across runs
+ */
+function siteKey(site) {
+    if (site.domain) return site.domain;
+    try {
+        return new URL(site.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return site.url || 'unknown';
+    }
+}
+
+/**
+ * Flatten any supported input into { vertical, sites: [{ key, url, score, violations, error }] }
+ */
+function normalizeScanInput(input) {
+    if (Array.isArray(input)) {
+        return {
+            vertical: input.find(row => row.vertical)?.vertical || null,
+            sites: input.map(row => ({
+                key: siteKey(row),
+                url: row.url,
+                score: typeof row.complianceScore === 'number' ? row.complianceScore : null,
+                violations: Array.isArray(row.findings) ? row.findings
+                    : Array.isArray(row.violations) ? row.violations
+                        : null,
+                violationCount: typeof row.violations === 'number' ? row.violations : null,
+                error: null
+            }))
+        };
+    }
+
+    if (input && input.scanMode === 'direct') {
+        return {
+            vertical: null,
+            sites: [{
+                key: siteKey({ url: input.url }),
+                url: input.url,
+                score: input.result?.complianceScore ?? null,
+                violations: input.result?.violations || [],
+                error: null
+            }]
+        };
+    }
+
+    if (input && Array.isArray(input.results)) {
+        return {
+            vertical: input.vertical || input.analysis?.vertical || null,
+            sites: input.results.map(site => ({
+                key: siteKey(site),
+                url: site.url,
+                score: site.scanError ? null : site.scanResult?.complianceScore ?? null,
+                violations: site.scanError ? null : site.scanResult?.violations || [],
+                error: site.scanError || null
+            }))
+        };
+    }
+
+    throw new Error('Unrecognised scan input: expected a scan report or an array of Scan rows');
+}
+
+/**
+ * Index violations by fingerprint (a fingerprint may occur more than once)
+ */
+function indexViolations(site) {
+    const index = new Map();
+    (site.violations || []).forEach(violation => {
+        const fingerprint = violation.fingerprint || fingerprintViolation(violation, site.url);
+        if (!index.has(fingerprint)) index.set(fingerprint, []);
+        index.get(fingerprint).push({ ...violation, fingerprint, site: site.key });
+    });
+    return index;
+}
+
+/**
+ * Mean of the non-null scores
+ */
+function averageScore(sites) {
+    const scores = sites.map(site => site.score).filter(score => typeof score === 'number');
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+/**
+ * Compare two scan runs
+ * @param {Object|Array} baselineInput - Earlier run (report or Scan rows)
+ * @param {Object|Array} currentInput - Later run (report or Scan rows)
+ * @returns {Object} { summary, sites, violations: { new, fixed, persisting } }
+ */
+function compareScans(baselineInput, currentInput) {
+    const baseline = normalizeScanInput(baselineInput);
+    const current = normalizeScanInput(currentInput);
+
+    const baselineSites = new Map(baseline.sites.map(site => [site.key, site]));
+    const currentSites = new Map(current.sites.map(site => [site.key, site]));
+    const keys = [...new Set([...baselineSites.keys(), ...currentSites.keys()])];
+
+    const allNew = [];
+    const allFixed = [];
+    const allPersisting = [];
+
+    const sites = keys.map(key => {
+        const before = baselineSites.get(key);
+        const after = currentSites.get(key);
+        const comparable = Boolean(before?.violations && after?.violations);
+
+        const siteNew = [];
+        const siteFixed = [];
+        const sitePersisting = [];
+
+        if (comparable) {
+            const beforeIndex = indexViolations(before);
+            const afterIndex = indexViolations(after);
+
+            afterIndex.forEach((violations, fingerprint) => {
+                const previousCount = (beforeIndex.get(fingerprint) || []).length;
+                violations.forEach((violation, i) => {
+                    (i < previousCount ? sitePersisting : siteNew).push(violation);
+                });
+            });
+            beforeIndex.forEach((violations, fingerprint) => {
+                const currentCount = (afterIndex.get(fingerprint) || []).length;
+                violations.slice(currentCount).forEach(violation => siteFixed.push(violation));
+            });
+        }
+
+        allNew.push(...siteNew);
+        allFixed.push(...siteFixed);
+        allPersisting.push(...sitePersisting);
+
+        const baselineScore = before?.score ?? null;
+        const currentScore = after?.score ?? null;
+        const scoreDelta = baselineScore !== null && currentScore !== null ? currentScore - baselineScore : null;
+
+        return {
+            site: key,
+            url: after?.url || before?.url,
+            status: !before ? 'added' : !after ? 'removed' : 'compared',
+            baselineScore,
+            currentScore,
+            scoreDelta,
+            regressed: siteNew.length > 0 || (scoreDelta !== null && scoreDelta < 0),
+            comparableViolations: comparable,
+            newViolations: siteNew.length,
+            fixedViolations: siteFixed.length,
+            persistingViolations: sitePersisting.length,
+            error: after?.error || null
+        };
+    });
+
+    const baselineAverage = averageScore(baseline.sites);
+    const currentAverage = averageScore(current.sites);
+    const verticalDelta = baselineAverage !== null && currentAverage !== null ? currentAverage - baselineAverage : null;
+
+    return {
+        summary: {
+            vertical: current.vertical || baseline.vertical,
+            sitesCompared: sites.filter(site => site.status === 'compared').length,
+            sitesAdded: sites.filter(site => site.status === 'added').length,
+            sitesRemoved: sites.filter(site => site.status === 'removed').length,
+            newViolations: allNew.length,
+            fixedViolations: allFixed.length,
+            persistingViolations: allPersisting.length,
+            baselineScore: baselineAverage,
+            currentScore: currentAverage,
+            scoreDelta: verticalDelta,
+            regressedSites: sites.filter(site => site.regressed).map(site => site.site),
+            regressed: allNew.length > 0 || (verticalDelta !== null && verticalDelta < 0)
+        },
+        sites,
+        violations: {
+            new: allNew,
+            fixed: allFixed,
+            persisting: allPersisting
+        }
+    };
+}
+
+module.exports = {
+    normalizePageUrl,
+    fingerprintViolation,
+    normalizeScanInput,
+    compareScans
+};
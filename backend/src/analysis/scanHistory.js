@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const { median } = require('./statistics');
+const { normalizePageUrl } = require('./scanComparison');
+const { registrableDomain } = require('../discovery/domains');
+
+/**
+ * WCAGAI v4.0 Scan History
+ * Persists every scanner run as Prisma `Scan` rows with their `findings`,
+ * and answers trend queries per domain or vertical: score over time,
+ * violations by WCAG criterion over time and time to fix
+ *
+ * Sites are filed under their registrable domain (m.example.com → example.com),
+ * as discovery identifies them (see discovery/domains); local page labels as they are.
+ *
+ * Rows are stored through a Prisma client's `scan` delegate when one is
+ * given, otherwise in memory (same create/findMany interface). Sites whose
+ * scan failed are not stored: a Scan row always carries a score.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-memory stand-in for prisma.scan (nested `findings` create/include only)
+ */
+class MemoryScanStore {
+    constructor() {
+        this.records = [];
+    }
+
+    async create({ data, include }) {
+        const id = `scan_${crypto.randomBytes(8).toString('hex')}`;
+        const createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        const findings = (data.findings?.create || []).map(finding => ({
+            id: `fnd_${crypto.randomBytes(8).toString('hex')}`,
+            scanId: id,
+            createdAt,
+            ...finding
+        }));
+        const record = { id, ...data, createdAt, findings };
+        this.records.push(record);
+        return this.project(record, include);
+    }
+
+    async findMany({ where = {}, orderBy, include } = {}) {
+        const rows = this.records.filter(record => Object.entries(where).every(([field, condition]) => {
+            const value = record[field];
+            if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+                return (condition.gte === undefined || value >= new Date(condition.gte)) &&
+                    (condition.lte === undefined || value <= new Date(condition.lte));
+            }
+            return value === condition;
+        }));
+        if (orderBy?.createdAt) {
+            const direction = orderBy.createdAt === 'desc' ? -1 : 1;
+            rows.sort((a, b) => direction * (a.createdAt - b.createdAt));
+        }
+        return rows.map(record => this.project(record, include));
+    }
+
+    project(record, include) {
+        const { findings, ...row } = record;
+        return include?.findings ? { ...row, findings: findings.map(finding => ({ ...finding })) } : row;
+    }
+}
+
+function normalizeDomain(domain) {
+    const value = domain.toLowerCase().replace(/^www\./, '');
+    return /^[a-z0-9.-]+(:\d+)?$/.test(value) ? registrableDomain(value) : value;
+}
+
+function domainOf(site) {
+    if (site.domain) return normalizeDomain(site.domain);
+    try {
+        return normalizeDomain(new URL(site.url).hostname);
+    } catch (error) {
+        return site.url || 'unknown';
+    }
+}
+
+function toFinding(violation, suppressed) {
+    return {
+        fingerprint: violation.fingerprint,
+        ruleId: violation.ruleId,
+        criteria: violation.wcagCriteria || [],
+        impact: violation.impact,
+        selector: violation.selector || null,
+        pageUrl: violation.url || null,
+        message: violation.message || null,
+        suppressed
+    };
+}
+
+/**
+ * URLs of the pages a site scan covered (every crawled page, or the page itself)
+ */
+function scannedPages(site, scanResult) {
+    const pages = scanResult.pages && scanResult.pages.length > 0 ? scanResult.pages.map(page => page.url) : [scanResult.url || site.url];
+    return [...new Set(pages.filter(Boolean))];
+}
+
+/**
+ * Flatten a scan() report into { site, scanResult } pairs
+ */
+function reportSites(report) {
+    if (report.scanMode === 'direct') {
+        return [{ site: { url: report.url }, scanResult: report.result }];
+    }
+    if (Array.isArray(report.results)) {
+        return report.results.map(site => ({ site, scanResult: site.scanError ? null : site.scanResult }));
+    }
+    throw new Error('Unrecognised scan report: expected the output of WCAGAIV4Scanner.scan()');
+}
+
+class ScanHistory {
+    /**
+     * @param {Object} options - { prisma }
+     */
+    constructor(options = {}) {
+        this.store = options.prisma ? options.prisma.scan : new MemoryScanStore();
+    }
+
+    /**
+     * Save every successfully scanned site of a run
+     * @param {Object} report - WCAGAIV4Scanner.scan() output
+     * @param {Object} options - { customerId, runId }
+     * @returns {Promise<Object>} { runId, scans, skipped }
+     */
+    async record(report, { customerId = null, runId = crypto.randomUUID() } = {}) {
+        const scans = [];
+        let skipped = 0;
+
+        for (const { site, scanResult } of reportSites(report)) {
+            if (!scanResult) {
+                skipped++;
+                continue;
+            }
+
+            const scannedAt = site.scannedAt || report.completedAt;
+            scans.push(await this.store.create({
+                data: {
+                    url: site.url,
+                    domain: domainOf(site),
+                    customerId,
+                    runId,
+                    scanMode: report.scanMode,
+                    complianceScore: scanResult.complianceScore,
+                    violations: scanResult.totalViolations ?? scanResult.violations.length,
+                    criticalViolations: scanResult.criticalViolations || 0,
+                    vertical: site.vertical || report.vertical || null,
+                    keywords: report.keywords || [],
+                    discoveredFrom: site.discoveredFrom || report.scanMode,
+                    adaLawsuitRisk: site.legalRisk?.adaRisk || 0,
+                    eaaComplianceRisk: site.legalRisk?.eaaRisk || 0,
+                    scanDuration: scanResult.scanDuration || 0,
+                    createdAt: scannedAt ? new Date(scannedAt) : undefined,
+                    completedAt: report.completedAt ? new Date(report.completedAt) : new Date(),
+                    pagesScanned: scannedPages(site, scanResult),
+                    findings: {
+                        create: [
+                            ...scanResult.violations.map(violation => toFinding(violation, false)),
+                            ...(scanResult.suppressedViolations || []).map(violation => toFinding(violation, true))
+                        ]
+                    }
+                },
+                include: { findings: true }
+            }));
+        }
+
+        return { runId, scans, skipped };
+    }
+
+    /**
+     * Stored scans for a domain or vertical, oldest first
+     * @param {Object} query - { domain, vertical, from, to }
+     */
+    async history({ domain, vertical, from, to } = {}) {
+        if (!domain && !vertical) {
+            throw new Error('Scan history needs a domain or a vertical');
+        }
+
+        const where = {};
+        if (domain) where.domain = normalizeDomain(domain);
+        if (vertical) where.vertical = vertical;
+        if (from || to) {
+            where.createdAt = {};
+            if (from) where.createdAt.gte = new Date(from);
+            if (to) where.createdAt.lte = new Date(to);
+        }
+
+        return this.store.findMany({ where, orderBy: { createdAt: 'asc' }, include: { findings: true } });
+    }
+
+    /**
+     * Compliance score over time
+     * A domain gets one point per scan; a vertical one point per run (average and median of its sites)
+     */
+    async scoreTrend(query = {}) {
+        const rows = await this.history(query);
+        const points = query.domain
+            ? rows.map(row => ({
+                date: row.createdAt.toISOString(),
+                scanId: row.id,
+                runId: row.runId || null,
+                score: row.complianceScore,
+                violations: row.violations,
+                criticalViolations: row.criticalViolations
+            }))
+            : groupRuns(rows).map(run => ({
+                date: run.date,
+                runId: run.runId,
+                sites: run.rows.length,
+                score: run.rows.reduce((sum, row) => sum + row.complianceScore, 0) / run.rows.length,
+                medianScore: median(run.rows.map(row => row.complianceScore)),
+                violations: run.rows.reduce((sum, row) => sum + row.violations, 0),
+                criticalViolations: run.rows.reduce((sum, row) => sum + row.criticalViolations, 0)
+            }));
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        return {
+            points,
+            change: points.length > 1 ? last.score - first.score : null
+        };
+    }
+
+    /**
+     * Active (unsuppressed) violations per WCAG criterion over time
+     * @returns {Promise<Object>} { points: [{ date, runId, criteria: { '1.1.1': n } }], criteria: { '1.1.1': [n, ...] } }
+     */
+    async criterionTrend(query = {}) {
+        const rows = await this.history(query);
+        const runs = query.domain
+            ? rows.map(row => ({ date: row.createdAt.toISOString(), runId: row.runId || null, rows: [row] }))
+            : groupRuns(rows);
+
+        const points = runs.map(run => {
+            const criteria = {};
+            run.rows.forEach(row => (row.findings || [])
+                .filter(finding => !finding.suppressed)
+                .forEach(finding => finding.criteria.forEach(criterion => {
+                    criteria[criterion] = (criteria[criterion] || 0) + 1;
+                })));
+            return { date: run.date, runId: run.runId, criteria };
+        });
+
+        const ids = [...new Set(points.flatMap(point => Object.keys(point.criteria)))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return {
+            points,
+            criteria: Object.fromEntries(ids.map(id => [id, points.map(point => point.criteria[id] || 0)]))
+        };
+    }
+
+    /**
+     * Days from a violation's first scan to the first later scan of its page without it
+     * A violation only counts as fixed when a later scan covered its page again (a crawl
+     * that skipped the page proves nothing); one that comes back after a fix counts as a
+     * new occurrence
+     * @returns {Promise<Object>} { fixed, open, medianDays, meanDays, byCriterion }
+     */
+    async timeToFix(query = {}) {
+        const rows = await this.history(query);
+        const byDomain = new Map();
+        rows.forEach(row => {
+            if (!byDomain.has(row.domain)) byDomain.set(row.domain, []);
+            byDomain.get(row.domain).push(row);
+        });
+
+        const fixed = [];
+        const open = [];
+
+        byDomain.forEach((scans, domain) => {
+            const active = new Map();
+
+            scans.forEach(scan => {
+                const present = new Map((scan.findings || [])
+                    .filter(finding => !finding.suppressed)
+                    .map(finding => [finding.fingerprint, finding]));
+                // Scans saved before pages were recorded are taken to cover every page
+                const pages = scan.pagesScanned && scan.pagesScanned.length > 0 ? new Set(scan.pagesScanned.map(normalizePageUrl)) : null;
+                const rescanned = occurrence => !pages || !occurrence.pageUrl || pages.has(normalizePageUrl(occurrence.pageUrl));
+
+                active.forEach((occurrence, fingerprint) => {
+                    if (!present.has(fingerprint) && rescanned(occurrence)) {
+                        fixed.push({
+                            ...occurrence,
+                            fixedAt: scan.createdAt.toISOString(),
+                            days: (scan.createdAt - new Date(occurrence.firstSeen)) / DAY_MS
+                        });
+                        active.delete(fingerprint);
+                    }
+                });
+                present.forEach((finding, fingerprint) => {
+                    if (!active.has(fingerprint)) {
+                        active.set(fingerprint, {
+                            domain,
+                            fingerprint,
+                            ruleId: finding.ruleId,
+                            criteria: finding.criteria,
+                            impact: finding.impact,
+                            pageUrl: finding.pageUrl,
+                            firstSeen: scan.createdAt.toISOString()
+                        });
+                    }
+                });
+            });
+
+            active.forEach(occurrence => open.push({ ...occurrence, fixedAt: null, days: null }));
+        });
+
+        const days = fixed.map(fix => fix.days);
+        const byCriterion = {};
+        fixed.forEach(fix => fix.criteria.forEach(criterion => {
+            (byCriterion[criterion] = byCriterion[criterion] || []).push(fix.days);
+        }));
+
+        return {
+            fixed,
+            open,
+            medianDays: median(days),
+            meanDays: days.length > 0 ? days.reduce((sum, value) => sum + value, 0) / days.length : null,
+            byCriterion: Object.fromEntries(Object.entries(byCriterion).map(([criterion, values]) => [
+                criterion,
+                { fixed: values.length, medianDays: median(values) }
+            ]))
+        };
+    }
+
+    /**
+     * Everything the dashboard's trend view needs for one domain or vertical
+     */
+    async trends(query = {}) {
+        const [score, criteria, fixes] = await Promise.all([
+            this.scoreTrend(query),
+            this.criterionTrend(query),
+            this.timeToFix(query)
+        ]);
+        return {
+            domain: query.domain || null,
+            vertical: query.vertical || null,
+            score,
+            criteria,
+            timeToFix: fixes
+        };
+    }
+}
+
+/**
+ * Group vertical rows into runs (by runId, or by day for rows without one)
+ */
+function groupRuns(rows) {
+    const runs = new Map();
+    rows.forEach(row => {
+        const key = row.runId || row.createdAt.toISOString().slice(0, 10);
+        if (!runs.has(key)) {
+            runs.set(key, { date: row.createdAt.toISOString(), runId: row.runId || null, rows: [] });
+        }
+        runs.get(key).rows.push(row);
+    });
+    return [...runs.values()];
+}
+
+module.exports = ScanHistory;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { getCriterion } = require('../compliance/wcagCatalog');
+
+/**
+ * WCAGAI v4.0 Scoring Model
+ * Deterministic compliance scores derived from rule results, with a breakdown
+ *
+ * Page score
+ *   Every evaluated element is one check. A check's weight is
+ *   impact weight × level weight, where the level is that of the rule's
+ *   strictest in-scope success criterion (A outranks AA outranks AAA):
+ *
+ *     score = 1 - Σ(failed × weight) / Σ((passed + failed) × weight)
+ *
+ *   Incomplete checks carry no weight; a page with no checks scores 1.
+ *   Because the score is a weighted share of checks it is normalised per
+ *   page: a long page isn't punished for having more elements.
+ *
+ * Site score
+ *   Mean of the page scores, each page counting equally.
+ *
+ * Breakdown
+ *   Every deduction lists the rule, its weight and the share of the score it
+ *   cost (`penalty`). The penalties add up to 1 - score.
+ *
+ * Prediction (unscanned sites)
+ *   benchmark ± variance, where the offset is a hash of seed + site key, so
+ *   the same seed always gives the same prediction.
+ */
+
+const SCORING_MODEL_VERSION = 'wcagai-score-v1';
+
+// Relative cost of a failed check, axe-core impact levels
+const IMPACT_WEIGHTS = {
+    critical: 4,
+    serious: 3,
+    moderate: 2,
+    minor: 1
+};
+
+// Level A failures block the most users
+const LEVEL_WEIGHTS = {
+    A: 3,
+    AA: 2,
+    AAA: 1
+};
+
+const DEFAULT_SEED = 'wcagai-v4';
+
+/**
+ * Strictest conformance level among a rule's criteria
+ */
+function ruleLevel(criteria = []) {
+    const levels = criteria.map(id => getCriterion(id)?.level).filter(Boolean);
+    return ['A', 'AA', 'AAA'].find(level => levels.includes(level)) || 'AA';
+}
+
+/**
+ * Score one page from its rule results
+ * @param {Array} ruleResults - [{ ruleId, impact, wcag, passed, failed }]
+ * @returns {Object} { score, breakdown }
+ */
+function scorePage(ruleResults) {
+    let totalWeight = 0;
+    let failedWeight = 0;
+
+    const weighted = ruleResults.map(result => {
+        const level = ruleLevel(result.wcag);
+        const weight = (IMPACT_WEIGHTS[result.impact] || 1) * LEVEL_WEIGHTS[level];
+        totalWeight += (result.passed + result.failed) * weight;
+        failedWeight += result.failed * weight;
+        return { result, level, weight };
+    });
+
+    const score = totalWeight > 0 ? 1 - (failedWeight / totalWeight) : 1;
+
+    const deductions = weighted
+        .filter(({ result }) => result.failed > 0)
+        .map(({ result, level, weight }) => ({
+            ruleId: result.ruleId,
+            impact: result.impact,
+            level,
+            criterion: (result.wcag || [])[0] || null,
+            weight,
+            failed: result.failed,
+            passed: result.passed,
+            penalty: (result.failed * weight) / totalWeight
+        }))
+        .sort((a, b) => b.penalty - a.penalty || a.ruleId.localeCompare(b.ruleId));
+
+    return {
+        score,
+        breakdown: {
+            model: SCORING_MODEL_VERSION,
+            score,
+            checks: ruleResults.reduce((sum, r) => sum + r.passed + r.failed, 0),
+            totalWeight,
+            failedWeight,
+            byImpact: sumPenalties(deductions, 'impact'),
+            byLevel: sumPenalties(deductions, 'level'),
+            deductions
+        }
+    };
+}
+
+/**
+ * Aggregate page breakdowns into a site score
+ * @param {Array} pages - [{ url, complianceScore, scoreBreakdown }]
+ * @returns {Object} { score, breakdown }
+ */
+function scoreSite(pages) {
+    if (pages.length === 0) {
+        return { score: null, breakdown: null };
+    }
+
+    const score = pages.reduce((sum, page) => sum + page.complianceScore, 0) / pages.length;
+
+    // A page's penalties count 1/n toward the site
+    const byRule = new Map();
+    pages.forEach(page => {
+        (page.scoreBreakdown?.deductions || []).forEach(deduction => {
+            const entry = byRule.get(deduction.ruleId) || { ...deduction, failed: 0, passed: 0, penalty: 0, pages: 0 };
+            entry.failed += deduction.failed;
+            entry.passed += deduction.passed;
+            entry.penalty += deduction.penalty / pages.length;
+            entry.pages++;
+            byRule.set(deduction.ruleId, entry);
+        });
+    });
+
+    const deductions = [...byRule.values()]
+        .sort((a, b) => b.penalty - a.penalty || a.ruleId.localeCompare(b.ruleId));
+
+    return {
+        score,
+        breakdown: {
+            model: SCORING_MODEL_VERSION,
+            score,
+            aggregation: 'mean of page scores',
+            pages: pages.map(page => ({ url: page.url, score: page.complianceScore })),
+            byImpact: sumPenalties(deductions, 'impact'),
+            byLevel: sumPenalties(deductions, 'level'),
+            deductions
+        }
+    };
+}
+
+function sumPenalties(deductions, key) {
+    return deductions.reduce((totals, deduction) => {
+        totals[deduction[key]] = (totals[deduction[key]] || 0) + deduction.penalty;
+        return totals;
+    }, {});
+}
+
+/**
+ * Deterministic value in [0, 1) for a seed and key
+ */
+function seededUnit(seed, key) {
+    const hash = crypto.createHash('sha256').update(`${seed}:${key}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Predicted compliance for a site that hasn't been scanned
+ * @param {number} benchmark - Vertical compliance benchmark (0-1)
+ * @param {string} key - Stable site key (domain)
+ * @param {Object} options - { seed, variance } (variance defaults to ±0.1)
+ * @returns {number} Prediction clamped to 0-1
+ */
+function predictCompliance(benchmark, key, options = {}) {
+    const seed = options.seed ?? DEFAULT_SEED;
+    const variance = options.variance ?? 0.1;
+    const offset = (seededUnit(seed, key) * 2 - 1) * variance;
+    return Math.min(1, Math.max(0, benchmark + offset));
+}
+
+module.exports = {
+    SCORING_MODEL_VERSION,
+    IMPACT_WEIGHTS,
+    LEVEL_WEIGHTS,
+    DEFAULT_SEED,
+    scorePage,
+    scoreSite,
+    predictCompliance
+};
@@ -0,0 +1,132 @@
+/**
+ * WCAGAI v4.0 Statistics
+ * Descriptive statistics for vertical compliance scores
+ *
+ * Percentiles interpolate linearly between ranks (the "R-7" / spreadsheet
+ * method). Standard deviation is the sample standard deviation. Confidence
+ * intervals for the mean use Student's t for small samples.
+ */
+
+// Two-sided 95% critical values of Student's t, by degrees of freedom
+const T_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+const Z_95 = 1.96;
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Percentile p (0-100) of a list of numbers
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+    return percentile(values, 50);
+}
+
+/**
+ * Sample standard deviation (n - 1)
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return values.length === 1 ? 0 : null;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * 95% confidence interval for the mean, clamped to [min, max]
+ * @returns {Object|null} { level, lower, upper, marginOfError }
+ */
+function confidenceInterval(values, { min = -Infinity, max = Infinity } = {}) {
+    if (values.length < 2) return null;
+    const critical = values.length - 1 <= T_95.length ? T_95[values.length - 2] : Z_95;
+    const marginOfError = critical * standardDeviation(values) / Math.sqrt(values.length);
+    const average = mean(values);
+
+    return {
+        level: 0.95,
+        lower: Math.max(min, average - marginOfError),
+        upper: Math.min(max, average + marginOfError),
+        marginOfError
+    };
+}
+
+/**
+ * Mean weighted by `weights`; null when no weight is positive
+ */
+function weightedMean(values, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) return null;
+    return values.reduce((sum, value, i) => sum + value * weights[i], 0) / total;
+}
+
+/**
+ * Value at which the cumulative weight first reaches half the total
+ */
+function weightedMedian(values, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) return null;
+    const pairs = values.map((value, i) => ({ value, weight: weights[i] })).sort((a, b) => a.value - b.value);
+    let cumulative = 0;
+    return pairs.find(pair => (cumulative += pair.weight) >= total / 2).value;
+}
+
+/**
+ * Full summary of a list of scores in 0-1
+ */
+function describe(values) {
+    return {
+        count: values.length,
+        mean: mean(values),
+        median: median(values),
+        min: values.length > 0 ? Math.min(...values) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        standardDeviation: standardDeviation(values),
+        percentiles: {
+            p10: percentile(values, 10),
+            p25: percentile(values, 25),
+            p75: percentile(values, 75),
+            p90: percentile(values, 90)
+        },
+        confidenceInterval: confidenceInterval(values, { min: 0, max: 1 })
+    };
+}
+
+/**
+ * Rank of a score among peers: 1-based position (ties share it) and the
+ * percentile of peers it beats, counting ties as half
+ */
+function rankAmong(score, peerScores) {
+    const above = peerScores.filter(other => other > score).length;
+    const below = peerScores.filter(other => other < score).length;
+    const ties = peerScores.length - above - below;
+
+    return {
+        position: above + 1,
+        of: peerScores.length + 1,
+        percentile: peerScores.length > 0 ? ((below + ties / 2) / peerScores.length) * 100 : 100
+    };
+}
+
+module.exports = {
+    mean,
+    median,
+    percentile,
+    standardDeviation,
+    confidenceInterval,
+    weightedMean,
+    weightedMedian,
+    describe,
+    rankAmong
+};
@@ -1,4 +1,6 @@
 const Stripe = require('stripe');
+const { requireVertical, loadVerticalBenchmarks } = require('../verticals/verticalRegistry');
+const BenchmarkReportGenerator = require('../reports/benchmarkReport');
 
 /**
  * WCAGAI v4.0 Stripe Billing Integration
@@ -6,8 +8,13 @@ const Stripe = require('stripe');
  */
 
 class StripeBilling {
-    constructor() {
+    /**
+     * @param {Object} options - { prisma, reports } where reports is a BenchmarkReportGenerator
+     */
+    constructor(options = {}) {
         this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+        this.prisma = options.prisma || null;
+        this.reports = options.reports || new BenchmarkReportGenerator({ prisma: this.prisma });
         this.plans = {
             developer: {
                 priceId: 'price_developer_monthly', // Create in Stripe dashboard
@@ -162,13 +169,12 @@ class StripeBilling {
      */
     async purchaseBenchmarkReport(customerId, vertical, customData = {}) {
         try {
-            const prices = {
-                healthcare: 199900, // $1,999
-                fintech: 249900,    // $2,499
-                ecommerce: 179900  // $1,799
-            };
-
-            const amount = prices[vertical] || 199900;
+            // Price per vertical in cents; VerticalBenchmark rows are re-read so
+            // database prices and verticals apply, and unknown verticals are refused
+            if (this.prisma) {
+                await loadVerticalBenchmarks(this.prisma);
+            }
+            const amount = requireVertical(vertical).reportPrice;
 
             const paymentIntent = await this.stripe.paymentIntents.create({
                 amount: amount,
@@ -198,6 +204,41 @@ class StripeBilling {
         }
     }
 
+    /**
+     * Generate and deliver a paid benchmark report; call from the
+     * payment_intent.succeeded webhook for benchmark_report payments
+     * @param {string} paymentIntentId - Intent returned by purchaseBenchmarkReport
+     * @param {Object} scan - { analysis, results, customerScan, customerName } from a discovery scan with customerSite
+     * @returns {Promise<Object>} Delivered BenchmarkReport record
+     */
+    async fulfillBenchmarkReport(paymentIntentId, scan) {
+        try {
+            const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+            if (paymentIntent.metadata.type !== 'benchmark_report') {
+                throw new Error(`Payment ${paymentIntentId} is not a benchmark report purchase`);
+            }
+            if (paymentIntent.status !== 'succeeded') {
+                throw new Error(`Payment ${paymentIntentId} is ${paymentIntent.status}, reports are only generated once paid`);
+            }
+
+            const { customerId, vertical } = paymentIntent.metadata;
+            const report = await this.reports.generate({
+                ...scan,
+                customerId,
+                vertical,
+                price: paymentIntent.amount / 100
+            });
+            const delivered = await this.reports.markDelivered(report.id);
+
+            console.log(`📬 Benchmark Report Delivered: ${vertical} for ${customerId} (${report.pdfUrl})`);
+            return { ...delivered, filePath: report.filePath, pages: report.pages };
+
+        } catch (error) {
+            console.error('❌ Benchmark report fulfilment failed:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get or create Stripe customer
      */
@@ -0,0 +1,294 @@
+const { createDriver } = require('./drivers');
+
+/**
+ * WCAGAI v4.0 Cache
+ * Namespaced cache over a pluggable driver (memory, file, Redis) with per-namespace
+ * TTLs, tag invalidation, stale-while-revalidate and hit/miss metrics
+ *
+ * Namespaces (default TTL / stale window, seconds):
+ *   discovery  - Discovered sites per search             86400 / 604800
+ *   ai-fix     - AI remediation responses per prompt     2592000 / 0
+ *   scan       - Fetched pages per URL                   0 (off) / 0
+ *   redirect   - Final URL of discovered sites           604800 / 0
+ * A TTL of 0 turns a namespace off. Within the stale window an expired entry is
+ * still returned by wrap() while a fresh value is fetched in the background.
+ *
+ * Entries can carry tags (e.g. "vertical:fintech", "keyword:online banking");
+ * invalidate({ vertical, keyword, tags, namespace }) removes every entry with
+ * any of them. A failing driver never fails the caller: reads become misses and
+ * writes are skipped, and both are counted as errors.
+ *
+ * Configuration: WCAGAI_CACHE (memory, file[:dir], redis or a redis:// URL;
+ * Redis when REDIS_URL or REDIS_HOST is set, memory otherwise),
+ * WCAGAI_CACHE_TTL and WCAGAI_CACHE_STALE ("discovery=3600,scan=600").
+ */
+
+const DEFAULT_TTLS = {
+    discovery: 86400,
+    'ai-fix': 30 * 86400,
+    scan: 0,
+    redirect: 7 * 86400
+};
+
+const DEFAULT_STALE = {
+    discovery: 7 * 86400,
+    'ai-fix': 0,
+    scan: 0,
+    redirect: 0
+};
+
+const FALLBACK_TTL = 3600;
+
+/**
+ * Parse "namespace=seconds,..." into an object
+ */
+function parseTtls(spec) {
+    if (!spec) return {};
+    return Object.fromEntries(String(spec).split(',').filter(Boolean).map(pair => {
+        const [namespace, seconds] = pair.split('=').map(part => part.trim());
+        const value = Number(seconds);
+        if (!namespace || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid cache TTL "${pair}" (expected namespace=seconds)`);
+        }
+        return [namespace, value];
+    }));
+}
+
+function defaultDriverSpec() {
+    if (process.env.WCAGAI_CACHE) return process.env.WCAGAI_CACHE;
+    return process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'memory';
+}
+
+class Cache {
+    /**
+     * @param {Object} options - { driver, prefix, ttl, staleTtl, logger }
+     * @param {string|Object} options.driver - Driver spec, config or instance (default WCAGAI_CACHE)
+     * @param {Object} options.ttl - Seconds fresh, by namespace (merged over the defaults)
+     * @param {Object} options.staleTtl - Seconds served stale after that, by namespace
+     */
+    constructor(options = {}) {
+        this.driver = createDriver(options.driver || defaultDriverSpec());
+        this.prefix = options.prefix ?? 'wcagai:';
+        this.ttls = { ...DEFAULT_TTLS, ...parseTtls(process.env.WCAGAI_CACHE_TTL), ...options.ttl };
+        this.staleTtls = { ...DEFAULT_STALE, ...parseTtls(process.env.WCAGAI_CACHE_STALE), ...options.staleTtl };
+        this.logger = options.logger || console;
+        this.metrics = {};
+        this.inFlight = new Map();
+        this.warned = false;
+    }
+
+    ttl(namespace) {
+        return this.ttls[namespace] ?? FALLBACK_TTL;
+    }
+
+    staleTtl(namespace) {
+        return this.staleTtls[namespace] ?? 0;
+    }
+
+    enabled(namespace) {
+        return this.ttl(namespace) > 0;
+    }
+
+    fullKey(namespace, key) {
+        return `${this.prefix}${namespace}:${key}`;
+    }
+
+    count(namespace, metric, amount = 1) {
+        const counters = this.metrics[namespace] || (this.metrics[namespace] = {
+            hits: 0, misses: 0, stale: 0, writes: 0, invalidated: 0, refreshes: 0, errors: 0
+        });
+        counters[metric] += amount;
+    }
+
+    driverFailed(namespace, action, error) {
+        this.count(namespace, 'errors');
+        // One warning per cache, not one per request, when the backend is down
+        if (!this.warned) {
+            this.warned = true;
+            this.logger.warn(`⚠️  Cache ${action} failed (${this.driver.name}), continuing without cache:`, error.message);
+        }
+    }
+
+    /**
+     * Read an entry
+     * @returns {Promise<Object|null>} { value, stale, storedAt, tags } or null on a miss
+     */
+    async lookup(namespace, key) {
+        if (!this.enabled(namespace)) return null;
+
+        let entry;
+        try {
+            entry = await this.driver.get(this.fullKey(namespace, key));
+        } catch (error) {
+            this.driverFailed(namespace, 'read', error);
+            entry = null;
+        }
+
+        const now = Date.now();
+        if (!entry || entry.staleUntil <= now) {
+            this.count(namespace, 'misses');
+            return null;
+        }
+        const stale = entry.freshUntil <= now;
+        this.count(namespace, stale ? 'stale' : 'hits');
+        return { value: entry.value, stale, storedAt: entry.storedAt, tags: entry.tags || [] };
+    }
+
+    /**
+     * Fresh value or undefined (stale entries count as misses here; see wrap)
+     */
+    async get(namespace, key) {
+        const entry = await this.lookup(namespace, key);
+        return entry && !entry.stale ? entry.value : undefined;
+    }
+
+    /**
+     * Store a value
+     * @param {Object} options - { ttl, staleTtl, tags }
+     */
+    async set(namespace, key, value, { ttl = this.ttl(namespace), staleTtl = this.staleTtl(namespace), tags = [] } = {}) {
+        if (!(ttl > 0)) return false;
+
+        const now = Date.now();
+        const entry = {
+            value,
+            storedAt: new Date(now).toISOString(),
+            freshUntil: now + ttl * 1000,
+            staleUntil: now + (ttl + staleTtl) * 1000,
+            tags
+        };
+        try {
+            await this.driver.set(this.fullKey(namespace, key), entry, ttl + staleTtl);
+            this.count(namespace, 'writes');
+            return true;
+        } catch (error) {
+            this.driverFailed(namespace, 'write', error);
+            return false;
+        }
+    }
+
+    async delete(namespace, key) {
+        try {
+            return await this.driver.delete(this.fullKey(namespace, key));
+        } catch (error) {
+            this.driverFailed(namespace, 'delete', error);
+            return false;
+        }
+    }
+
+    /**
+     * Cached value, or the result of fetch() stored for next time. Stale entries
+     * are returned at once and refreshed in the background; concurrent misses for
+     * the same key share one fetch. Errors from fetch() are not cached.
+     * @param {Function} fetch - async () => value
+     * @param {Object} options - { ttl, staleTtl, tags, onRefresh(value) }
+     */
+    async wrap(namespace, key, fetch, options = {}) {
+        const cached = await this.lookup(namespace, key);
+        if (cached && !cached.stale) return cached.value;
+
+        if (cached && cached.stale) {
+            this.refresh(namespace, key, fetch, options).catch(error => {
+                this.count(namespace, 'errors');
+                this.logger.warn(`⚠️  Background refresh of ${namespace} "${key}" failed:`, error.message);
+            });
+            return cached.value;
+        }
+
+        return this.refresh(namespace, key, fetch, options);
+    }
+
+    refresh(namespace, key, fetch, options) {
+        const fullKey = this.fullKey(namespace, key);
+        if (this.inFlight.has(fullKey)) return this.inFlight.get(fullKey);
+
+        const pending = (async () => {
+            try {
+                const value = await fetch();
+                await this.set(namespace, key, value, options);
+                this.count(namespace, 'refreshes');
+                if (options.onRefresh) options.onRefresh(value);
+                return value;
+            } finally {
+                this.inFlight.delete(fullKey);
+            }
+        })();
+        this.inFlight.set(fullKey, pending);
+        return pending;
+    }
+
+    /**
+     * Wait for background refreshes (e.g. before exiting)
+     */
+    async settle() {
+        await Promise.allSettled([...this.inFlight.values()]);
+    }
+
+    /**
+     * Remove entries by tag, vertical, keyword and/or namespace
+     * @param {Object} selector - { namespace, vertical, keyword, tags }; with only a
+     *   namespace every entry in it is removed
+     * @returns {Promise<number>} Entries removed
+     */
+    async invalidate({ namespace = null, vertical = null, keyword = null, tags = [] } = {}) {
+        const wanted = [...tags];
+        if (vertical) wanted.push(Cache.tag('vertical', vertical));
+        if (keyword) wanted.push(Cache.tag('keyword', keyword));
+        if (!namespace && wanted.length === 0) {
+            throw new Error('Cache invalidation needs a namespace, vertical, keyword or tags');
+        }
+
+        const prefix = namespace ? `${this.prefix}${namespace}:` : this.prefix;
+        let removed = 0;
+        try {
+            for (const fullKey of await this.driver.keys(prefix)) {
+                const entry = wanted.length > 0 ? await this.driver.get(fullKey) : null;
+                if (wanted.length > 0 && !(entry?.tags || []).some(tag => wanted.includes(tag))) continue;
+                if (await this.driver.delete(fullKey)) {
+                    removed++;
+                    this.count(fullKey.slice(this.prefix.length).split(':')[0], 'invalidated');
+                }
+            }
+        } catch (error) {
+            this.driverFailed(namespace || '*', 'invalidation', error);
+        }
+        return removed;
+    }
+
+    /**
+     * Hit/miss counters by namespace, with hit rates (stale hits count as hits)
+     */
+    stats() {
+        const namespaces = {};
+        const total = { hits: 0, misses: 0, stale: 0, writes: 0, invalidated: 0, refreshes: 0, errors: 0 };
+        Object.entries(this.metrics).forEach(([namespace, counters]) => {
+            const lookups = counters.hits + counters.stale + counters.misses;
+            namespaces[namespace] = { ...counters, hitRate: lookups > 0 ? (counters.hits + counters.stale) / lookups : null };
+            Object.keys(total).forEach(metric => { total[metric] += counters[metric]; });
+        });
+        const lookups = total.hits + total.stale + total.misses;
+        return { driver: this.driver.name, namespaces, total: { ...total, hitRate: lookups > 0 ? (total.hits + total.stale) / lookups : null } };
+    }
+
+    async close() {
+        await this.settle();
+        try {
+            await this.driver.close();
+        } catch (error) {
+            this.logger.warn('⚠️  Cache close failed:', error.message);
+        }
+    }
+
+    /**
+     * Normalized tag, e.g. tag('keyword', ' Online Banking') → "keyword:online banking"
+     */
+    static tag(kind, value) {
+        return `${kind}:${String(value).trim().toLowerCase()}`;
+    }
+}
+
+Cache.DEFAULT_TTLS = DEFAULT_TTLS;
+Cache.DEFAULT_STALE = DEFAULT_STALE;
+Cache.parseTtls = parseTtls;
+
+module.exports = Cache;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * WCAGAI v4.0 Cache Drivers
+ * Storage behind Cache: in-memory, JSON files and Redis
+ *
+ * A driver stores cache entries ({ value, storedAt, freshUntil, staleUntil, tags })
+ * under full keys and needs `async get(key)`, `async set(key, entry, ttlSeconds)`,
+ * `async delete(key)`, `async keys(prefix)` and `async close()`. Entries past
+ * `ttlSeconds` may be dropped by the driver; Cache itself decides what is fresh
+ * or stale. New drivers plug in with registerDriver(type, factory).
+ */
+
+function isExpired(entry, now = Date.now()) {
+    return !entry || entry.staleUntil <= now;
+}
+
+/**
+ * Entries in a Map, for one process
+ */
+class MemoryDriver {
+    constructor({ maxEntries = 10000 } = {}) {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (isExpired(entry)) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    async set(key, entry) {
+        // Oldest insert goes first once full
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async keys(prefix) {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix));
+    }
+
+    async close() {}
+}
+
+/**
+ * One JSON file per entry in a directory (default ./.wcagai-cache), shared
+ * between runs and processes on one machine
+ */
+class FileDriver {
+    constructor({ dir = '.wcagai-cache' } = {}) {
+        this.name = 'file';
+        this.dir = path.resolve(dir);
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    read(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async get(key) {
+        const file = this.fileFor(key);
+        const stored = this.read(file);
+        if (!stored || stored.key !== key) return null;
+        if (isExpired(stored.entry)) {
+            fs.rmSync(file, { force: true });
+            return null;
+        }
+        return stored.entry;
+    }
+
+    async set(key, entry) {
+        const file = this.fileFor(key);
+        const temporary = `${file}.${process.pid}.tmp`;
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify({ key, entry }));
+        fs.renameSync(temporary, file);
+    }
+
+    async delete(key) {
+        const file = this.fileFor(key);
+        const existed = fs.existsSync(file);
+        fs.rmSync(file, { force: true });
+        return existed;
+    }
+
+    async keys(prefix) {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.read(path.join(this.dir, name)))
+            .filter(stored => stored && stored.key.startsWith(prefix))
+            .map(stored => stored.key);
+    }
+
+    async close() {}
+}
+
+/**
+ * Redis (node-redis v4). Connects on first use and gives up after a few
+ * attempts, so an unreachable server costs one short delay per process rather
+ * than one per request.
+ */
+class RedisDriver {
+    /**
+     * @param {Object} options - { url } or { host, port, db }, or { client } an existing node-redis v4 client
+     */
+    constructor({ url = process.env.REDIS_URL, host = process.env.REDIS_HOST || 'localhost', port = process.env.REDIS_PORT || 6379, db = process.env.REDIS_DB || 0, connectAttempts = 3, client = null } = {}) {
+        this.name = 'redis';
+        this.client = client || require('redis').createClient({
+            url: url || `redis://${host}:${port}`,
+            database: Number(db),
+            socket: {
+                connectTimeout: 5000,
+                reconnectStrategy: retries => retries >= connectAttempts ? new Error(`Redis unreachable after ${connectAttempts} attempts`) : Math.min(100 * 2 ** retries, 2000)
+            }
+        });
+        this.client.on('error', error => { this.lastError = error; });
+        this.connecting = null;
+    }
+
+    async ready() {
+        if (this.client.isReady) return this.client;
+        if (!this.connecting) {
+            this.connecting = this.client.isOpen ? Promise.resolve() : this.client.connect();
+        }
+        await this.connecting;
+        return this.client;
+    }
+
+    async get(key) {
+        const raw = await (await this.ready()).get(key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, entry, ttlSeconds) {
+        await (await this.ready()).setEx(key, Math.max(1, Math.ceil(ttlSeconds)), JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        return (await (await this.ready()).del(key)) > 0;
+    }
+
+    async keys(prefix) {
+        const client = await this.ready();
+        const keys = [];
+        // Glob characters in the prefix are matched literally
+        for await (const key of client.scanIterator({ MATCH: `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`, COUNT: 100 })) {
+            keys.push(key);
+        }
+        return keys;
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+}
+
+const FACTORIES = {
+    memory: config => new MemoryDriver(config),
+    file: config => new FileDriver(config),
+    redis: config => new RedisDriver(config)
+};
+
+/**
+ * Add or replace a driver type
+ * @param {string} type - Config `type` the factory handles
+ * @param {Function} factory - config => driver
+ */
+function registerDriver(type, factory) {
+    FACTORIES[type] = factory;
+}
+
+/**
+ * Parse a driver spec: memory | file | file:<dir> | redis | redis://host:port/db
+ */
+function parseDriverSpec(spec) {
+    const value = String(spec).trim();
+    if (/^rediss?:\/\//i.test(value)) return { type: 'redis', url: value };
+    const [type, ...rest] = value.split(':');
+    const setting = rest.join(':');
+    if (type === 'file') return setting ? { type, dir: setting } : { type };
+    return { type };
+}
+
+/**
+ * Build a driver from a spec string or config ({ type, ...settings }), or pass one through
+ */
+function createDriver(config) {
+    if (config && typeof config.get === 'function' && typeof config.set === 'function') return config;
+
+    const settings = typeof config === 'string' ? parseDriverSpec(config) : config || {};
+    const factory = FACTORIES[settings.type];
+    if (!factory) {
+        throw new Error(`Unknown cache driver "${settings.type}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    return factory(settings);
+}
+
+module.exports = {
+    MemoryDriver,
+    FileDriver,
+    RedisDriver,
+    registerDriver,
+    parseDriverSpec,
+    createDriver
+};
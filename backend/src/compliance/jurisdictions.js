@@ -0,0 +1,258 @@
+const { getCriteria } = require('./wcagCatalog');
+const { getVertical } = require('../verticals/verticalRegistry');
+
+/**
+ * WCAGAI v4.0 Jurisdiction Profiles
+ * Accessibility regimes by market: the standards that apply, how WCAG success
+ * criteria map to each standard's clauses, deadlines and enforcement
+ *
+ * Profile
+ *   standards   - [{ id, name, conformance: { version, level }, clausePrefix, excluded }]
+ *                 Clause for a criterion = clausePrefix + criterion ID
+ *                 (EN 301 549 clause 9.1.1.1 is WCAG 1.1.1)
+ *   regimes     - Legal risk models that apply (see legalRisk): 'ada', 'eaa'
+ *   deadline    - Primary compliance date; milestones lists the others
+ *   litigationEffect - Extra ADA log-odds for plaintiff-heavy states
+ *   searchLocation   - Discovery search location for the market
+ */
+
+const JURISDICTIONS = {
+    us: {
+        id: 'us',
+        name: 'United States',
+        laws: ['ADA Title III', 'ADA Title II (DOJ 2024 rule)', 'Rehabilitation Act Section 508'],
+        standards: [
+            { id: 'ada-title-ii', name: 'ADA Title II web rule (28 CFR 35.200)', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '' },
+            { id: 'section-508', name: 'Revised Section 508 (E205.4)', conformance: { version: '2.0', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: ['ada'],
+        deadline: '2026-04-24',
+        milestones: [
+            { date: '2018-01-18', description: 'Revised Section 508 standards in force for federal agencies' },
+            { date: '2026-04-24', description: 'ADA Title II: state and local governments with 50,000+ residents' },
+            { date: '2027-04-26', description: 'ADA Title II: smaller public entities and special districts' }
+        ],
+        enforcement: 'Private Title III lawsuits and demand letters; DOJ enforcement for Title II; agency complaints for Section 508',
+        litigationEffect: 0,
+        searchLocation: 'United States'
+    },
+    'us-ny': {
+        id: 'us-ny',
+        name: 'New York, US',
+        parent: 'us',
+        laws: ['ADA Title III', 'New York State and City Human Rights Laws'],
+        standards: [
+            { id: 'ada-title-iii', name: 'ADA Title III (WCAG 2.1 AA as settlement benchmark)', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: ['ada'],
+        deadline: null,
+        milestones: [],
+        enforcement: 'Highest volume of federal web accessibility filings (SDNY, EDNY)',
+        litigationEffect: 0.5,
+        searchLocation: 'New York, United States'
+    },
+    'us-ca': {
+        id: 'us-ca',
+        name: 'California, US',
+        parent: 'us',
+        laws: ['ADA Title III', 'Unruh Civil Rights Act'],
+        standards: [
+            { id: 'ada-title-iii', name: 'ADA Title III (WCAG 2.1 AA as settlement benchmark)', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: ['ada'],
+        deadline: null,
+        milestones: [],
+        enforcement: 'Unruh Act allows $4,000 minimum statutory damages per violation',
+        litigationEffect: 0.4,
+        searchLocation: 'California, United States'
+    },
+    'us-fl': {
+        id: 'us-fl',
+        name: 'Florida, US',
+        parent: 'us',
+        laws: ['ADA Title III'],
+        standards: [
+            { id: 'ada-title-iii', name: 'ADA Title III (WCAG 2.1 AA as settlement benchmark)', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: ['ada'],
+        deadline: null,
+        milestones: [],
+        enforcement: 'High volume of serial ADA website filings',
+        litigationEffect: 0.3,
+        searchLocation: 'Florida, United States'
+    },
+    eu: {
+        id: 'eu',
+        name: 'European Union',
+        laws: ['European Accessibility Act (Directive 2019/882)', 'Web Accessibility Directive (2016/2102)'],
+        standards: [
+            { id: 'en-301-549', name: 'EN 301 549 V3.2.1', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '9.' }
+        ],
+        regimes: ['eaa'],
+        deadline: '2025-06-28',
+        milestones: [
+            { date: '2020-09-23', description: 'Web Accessibility Directive: public sector websites' },
+            { date: '2025-06-28', description: 'EAA applies to in-scope products and services' },
+            { date: '2030-06-28', description: 'EAA transition ends for service contracts agreed before June 2025' }
+        ],
+        enforcement: 'Member-state market surveillance authorities; penalties set nationally',
+        litigationEffect: 0,
+        searchLocation: 'Germany'
+    },
+    uk: {
+        id: 'uk',
+        name: 'United Kingdom',
+        laws: ['Equality Act 2010', 'Public Sector Bodies Accessibility Regulations 2018'],
+        standards: [
+            { id: 'psbar', name: 'Public Sector Bodies Accessibility Regulations (GDS monitors WCAG 2.2 AA)', conformance: { version: '2.2', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: [],
+        deadline: '2020-09-23',
+        milestones: [
+            { date: '2020-09-23', description: 'All public sector websites must meet the regulations' },
+            { date: '2024-10-01', description: 'GDS monitoring moves to WCAG 2.2' }
+        ],
+        enforcement: 'GDS monitoring for the public sector; Equality Act claims through the courts',
+        litigationEffect: 0,
+        searchLocation: 'United Kingdom'
+    },
+    'ca-on': {
+        id: 'ca-on',
+        name: 'Ontario, Canada',
+        laws: ['Accessibility for Ontarians with Disabilities Act (AODA)', 'Integrated Accessibility Standards Regulation (IASR) s.14'],
+        standards: [
+            // IASR s.14 exempts live captions and pre-recorded audio description
+            { id: 'aoda-iasr', name: 'AODA IASR s.14', conformance: { version: '2.0', level: 'AA' }, clausePrefix: '', excluded: ['1.2.4', '1.2.5'] }
+        ],
+        regimes: [],
+        deadline: '2021-01-01',
+        milestones: [
+            { date: '2014-01-01', description: 'New sites: WCAG 2.0 Level A' },
+            { date: '2021-01-01', description: 'All sites: WCAG 2.0 Level AA' }
+        ],
+        enforcement: 'Compliance reports to the province; fines up to $100,000 per day for corporations',
+        litigationEffect: 0,
+        searchLocation: 'Ontario, Canada'
+    },
+    au: {
+        id: 'au',
+        name: 'Australia',
+        laws: ['Disability Discrimination Act 1992'],
+        standards: [
+            { id: 'dda', name: 'DDA (AHRC advisory notes reference WCAG 2.1 AA)', conformance: { version: '2.1', level: 'AA' }, clausePrefix: '' }
+        ],
+        regimes: [],
+        deadline: null,
+        milestones: [],
+        enforcement: 'Complaints to the Australian Human Rights Commission, then the Federal Court',
+        litigationEffect: 0,
+        searchLocation: 'Australia'
+    }
+};
+
+// Markets assumed when a scan names none and its vertical has no default markets (see verticalRegistry)
+const DEFAULT_JURISDICTIONS = {
+    default: ['us']
+};
+
+/**
+ * Look up a profile by ID (case-insensitive)
+ */
+function getJurisdiction(id) {
+    const profile = JURISDICTIONS[String(id).trim().toLowerCase()];
+    if (!profile) {
+        throw new Error(`Unknown jurisdiction "${id}" (expected ${Object.keys(JURISDICTIONS).join(', ')})`);
+    }
+    return profile;
+}
+
+/**
+ * Profiles for a list or comma-separated string of IDs, or the vertical's defaults
+ * @param {string|Array} input - e.g. 'us,eu' or ['US-NY', 'EU']
+ * @param {Object} options - { vertical }
+ * @returns {Array<Object>} Jurisdiction profiles
+ */
+function resolveJurisdictions(input, { vertical } = {}) {
+    const ids = Array.isArray(input) ? input
+        : typeof input === 'string' && input.trim() ? input.split(',')
+            : getVertical(vertical)?.jurisdictions || DEFAULT_JURISDICTIONS.default;
+
+    return [...new Set(ids.map(id => getJurisdiction(id).id))].map(getJurisdiction);
+}
+
+/**
+ * Criteria a standard requires, with their clause numbers
+ */
+function getStandardCriteria(standard) {
+    const excluded = standard.excluded || [];
+    return getCriteria(standard.conformance)
+        .filter(criterion => !excluded.includes(criterion.id))
+        .map(criterion => ({ ...criterion, clause: `${standard.clausePrefix || ''}${criterion.id}` }));
+}
+
+/**
+ * Primary deadline for a set of jurisdictions: the latest one that applies
+ * @returns {string|null} ISO date
+ */
+function complianceDeadline(jurisdictions) {
+    const deadlines = jurisdictions.map(profile => profile.deadline).filter(Boolean).sort();
+    return deadlines.length > 0 ? deadlines[deadlines.length - 1] : null;
+}
+
+/**
+ * Conformance of scanned sites under each regime
+ * Automated failures only: a site "conforms" when no in-scope criterion fails
+ * @param {Array} results - Scanner results ([{ url, domain, scanResult }])
+ * @param {Array} jurisdictions - Profiles from resolveJurisdictions()
+ * @returns {Array<Object>} One entry per jurisdiction with per-standard conformance
+ */
+function assessJurisdictions(results, jurisdictions) {
+    const scanned = results.filter(site => site.scanResult);
+    const failing = scanned.map(site => new Set([
+        ...site.scanResult.violations,
+        ...(site.scanResult.suppressedViolations || [])
+    ].flatMap(violation => violation.wcagCriteria || [])));
+
+    return jurisdictions.map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        laws: profile.laws,
+        deadline: profile.deadline,
+        enforcement: profile.enforcement,
+        standards: profile.standards.map(standard => {
+            const criteria = getStandardCriteria(standard);
+            const failingCriteria = criteria
+                .map(criterion => ({
+                    id: criterion.id,
+                    clause: criterion.clause,
+                    name: criterion.name,
+                    level: criterion.level,
+                    sites: failing.filter(set => set.has(criterion.id)).length
+                }))
+                .filter(criterion => criterion.sites > 0)
+                .sort((a, b) => b.sites - a.sites || a.clause.localeCompare(b.clause, undefined, { numeric: true }));
+            const sitesConforming = failing.filter(set => criteria.every(criterion => !set.has(criterion.id))).length;
+
+            return {
+                id: standard.id,
+                name: standard.name,
+                target: `WCAG ${standard.conformance.version} ${standard.conformance.level}`,
+                criteria: criteria.length,
+                sitesEvaluated: scanned.length,
+                sitesConforming,
+                conformanceRate: scanned.length > 0 ? sitesConforming / scanned.length : null,
+                failingCriteria
+            };
+        })
+    }));
+}
+
+module.exports = {
+    JURISDICTIONS,
+    DEFAULT_JURISDICTIONS,
+    getJurisdiction,
+    resolveJurisdictions,
+    getStandardCriteria,
+    complianceDeadline,
+    assessJurisdictions
+};
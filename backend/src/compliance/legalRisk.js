@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { getCriteria } = require('./wcagCatalog');
+const { getJurisdiction, resolveJurisdictions } = require('./jurisdictions');
+const { resolveVertical } = require('../verticals/verticalRegistry');
+
+/**
+ * WCAGAI v4.0 Legal Risk Engine
+ * Rule-based ADA lawsuit and EAA enforcement risk from a scan's violation profile
+ *
+ * Risks are probabilities built from additive log-odds factors, so every
+ * factor's effect is visible in the output:
+ *
+ *   risk = sigmoid(logit(base rate) + Σ factor effects)
+ *
+ * ADA factors: vertical base rate, failing demand-letter criteria, critical
+ * violations, compliance score, traffic and plaintiff-heavy jurisdictions.
+ * EAA factors: vertical in scope, share of EN 301 549 (WCAG 2.1 AA) criteria
+ * failing, critical violations, traffic and the enforcement deadline.
+ *
+ * Which models apply, state litigation effects and the EAA deadline come from
+ * the jurisdiction profiles (see jurisdictions).
+ *
+ * Results can be stored as LegalRiskAssessment rows and written back to
+ * Scan.adaLawsuitRisk / Scan.eaaComplianceRisk through a Prisma client.
+ */
+
+const LEGAL_MODEL_VERSION = 'wcagai-legal-v1';
+
+// Criteria most often cited in ADA demand letters, with their log-odds weight
+const DEMAND_LETTER_CRITERIA = {
+    '1.1.1': 0.6,
+    '2.1.1': 0.5,
+    '4.1.2': 0.4,
+    '1.3.1': 0.35,
+    '2.4.4': 0.35,
+    '1.4.3': 0.3,
+    '3.3.2': 0.3,
+    '2.4.1': 0.2,
+    '2.4.2': 0.1,
+    '3.1.1': 0.1
+};
+
+const BASE_SETTLEMENT = 25000; // USD, settlement plus plaintiff fees
+const EAA_BASE_RATE = 0.15;
+const DEFAULT_HOURLY_RATE = 120; // USD
+
+// Developer hours to fix one violation
+const FIX_HOURS = {
+    critical: 2,
+    serious: 1.5,
+    moderate: 1,
+    minor: 0.5
+};
+
+const logit = p => Math.log(p / (1 - p));
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Probability from a base rate and additive log-odds factors
+ */
+function combine(baseRate, factors) {
+    const odds = factors.reduce((sum, factor) => sum + factor.effect, logit(baseRate));
+    return round(sigmoid(odds));
+}
+
+/**
+ * Single scan result from a direct report, a discovery site or a scan result
+ */
+function normalizeScan(scan) {
+    if (!scan) {
+        throw new Error('A scan result is required for a legal risk assessment');
+    }
+    const result = scan.scanMode === 'direct' ? scan.result : scan.scanResult || scan;
+    if (!Array.isArray(result.violations)) {
+        throw new Error('Scan result has no violations list');
+    }
+    return result;
+}
+
+/**
+ * Traffic exposure in log-odds: 10k monthly visits is neutral
+ */
+function trafficEffect(traffic) {
+    return traffic > 0 ? clamp(0.25 * (Math.log10(traffic + 1) - 4), -0.5, 1) : 0;
+}
+
+class LegalRiskEngine {
+    /**
+     * @param {Object} options - { prisma, hourlyRate }
+     */
+    constructor(options = {}) {
+        this.prisma = options.prisma || null;
+        this.hourlyRate = options.hourlyRate || DEFAULT_HOURLY_RATE;
+        this.records = [];
+    }
+
+    /**
+     * Assess legal risk for one site
+     * @param {Object} scan - Scan result, discovery site ({ scanResult, traffic }) or direct report
+     * @param {Object} context - { vertical, jurisdictions, traffic, organization: { employees, annualTurnover }, now, deadline }
+     *   jurisdictions are profile IDs (e.g. ['us-ny', 'eu']) and default to the vertical's markets
+     * @returns {Object} { adaRisk, eaaRisk, settlementEstimate, requiredFixes, estimatedCost, deadline, level, factors }
+     */
+    assess(scan, context = {}) {
+        const result = normalizeScan(scan);
+        const vertical = context.vertical || scan.vertical || 'default';
+        // Annual ADA suit base rate, EAA scope and settlement multiplier (see verticalRegistry)
+        const profile = resolveVertical(vertical).legal;
+        const jurisdictions = resolveJurisdictions(context.jurisdictions, { vertical });
+        const traffic = context.traffic ?? scan.traffic ?? 0;
+        const now = context.now ? new Date(context.now) : new Date();
+
+        // Known exceptions are still non-conformances in the eyes of a plaintiff
+        const violations = [...result.violations, ...(result.suppressedViolations || [])];
+        const failingCriteria = new Set(violations.flatMap(v => v.wcagCriteria || []));
+        const critical = violations.filter(v => v.impact === 'critical').length;
+
+        const ada = this.assessAda({ profile, vertical, jurisdictions, traffic, failingCriteria, critical, score: result.complianceScore });
+        const eaa = this.assessEaa({ profile, vertical, jurisdictions, traffic, failingCriteria, critical, now, context });
+        const settlement = this.estimateSettlement({ ada, profile, vertical, traffic, critical });
+        const cost = this.estimateCost(violations);
+
+        const peak = Math.max(ada.risk, eaa.risk);
+
+        return {
+            model: LEGAL_MODEL_VERSION,
+            vertical,
+            jurisdictions: jurisdictions.map(jurisdiction => jurisdiction.id),
+            adaRisk: ada.risk,
+            eaaRisk: eaa.risk,
+            settlementEstimate: settlement.estimate,
+            requiredFixes: violations.length,
+            estimatedCost: cost.estimate,
+            deadline: eaa.deadline,
+            level: peak >= 0.5 ? 'HIGH' : peak >= 0.2 ? 'MEDIUM' : 'LOW',
+            demandLetterCriteria: Object.keys(DEMAND_LETTER_CRITERIA).filter(id => failingCriteria.has(id)),
+            factors: {
+                ada: ada.factors,
+                eaa: eaa.factors,
+                settlement: settlement.factors,
+                cost: cost.factors
+            }
+        };
+    }
+
+    assessAda({ profile, vertical, jurisdictions, traffic, failingCriteria, critical, score }) {
+        if (!jurisdictions.some(jurisdiction => jurisdiction.regimes.includes('ada'))) {
+            return { risk: 0, factors: [{ factor: 'jurisdiction', value: jurisdictions.map(j => j.id), effect: 0, description: 'ADA Title III does not apply outside the US' }] };
+        }
+
+        const cited = Object.entries(DEMAND_LETTER_CRITERIA).filter(([id]) => failingCriteria.has(id));
+        const factors = [
+            {
+                factor: 'vertical',
+                value: vertical,
+                effect: 0,
+                description: `${Math.round(profile.adaBaseRate * 100)}% annual base rate of web accessibility claims`
+            },
+            {
+                factor: 'demandLetterCriteria',
+                value: cited.map(([id]) => id),
+                effect: round(Math.min(2, cited.reduce((sum, [, weight]) => sum + weight, 0))),
+                description: `${cited.length} criteria frequently cited in demand letters are failing`
+            },
+            {
+                factor: 'criticalViolations',
+                value: critical,
+                effect: round(Math.min(1, 0.15 * Math.log2(1 + critical))),
+                description: `${critical} critical violations block assistive technology users`
+            },
+            {
+                factor: 'complianceScore',
+                value: score ?? null,
+                effect: typeof score === 'number' ? round((0.8 - score) * 2) : 0,
+                description: 'Scores below 80% raise the risk, higher scores lower it'
+            },
+            {
+                factor: 'traffic',
+                value: traffic,
+                effect: round(trafficEffect(traffic)),
+                description: 'High-traffic sites are targeted more often'
+            }
+        ];
+
+        const states = jurisdictions.filter(jurisdiction => jurisdiction.litigationEffect > 0);
+        if (states.length > 0) {
+            factors.push({
+                factor: 'jurisdiction',
+                value: states.map(state => state.id),
+                effect: Math.max(...states.map(state => state.litigationEffect)),
+                description: 'Operates in a state with high accessibility filing volume'
+            });
+        }
+
+        return { risk: combine(profile.adaBaseRate, factors), factors };
+    }
+
+    assessEaa({ profile, vertical, jurisdictions, traffic, failingCriteria, critical, now, context }) {
+        const eaaMarket = jurisdictions.find(jurisdiction => jurisdiction.regimes.includes('eaa'));
+        const deadline = eaaMarket ? new Date(context.deadline || eaaMarket.deadline) : null;
+
+        if (!eaaMarket) {
+            return { risk: 0, deadline, factors: [{ factor: 'jurisdiction', value: jurisdictions.map(j => j.id), effect: 0, description: 'No EU market presence; the EAA does not apply' }] };
+        }
+        if (!profile.eaaInScope) {
+            return { risk: 0, deadline, factors: [{ factor: 'vertical', value: vertical, effect: 0, description: `${vertical} services are outside the EAA's scope` }] };
+        }
+
+        // Microenterprises providing services are exempt (Art. 4(5))
+        const org = context.organization || {};
+        if (org.employees !== undefined && org.employees < 10 && (org.annualTurnover ?? 0) <= 2000000) {
+            return { risk: 0, deadline, factors: [{ factor: 'microenterprise', value: org, effect: 0, description: 'Microenterprises providing services are exempt from the EAA' }] };
+        }
+
+        // EN 301 549 clause 9 references WCAG 2.1 Level A and AA
+        const required = getCriteria({ version: '2.1', level: 'AA' }).map(criterion => criterion.id);
+        const failing = required.filter(id => failingCriteria.has(id));
+        const daysToDeadline = (deadline - now) / 86400000;
+
+        const factors = [
+            {
+                factor: 'vertical',
+                value: vertical,
+                effect: 0,
+                description: `${vertical} services are in the EAA's scope`
+            },
+            {
+                factor: 'en301549Failures',
+                value: failing,
+                effect: round(4 * failing.length / required.length),
+                description: `${failing.length} of ${required.length} EN 301 549 web criteria are failing`
+            },
+            {
+                factor: 'criticalViolations',
+                value: critical,
+                effect: critical > 0 ? 0.3 : 0,
+                description: `${critical} critical violations`
+            },
+            {
+                factor: 'traffic',
+                value: traffic,
+                effect: round(trafficEffect(traffic)),
+                description: 'Market surveillance prioritises widely used services'
+            },
+            {
+                factor: 'deadline',
+                value: deadline.toISOString().slice(0, 10),
+                effect: daysToDeadline <= 0 ? 0.7 : daysToDeadline <= 365 ? 0.3 : -0.5,
+                description: daysToDeadline <= 0
+                    ? 'EAA obligations are enforceable'
+                    : `EAA obligations apply in ${Math.ceil(daysToDeadline)} days`
+            }
+        ];
+
+        return { risk: combine(EAA_BASE_RATE, factors), deadline, factors };
+    }
+
+    estimateSettlement({ ada, profile, vertical, traffic, critical }) {
+        if (ada.risk === 0) {
+            return { estimate: 0, factors: [{ factor: 'adaRisk', value: 0, multiplier: 0, description: 'No ADA exposure' }] };
+        }
+
+        const factors = [
+            { factor: 'base', value: BASE_SETTLEMENT, multiplier: 1, description: 'Typical web accessibility settlement including plaintiff fees (USD)' },
+            { factor: 'vertical', value: vertical, multiplier: profile.settlementMultiplier, description: 'Vertical settlement level' },
+            { factor: 'traffic', value: traffic, multiplier: round(1 + 0.25 * Math.max(0, Math.log10(traffic + 1) - 4), 2), description: 'Larger audiences settle for more' },
+            { factor: 'criticalViolations', value: critical, multiplier: round(1 + 0.5 * Math.min(1, critical / 10), 2), description: 'Severe barriers strengthen the claim' }
+        ];
+
+        const estimate = factors.reduce((total, factor) => total * factor.multiplier, BASE_SETTLEMENT);
+        return { estimate: Math.round(estimate), factors };
+    }
+
+    estimateCost(violations) {
+        const factors = Object.entries(FIX_HOURS).map(([impact, hours]) => {
+            const count = violations.filter(v => (FIX_HOURS[v.impact] ? v.impact : 'moderate') === impact).length;
+            return {
+                factor: impact,
+                value: count,
+                hours: count * hours,
+                cost: count * hours * this.hourlyRate,
+                description: `${count} ${impact} fixes at ${hours}h each, $${this.hourlyRate}/h`
+            };
+        });
+
+        return { estimate: factors.reduce((sum, factor) => sum + factor.cost, 0), factors };
+    }
+
+    /**
+     * Assess a scan and store it as a LegalRiskAssessment
+     * With `scanId` the Scan row's adaLawsuitRisk / eaaComplianceRisk are updated too
+     * @param {Object} scan - See assess()
+     * @param {Object} context - assess() context plus { customerId, scanId }
+     * @returns {Promise<Object>} Stored assessment with the full breakdown
+     */
+    async record(scan, context = {}) {
+        const assessment = this.assess(scan, context);
+        const data = {
+            customerId: context.customerId,
+            adaRisk: assessment.adaRisk,
+            eaaRisk: assessment.eaaRisk,
+            settlementEstimate: assessment.settlementEstimate,
+            deadline: assessment.deadline,
+            requiredFixes: assessment.requiredFixes,
+            estimatedCost: assessment.estimatedCost
+        };
+
+        let record;
+        if (this.prisma) {
+            record = await this.prisma.legalRiskAssessment.create({ data });
+            if (context.scanId) {
+                await this.prisma.scan.update({
+                    where: { id: context.scanId },
+                    data: { adaLawsuitRisk: assessment.adaRisk, eaaComplianceRisk: assessment.eaaRisk }
+                });
+            }
+        } else {
+            record = { id: `lra_${crypto.randomBytes(8).toString('hex')}`, createdAt: new Date(), ...data };
+            this.records.push(record);
+        }
+
+        console.log(`⚖️  Legal risk ${assessment.level}: ADA ${Math.round(assessment.adaRisk * 100)}%, EAA ${Math.round(assessment.eaaRisk * 100)}%`);
+        return { ...record, assessment };
+    }
+}
+
+LegalRiskEngine.LEGAL_MODEL_VERSION = LEGAL_MODEL_VERSION;
+LegalRiskEngine.EAA_DEADLINE = getJurisdiction('eu').deadline;
+LegalRiskEngine.DEMAND_LETTER_CRITERIA = DEMAND_LETTER_CRITERIA;
+
+module.exports = LegalRiskEngine;
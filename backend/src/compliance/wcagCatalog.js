@@ -0,0 +1,237 @@
+/**
+ * WCAGAI v4.0 WCAG Catalog
+ * Every WCAG 2.0 / 2.1 / 2.2 success criterion with its level, principle,
+ * guideline and sufficient techniques, plus conformance-scope helpers
+ *
+ * Shared by the rule engine, the remediation engine and the report serializers.
+ */
+
+const VERSIONS = ['2.0', '2.1', '2.2'];
+const LEVELS = ['A', 'AA', 'AAA'];
+
+const DEFAULT_CONFORMANCE = { level: 'AA', version: '2.2' };
+
+const PRINCIPLES = {
+    1: 'Perceivable',
+    2: 'Operable',
+    3: 'Understandable',
+    4: 'Robust'
+};
+
+const GUIDELINES = {
+    '1.1': 'Text Alternatives',
+    '1.2': 'Time-based Media',
+    '1.3': 'Adaptable',
+    '1.4': 'Distinguishable',
+    '2.1': 'Keyboard Accessible',
+    '2.2': 'Enough Time',
+    '2.3': 'Seizures and Physical Reactions',
+    '2.4': 'Navigable',
+    '2.5': 'Input Modalities',
+    '3.1': 'Readable',
+    '3.2': 'Predictable',
+    '3.3': 'Input Assistance',
+    '4.1': 'Compatible'
+};
+
+// [id, name, level, version introduced, sufficient techniques, version removed]
+const SUCCESS_CRITERIA = [
+    ['1.1.1', 'Non-text Content', 'A', '2.0', ['G94', 'G95', 'H37', 'H36', 'H2', 'ARIA6', 'ARIA10']],
+    ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0', ['G158', 'G159', 'G166']],
+    ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0', ['G93', 'G87', 'H95']],
+    ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0', ['G69', 'G78', 'G173', 'G8']],
+    ['1.2.4', 'Captions (Live)', 'AA', '2.0', ['G9', 'G93', 'G87']],
+    ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0', ['G78', 'G173', 'G8']],
+    ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0', ['G54', 'G81']],
+    ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0', ['G8']],
+    ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0', ['G69', 'G159']],
+    ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0', ['G150', 'G151', 'G157']],
+    ['1.3.1', 'Info and Relationships', 'A', '2.0', ['G115', 'G140', 'H42', 'H43', 'H44', 'H48', 'H51', 'ARIA11', 'ARIA20']],
+    ['1.3.2', 'Meaningful Sequence', 'A', '2.0', ['G57', 'C27']],
+    ['1.3.3', 'Sensory Characteristics', 'A', '2.0', ['G96']],
+    ['1.3.4', 'Orientation', 'AA', '2.1', ['G214']],
+    ['1.3.5', 'Identify Input Purpose', 'AA', '2.1', ['H98']],
+    ['1.3.6', 'Identify Purpose', 'AAA', '2.1', ['ARIA11']],
+    ['1.4.1', 'Use of Color', 'A', '2.0', ['G14', 'G205', 'G182', 'G183']],
+    ['1.4.2', 'Audio Control', 'A', '2.0', ['G60', 'G170', 'G171']],
+    ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0', ['G18', 'G145', 'G174']],
+    ['1.4.4', 'Resize Text', 'AA', '2.0', ['G142', 'G178', 'C28']],
+    ['1.4.5', 'Images of Text', 'AA', '2.0', ['C22', 'C30', 'G140']],
+    ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0', ['G17', 'G18', 'G148', 'G174']],
+    ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0', ['G56']],
+    ['1.4.8', 'Visual Presentation', 'AAA', '2.0', ['C23', 'C25', 'G146', 'G188']],
+    ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0', ['C22', 'C30', 'G140']],
+    ['1.4.10', 'Reflow', 'AA', '2.1', ['C31', 'C32', 'C33', 'C38']],
+    ['1.4.11', 'Non-text Contrast', 'AA', '2.1', ['G195', 'G207', 'G209']],
+    ['1.4.12', 'Text Spacing', 'AA', '2.1', ['C35', 'C36']],
+    ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1', ['SCR39']],
+    ['2.1.1', 'Keyboard', 'A', '2.0', ['G202', 'H91', 'SCR20', 'SCR35']],
+    ['2.1.2', 'No Keyboard Trap', 'A', '2.0', ['G21']],
+    ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0', ['G202']],
+    ['2.1.4', 'Character Key Shortcuts', 'A', '2.1', ['G217']],
+    ['2.2.1', 'Timing Adjustable', 'A', '2.0', ['G133', 'G198', 'G180', 'SCR16', 'SCR33', 'SCR36']],
+    ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0', ['G4', 'G11', 'G152', 'G186', 'G187', 'SCR22']],
+    ['2.2.3', 'No Timing', 'AAA', '2.0', ['G5']],
+    ['2.2.4', 'Interruptions', 'AAA', '2.0', ['G75', 'G76', 'SCR14']],
+    ['2.2.5', 'Re-authenticating', 'AAA', '2.0', ['G105', 'G181']],
+    ['2.2.6', 'Timeouts', 'AAA', '2.1', ['G212']],
+    ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0', ['G19', 'G176']],
+    ['2.3.2', 'Three Flashes', 'AAA', '2.0', ['G19']],
+    ['2.3.3', 'Animation from Interactions', 'AAA', '2.1', ['C39', 'SCR40']],
+    ['2.4.1', 'Bypass Blocks', 'A', '2.0', ['G1', 'G123', 'G124', 'H69', 'H64', 'ARIA11']],
+    ['2.4.2', 'Page Titled', 'A', '2.0', ['G88', 'H25']],
+    ['2.4.3', 'Focus Order', 'A', '2.0', ['G59', 'H4', 'C27', 'SCR26', 'SCR37']],
+    ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0', ['G91', 'G53', 'H30', 'H24', 'H77', 'H78', 'H79', 'H80', 'H81', 'ARIA7', 'ARIA8']],
+    ['2.4.5', 'Multiple Ways', 'AA', '2.0', ['G125', 'G64', 'G63', 'G161', 'G126', 'G185']],
+    ['2.4.6', 'Headings and Labels', 'AA', '2.0', ['G130', 'G131']],
+    ['2.4.7', 'Focus Visible', 'AA', '2.0', ['G149', 'G165', 'G195', 'C15', 'C40', 'SCR31']],
+    ['2.4.8', 'Location', 'AAA', '2.0', ['G65', 'G63', 'G128', 'G127', 'H59']],
+    ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0', ['G91', 'H30', 'H24', 'C7', 'ARIA8']],
+    ['2.4.10', 'Section Headings', 'AAA', '2.0', ['G141', 'H69']],
+    ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2', ['C43']],
+    ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2', ['C43']],
+    ['2.4.13', 'Focus Appearance', 'AAA', '2.2', ['G195', 'C40', 'C41']],
+    ['2.5.1', 'Pointer Gestures', 'A', '2.1', ['G215', 'G216']],
+    ['2.5.2', 'Pointer Cancellation', 'A', '2.1', ['G210', 'G212']],
+    ['2.5.3', 'Label in Name', 'A', '2.1', ['G208', 'G211']],
+    ['2.5.4', 'Motion Actuation', 'A', '2.1', ['G213']],
+    ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1', []],
+    ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1', []],
+    ['2.5.7', 'Dragging Movements', 'AA', '2.2', ['G219']],
+    ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2', ['C42']],
+    ['3.1.1', 'Language of Page', 'A', '2.0', ['H57']],
+    ['3.1.2', 'Language of Parts', 'AA', '2.0', ['H58']],
+    ['3.1.3', 'Unusual Words', 'AAA', '2.0', ['G55', 'G62', 'G101', 'H40']],
+    ['3.1.4', 'Abbreviations', 'AAA', '2.0', ['G102', 'G55', 'G62', 'G97', 'H28']],
+    ['3.1.5', 'Reading Level', 'AAA', '2.0', ['G86', 'G103', 'G79', 'G153', 'G160']],
+    ['3.1.6', 'Pronunciation', 'AAA', '2.0', ['G120', 'G121', 'G62', 'G163']],
+    ['3.2.1', 'On Focus', 'A', '2.0', ['G107']],
+    ['3.2.2', 'On Input', 'A', '2.0', ['G80', 'G13', 'H32', 'H84']],
+    ['3.2.3', 'Consistent Navigation', 'AA', '2.0', ['G61']],
+    ['3.2.4', 'Consistent Identification', 'AA', '2.0', ['G197']],
+    ['3.2.5', 'Change on Request', 'AAA', '2.0', ['G76', 'H83', 'SCR24']],
+    ['3.2.6', 'Consistent Help', 'A', '2.2', ['G220']],
+    ['3.3.1', 'Error Identification', 'A', '2.0', ['G83', 'G84', 'G85', 'ARIA18', 'ARIA19', 'ARIA21', 'SCR18', 'SCR32']],
+    ['3.3.2', 'Labels or Instructions', 'A', '2.0', ['G131', 'G89', 'G184', 'G162', 'G83', 'H90', 'ARIA1', 'ARIA9', 'ARIA17']],
+    ['3.3.3', 'Error Suggestion', 'AA', '2.0', ['G83', 'G85', 'G177', 'ARIA18', 'SCR18', 'SCR32']],
+    ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0', ['G164', 'G98', 'G155', 'G99', 'G168']],
+    ['3.3.5', 'Help', 'AAA', '2.0', ['G71', 'G184', 'G193', 'G194', 'H89']],
+    ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0', ['G164', 'G98', 'G155', 'G99', 'G168']],
+    ['3.3.7', 'Redundant Entry', 'A', '2.2', ['G221']],
+    ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2', ['G218', 'H100']],
+    ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2', ['G218', 'H100']],
+    ['4.1.1', 'Parsing', 'A', '2.0', ['G134', 'G192', 'H88', 'H74', 'H93', 'H94'], '2.2'],
+    ['4.1.2', 'Name, Role, Value', 'A', '2.0', ['G108', 'H91', 'H44', 'H64', 'H65', 'H88', 'ARIA14', 'ARIA16']],
+    ['4.1.3', 'Status Messages', 'AA', '2.1', ['G199', 'ARIA19', 'ARIA22', 'ARIA23']]
+];
+
+// Technique ID prefix → folder under /WAI/WCAG22/Techniques/
+const TECHNIQUE_FOLDERS = {
+    ARIA: 'aria',
+    SCR: 'client-side-script',
+    C: 'css',
+    F: 'failures',
+    G: 'general',
+    H: 'html'
+};
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function techniqueUrl(id) {
+    const prefix = id.match(/^[A-Z]+/)[0];
+    return `https://www.w3.org/WAI/WCAG22/Techniques/${TECHNIQUE_FOLDERS[prefix] || 'general'}/${id}`;
+}
+
+const CRITERIA = SUCCESS_CRITERIA.map(([id, name, level, version, techniques, removedIn = null]) => {
+    const guideline = id.split('.').slice(0, 2).join('.');
+    const principle = id.split('.')[0];
+
+    return Object.freeze({
+        id,
+        name,
+        title: `${id} ${name}`,
+        level,
+        introducedIn: version,
+        removedIn,
+        principle: { id: principle, name: PRINCIPLES[principle] },
+        guideline: { id: guideline, name: GUIDELINES[guideline] },
+        techniques: Object.freeze(techniques.map(technique => ({ id: technique, url: techniqueUrl(technique) }))),
+        understandingUrl: `https://www.w3.org/WAI/WCAG22/Understanding/${slugify(name)}.html`
+    });
+});
+
+const CRITERIA_BY_ID = new Map(CRITERIA.map(criterion => [criterion.id, criterion]));
+
+/**
+ * Validate a conformance target, filling in defaults
+ * @param {Object} target - { level: 'A'|'AA'|'AAA', version: '2.0'|'2.1'|'2.2' }
+ * @returns {Object} { level, version }
+ */
+function normalizeConformance(target = {}) {
+    const level = String(target.level || DEFAULT_CONFORMANCE.level).toUpperCase();
+    const version = String(target.version || DEFAULT_CONFORMANCE.version);
+
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Unknown WCAG level "${target.level}" (expected ${LEVELS.join(', ')})`);
+    }
+    if (!VERSIONS.includes(version)) {
+        throw new Error(`Unknown WCAG version "${target.version}" (expected ${VERSIONS.join(', ')})`);
+    }
+
+    return { level, version };
+}
+
+/**
+ * Look up a success criterion by ID (e.g. '1.4.3')
+ */
+function getCriterion(id) {
+    return CRITERIA_BY_ID.get(id) || null;
+}
+
+/**
+ * Whether a criterion is part of a conformance target
+ */
+function isInScope(id, target = DEFAULT_CONFORMANCE) {
+    const criterion = getCriterion(id);
+    if (!criterion) return false;
+
+    const { level, version } = normalizeConformance(target);
+    const versionIndex = VERSIONS.indexOf(version);
+
+    return VERSIONS.indexOf(criterion.introducedIn) <= versionIndex &&
+        (!criterion.removedIn || VERSIONS.indexOf(criterion.removedIn) > versionIndex) &&
+        LEVELS.indexOf(criterion.level) <= LEVELS.indexOf(level);
+}
+
+/**
+ * Success criteria in scope for a conformance target
+ * @param {Object} target - { level, version }
+ * @returns {Array<Object>} Criteria in document order
+ */
+function getCriteria(target = DEFAULT_CONFORMANCE) {
+    return CRITERIA.filter(criterion => isInScope(criterion.id, target));
+}
+
+/**
+ * Display title for a criterion: '1.4.3 Contrast (Minimum)'
+ */
+function formatCriterion(id) {
+    const criterion = getCriterion(id);
+    return criterion ? criterion.title : id;
+}
+
+module.exports = {
+    VERSIONS,
+    LEVELS,
+    PRINCIPLES,
+    GUIDELINES,
+    DEFAULT_CONFORMANCE,
+    CRITERIA,
+    normalizeConformance,
+    getCriterion,
+    getCriteria,
+    isInScope,
+    formatCriterion
+};
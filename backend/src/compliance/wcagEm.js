@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { rules } = require('../scanner/rules');
+const { getCriteria, normalizeConformance, isInScope } = require('./wcagCatalog');
+
+/**
+ * WCAGAI v4.0 WCAG-EM Evaluation
+ * Website Accessibility Conformance Evaluation Methodology 1.0, step by step
+ *
+ *   1. defineScope()     - website, conformance target, accessibility support
+ *                          baseline and complete processes
+ *   2. explore()         - common pages, page types, technologies relied upon
+ *   3. selectSample()    - structured sample + random pages (≥10% of the
+ *                          structured sample) + every page of each process
+ *   4. audit()           - automated rules per sampled page, with a manual
+ *                          check item for every criterion (recordManualCheck)
+ *   5. report()          - WCAG-EM conformance report
+ *
+ * Outcomes use the EARL vocabulary: passed, failed, cantTell, inapplicable,
+ * untested. Automated passes stay provisional until a reviewer confirms them.
+ */
+
+const OUTCOMES = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    CANT_TELL: 'cantTell',
+    INAPPLICABLE: 'inapplicable',
+    UNTESTED: 'untested'
+};
+
+// WCAG-EM 3.a: common web pages, matched on path, title and main heading
+// (the home page is the start page or the site root)
+const COMMON_PAGES = [
+    { kind: 'home', pattern: null },
+    { kind: 'contact', pattern: /contact/i },
+    { kind: 'about', pattern: /about/i },
+    { kind: 'help', pattern: /\b(help|faq|support)\b/i },
+    { kind: 'accessibility', pattern: /accessib/i },
+    { kind: 'legal', pattern: /\b(privacy|terms|legal|cookies?)\b/i },
+    { kind: 'sitemap', pattern: /site-?map/i },
+    { kind: 'search', pattern: /\bsearch\b/i },
+    { kind: 'login', pattern: /\b(log-?in|sign-?in|account)\b/i }
+];
+
+const MANUAL_REVIEW = 'Not covered by automated rules; evaluate manually';
+const CONFIRM_REVIEW = 'Confirm the automated result manually';
+
+function pathOf(url) {
+    try {
+        return new URL(url).pathname;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * URL path with IDs and file names generalised, e.g. /products/:id
+ */
+function pathTemplate(url) {
+    const segments = pathOf(url).split('/').filter(Boolean)
+        .map(segment => /^\d+$|^[0-9a-f-]{8,}$/i.test(segment) ? ':id' : segment.replace(/\.html?$/i, ''))
+        .filter(segment => segment !== 'index');
+    return segments.length > 1 ? `/${segments.slice(0, -1).join('/')}/*` : '/';
+}
+
+/**
+ * Page features, technologies and template signature from its HTML
+ */
+function describePage(page) {
+    const $ = cheerio.load(page.html || '');
+    const features = {
+        forms: $('form').length > 0 || $('input, select, textarea').length > 0,
+        tables: $('table').length > 0,
+        media: $('video, audio').length > 0,
+        frames: $('iframe').length > 0,
+        navigation: $('nav, [role="navigation"]').length > 0
+    };
+
+    const technologies = ['HTML'];
+    if ($('link[rel="stylesheet"], style, [style]').length > 0) technologies.push('CSS');
+    if ($('script').length > 0) technologies.push('JavaScript');
+    if ($('[role], [aria-label], [aria-labelledby], [aria-describedby], [aria-hidden], [aria-expanded]').length > 0) technologies.push('WAI-ARIA');
+    if ($('svg').length > 0) technologies.push('SVG');
+    if ($('a[href$=".pdf"], a[href*=".pdf?"]').length > 0) technologies.push('PDF');
+    if (features.media) technologies.push('Media');
+
+    const title = $('title').first().text().trim();
+    const heading = $('h1').first().text().trim();
+    const flags = Object.keys(features).filter(key => features[key]);
+
+    return {
+        url: page.url,
+        title,
+        depth: page.depth ?? null,
+        common: COMMON_PAGES
+            .filter(({ kind, pattern }) => kind === 'home'
+                ? page.depth === 0 || /^\/(index\.html?)?$/i.test(pathOf(page.url))
+                : pattern.test(`${pathOf(page.url)} ${title} ${heading}`))
+            .map(({ kind }) => kind),
+        features,
+        technologies,
+        pageType: `${pathTemplate(page.url)}|${flags.join(',') || 'content'}`
+    };
+}
+
+function hashOrder(seed, url) {
+    return crypto.createHash('sha256').update(`${seed}:${url}`).digest('hex');
+}
+
+class WcagEmEvaluation {
+    /**
+     * Step 1: define the evaluation scope
+     * @param {Object} scope - { website, conformance: { level, version }, accessibilitySupport, processes, additionalRequirements }
+     *   processes: [{ name, urls }] complete processes, every step is sampled
+     */
+    constructor(scope = {}) {
+        this.defineScope(scope);
+        this.exploration = null;
+        this.sample = null;
+        this.audits = null;
+        this.manualChecks = new Map();
+    }
+
+    defineScope(scope) {
+        if (!scope.website) {
+            throw new Error('WCAG-EM scope requires the website (base URL or path) under evaluation');
+        }
+
+        this.scope = {
+            website: scope.website,
+            conformance: normalizeConformance(scope.conformance || {}),
+            accessibilitySupport: scope.accessibilitySupport || [
+                'Chrome + NVDA (Windows)',
+                'Safari + VoiceOver (macOS, iOS)',
+                'Firefox + keyboard only'
+            ],
+            processes: (scope.processes || []).map(process => ({ name: process.name, urls: process.urls || [] })),
+            additionalRequirements: scope.additionalRequirements || null
+        };
+        return this.scope;
+    }
+
+    /**
+     * Step 2: explore the target website
+     * @param {Array} pages - Pages found while crawling ([{ url, html, depth }], depth 0 is the home page)
+     * @returns {Object} Common pages, page types and technologies relied upon
+     */
+    explore(pages) {
+        if (pages.length === 0) {
+            throw new Error('WCAG-EM exploration found no pages');
+        }
+
+        const described = pages.map(describePage);
+        const pageTypes = new Map();
+        described.forEach(page => {
+            if (!pageTypes.has(page.pageType)) pageTypes.set(page.pageType, []);
+            pageTypes.get(page.pageType).push(page.url);
+        });
+
+        this.pages = new Map(pages.map(page => [page.url, page]));
+        this.exploration = {
+            pagesExplored: described.length,
+            pages: described,
+            commonPages: described.filter(page => page.common.length > 0).map(page => ({ url: page.url, kinds: page.common })),
+            pageTypes: [...pageTypes.entries()].map(([type, urls]) => ({ type, count: urls.length, example: urls[0] })),
+            technologies: [...new Set(described.flatMap(page => page.technologies))],
+            essentialFunctionality: described.filter(page => page.features.forms).map(page => page.url)
+        };
+        return this.exploration;
+    }
+
+    /**
+     * Step 3: select a representative sample
+     * @param {Object} options - { seed, randomRatio (default 0.1) }
+     * @returns {Array} Sampled pages as { url, reasons }
+     */
+    selectSample({ seed = 'wcag-em', randomRatio = 0.1 } = {}) {
+        if (!this.exploration) {
+            throw new Error('Explore the website (step 2) before selecting a sample');
+        }
+
+        const selected = new Map();
+        const add = (url, reason) => {
+            if (!selected.has(url)) selected.set(url, { url, reasons: [] });
+            if (!selected.get(url).reasons.includes(reason)) selected.get(url).reasons.push(reason);
+        };
+
+        const pages = this.exploration.pages;
+        pages.forEach(page => page.common.forEach(kind => add(page.url, `common:${kind}`)));
+        this.exploration.pageTypes.forEach(type => add(type.example, `type:${type.type}`));
+        this.exploration.technologies.forEach(technology => {
+            const first = pages.find(page => page.technologies.includes(technology));
+            if (technology !== 'HTML' && !selected.has(first.url)) add(first.url, `technology:${technology}`);
+        });
+        this.exploration.essentialFunctionality.forEach(url => add(url, 'functionality'));
+        this.scope.processes.forEach(process => process.urls.forEach(url => add(url, `process:${process.name}`)));
+
+        // Random pages: at least 10% of the structured sample, drawn reproducibly
+        const structured = selected.size;
+        const remaining = pages.map(page => page.url)
+            .filter(url => !selected.has(url))
+            .sort((a, b) => hashOrder(seed, a).localeCompare(hashOrder(seed, b)));
+        remaining.slice(0, Math.ceil(structured * randomRatio)).forEach(url => add(url, 'random'));
+
+        this.sample = [...selected.values()].map(entry => ({
+            ...entry,
+            random: entry.reasons.includes('random')
+        }));
+        this.sampleSeed = seed;
+        return this.sample;
+    }
+
+    /**
+     * URLs in the sample that exploration didn't load (process steps off the crawl)
+     */
+    missingPages() {
+        return (this.sample || []).filter(entry => !this.pages.has(entry.url)).map(entry => entry.url);
+    }
+
+    /**
+     * Add pages loaded after exploration, e.g. process steps
+     */
+    addPages(pages) {
+        pages.forEach(page => this.pages.set(page.url, page));
+    }
+
+    /**
+     * Step 4: audit the sample with automated rules
+     * @param {Function} evaluate - async (page) => scan result (see WCAGAIV4Scanner.evaluateHtml)
+     * @returns {Promise<Array>} Per-page audit results
+     */
+    async audit(evaluate) {
+        if (!this.sample) {
+            throw new Error('Select a sample (step 3) before auditing');
+        }
+
+        this.audits = [];
+        for (const entry of this.sample) {
+            const page = this.pages.get(entry.url);
+            if (!page) {
+                this.audits.push({ url: entry.url, error: 'Page could not be loaded', result: null });
+                continue;
+            }
+            try {
+                this.audits.push({ url: entry.url, error: null, result: await evaluate(page) });
+            } catch (error) {
+                this.audits.push({ url: entry.url, error: error.message, result: null });
+            }
+        }
+        return this.audits;
+    }
+
+    /**
+     * Record the outcome of a manual check
+     * @param {Object} check - { criterion, outcome, page, notes, reviewer, date }
+     *   Without `page` the outcome applies to the whole sample
+     */
+    recordManualCheck(check) {
+        if (!Object.values(OUTCOMES).includes(check.outcome)) {
+            throw new Error(`Invalid outcome "${check.outcome}" for ${check.criterion} (expected ${Object.values(OUTCOMES).join(', ')})`);
+        }
+        if (!this.criteria().some(criterion => criterion.id === check.criterion)) {
+            throw new Error(`${check.criterion} is not in the evaluation scope (WCAG ${this.scope.conformance.version} ${this.scope.conformance.level})`);
+        }
+
+        const key = `${check.criterion}|${check.page || '*'}`;
+        this.manualChecks.set(key, {
+            criterion: check.criterion,
+            page: check.page || null,
+            outcome: check.outcome,
+            notes: check.notes || '',
+            reviewer: check.reviewer || null,
+            date: check.date || new Date().toISOString()
+        });
+    }
+
+    criteria() {
+        return getCriteria(this.scope.conformance);
+    }
+
+    /**
+     * Automated outcome of one criterion on one audited page; no checks means
+     * untested unless the page was scanned for the criterion and every covering
+     * rule proves the content is absent (rules.js `provesAbsence`)
+     */
+    automatedOutcome(criterionId, result) {
+        const coveringRules = rules.filter(rule => rule.wcag.includes(criterionId));
+        const covering = coveringRules.map(rule => rule.id);
+        if (covering.length === 0) return { outcome: OUTCOMES.UNTESTED, rules: [], failed: 0, passed: 0 };
+
+        const relevant = (result.ruleResults || []).filter(ruleResult => covering.includes(ruleResult.ruleId));
+        const failed = relevant.reduce((sum, r) => sum + r.failed, 0);
+        const passed = relevant.reduce((sum, r) => sum + r.passed, 0);
+        const incomplete = relevant.reduce((sum, r) => sum + (r.incomplete || 0), 0);
+        const scanned = Boolean(result.ruleResults) &&
+            isInScope(criterionId, normalizeConformance({ level: result.wcagLevel, version: result.wcagVersion }));
+
+        let outcome = OUTCOMES.UNTESTED;
+        if (failed > 0) outcome = OUTCOMES.FAILED;
+        else if (incomplete > 0) outcome = OUTCOMES.CANT_TELL;
+        else if (passed > 0) outcome = OUTCOMES.PASSED;
+        else if (scanned && coveringRules.every(rule => rule.provesAbsence)) outcome = OUTCOMES.INAPPLICABLE;
+
+        return { outcome, rules: covering, failed, passed };
+    }
+
+    /**
+     * Combine per-page outcomes: any failure fails, then cantTell, untested, passed
+     */
+    combineOutcomes(outcomes) {
+        const order = [OUTCOMES.FAILED, OUTCOMES.CANT_TELL, OUTCOMES.UNTESTED, OUTCOMES.PASSED, OUTCOMES.INAPPLICABLE];
+        return order.find(outcome => outcomes.includes(outcome)) || OUTCOMES.UNTESTED;
+    }
+
+    /**
+     * Step 5: the WCAG-EM conformance report
+     * @param {Object} options - { evaluator, commissioner, date, title }
+     * @returns {Object} Scope, exploration, sample, per-criterion results, processes and the conformance verdict
+     */
+    report(options = {}) {
+        if (!this.audits) {
+            throw new Error('Audit the sample (step 4) before reporting');
+        }
+
+        const audited = this.audits.filter(audit => audit.result);
+        const criteria = this.criteria().map(criterion => {
+            const pages = audited.map(audit => {
+                const automated = this.automatedOutcome(criterion.id, audit.result);
+                const manual = this.manualChecks.get(`${criterion.id}|${audit.url}`) || this.manualChecks.get(`${criterion.id}|*`) || null;
+                // A reviewer's outcome overrides automation, except that automated failures stand
+                const outcome = automated.outcome === OUTCOMES.FAILED ? OUTCOMES.FAILED
+                    : manual ? manual.outcome
+                        : automated.outcome;
+                return { url: audit.url, outcome, automated, manual };
+            });
+
+            const automatedRules = rules.filter(rule => rule.wcag.includes(criterion.id)).map(rule => rule.id);
+            const manualChecks = [...this.manualChecks.values()].filter(check => check.criterion === criterion.id);
+            const failedPages = pages.filter(page => page.outcome === OUTCOMES.FAILED);
+            const findings = audited.flatMap(audit => audit.result.violations
+                .filter(violation => (violation.wcagCriteria || []).includes(criterion.id))
+                .map(violation => ({ url: audit.url, ruleId: violation.ruleId, selector: violation.selector, message: violation.message })));
+
+            return {
+                id: criterion.id,
+                name: criterion.name,
+                level: criterion.level,
+                outcome: this.combineOutcomes(pages.map(page => page.outcome)),
+                automatedRules,
+                manualCheck: {
+                    status: manualChecks.length > 0 ? 'done' : 'pending',
+                    instruction: automatedRules.length > 0 ? CONFIRM_REVIEW : MANUAL_REVIEW,
+                    checks: manualChecks
+                },
+                failedPages: failedPages.map(page => page.url),
+                findings,
+                pages: pages.map(page => ({ url: page.url, outcome: page.outcome }))
+            };
+        });
+
+        const processes = this.scope.processes.map(process => {
+            const steps = process.urls.map(url => ({
+                url,
+                failedCriteria: criteria.filter(criterion => criterion.failedPages.includes(url)).map(criterion => criterion.id),
+                audited: audited.some(audit => audit.url === url)
+            }));
+            return {
+                name: process.name,
+                // A process conforms only if every step does (WCAG conformance requirement 3)
+                outcome: steps.some(step => !step.audited) ? OUTCOMES.CANT_TELL
+                    : steps.some(step => step.failedCriteria.length > 0) ? OUTCOMES.FAILED
+                        : OUTCOMES.PASSED,
+                steps
+            };
+        });
+
+        const summary = Object.values(OUTCOMES).reduce((counts, outcome) => {
+            counts[outcome] = criteria.filter(criterion => criterion.outcome === outcome).length;
+            return counts;
+        }, {});
+        const pendingManualChecks = criteria.filter(criterion => criterion.manualCheck.status === 'pending').length;
+
+        const conforms = summary.failed === 0 && summary.cantTell === 0 && summary.untested === 0 &&
+            pendingManualChecks === 0 && processes.every(process => process.outcome === OUTCOMES.PASSED) &&
+            this.audits.every(audit => audit.result);
+
+        return {
+            methodology: 'WCAG-EM 1.0',
+            title: options.title || `Accessibility evaluation of ${this.scope.website}`,
+            evaluator: options.evaluator || 'WCAGAI',
+            commissioner: options.commissioner || null,
+            date: (options.date ? new Date(options.date) : new Date()).toISOString().slice(0, 10),
+            scope: {
+                ...this.scope,
+                conformanceTarget: `WCAG ${this.scope.conformance.version} Level ${this.scope.conformance.level}`
+            },
+            exploration: {
+                pagesExplored: this.exploration.pagesExplored,
+                commonPages: this.exploration.commonPages,
+                pageTypes: this.exploration.pageTypes,
+                technologies: this.exploration.technologies,
+                essentialFunctionality: this.exploration.essentialFunctionality
+            },
+            sample: {
+                seed: this.sampleSeed,
+                structured: this.sample.filter(entry => !entry.random).length,
+                random: this.sample.filter(entry => entry.random).length,
+                pages: this.sample.map(entry => ({
+                    ...entry,
+                    error: this.audits.find(audit => audit.url === entry.url)?.error || null
+                }))
+            },
+            criteria,
+            processes,
+            summary,
+            pendingManualChecks,
+            conformance: {
+                conforms,
+                statement: conforms
+                    ? `The sampled pages of ${this.scope.website} conform to WCAG ${this.scope.conformance.version} Level ${this.scope.conformance.level}.`
+                    : `${this.scope.website} does not yet demonstrate conformance to WCAG ${this.scope.conformance.version} Level ${this.scope.conformance.level}: ` +
+                        `${summary.failed} criteria failed, ${summary.untested + summary.cantTell} unresolved, ${pendingManualChecks} manual checks pending.`
+            }
+        };
+    }
+}
+
+WcagEmEvaluation.OUTCOMES = OUTCOMES;
+WcagEmEvaluation.describePage = describePage;
+
+module.exports = WcagEmEvaluation;
@@ -0,0 +1,85 @@
+/**
+ * WCAGAI v4.0 CSV Reader
+ * Minimal RFC 4180 parsing for seed lists and analytics exports
+ *
+ * Handles quoted fields (with embedded delimiters, quotes and newlines), CRLF
+ * line endings and a UTF-8 byte order mark. The delimiter is detected from the
+ * header line (comma, semicolon or tab) unless one is given.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+function detectDelimiter(text) {
+    const header = text.slice(0, text.search(/\r?\n|$/));
+    return DELIMITERS
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter } (detected when omitted)
+ * @returns {string[][]}
+ */
+function parseCsvRows(text, options = {}) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by lower-cased header
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter }
+ * @returns {Object[]}
+ */
+function parseCsv(text, options = {}) {
+    const [header, ...rows] = parseCsvRows(text, options);
+    if (!header) return [];
+
+    const keys = header.map(name => name.trim().toLowerCase());
+    return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRows
+};
@@ -0,0 +1,115 @@
+const { getDomain, getDomainWithoutSuffix, getHostname } = require('tldts');
+const { fetchText } = require('../scanner/pageLoader');
+
+/**
+ * WCAGAI v4.0 Site Identity
+ * Registrable domains, organisations and redirects, so one company counts as one site
+ *
+ * Hosts are reduced to their registrable domain with the Public Suffix List
+ * (m.paypal.com and www.paypal.com → paypal.com, www.paypal.co.uk → paypal.co.uk;
+ * private suffixes such as github.io keep each tenant apart). mergeSites() collapses
+ * results by registrable domain, or on request by organisation: registrable domains
+ * that share a name under different suffixes (paypal.com, paypal.co.uk). A shared
+ * name is no proof of a shared owner (delta.com and delta.org aren't), so
+ * organisation grouping is opt-in; redirects (see resolveRedirect) are the evidence
+ * for merging across suffixes by default. The first
+ * source's best-placed result is kept, with the best position, the highest traffic,
+ * every source in `discoveredBy`, every search that found it in `matchedQueries`
+ * and the other domains in `aliasDomains`.
+ */
+
+const GROUPINGS = ['domain', 'organisation'];
+
+/**
+ * Host of a URL or bare domain, lower-cased and without a leading www.
+ */
+function hostOf(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const host = getHostname(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`) || text;
+    return host.replace(/^www\./, '');
+}
+
+/**
+ * Registrable domain (Public Suffix List) of a URL or host; the host itself for
+ * IP addresses, localhost and names without a known suffix
+ */
+function registrableDomain(value) {
+    const host = hostOf(value);
+    return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+/**
+ * Organisation key: the registrable domain without its public suffix (paypal.co.uk → paypal)
+ */
+function organisationOf(value) {
+    const domain = registrableDomain(value);
+    return getDomainWithoutSuffix(domain, { allowPrivateDomains: true }) || domain;
+}
+
+/**
+ * Final URL after redirects
+ * @param {string} url - Start URL
+ * @param {Object} options - { timeout, fetch } (fetch defaults to the page loader)
+ * @returns {Promise<string>} Final URL
+ */
+async function resolveRedirect(url, { timeout = 5000, fetch = fetchText } = {}) {
+    const response = await fetch(url, { timeout });
+    return response.finalUrl || url;
+}
+
+/**
+ * Merge results for the same registrable domain (or organisation)
+ * @param {Array<Object>} sites - Sites with { domain, position, traffic, discoveredFrom }, in provider order
+ * @param {Object} options - { by } "domain" (default) or "organisation"
+ * @returns {Array<Object>} One site per group, in order of first appearance
+ */
+function mergeSites(sites, { by = 'domain' } = {}) {
+    if (!GROUPINGS.includes(by)) {
+        throw new Error(`Unknown site grouping "${by}" (expected ${GROUPINGS.join(' or ')})`);
+    }
+    const groups = new Map();
+
+    sites.forEach(site => {
+        const key = by === 'organisation' ? organisationOf(site.domain) : site.domain;
+        const existing = groups.get(key);
+        if (!existing) {
+            groups.set(key, {
+                ...site,
+                organisation: organisationOf(site.domain),
+                canonicalDomain: site.domain,
+                aliasDomains: [...(site.aliasDomains || [])],
+                discoveredBy: [...(site.discoveredBy || [site.discoveredFrom])],
+                matchedQueries: [...(site.matchedQueries || [])]
+            });
+            return;
+        }
+
+        // The first source keeps the site; within it the best-placed result is the canonical one
+        let merged = existing;
+        if (site.discoveredFrom === existing.discoveredFrom && site.position < existing.position) {
+            merged = { ...existing, ...site, organisation: existing.organisation, canonicalDomain: site.domain, discoveredBy: existing.discoveredBy, aliasDomains: existing.aliasDomains };
+        }
+        merged.matchedQueries = [...new Set([...existing.matchedQueries, ...(site.matchedQueries || [])])];
+        const domains = [existing.canonicalDomain, ...existing.aliasDomains, site.domain, ...(site.aliasDomains || [])];
+        merged.aliasDomains = [...new Set(domains)].filter(domain => domain !== merged.canonicalDomain);
+        merged.position = Math.min(existing.position, site.position);
+        merged.isTopSite = existing.isTopSite || site.isTopSite;
+        (site.discoveredBy || [site.discoveredFrom]).forEach(source => {
+            if (!merged.discoveredBy.includes(source)) merged.discoveredBy.push(source);
+        });
+        const busiest = (site.traffic || 0) > (existing.traffic || 0) ? site : existing;
+        ['traffic', 'trafficScore', 'trafficSource', 'trafficDate'].forEach(field => { merged[field] = busiest[field]; });
+        groups.set(key, merged);
+    });
+
+    return [...groups.values()];
+}
+
+module.exports = {
+    GROUPINGS,
+    hostOf,
+    registrableDomain,
+    organisationOf,
+    resolveRedirect,
+    mergeSites
+};
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { SerpApiSearch } = require('google-search-results-nodejs');
+const { fetchText } = require('../scanner/pageLoader');
+const { parseCsv } = require('./csv');
+
+/**
+ * WCAGAI v4.0 Discovery Providers
+ * Sources of candidate sites for VerticalDiscovery: SerpAPI search, seed lists,
+ * sitemaps / domain lists and recorded fixtures
+ *
+ * A provider is any object with a `name` and
+ * `async discover({ keywords, vertical, limit, location, searchQuery })` that
+ * resolves to candidates ({ url, title, snippet, traffic, ... }). VerticalDiscovery
+ * adds domains, traffic scores and predictions, and records the provider's name
+ * on each site as `discoveredFrom`. New types plug in with registerProvider(type, factory).
+ *
+ * Search providers set `paged`: they run one `searchQuery` at a time and take
+ * `page` (from 1) and `pageSize`, so discovery can fan a search out over keywords
+ * and query variants and page through each within its API budget. They may add
+ * `discoverPage(query)` resolving to { sites, hasMore }, so a search keeps going
+ * after a short page while the engine reports another; without it a search ends
+ * on an empty page. A provider holding both kinds of results (a fixture replaying
+ * search pages and seed lists) also sets `unpaged` and is asked both ways.
+ */
+
+const SERPAPI_ENDPOINT = '/search';
+
+/**
+ * Google results through SerpAPI
+ */
+class SerpApiProvider {
+    /**
+     * @param {Object} options - { apiKey, timeout, http } (http is axios-compatible)
+     */
+    constructor({ apiKey = process.env.SERPAPI_KEY || process.env.SERPAPI_TOKEN || 'demo', timeout = 30000, http = axios, name = 'serpapi' } = {}) {
+        this.name = name;
+        this.client = new SerpApiSearch(apiKey);
+        this.timeout = timeout;
+        this.http = http;
+        this.paged = true;
+    }
+
+    async discover(query) {
+        return (await this.discoverPage(query)).sites;
+    }
+
+    /**
+     * One page of results; Google often returns fewer than `num`, so whether
+     * there is another page comes from serpapi_pagination
+     * @returns {Promise<Object>} { sites, hasMore }
+     */
+    async discoverPage({ searchQuery, limit, location, page = 1, pageSize = null }) {
+        const num = pageSize || limit;
+        const start = (page - 1) * num;
+        const results = await this.search({ engine: 'google', q: searchQuery, num, location, ...(start > 0 ? { start } : {}) });
+        return {
+            sites: SerpApiProvider.parseResults(results, { offset: start }),
+            hasMore: Boolean(results?.serpapi_pagination?.next)
+        };
+    }
+
+    /**
+     * Run one search and resolve to SerpAPI's JSON response
+     *
+     * SerpApiSearch.json() reports through a callback and throws network and
+     * HTTP errors from inside its response handlers, where no caller can catch
+     * them, so only its URL building is used here.
+     */
+    async search(params) {
+        const url = this.client.buildUrl(SERPAPI_ENDPOINT, { ...params }, 'json');
+        const response = await this.http.get(url, { timeout: this.timeout });
+        if (response.data?.error) {
+            throw new Error(`SerpAPI: ${response.data.error}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * @param {Object} results - SerpAPI response
+     * @param {Object} options - { offset } results on earlier pages, for positions SerpAPI leaves out
+     */
+    static parseResults(results, { offset = 0 } = {}) {
+        return (results?.organic_results || []).map((result, index) => ({
+            url: result.link,
+            title: result.title,
+            snippet: result.snippet,
+            position: result.position || offset + index + 1,
+            traffic: result.traffic || 0
+        }));
+    }
+}
+
+/**
+ * Sites from a CSV or JSON seed list
+ *
+ * CSV needs a header with a `url`, `website`, `domain` or `site` column and may
+ * add `title`, `traffic`, `vertical` and `keywords` (separated by ; or |).
+ * JSON is an array (or { sites: [...] }) of URLs, domains or objects with the
+ * same fields. Rows tagged with a vertical or keywords only match those searches.
+ */
+class SeedListProvider {
+    /**
+     * @param {Object} options - { file } CSV/JSON path, or { entries } inline rows
+     */
+    constructor({ file = null, entries = null, name = 'seed-list' } = {}) {
+        if (!file && !entries) {
+            throw new Error('Seed list provider needs a file or entries');
+        }
+        if (file && !fs.existsSync(file)) {
+            throw new Error(`No seed list at ${file}`);
+        }
+        this.name = name;
+        this.file = file;
+        this.entries = entries;
+    }
+
+    load() {
+        if (this.entries) return this.entries.map(normalizeSeed).filter(Boolean);
+
+        const text = fs.readFileSync(this.file, 'utf8');
+        let rows;
+        if (path.extname(this.file).toLowerCase() === '.csv') {
+            rows = parseCsv(text);
+        } else {
+            const parsed = JSON.parse(text);
+            rows = Array.isArray(parsed) ? parsed : parsed.sites || [];
+        }
+        return rows.map(normalizeSeed).filter(Boolean);
+    }
+
+    async discover({ keywords = [], vertical, limit }) {
+        const wanted = keywords.map(keyword => keyword.toLowerCase());
+        return this.load()
+            .filter(seed => !seed.vertical || !vertical || seed.vertical === vertical)
+            .filter(seed => seed.keywords.length === 0 ||
+                seed.keywords.some(tag => wanted.some(keyword => keyword.includes(tag) || tag.includes(keyword))))
+            .slice(0, limit)
+            .map(({ keywords: tags, ...seed }) => seed);
+    }
+}
+
+/**
+ * Sites from sitemaps (local files or URLs) and plain domain lists
+ *
+ * Every host listed in a sitemap becomes one site at its origin; sitemap
+ * indexes are followed. A domain list is one domain or URL per line, with
+ * `#` comments. The same sites are returned for every search.
+ */
+class SitemapProvider {
+    /**
+     * @param {Object} options - { sitemaps, domains, domainsFile, maxSitemaps, fetch }
+     */
+    constructor({ sitemaps = [], domains = [], domainsFile = null, maxSitemaps = 10, fetch = fetchText, name = 'sitemap' } = {}) {
+        if (sitemaps.length === 0 && domains.length === 0 && !domainsFile) {
+            throw new Error('Sitemap provider needs sitemaps or a domain list');
+        }
+        if (domainsFile && !fs.existsSync(domainsFile)) {
+            throw new Error(`No domain list at ${domainsFile}`);
+        }
+        this.name = name;
+        this.sitemaps = sitemaps;
+        this.domains = domains;
+        this.domainsFile = domainsFile;
+        this.maxSitemaps = maxSitemaps;
+        this.fetch = fetch;
+    }
+
+    async discover({ limit }) {
+        const listed = [...this.domains];
+        if (this.domainsFile) {
+            listed.push(...fs.readFileSync(this.domainsFile, 'utf8').split(/\r?\n/)
+                .map(line => line.replace(/#.*/, '').trim())
+                .filter(Boolean));
+        }
+
+        const origins = new Map();
+        const addUrl = (value, source) => {
+            const seed = normalizeSeed(value);
+            if (!seed) return;
+            const origin = new URL(seed.url).origin;
+            if (!origins.has(origin)) origins.set(origin, { url: `${origin}/`, title: new URL(origin).hostname, snippet: source });
+        };
+
+        listed.forEach(domain => addUrl(domain, 'Listed domain'));
+        (await this.loadSitemapUrls()).forEach(url => addUrl(url, 'Listed in sitemap'));
+
+        return [...origins.values()].slice(0, limit);
+    }
+
+    async loadSitemapUrls() {
+        const pending = [...this.sitemaps];
+        const visited = new Set();
+        const urls = [];
+
+        while (pending.length > 0 && visited.size < this.maxSitemaps) {
+            const source = pending.shift();
+            if (visited.has(source)) continue;
+            visited.add(source);
+
+            const xml = /^https?:\/\//i.test(source)
+                ? (await this.fetch(source, { accept: 'application/xml,text/xml' })).body
+                : fs.readFileSync(source, 'utf8');
+            const $ = cheerio.load(xml, { xml: true });
+            $('sitemapindex sitemap > loc').each((i, el) => {
+                pending.push($(el).text().trim());
+            });
+            $('urlset url > loc').each((i, el) => {
+                urls.push($(el).text().trim());
+            });
+        }
+
+        return urls;
+    }
+}
+
+/**
+ * Replays discovery results recorded to a JSON file, or records them
+ *
+ * Replaying ({ file }) returns the recordings saved for the same vertical,
+ * location and keywords, and fails for searches that were never recorded.
+ * Recording ({ file, record: provider }) runs the wrapped provider, saves what
+ * it found and keeps its name, so recorded runs show the real source. Pages of
+ * a paged search are recorded one by one, keyed by query and page as well and
+ * with the provider's `hasMore`, and a fixture holding them replays as a paged provider.
+ */
+class FixtureProvider {
+    /**
+     * @param {Object} options - { file, record } provider to record from
+     */
+    constructor({ file, record = null, name = null } = {}) {
+        if (!file) {
+            throw new Error('Fixture provider needs a file');
+        }
+        if (!record && !fs.existsSync(file)) {
+            throw new Error(`No discovery fixture at ${file}`);
+        }
+        this.file = path.resolve(file);
+        this.recordFrom = record;
+        this.name = name || (record ? record.name : 'fixture');
+        const recordings = record ? [] : this.load();
+        this.paged = record ? Boolean(record.paged) : recordings.some(recording => recording.page);
+        this.unpaged = !record && recordings.some(recording => !recording.page);
+    }
+
+    static key({ keywords = [], vertical, location, searchQuery, page }) {
+        const key = `${vertical}|${location || ''}|${keywords.join(',')}`;
+        return page ? `${key}|${searchQuery}|p${page}` : key;
+    }
+
+    async discover(query) {
+        return (await this.discoverPage(query)).sites;
+    }
+
+    /**
+     * Record or replay one search page (or unpaged discovery)
+     * @returns {Promise<Object>} { sites, hasMore } (hasMore unset when the provider doesn't report it)
+     */
+    async discoverPage(query) {
+        const key = FixtureProvider.key(query);
+
+        if (this.recordFrom) {
+            const { sites, hasMore } = query.page && this.recordFrom.discoverPage
+                ? await this.recordFrom.discoverPage(query)
+                : { sites: await this.recordFrom.discover(query) };
+            this.save({
+                key,
+                provider: this.recordFrom.name,
+                vertical: query.vertical,
+                location: query.location || null,
+                keywords: query.keywords,
+                ...(query.page ? { searchQuery: query.searchQuery, page: query.page, hasMore } : {}),
+                recordedAt: new Date().toISOString(),
+                sites
+            });
+            return { sites, hasMore };
+        }
+
+        const recordings = this.load().filter(recording => recording.key === key);
+        if (recordings.length === 0) {
+            throw new Error(`No recorded discovery for "${key}" in ${this.file}`);
+        }
+        const reported = recordings.filter(recording => typeof recording.hasMore === 'boolean');
+        return {
+            sites: recordings.flatMap(recording => recording.sites.map(site => ({ ...site, recordedFrom: recording.provider }))),
+            hasMore: reported.length > 0 ? reported.some(recording => recording.hasMore) : undefined
+        };
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return [];
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return Array.isArray(raw.recordings) ? raw.recordings : [];
+    }
+
+    // One recording per search and provider; re-recording replaces it
+    save(recording) {
+        const recordings = this.load().filter(existing => !(existing.key === recording.key && existing.provider === recording.provider));
+        recordings.push(recording);
+
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify({ recordings }, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+/**
+ * Turn a seed (URL, bare domain or row object) into a candidate, or null
+ */
+function normalizeSeed(seed) {
+    const row = typeof seed === 'string' ? { url: seed } : seed || {};
+    const value = String(row.url || row.website || row.domain || row.site || '').trim();
+    if (!value) return null;
+
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    const tags = Array.isArray(row.keywords) ? row.keywords : String(row.keywords || '').split(/[;|]/);
+    return {
+        url: url.href,
+        title: row.title || row.name || url.hostname,
+        snippet: row.snippet || row.description || '',
+        traffic: Number(String(row.traffic ?? row.visits ?? 0).replace(/[,_\s]/g, '')) || 0,
+        vertical: row.vertical || null,
+        keywords: tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+const FACTORIES = {
+    serpapi: config => new SerpApiProvider(config),
+    seed: config => new SeedListProvider(config),
+    sitemap: config => new SitemapProvider(config),
+    domains: config => new SitemapProvider({ name: 'domain-list', ...config }),
+    fixture: config => new FixtureProvider(config)
+};
+
+/**
+ * Add or replace a provider type
+ * @param {string} type - Config `type` the factory handles
+ * @param {Function} factory - config => provider
+ */
+function registerProvider(type, factory) {
+    FACTORIES[type] = factory;
+}
+
+/**
+ * Parse a command-line provider spec
+ *   serpapi | seed:sites.csv | sitemap:https://example.com/sitemap.xml |
+ *   domains:domains.txt | fixture:discovery.json
+ */
+function parseProviderSpec(spec) {
+    const [type, ...rest] = String(spec).trim().split(':');
+    const value = rest.join(':');
+    if (type === 'seed' || type === 'fixture') return { type, file: value };
+    if (type === 'sitemap') return { type, sitemaps: [value] };
+    if (type === 'domains') return { type, domainsFile: value };
+    return { type };
+}
+
+/**
+ * Build a provider from a spec string, a config ({ type, ...settings }) or
+ * pass an existing provider through
+ */
+function createProvider(config) {
+    if (config && typeof config.discover === 'function') return config;
+
+    const settings = typeof config === 'string' ? parseProviderSpec(config) : config || {};
+    const factory = FACTORIES[settings.type];
+    if (!factory) {
+        throw new Error(`Unknown discovery provider "${settings.type}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    return factory(settings);
+}
+
+/**
+ * Build a provider list from a comma-separated spec string or an array
+ * @param {string|Array} specs - e.g. "seed:sites.csv,serpapi"
+ * @param {Object} options - { record } fixture file to record every provider into
+ */
+function createProviders(specs, options = {}) {
+    const list = typeof specs === 'string' ? specs.split(',').filter(spec => spec.trim()) : specs;
+    if (!list || list.length === 0) {
+        throw new Error('At least one discovery provider is needed');
+    }
+    const providers = list.map(createProvider);
+    return options.record
+        ? providers.map(provider => new FixtureProvider({ file: options.record, record: provider }))
+        : providers;
+}
+
+module.exports = {
+    SerpApiProvider,
+    SeedListProvider,
+    SitemapProvider,
+    FixtureProvider,
+    normalizeSeed,
+    registerProvider,
+    parseProviderSpec,
+    createProvider,
+    createProviders
+};
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { registrableDomain } = require('./domains');
+
+/**
+ * WCAGAI v4.0 Traffic Data
+ * Monthly visit estimates imported from analytics exports and joined into discovery
+ *
+ * Search providers don't report traffic, so discovered sites are ranked and weighted
+ * with imported data instead:
+ *   semrush:<csv>     Semrush export (Traffic Analytics, Top Websites or Organic Research)
+ *   similarweb:<csv>  Similarweb export
+ *   json:<file>       WCAGAI validation data (wcagai_v4_data_validation.json): every
+ *                     data source with top_sites, using actual_visits ("202.28M")
+ * CSV columns are matched by header: a domain column (domain, target, website, site,
+ * url), a visits column (visits, total visits, monthly visits, organic traffic,
+ * traffic) and optionally a date column (date, month, period).
+ *
+ * Imports are kept in a JSON file (.wcagai-traffic.json, or WCAGAI_TRAFFIC), one
+ * record per domain and source ({ domain, visits, source, date, importedAt }); a
+ * newer import from the same source replaces the older one. Lookups return the
+ * most recent record for a host, or else for its registrable domain.
+ */
+
+const DEFAULT_FILE = '.wcagai-traffic.json';
+
+const FORMATS = {
+    semrush: { source: 'Semrush' },
+    similarweb: { source: 'Similarweb' },
+    json: { source: null }
+};
+
+const DOMAIN_COLUMNS = ['domain', 'target', 'website', 'site', 'url', 'domain name'];
+const VISITS_COLUMNS = ['visits', 'total visits', 'monthly visits', 'avg. monthly visits', 'organic traffic', 'traffic', 'estimated visits'];
+const DATE_COLUMNS = ['date', 'month', 'period'];
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a visit count: 1200, "1,200", "202.28M", "~120M", "3.4K"
+ * @returns {number|null} null when the value isn't a number (e.g. "N/A")
+ */
+function parseVisits(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    const match = String(value ?? '').replace(/[,_\s~]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+    if (!match) return null;
+    return Math.round(Number(match[1]) * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1));
+}
+
+/**
+ * Host name of a domain or URL, lower-cased and without a leading www.
+ */
+function normalizeTrafficDomain(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    try {
+        const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`).hostname;
+        return host.includes('.') ? host.replace(/^www\./, '') : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of "2025-09-30", "2025-09", "Sep 2025" or an ISO timestamp
+ */
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (/^\d{4}-\d{2}$/.test(text)) return `${text}-01`;
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    // "Sep 2025" and the like parse as local midnight; keep that calendar date
+    const parsed = new Date(text);
+    if (isNaN(parsed)) return null;
+    return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+}
+
+function findColumn(headers, candidates) {
+    return candidates.find(candidate => headers.includes(candidate)) || null;
+}
+
+/**
+ * Read traffic records from a Semrush or Similarweb CSV export
+ * @param {string} text - CSV content
+ * @param {Object} options - { format, source, date } (date used when the export has no date column)
+ * @returns {Array<Object>} { domain, visits, source, date }
+ */
+function parseTrafficCsv(text, { format = 'semrush', source = FORMATS[format]?.source, date = null } = {}) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+
+    const headers = Object.keys(rows[0]);
+    const domainColumn = findColumn(headers, DOMAIN_COLUMNS);
+    const visitsColumn = findColumn(headers, VISITS_COLUMNS);
+    if (!domainColumn) throw new Error(`No domain column in ${format} export (expected ${DOMAIN_COLUMNS.join(', ')})`);
+    if (!visitsColumn) throw new Error(`No visits column in ${format} export (expected ${VISITS_COLUMNS.join(', ')})`);
+    const dateColumn = findColumn(headers, DATE_COLUMNS);
+
+    return rows.map(row => ({
+        domain: normalizeTrafficDomain(row[domainColumn]),
+        visits: parseVisits(row[visitsColumn]),
+        source: source || format,
+        date: (dateColumn && normalizeDate(row[dateColumn])) || normalizeDate(date)
+    })).filter(record => record.domain && record.visits !== null);
+}
+
+/**
+ * Read traffic records from WCAGAI validation data ({ timestamp, data_sources: { x: { source, top_sites } } })
+ * @param {Object|string} data - Parsed JSON or its text
+ * @param {Object} options - { source, date } overrides
+ */
+function parseTrafficJson(data, { source = null, date = null } = {}) {
+    const raw = typeof data === 'string' ? JSON.parse(data) : data;
+    const records = [];
+
+    Object.values(raw?.data_sources || {}).forEach(dataSource => {
+        (dataSource.top_sites || []).forEach(site => {
+            const visits = parseVisits(site.actual_visits) ?? parseVisits(site.projected_visits) ?? parseVisits(site.visits);
+            const domain = normalizeTrafficDomain(site.site || site.domain);
+            if (!domain || visits === null) return;
+            records.push({
+                domain,
+                visits,
+                source: source || dataSource.source || 'wcagai-validation',
+                date: normalizeDate(date) || normalizeDate(raw.timestamp)
+            });
+        });
+    });
+
+    return records;
+}
+
+/**
+ * Parse an import spec: semrush:<csv> | similarweb:<csv> | json:<file> | <file> (format from the extension)
+ */
+function parseTrafficSpec(spec) {
+    const value = String(spec).trim();
+    const [type, ...rest] = value.split(':');
+    if (FORMATS[type] && rest.length > 0) return { format: type, file: rest.join(':') };
+    return { format: path.extname(value).toLowerCase() === '.json' ? 'json' : 'semrush', file: value };
+}
+
+/**
+ * Read traffic records from an export file
+ * @param {string|Object} spec - Import spec or { format, file }
+ * @param {Object} options - { source, date }
+ */
+function readTrafficFile(spec, options = {}) {
+    const { format, file } = typeof spec === 'string' ? parseTrafficSpec(spec) : spec;
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown traffic format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    if (!fs.existsSync(file)) throw new Error(`No traffic export at ${file}`);
+
+    const text = fs.readFileSync(file, 'utf8');
+    if (format === 'json') return parseTrafficJson(text, options);
+    // Exports without a date column are dated by the file
+    return parseTrafficCsv(text, { format, ...options, date: options.date || fs.statSync(file).mtime.toISOString() });
+}
+
+class TrafficStore {
+    /**
+     * @param {Object} options - { file } path of the store (default WCAGAI_TRAFFIC or ./.wcagai-traffic.json)
+     */
+    constructor(options = {}) {
+        this.file = path.resolve(options.file || process.env.WCAGAI_TRAFFIC || DEFAULT_FILE);
+        this.byDomain = null;
+    }
+
+    /**
+     * All records, by domain then source
+     */
+    list() {
+        if (!fs.existsSync(this.file)) return [];
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return Array.isArray(raw.sites) ? raw.sites : [];
+    }
+
+    /**
+     * Add records; a record replaces the one for the same domain and source unless it is older
+     * @param {Array<Object>} records - { domain, visits, source, date }
+     * @returns {Object} { imported, skipped, domains } counts
+     */
+    import(records) {
+        const importedAt = new Date().toISOString();
+        const stored = new Map(this.list().map(record => [`${record.domain}|${record.source}`, record]));
+        let imported = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            const domain = normalizeTrafficDomain(record.domain);
+            const visits = parseVisits(record.visits);
+            if (!domain || visits === null) {
+                skipped++;
+                return;
+            }
+            const key = `${domain}|${record.source}`;
+            const existing = stored.get(key);
+            if (existing && existing.date && record.date && existing.date > record.date) {
+                skipped++;
+                return;
+            }
+            stored.set(key, { domain, visits, source: record.source, date: record.date || importedAt.slice(0, 10), importedAt });
+            imported++;
+        });
+
+        const sites = [...stored.values()].sort((a, b) => a.domain.localeCompare(b.domain) || a.source.localeCompare(b.source));
+        this.write(sites);
+        return { imported, skipped, domains: new Set(sites.map(site => site.domain)).size };
+    }
+
+    /**
+     * Most recent traffic record for a domain or URL (falling back to its registrable domain), or null
+     */
+    lookup(domain) {
+        if (!this.byDomain) {
+            this.byDomain = new Map();
+            this.list().forEach(record => {
+                const current = this.byDomain.get(record.domain);
+                if (!current || record.date > current.date) this.byDomain.set(record.domain, record);
+            });
+        }
+        const host = normalizeTrafficDomain(domain);
+        return this.byDomain.get(host) || this.byDomain.get(registrableDomain(host)) || null;
+    }
+
+    write(sites) {
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify({ sites }, null, 2));
+        fs.renameSync(temporary, this.file);
+        this.byDomain = null;
+    }
+}
+
+TrafficStore.DEFAULT_FILE = DEFAULT_FILE;
+
+module.exports = {
+    TrafficStore,
+    parseVisits,
+    normalizeTrafficDomain,
+    parseTrafficCsv,
+    parseTrafficJson,
+    parseTrafficSpec,
+    readTrafficFile
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const axios = require('axios');
+
+/**
+ * WCAGAI v4.0 Alert Channels
+ * Deliver monitor alerts: log sink, webhook and email
+ *
+ * A channel is any object with `async send(alerts, context)`. Monitors store
+ * channel configs ({ type, ...settings }); createChannel() turns a config into
+ * a channel using the registered factories, so new types plug in with
+ * registerChannel(type, factory).
+ */
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️ ', info: 'ℹ️ ' };
+
+function formatAlert(alert) {
+    return `${SEVERITY_ICONS[alert.severity] || ''} [${alert.monitorName}] ${alert.message}`;
+}
+
+/**
+ * Writes alerts to the console, or appends them as JSON lines to a file
+ */
+class LogChannel {
+    constructor({ file = null, logger = console } = {}) {
+        this.file = file;
+        this.logger = logger;
+    }
+
+    async send(alerts) {
+        if (this.file) {
+            fs.appendFileSync(this.file, alerts.map(alert => JSON.stringify(alert)).join('\n') + '\n');
+            return;
+        }
+        alerts.forEach(alert => this.logger.warn(formatAlert(alert)));
+    }
+}
+
+/**
+ * POSTs { monitor, alerts } as JSON to a URL
+ */
+class WebhookChannel {
+    constructor({ url, headers = {}, timeout = 10000, http = axios }) {
+        if (!url) {
+            throw new Error('Webhook alert channel needs a url');
+        }
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+        this.http = http;
+    }
+
+    async send(alerts, { monitor }) {
+        await this.http.post(this.url, {
+            monitor: { id: monitor.id, name: monitor.name },
+            alerts
+        }, { headers: this.headers, timeout: this.timeout });
+    }
+}
+
+/**
+ * Sends one plain-text email per run through a nodemailer-style transport (sendMail)
+ */
+class EmailChannel {
+    constructor({ to, from = 'alerts@wcagai.com', transport }) {
+        if (!to) {
+            throw new Error('Email alert channel needs a "to" address');
+        }
+        if (!transport || typeof transport.sendMail !== 'function') {
+            throw new Error('Email alert channel needs a transport with sendMail()');
+        }
+        this.to = to;
+        this.from = from;
+        this.transport = transport;
+    }
+
+    async send(alerts, { monitor }) {
+        const worst = alerts.some(alert => alert.severity === 'critical') ? 'Critical' : 'Alert';
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `[WCAGAI] ${worst}: ${monitor.name} (${alerts.length} alert${alerts.length === 1 ? '' : 's'})`,
+            text: alerts.map(alert => `- ${alert.message}`).join('\n') +
+                `\n\nMonitor: ${monitor.name}\nTarget: ${monitor.target.url || `${monitor.target.keywords.join(', ')} in ${monitor.target.vertical}`}\n`
+        });
+    }
+}
+
+const FACTORIES = {
+    log: (config, options) => new LogChannel({ ...config, logger: options.logger }),
+    webhook: config => new WebhookChannel(config),
+    email: (config, options) => new EmailChannel({ ...config, transport: config.transport || options.emailTransport })
+};
+
+// Settings a stored config must carry, by type
+const REQUIRED_SETTINGS = { webhook: 'url', email: 'to' };
+
+/**
+ * Add or replace a channel type
+ * @param {string} type - Config `type` the factory handles
+ * @param {Function} factory - (config, options) => channel
+ */
+function registerChannel(type, factory) {
+    FACTORIES[type] = factory;
+}
+
+/**
+ * Check a stored config names a known type and carries its required settings
+ */
+function validateChannel(config) {
+    if (!config || !FACTORIES[config.type]) {
+        throw new Error(`Unknown alert channel "${config?.type}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    const setting = REQUIRED_SETTINGS[config.type];
+    if (setting && !config[setting]) {
+        throw new Error(`${config.type} alert channel needs "${setting}"`);
+    }
+    return config;
+}
+
+/**
+ * Build a channel from its stored config
+ * @param {Object} config - { type, ...settings }
+ * @param {Object} options - Shared dependencies: { emailTransport, logger }
+ */
+function createChannel(config, options = {}) {
+    return FACTORIES[validateChannel(config).type](config, options);
+}
+
+module.exports = {
+    LogChannel,
+    WebhookChannel,
+    EmailChannel,
+    registerChannel,
+    validateChannel,
+    createChannel,
+    formatAlert
+};
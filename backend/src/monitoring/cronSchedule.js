@@ -0,0 +1,129 @@
+/**
+ * WCAGAI v4.0 Cron Schedule
+ * Standard 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+ *
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and
+ * lists (`1,15`); months and weekdays also accept names (`jan`, `mon`).
+ * Sunday is 0 or 7. As in cron, when both day-of-month and day-of-week are
+ * restricted a day matching either one runs.
+ */
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Searching further than this means the expression never matches (e.g. 30 feb)
+const MAX_LOOKAHEAD_MINUTES = 5 * 366 * 24 * 60;
+
+function parseValue(token, field, expression) {
+    const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+    const value = named >= 0 ? named + field.offset : Number(token);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} "${token}" in cron expression "${expression}"`);
+    }
+    return value;
+}
+
+function parseField(source, field, expression) {
+    const values = new Set();
+
+    source.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field, expression);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field, expression);
+            if (end < start) {
+                throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+            }
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'day-of-week' && value === 7 ? 0 : value);
+        }
+    });
+
+    return { values, restricted: source !== '*' };
+}
+
+/**
+ * Parse a cron expression or macro
+ * @param {string} expression - e.g. "0 6 * * 1-5" or "@daily"
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function parseCron(expression) {
+    const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+    return { expression: String(expression).trim(), minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+function matchesDay(schedule, date) {
+    const dom = schedule.dayOfMonth.values.has(date.getUTCDate());
+    const dow = schedule.dayOfWeek.values.has(date.getUTCDay());
+    if (schedule.dayOfMonth.restricted && schedule.dayOfWeek.restricted) return dom || dow;
+    return dom && dow;
+}
+
+/**
+ * First time strictly after `from` that the schedule fires
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date|string} from - Start time (default now)
+ * @returns {Date}
+ */
+function nextRun(expression, from = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(from);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!schedule.hour.values.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!schedule.minute.values.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression "${schedule.expression}" never fires`);
+}
+
+module.exports = {
+    MACROS,
+    parseCron,
+    nextRun
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const MonitorStore = require('./monitorStore');
+const { parseCron, nextRun } = require('./cronSchedule');
+const { createChannel, validateChannel } = require('./alertChannels');
+const { compareScans } = require('../analysis/scanComparison');
+const { resolveJurisdictions, complianceDeadline } = require('../compliance/jurisdictions');
+
+/**
+ * WCAGAI v4.0 Monitor Scheduler
+ * Runs recurring scans on cron schedules, compares each run with the previous
+ * one and sends alerts through the monitor's channels
+ *
+ * Alerts:
+ *   score-drop    - average score of the sites scanned in both runs fell by at least
+ *                   `alerts.scoreDrop` (0-1, default 0.01); sites that joined, left or
+ *                   failed to scan in either run don't count
+ *   new-critical  - a critical violation that wasn't in the previous run
+ *   deadline      - the jurisdictions' compliance deadline is within
+ *                   `alerts.deadlineDays` (default 30) and violations remain; once per deadline
+ *   scan-failed   - the scan itself failed
+ *
+ * Events: run { monitor, report, comparison, alerts }, run:failed { monitor, error },
+ * alert:failed { monitor, channel, error }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_ALERTS = {
+    scoreDrop: 0.01,
+    newCritical: true,
+    deadlineDays: 30
+};
+
+/**
+ * Just what compareScans needs from a run, kept with the monitor for the next comparison
+ */
+function compactReport(report) {
+    const compactResult = result => result && {
+        complianceScore: result.complianceScore,
+        totalViolations: result.totalViolations,
+        criticalViolations: result.criticalViolations,
+        violations: result.violations.map(({ fingerprint, ruleId, impact, selector, url, message, successCriterion }) =>
+            ({ fingerprint, ruleId, impact, selector, url, message, successCriterion }))
+    };
+
+    if (report.scanMode === 'direct') {
+        return { scanMode: 'direct', url: report.url, result: compactResult(report.result), completedAt: report.completedAt };
+    }
+    return {
+        scanMode: report.scanMode,
+        vertical: report.vertical || null,
+        results: report.results.map(site => ({
+            url: site.url,
+            domain: site.domain,
+            scanError: site.scanError || undefined,
+            scanResult: site.scanError ? undefined : compactResult(site.scanResult)
+        })),
+        completedAt: report.completedAt
+    };
+}
+
+function overallScore(report) {
+    if (report.scanMode === 'direct') return report.result?.complianceScore ?? null;
+    const scores = report.results.filter(site => site.scanResult).map(site => site.scanResult.complianceScore);
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+function activeViolations(report) {
+    return report.scanMode === 'direct'
+        ? report.result?.totalViolations || 0
+        : report.results.reduce((sum, site) => sum + (site.scanResult?.totalViolations || 0), 0);
+}
+
+/**
+ * Average score change over the sites scanned successfully in both runs
+ * @returns {Object|null} { baselineScore, currentScore, scoreDelta, sites } or null when no site compares
+ */
+function comparedScoreChange(comparison) {
+    const sites = comparison.sites.filter(site => site.status === 'compared' && site.scoreDelta !== null);
+    if (sites.length === 0) return null;
+
+    const average = key => sites.reduce((sum, site) => sum + site[key], 0) / sites.length;
+    return {
+        baselineScore: average('baselineScore'),
+        currentScore: average('currentScore'),
+        scoreDelta: average('scoreDelta'),
+        sites
+    };
+}
+
+class MonitorScheduler extends EventEmitter {
+    /**
+     * @param {Object} options - { scanner, store, file, tickInterval, emailTransport, logger }
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.scanner) {
+            throw new Error('MonitorScheduler needs a WCAGAIV4Scanner');
+        }
+        this.scanner = options.scanner;
+        this.store = options.store || new MonitorStore({ file: options.file });
+        this.tickInterval = options.tickInterval || 60000;
+        this.channelOptions = { emailTransport: options.emailTransport || null, logger: options.logger || console };
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Create a monitor
+     * @param {Object} definition - { name, url | keywords + vertical, limit, schedule, channels, alerts, scanOptions, customerId }
+     * @param {Date} now - Creation time; the first run is the next schedule slot after it
+     * @returns {Object} Stored monitor
+     */
+    addMonitor(definition, now = new Date()) {
+        const { name, url, keywords, vertical, limit, schedule, channels = [{ type: 'log' }], alerts = {}, scanOptions = {}, customerId = null } = definition;
+
+        if (!url && !(keywords && keywords.length > 0 && vertical)) {
+            throw new Error('A monitor needs a url or keywords and a vertical');
+        }
+        parseCron(schedule);
+        channels.forEach(validateChannel);
+
+        const target = url ? { url } : { keywords, vertical, limit: limit || 20 };
+        const monitor = {
+            id: `mon_${crypto.randomBytes(6).toString('hex')}`,
+            name: name || url || `${keywords.join(', ')} (${vertical})`,
+            target,
+            schedule,
+            channels,
+            alerts: { ...DEFAULT_ALERTS, ...alerts },
+            scanOptions,
+            customerId,
+            enabled: true,
+            createdAt: new Date(now).toISOString(),
+            nextRunAt: nextRun(schedule, now).toISOString(),
+            runs: 0,
+            lastRun: null,
+            alertedDeadlines: []
+        };
+
+        return this.store.save(monitor);
+    }
+
+    removeMonitor(id) {
+        return this.store.remove(id);
+    }
+
+    listMonitors() {
+        return this.store.list();
+    }
+
+    /**
+     * Run every enabled monitor that is due; runs missed while stopped collapse into one
+     * @returns {Promise<Array>} Outcomes of the monitors that ran
+     */
+    async tick(now = new Date()) {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const due = this.store.list().filter(monitor => monitor.enabled !== false && new Date(monitor.nextRunAt) <= now);
+            const outcomes = [];
+            for (const monitor of due) {
+                outcomes.push(await this.runMonitor(monitor, now));
+            }
+            return outcomes;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Scan a monitor's target, compare with its previous run and send alerts
+     */
+    async runMonitor(monitor, now = new Date()) {
+        const { target, scanOptions } = monitor;
+        let report;
+        let comparison = null;
+        let alerts;
+
+        try {
+            report = await this.scanner.scan({
+                ...scanOptions,
+                ...(target.url ? { url: target.url } : { keywords: target.keywords, vertical: target.vertical, limit: target.limit }),
+                customerId: monitor.customerId
+            });
+            comparison = monitor.lastRun ? compareScans(monitor.lastRun.report, report) : null;
+            alerts = this.evaluateAlerts(monitor, report, comparison, now);
+        } catch (error) {
+            this.emit('run:failed', { monitor, error });
+            alerts = [this.buildAlert(monitor, 'scan-failed', 'warning', `Scheduled scan failed: ${error.message}`, {}, now)];
+        }
+
+        await this.dispatch(monitor, alerts);
+
+        // The monitor may have been edited, disabled or removed while it was scanning:
+        // only the run fields are written back, and a removed monitor stays removed
+        const current = this.store.get(monitor.id);
+        const base = current || monitor;
+        const updated = {
+            ...base,
+            runs: base.runs + 1,
+            nextRunAt: nextRun(base.schedule, now).toISOString(),
+            alertedDeadlines: [...new Set([
+                ...base.alertedDeadlines,
+                ...alerts.filter(alert => alert.type === 'deadline').map(alert => alert.details.deadline)
+            ])],
+            lastRun: report ? {
+                at: new Date(now).toISOString(),
+                runId: report.runId || null,
+                score: overallScore(report),
+                alerts: alerts.length,
+                report: compactReport(report)
+            } : base.lastRun
+        };
+        if (current) {
+            this.store.save(updated);
+        }
+
+        if (report) {
+            this.emit('run', { monitor: updated, report, comparison, alerts });
+        }
+        return { monitor: updated, report: report || null, comparison, alerts };
+    }
+
+    /**
+     * Alerts raised by a run
+     */
+    evaluateAlerts(monitor, report, comparison, now = new Date()) {
+        const thresholds = { ...DEFAULT_ALERTS, ...monitor.alerts };
+        const alerts = [];
+
+        if (comparison) {
+            const change = comparedScoreChange(comparison);
+            if (change && -change.scoreDelta >= thresholds.scoreDrop) {
+                alerts.push(this.buildAlert(monitor, 'score-drop', 'warning',
+                    `Compliance dropped ${Math.round(-change.scoreDelta * 100)} points to ${Math.round(change.currentScore * 100)}%`,
+                    {
+                        previousScore: change.baselineScore,
+                        currentScore: change.currentScore,
+                        scoreDelta: change.scoreDelta,
+                        sites: change.sites.filter(site => site.scoreDelta < 0).map(site => site.site)
+                    }, now));
+            }
+
+            const critical = comparison.violations.new.filter(violation => violation.impact === 'critical');
+            if (thresholds.newCritical && critical.length > 0) {
+                alerts.push(this.buildAlert(monitor, 'new-critical', 'critical',
+                    `${critical.length} new critical violation${critical.length === 1 ? '' : 's'}: ${[...new Set(critical.map(v => v.ruleId))].join(', ')}`,
+                    {
+                        violations: critical.map(({ site, ruleId, selector, url, message }) => ({ site, ruleId, selector, url, message }))
+                    }, now));
+            }
+        }
+
+        const vertical = monitor.target.vertical || monitor.scanOptions.vertical;
+        const deadline = complianceDeadline(resolveJurisdictions(monitor.scanOptions.jurisdictions, { vertical }));
+        if (deadline && thresholds.deadlineDays > 0 && !monitor.alertedDeadlines.includes(deadline)) {
+            const daysLeft = Math.ceil((new Date(deadline) - new Date(now)) / DAY_MS);
+            const remaining = activeViolations(report);
+            if (daysLeft >= 0 && daysLeft <= thresholds.deadlineDays && remaining > 0) {
+                alerts.push(this.buildAlert(monitor, 'deadline', daysLeft <= 7 ? 'critical' : 'warning',
+                    `Compliance deadline ${deadline} is ${daysLeft} day${daysLeft === 1 ? '' : 's'} away with ${remaining} violations open`,
+                    { deadline, daysLeft, violations: remaining }, now));
+            }
+        }
+
+        return alerts;
+    }
+
+    buildAlert(monitor, type, severity, message, details, now) {
+        return {
+            monitorId: monitor.id,
+            monitorName: monitor.name,
+            type,
+            severity,
+            message,
+            details,
+            raisedAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Send alerts to every channel; one failing channel doesn't stop the others
+     */
+    async dispatch(monitor, alerts) {
+        if (alerts.length === 0) return;
+
+        for (const config of monitor.channels) {
+            try {
+                await createChannel(config, this.channelOptions).send(alerts, { monitor });
+            } catch (error) {
+                console.warn(`⚠️  Alert channel ${config.type} failed for ${monitor.name}:`, error.message);
+                this.emit('alert:failed', { monitor, channel: config.type, error });
+            }
+        }
+    }
+
+    /**
+     * Check for due monitors now and then every tickInterval
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick().catch(error => console.error('❌ Monitor tick failed:', error.message)), this.tickInterval);
+        return this.tick();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+}
+
+MonitorScheduler.DEFAULT_ALERTS = DEFAULT_ALERTS;
+
+module.exports = MonitorScheduler;
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WCAGAI v4.0 Monitor Store
+ * Keeps monitor definitions, their next run and the previous run's results in a
+ * JSON file (.wcagai-monitors.json) so schedules survive a process restart
+ *
+ * Writes go to a temporary file that is renamed over the old one, so a crash
+ * mid-write never leaves a truncated store.
+ */
+
+const DEFAULT_FILE = '.wcagai-monitors.json';
+
+class MonitorStore {
+    /**
+     * @param {Object} options - { file } path of the store (default ./.wcagai-monitors.json)
+     */
+    constructor(options = {}) {
+        this.file = path.resolve(options.file || DEFAULT_FILE);
+    }
+
+    /**
+     * All monitors, in creation order
+     */
+    list() {
+        if (!fs.existsSync(this.file)) return [];
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return Array.isArray(raw.monitors) ? raw.monitors : [];
+    }
+
+    get(id) {
+        return this.list().find(monitor => monitor.id === id) || null;
+    }
+
+    /**
+     * Insert or replace a monitor by id
+     */
+    save(monitor) {
+        const monitors = this.list();
+        const index = monitors.findIndex(existing => existing.id === monitor.id);
+        if (index >= 0) {
+            monitors[index] = monitor;
+        } else {
+            monitors.push(monitor);
+        }
+        this.write(monitors);
+        return monitor;
+    }
+
+    remove(id) {
+        const monitors = this.list();
+        const remaining = monitors.filter(monitor => monitor.id !== id);
+        this.write(remaining);
+        return remaining.length < monitors.length;
+    }
+
+    write(monitors) {
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify({ monitors }, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+MonitorStore.DEFAULT_FILE = DEFAULT_FILE;
+
+module.exports = MonitorStore;
@@ -0,0 +1,468 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { rankAmong } = require('../analysis/statistics');
+
+/**
+ * WCAGAI v4.0 Benchmark Report Generator
+ * Renders vertical benchmark PDFs and moves BenchmarkReport records
+ * through GENERATING → COMPLETED → DELIVERED (or FAILED when rendering fails)
+ *
+ * Records are stored through a Prisma `benchmarkReport` delegate when a client
+ * is given, otherwise in memory (same create/update/findUnique interface).
+ */
+
+const STATUS = {
+    GENERATING: 'GENERATING',
+    COMPLETED: 'COMPLETED',
+    DELIVERED: 'DELIVERED',
+    EXPIRED: 'EXPIRED',
+    FAILED: 'FAILED'
+};
+
+// Dashboard palette (index.html)
+const DEFAULT_BRAND = {
+    name: 'WCAGAI',
+    tagline: 'Vertical Accessibility Intelligence',
+    primary: '#667eea',
+    secondary: '#764ba2',
+    text: '#1f2937',
+    muted: '#6b7280'
+};
+
+const SCORE_COLORS = [
+    { min: 0.9, label: 'Excellent', color: '#10b981' },
+    { min: 0.7, label: 'Good', color: '#3b82f6' },
+    { min: 0.5, label: 'Fair', color: '#f59e0b' },
+    { min: 0, label: 'Poor', color: '#ef4444' }
+];
+
+const PAGE_MARGIN = 50;
+
+/**
+ * In-memory stand-in for prisma.benchmarkReport
+ */
+class MemoryReportStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async create({ data }) {
+        const record = { id: `rpt_${crypto.randomBytes(8).toString('hex')}`, createdAt: new Date(), completedAt: null, pdfUrl: null, revenue: 0, ...data };
+        this.records.set(record.id, record);
+        return { ...record };
+    }
+
+    async update({ where, data }) {
+        const record = this.records.get(where.id);
+        if (!record) {
+            throw new Error(`Benchmark report ${where.id} not found`);
+        }
+        Object.assign(record, data);
+        return { ...record };
+    }
+
+    async findUnique({ where }) {
+        const record = this.records.get(where.id);
+        return record ? { ...record } : null;
+    }
+}
+
+function scoreBand(score) {
+    return SCORE_COLORS.find(band => score >= band.min) || SCORE_COLORS[SCORE_COLORS.length - 1];
+}
+
+function percent(score) {
+    return score === null || score === undefined ? 'n/a' : `${Math.round(score * 100)}%`;
+}
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return url || 'unknown';
+    }
+}
+
+/**
+ * Customer scan as { url, domain, complianceScore, totalViolations, criticalViolations }
+ * Accepts a direct-mode report ({ scanMode: 'direct', result }) or a scan result
+ */
+function normalizeCustomerScan(customerScan) {
+    if (!customerScan) {
+        throw new Error('A customer scan is required to rank the customer');
+    }
+    const result = customerScan.scanMode === 'direct' ? customerScan.result : customerScan.scanResult || customerScan;
+    const url = customerScan.url || result.url;
+
+    if (typeof result.complianceScore !== 'number') {
+        throw new Error('Customer scan has no complianceScore');
+    }
+
+    return {
+        url,
+        domain: customerScan.domain || domainOf(url),
+        complianceScore: result.complianceScore,
+        totalViolations: result.totalViolations || 0,
+        criticalViolations: result.criticalViolations || 0
+    };
+}
+
+class BenchmarkReportGenerator {
+    /**
+     * @param {Object} options - { prisma, outputDir, baseUrl, brand }
+     */
+    constructor(options = {}) {
+        this.store = options.prisma ? options.prisma.benchmarkReport : new MemoryReportStore();
+        this.outputDir = options.outputDir || process.env.WCAGAI_REPORTS_DIR || path.join(process.cwd(), 'reports');
+        this.baseUrl = options.baseUrl || null;
+        this.brand = { ...DEFAULT_BRAND, ...options.brand };
+    }
+
+    /**
+     * Build the data shown in a report
+     * @param {Object} input - { analysis, results, customerScan, customerName, vertical }
+     * @returns {Object} Report data
+     */
+    buildReportData({ analysis, results = [], customerScan, customerName = null, vertical = null, generatedAt = new Date() }) {
+        if (!analysis) {
+            throw new Error('Benchmark report needs a vertical analysis (generateVerticalAnalysis output)');
+        }
+
+        const customer = normalizeCustomerScan(customerScan);
+        const competitors = results
+            .filter(site => !site.scanError && site.scanResult)
+            .map(site => ({
+                url: site.url,
+                domain: site.domain || domainOf(site.url),
+                complianceScore: site.scanResult.complianceScore,
+                totalViolations: site.scanResult.totalViolations,
+                criticalViolations: site.scanResult.criticalViolations
+            }))
+            .filter(site => site.domain !== customer.domain);
+
+        const sites = [...competitors, { ...customer, isCustomer: true }]
+            .sort((a, b) => b.complianceScore - a.complianceScore || a.domain.localeCompare(b.domain))
+            .map(site => ({ ...site, rank: rankAmong(site.complianceScore, competitors.concat(customer).map(s => s.complianceScore)).position }));
+
+        const { position } = rankAmong(customer.complianceScore, competitors.map(site => site.complianceScore));
+        const resolvedVertical = vertical || analysis.vertical;
+
+        return {
+            title: `${resolvedVertical.charAt(0).toUpperCase()}${resolvedVertical.slice(1)} Accessibility Benchmark`,
+            vertical: resolvedVertical,
+            generatedAt: new Date(generatedAt),
+            customer: { ...customer, name: customerName || customer.domain },
+            sitesAnalyzed: analysis.successfulScans ?? competitors.length,
+            avgCompliance: analysis.averageComplianceScore ?? (analysis.averageCompliance || 0) / 100,
+            bestScore: sites.length > 0 ? sites[0].complianceScore : null,
+            distribution: analysis.complianceDistribution || {},
+            topIssues: analysis.topIssues || [],
+            totalViolations: analysis.totalViolations || 0,
+            criticalViolations: analysis.criticalViolations || 0,
+            sites,
+            ranking: { position, of: competitors.length + 1 }
+        };
+    }
+
+    /**
+     * Create a report record, render the PDF and mark it COMPLETED (FAILED if rendering throws)
+     * @param {Object} input - buildReportData input plus { customerId, price, description }
+     * @returns {Promise<Object>} Completed BenchmarkReport record
+     */
+    async generate(input) {
+        const data = this.buildReportData(input);
+
+        const record = await this.store.create({
+            data: {
+                customerId: input.customerId,
+                vertical: data.vertical,
+                title: data.title,
+                description: input.description || `${data.sitesAnalyzed} ${data.vertical} sites benchmarked against ${data.customer.domain}`,
+                sitesAnalyzed: data.sitesAnalyzed,
+                avgCompliance: data.avgCompliance,
+                topIssues: data.topIssues,
+                competitiveRanking: data.ranking.position,
+                price: input.price || 0,
+                status: STATUS.GENERATING
+            }
+        });
+
+        console.log(`📄 Generating benchmark report ${record.id}: ${data.title}`);
+
+        try {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+            const fileName = `${record.id}.pdf`;
+            const filePath = path.join(this.outputDir, fileName);
+            const { pages } = await this.renderPdf(data, filePath);
+
+            const completed = await this.store.update({
+                where: { id: record.id },
+                data: {
+                    status: STATUS.COMPLETED,
+                    pdfUrl: this.baseUrl ? `${this.baseUrl.replace(/\/$/, '')}/${fileName}` : filePath,
+                    completedAt: new Date()
+                }
+            });
+
+            console.log(`✅ Benchmark report ${record.id} completed (${pages} pages)`);
+            return { ...completed, filePath, pages };
+
+        } catch (error) {
+            console.error(`❌ Benchmark report ${record.id} failed:`, error.message);
+            await this.store.update({ where: { id: record.id }, data: { status: STATUS.FAILED } });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a completed report as delivered to the customer
+     */
+    async markDelivered(reportId, { revenue = null } = {}) {
+        const record = await this.store.findUnique({ where: { id: reportId } });
+        if (!record) {
+            throw new Error(`Benchmark report ${reportId} not found`);
+        }
+        if (record.status !== STATUS.COMPLETED) {
+            throw new Error(`Benchmark report ${reportId} is ${record.status}, only COMPLETED reports can be delivered`);
+        }
+
+        return this.store.update({
+            where: { id: reportId },
+            data: { status: STATUS.DELIVERED, revenue: revenue ?? record.price }
+        });
+    }
+
+    /**
+     * Render the report PDF
+     * @returns {Promise<Object>} { filePath, pages }
+     */
+    renderPdf(data, filePath) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: PAGE_MARGIN,
+                bufferPages: true,
+                info: {
+                    Title: data.title,
+                    Author: this.brand.name,
+                    Subject: `Prepared for ${data.customer.name}`,
+                    CreationDate: data.generatedAt
+                }
+            });
+
+            let pages = 0;
+            const stream = fs.createWriteStream(filePath);
+            stream.on('finish', () => resolve({ filePath, pages }));
+            stream.on('error', reject);
+            doc.on('error', reject);
+            doc.pipe(stream);
+
+            this.renderCover(doc, data);
+            this.renderSummary(doc, data);
+            this.renderSiteTable(doc, data);
+            this.renderTopIssues(doc, data);
+
+            pages = doc.bufferedPageRange().count;
+            this.renderFooters(doc, data, pages);
+            doc.end();
+        });
+    }
+
+    renderCover(doc, data) {
+        const { brand } = this;
+        const width = doc.page.width;
+
+        doc.rect(0, 0, width, 260).fill(brand.primary);
+        doc.rect(0, 250, width, 10).fill(brand.secondary);
+
+        doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(14)
+            .text(brand.name.toUpperCase(), PAGE_MARGIN, 60, { characterSpacing: 2 });
+        doc.font('Helvetica').fontSize(10).text(brand.tagline);
+        doc.font('Helvetica-Bold').fontSize(28).text(data.title, PAGE_MARGIN, 140, { width: width - PAGE_MARGIN * 2 });
+
+        doc.fillColor(brand.text).font('Helvetica').fontSize(12)
+            .text(`Prepared for ${data.customer.name}`, PAGE_MARGIN, 300)
+            .text(`Generated ${data.generatedAt.toISOString().slice(0, 10)}`)
+            .text(`${data.sitesAnalyzed} sites analysed`);
+
+        const boxes = [
+            { label: 'Your score', value: percent(data.customer.complianceScore), color: scoreBand(data.customer.complianceScore).color },
+            { label: 'Vertical average', value: percent(data.avgCompliance), color: brand.primary },
+            { label: 'Your ranking', value: `#${data.ranking.position} of ${data.ranking.of}`, color: brand.secondary }
+        ];
+        const boxWidth = (width - PAGE_MARGIN * 2 - 20) / 3;
+        boxes.forEach((box, i) => {
+            const x = PAGE_MARGIN + i * (boxWidth + 10);
+            doc.roundedRect(x, 400, boxWidth, 80, 6).fill('#f3f4f6');
+            doc.fillColor(box.color).font('Helvetica-Bold').fontSize(22).text(box.value, x, 418, { width: boxWidth, align: 'center' });
+            doc.fillColor(brand.muted).font('Helvetica').fontSize(10).text(box.label, x, 450, { width: boxWidth, align: 'center' });
+        });
+    }
+
+    renderSummary(doc, data) {
+        doc.addPage();
+        this.heading(doc, 'Executive summary');
+
+        const gap = data.customer.complianceScore - data.avgCompliance;
+        doc.fillColor(this.brand.text).font('Helvetica').fontSize(11).text(
+            `${data.customer.name} scores ${percent(data.customer.complianceScore)}, ` +
+            `${Math.abs(Math.round(gap * 100))} points ${gap >= 0 ? 'above' : 'below'} the ${data.vertical} average of ${percent(data.avgCompliance)}, ` +
+            `and ranks #${data.ranking.position} of ${data.ranking.of} sites. ` +
+            `Across the vertical we found ${data.totalViolations} violations, ${data.criticalViolations} of them critical.`,
+            { width: doc.page.width - PAGE_MARGIN * 2 }
+        );
+
+        doc.moveDown(2);
+        this.subheading(doc, 'Compliance distribution');
+        this.barChart(doc, SCORE_COLORS.map(band => ({
+            label: band.label,
+            value: data.distribution[band.label.toLowerCase()] || 0,
+            color: band.color
+        })), { height: 160, format: value => String(value) });
+
+        doc.moveDown(2);
+        this.subheading(doc, 'How you compare');
+        this.barChart(doc, [
+            { label: 'You', value: data.customer.complianceScore, color: scoreBand(data.customer.complianceScore).color },
+            { label: 'Average', value: data.avgCompliance, color: this.brand.primary },
+            { label: 'Best', value: data.bestScore || 0, color: '#10b981' }
+        ], { height: 160, max: 1, format: percent });
+    }
+
+    renderSiteTable(doc, data) {
+        doc.addPage();
+        this.heading(doc, 'Site rankings');
+
+        const columns = [
+            { label: '#', width: 35, value: site => String(site.rank) },
+            { label: 'Site', width: 235, value: site => site.isCustomer ? `${site.domain} (you)` : site.domain },
+            { label: 'Score', width: 70, value: site => percent(site.complianceScore) },
+            { label: 'Violations', width: 80, value: site => String(site.totalViolations) },
+            { label: 'Critical', width: 75, value: site => String(site.criticalViolations) }
+        ];
+        this.table(doc, columns, data.sites, {
+            rowColor: site => site.isCustomer ? '#ede9fe' : null
+        });
+    }
+
+    renderTopIssues(doc, data) {
+        doc.addPage();
+        this.heading(doc, 'Top issues');
+
+        if (data.topIssues.length === 0) {
+            doc.fillColor(this.brand.muted).font('Helvetica').fontSize(11).text('No violations were found across the vertical.');
+            return;
+        }
+
+        this.barChart(doc, data.topIssues.map(issue => ({
+            label: issue.category,
+            value: issue.count,
+            color: issue.severity === 'high' ? '#ef4444' : issue.severity === 'medium' ? '#f59e0b' : '#3b82f6'
+        })), { height: 180, format: value => String(value) });
+
+        doc.moveDown(2);
+        this.table(doc, [
+            { label: 'Category', width: 300, value: issue => issue.category },
+            { label: 'Severity', width: 100, value: issue => issue.severity },
+            { label: 'Occurrences', width: 95, value: issue => String(issue.count) }
+        ], data.topIssues);
+    }
+
+    renderFooters(doc, data, pages) {
+        for (let i = 0; i < pages; i++) {
+            doc.switchToPage(i);
+            const y = doc.page.height - PAGE_MARGIN + 15;
+            // Writing inside the bottom margin would otherwise add a page
+            doc.page.margins.bottom = 0;
+            doc.fillColor(this.brand.muted).font('Helvetica').fontSize(8)
+                .text(`${this.brand.name} · ${data.title} · Confidential`, PAGE_MARGIN, y, { lineBreak: false })
+                .text(`Page ${i + 1} of ${pages}`, PAGE_MARGIN, y, { width: doc.page.width - PAGE_MARGIN * 2, align: 'right', lineBreak: false });
+            doc.page.margins.bottom = PAGE_MARGIN;
+        }
+    }
+
+    heading(doc, text) {
+        doc.fillColor(this.brand.primary).font('Helvetica-Bold').fontSize(20).text(text, PAGE_MARGIN, PAGE_MARGIN);
+        doc.moveTo(PAGE_MARGIN, doc.y + 4).lineTo(doc.page.width - PAGE_MARGIN, doc.y + 4).lineWidth(1).strokeColor(this.brand.secondary).stroke();
+        doc.moveDown(1.5);
+    }
+
+    subheading(doc, text) {
+        doc.fillColor(this.brand.text).font('Helvetica-Bold').fontSize(13).text(text, PAGE_MARGIN);
+        doc.moveDown(0.5);
+    }
+
+    /**
+     * Vertical bar chart at the current position
+     */
+    barChart(doc, bars, { height = 150, max = null, format = String } = {}) {
+        const width = doc.page.width - PAGE_MARGIN * 2;
+        if (doc.y + height + 40 > doc.page.height - PAGE_MARGIN) doc.addPage();
+
+        const top = doc.y;
+        const baseline = top + height;
+        const scaleMax = max || Math.max(1, ...bars.map(bar => bar.value));
+        const slot = width / bars.length;
+        const barWidth = Math.min(70, slot * 0.6);
+
+        doc.moveTo(PAGE_MARGIN, baseline).lineTo(PAGE_MARGIN + width, baseline).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+
+        bars.forEach((bar, i) => {
+            const barHeight = Math.max(1, (bar.value / scaleMax) * (height - 20));
+            const x = PAGE_MARGIN + i * slot + (slot - barWidth) / 2;
+            doc.rect(x, baseline - barHeight, barWidth, barHeight).fill(bar.color);
+            doc.fillColor(this.brand.text).font('Helvetica-Bold').fontSize(9)
+                .text(format(bar.value), x - 10, baseline - barHeight - 14, { width: barWidth + 20, align: 'center' });
+            doc.fillColor(this.brand.muted).font('Helvetica').fontSize(9)
+                .text(bar.label, PAGE_MARGIN + i * slot, baseline + 6, { width: slot, align: 'center', height: 24, ellipsis: true });
+        });
+
+        doc.x = PAGE_MARGIN;
+        doc.y = baseline + 34;
+    }
+
+    /**
+     * Table that repeats its header row on every page it spans
+     */
+    table(doc, columns, rows, { rowColor = () => null } = {}) {
+        const rowHeight = 20;
+        const width = columns.reduce((sum, column) => sum + column.width, 0);
+        const bottom = () => doc.page.height - PAGE_MARGIN - rowHeight;
+
+        const drawRow = (cells, y, { bold = false, fill = null } = {}) => {
+            if (fill) doc.rect(PAGE_MARGIN, y, width, rowHeight).fill(fill);
+            let x = PAGE_MARGIN;
+            doc.fillColor(bold ? '#ffffff' : this.brand.text).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            cells.forEach((cell, i) => {
+                doc.text(cell, x + 6, y + 6, { width: columns[i].width - 12, height: rowHeight - 6, ellipsis: true, lineBreak: false });
+                x += columns[i].width;
+            });
+        };
+        const drawHeader = y => drawRow(columns.map(column => column.label), y, { bold: true, fill: this.brand.primary });
+
+        let y = doc.y;
+        drawHeader(y);
+        y += rowHeight;
+
+        rows.forEach((row, index) => {
+            if (y > bottom()) {
+                doc.addPage();
+                y = PAGE_MARGIN;
+                drawHeader(y);
+                y += rowHeight;
+            }
+            drawRow(columns.map(column => column.value(row)), y, { fill: rowColor(row) || (index % 2 ? '#f9fafb' : null) });
+            y += rowHeight;
+        });
+
+        doc.x = PAGE_MARGIN;
+        doc.y = y + 10;
+    }
+}
+
+BenchmarkReportGenerator.STATUS = STATUS;
+BenchmarkReportGenerator.MemoryReportStore = MemoryReportStore;
+
+module.exports = BenchmarkReportGenerator;
@@ -0,0 +1,202 @@
+/**
+ * WCAGAI v4.0 DOCX Writer
+ * Minimal WordprocessingML (.docx) builder for headings, paragraphs and tables
+ *
+ * Produces a standard Office Open XML package (stored zip) that Word,
+ * LibreOffice and Google Docs open and edit.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip files without compression
+ * @param {Array} files - [{ name, data: string|Buffer }]
+ * @param {Date} date - Modification time stamped on every entry
+ * @returns {Buffer} Zip archive
+ */
+function zipStore(files, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    });
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Text run; newlines become line breaks
+ */
+function run(text, { bold = false } = {}) {
+    const props = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+    return String(text === null || text === undefined ? '' : text)
+        .split('\n')
+        .map((line, i) => `${i > 0 ? '<w:r><w:br/></w:r>' : ''}<w:r>${props}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+        .join('');
+}
+
+function paragraph(text, { style = null, bold = false } = {}) {
+    const props = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${props}${run(text, { bold })}</w:p>`;
+}
+
+function table({ header, rows, widths = null }) {
+    const columnWidths = widths || header.map(() => Math.floor(9000 / header.length));
+    const cell = (text, i, bold, shade) => `<w:tc><w:tcPr><w:tcW w:w="${columnWidths[i]}" w:type="dxa"/>` +
+        `${shade ? '<w:shd w:val="clear" w:color="auto" w:fill="E0E7FF"/>' : ''}</w:tcPr>${paragraph(text, { bold })}</w:tc>`;
+
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>' +
+        `<w:tblGrid>${columnWidths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+        `<w:tr><w:trPr><w:tblHeader/></w:trPr>${header.map((text, i) => cell(text, i, true, true)).join('')}</w:tr>` +
+        rows.map(row => `<w:tr>${row.map((text, i) => cell(text, i, false, false)).join('')}</w:tr>`).join('') +
+        '</w:tbl>' + paragraph('');
+}
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="20"/></w:rPr></w:rPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:spacing w:after="80"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:qFormat/><w:rPr><w:b/><w:sz w:val="40"/><w:color w:val="4338CA"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/><w:color w:val="4338CA"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/><w:left w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/><w:right w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="9CA3AF"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+/**
+ * Build a .docx document
+ * @param {Array} blocks - [{ type: 'title'|'heading'|'paragraph'|'table', ... }]
+ * @param {Object} meta - { title, author, date }
+ * @returns {Buffer} DOCX file contents
+ */
+function buildDocx(blocks, meta = {}) {
+    const date = meta.date ? new Date(meta.date) : new Date();
+
+    const body = blocks.map(block => {
+        switch (block.type) {
+            case 'title': return paragraph(block.text, { style: 'Title' });
+            case 'heading': return paragraph(block.text, { style: block.level === 2 ? 'Heading2' : 'Heading1' });
+            case 'table': return table(block);
+            default: return paragraph(block.text, { bold: block.bold });
+        }
+    }).join('');
+
+    const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        body +
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+
+    const core = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(meta.title)}</dc:title><dc:creator>${escapeXml(meta.author || 'WCAGAI')}</dc:creator>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${date.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>` +
+        '</cp:coreProperties>';
+
+    return zipStore([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+                '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        { name: 'word/document.xml', data: document },
+        { name: 'word/styles.xml', data: STYLES },
+        { name: 'docProps/core.xml', data: core }
+    ], date);
+}
+
+module.exports = { buildDocx, zipStore, crc32 };
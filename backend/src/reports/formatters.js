@@ -0,0 +1,48 @@
+const { toSarif } = require('./sarif');
+const { toJUnit } = require('./junit');
+const { buildAcr, renderAcrHtml, renderAcrDocx } = require('./vpat');
+
+/**
+ * WCAGAI v4.0 Report Formatters
+ * Serialises scanner results for `--format` (json, sarif, junit, vpat, vpat-docx)
+ */
+
+const FORMATS = {
+    json: {
+        extension: 'json',
+        serialize: report => JSON.stringify(report, null, 2)
+    },
+    sarif: {
+        extension: 'sarif',
+        serialize: (report, options) => JSON.stringify(toSarif(report, options), null, 2)
+    },
+    junit: {
+        extension: 'xml',
+        serialize: report => toJUnit(report)
+    },
+    vpat: {
+        extension: 'html',
+        serialize: (report, options) => renderAcrHtml(buildAcr(report, options))
+    },
+    'vpat-docx': {
+        extension: 'docx',
+        serialize: (report, options) => renderAcrDocx(buildAcr(report, options))
+    }
+};
+
+/**
+ * Serialise a scan report
+ * @param {Object} report - Result of WCAGAIV4Scanner.scan()
+ * @param {string} format - json, sarif, junit, vpat or vpat-docx
+ * @param {Object} options - Serializer options
+ * @returns {string|Buffer} Serialised report (a Buffer for vpat-docx)
+ */
+function formatReport(report, format = 'json', options = {}) {
+    const formatter = FORMATS[String(format).toLowerCase()];
+    if (!formatter) {
+        throw new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return formatter.serialize(report, options);
+}
+
+module.exports = { FORMATS, formatReport };
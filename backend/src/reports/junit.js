@@ -0,0 +1,142 @@
+const { rules } = require('../scanner/rules');
+const { listReportSites } = require('./reportSites');
+const { formatCriterion, isInScope } = require('../compliance/wcagCatalog');
+
+/**
+ * WCAGAI v4.0 JUnit Serializer
+ * Converts scan results to JUnit XML: one testsuite per page (or per site when
+ * it wasn't crawled) and one testcase per rule in the scan's target level and version
+ */
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // XML 1.0 forbids most control characters
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function attributes(attrs) {
+    return Object.entries(attrs)
+        .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+        .join(' ');
+}
+
+/**
+ * Split a site into testsuites: one per crawled page, otherwise the site itself
+ */
+function siteSuites(site) {
+    const scanResult = site.scanResult;
+    if (!scanResult) {
+        return [{ name: site.name, url: site.url, error: site.error, violations: [], suppressed: [] }];
+    }
+
+    const pages = scanResult.pages && scanResult.pages.length > 1 ? scanResult.pages : [{ url: scanResult.url || site.url }];
+    const onPage = (violation, page) => pages.length === 1 || violation.url === page.url;
+    const conformance = { level: scanResult.wcagLevel, version: scanResult.wcagVersion };
+
+    return pages.map(page => ({
+        name: pages.length > 1 ? `${site.name} ${page.url}` : site.name,
+        url: page.url,
+        error: null,
+        conformance,
+        violations: scanResult.violations.filter(v => onPage(v, page)),
+        suppressed: (scanResult.suppressedViolations || []).filter(v => onPage(v, page))
+    }));
+}
+
+/**
+ * Render one testsuite
+ * @returns {Object} { lines, tests, failures, errors, skipped }
+ */
+function renderSuite(suite, timestamp) {
+    if (suite.error) {
+        return {
+            tests: 1, failures: 0, errors: 1, skipped: 0,
+            lines: [
+                `  <testsuite ${attributes({ name: suite.name, tests: 1, failures: 0, errors: 1, skipped: 0, timestamp })}>`,
+                `    <testcase ${attributes({ classname: suite.name, name: 'scan' })}>`,
+                `      <error ${attributes({ message: suite.error })}/>`,
+                '    </testcase>',
+                '  </testsuite>'
+            ]
+        };
+    }
+
+    let failures = 0;
+    let skipped = 0;
+
+    // Rules with no criteria in scope didn't run, so they aren't passing tests
+    const inScope = rules
+        .map(rule => ({ rule, criteria: rule.wcag.filter(id => isInScope(id, suite.conformance)) }))
+        .filter(({ criteria }) => criteria.length > 0);
+
+    const cases = inScope.map(({ rule, criteria }) => {
+        const failed = suite.violations.filter(v => v.ruleId === rule.id);
+        const suppressed = suite.suppressed.filter(v => v.ruleId === rule.id);
+        const open = `    <testcase ${attributes({ classname: suite.name, name: `${rule.id}: ${rule.help}` })}`;
+
+        if (failed.length > 0) {
+            failures++;
+            const details = failed.map(v => `${v.selector}\n  ${v.message}\n  ${v.html}`).join('\n\n');
+            return [
+                `${open}>`,
+                `      <failure ${attributes({ message: `${failed.length} elements fail WCAG ${criteria.map(formatCriterion).join('; ')}`, type: rule.impact })}>${escapeXml(details)}</failure>`,
+                '    </testcase>'
+            ].join('\n');
+        }
+
+        if (suppressed.length > 0) {
+            skipped++;
+            return [
+                `${open}>`,
+                `      <skipped ${attributes({ message: `Suppressed: ${suppressed[0].suppression.reason}` })}/>`,
+                '    </testcase>'
+            ].join('\n');
+        }
+
+        return `${open}/>`;
+    });
+
+    return {
+        tests: cases.length, failures, errors: 0, skipped,
+        lines: [
+            `  <testsuite ${attributes({ name: suite.name, tests: cases.length, failures, errors: 0, skipped, timestamp })}>`,
+            `    <properties><property ${attributes({ name: 'url', value: suite.url })}/></properties>`,
+            ...cases,
+            '  </testsuite>'
+        ]
+    };
+}
+
+/**
+ * Serialise a scan report to JUnit XML
+ * @param {Object} report - Result of WCAGAIV4Scanner.scan()
+ * @returns {string} JUnit XML document
+ */
+function toJUnit(report) {
+    const timestamp = report.completedAt || new Date().toISOString();
+    const suites = listReportSites(report)
+        .flatMap(siteSuites)
+        .map(suite => renderSuite(suite, timestamp));
+    const total = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${attributes({
+            name: 'WCAGAI accessibility scan',
+            tests: total('tests'),
+            failures: total('failures'),
+            errors: total('errors'),
+            skipped: total('skipped')
+        })}>`,
+        ...suites.flatMap(suite => suite.lines),
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { toJUnit, escapeXml };
@@ -0,0 +1,44 @@
+/**
+ * WCAGAI v4.0 Report Sites
+ * Flattens any scanner report (direct, local or discovery mode) into a list of scanned sites
+ */
+
+/**
+ * @param {Object} report - Result of WCAGAIV4Scanner.scan()
+ * @returns {Array<Object>} Sites as { name, url, scanResult, error }
+ */
+function listReportSites(report) {
+    if (!report) {
+        throw new Error('No scan report to serialise');
+    }
+
+    if (report.scanMode === 'direct') {
+        return [{
+            name: siteName(report.url),
+            url: report.url,
+            scanResult: report.result,
+            error: null
+        }];
+    }
+
+    if (Array.isArray(report.results)) {
+        return report.results.map(site => ({
+            name: site.domain || siteName(site.url),
+            url: site.url,
+            scanResult: site.scanError ? null : site.scanResult,
+            error: site.scanError || null
+        }));
+    }
+
+    throw new Error('Unrecognised scan report: expected direct, local or discovery results');
+}
+
+function siteName(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '') || url;
+    } catch (error) {
+        return url || 'unknown';
+    }
+}
+
+module.exports = { listReportSites };
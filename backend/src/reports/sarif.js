@@ -0,0 +1,141 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { rules } = require('../scanner/rules');
+const { listReportSites } = require('./reportSites');
+const { getCriterion, formatCriterion } = require('../compliance/wcagCatalog');
+const { version } = require('../../../package.json');
+
+/**
+ * WCAGAI v4.0 SARIF Serializer
+ * Converts scan results to SARIF 2.1.0 for code-scanning UIs
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// axe-core impact → SARIF result level
+const IMPACT_LEVELS = {
+    critical: 'error',
+    serious: 'error',
+    moderate: 'warning',
+    minor: 'note'
+};
+
+/**
+ * Artifact URI for a page: repo-relative path for local files, the URL otherwise
+ */
+function artifactUri(url, cwd) {
+    if (url && url.startsWith('file:')) {
+        return path.relative(cwd, fileURLToPath(url)).split(path.sep).join('/');
+    }
+    return url || 'about:blank';
+}
+
+/**
+ * SARIF reportingDescriptor for a rule
+ */
+function ruleDescriptor(rule) {
+    const criterion = getCriterion(rule.wcag[0]);
+
+    return {
+        id: rule.id,
+        name: rule.id.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase()),
+        shortDescription: { text: rule.help },
+        fullDescription: { text: `${rule.help} (WCAG ${rule.wcag.map(formatCriterion).join('; ')})` },
+        help: { text: rule.help },
+        helpUri: criterion ? criterion.understandingUrl : undefined,
+        defaultConfiguration: { level: IMPACT_LEVELS[rule.impact] || 'warning' },
+        properties: {
+            category: rule.category,
+            impact: rule.impact,
+            wcag: rule.wcag,
+            wcagLevel: criterion ? criterion.level : null,
+            tags: ['accessibility', ...rule.wcag.map(id => `wcag${id.replace(/\./g, '')}`)]
+        }
+    };
+}
+
+/**
+ * SARIF result for a violation
+ */
+function violationResult(violation, ruleIndex, cwd) {
+    const result = {
+        ruleId: violation.ruleId,
+        ruleIndex,
+        level: IMPACT_LEVELS[violation.impact] || 'warning',
+        message: { text: `${violation.message} (${violation.successCriterion})` },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: artifactUri(violation.url, cwd) }
+            },
+            logicalLocations: [{
+                fullyQualifiedName: violation.selector,
+                kind: 'element'
+            }]
+        }],
+        partialFingerprints: {
+            'wcagaiFingerprint/v1': violation.fingerprint
+        },
+        properties: {
+            impact: violation.impact,
+            wcagCriteria: violation.wcagCriteria,
+            successCriterion: violation.successCriterion,
+            snippet: violation.html
+        }
+    };
+
+    if (violation.suppression) {
+        result.suppressions = [{
+            kind: 'external',
+            justification: `${violation.suppression.reason} (expires ${violation.suppression.expires})`
+        }];
+    }
+
+    return result;
+}
+
+/**
+ * Serialise a scan report to a SARIF 2.1.0 log
+ * @param {Object} report - Result of WCAGAIV4Scanner.scan()
+ * @param {Object} options - { cwd } base directory for local file URIs
+ * @returns {Object} SARIF log
+ */
+function toSarif(report, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const sites = listReportSites(report);
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    const results = sites
+        .filter(site => site.scanResult)
+        .flatMap(site => [
+            ...site.scanResult.violations,
+            ...(site.scanResult.suppressedViolations || [])
+        ])
+        .map(violation => violationResult(violation, ruleIndex.get(violation.ruleId), cwd));
+
+    const failedSites = sites.filter(site => site.error);
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'WCAGAI',
+                    version,
+                    informationUri: 'https://www.w3.org/WAI/standards-guidelines/wcag/',
+                    rules: rules.map(ruleDescriptor)
+                }
+            },
+            invocations: [{
+                executionSuccessful: failedSites.length === 0,
+                toolExecutionNotifications: failedSites.map(site => ({
+                    level: 'error',
+                    message: { text: `Scan failed for ${site.name}: ${site.error}` }
+                }))
+            }],
+            results
+        }]
+    };
+}
+
+module.exports = { toSarif };
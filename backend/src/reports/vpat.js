@@ -0,0 +1,421 @@
+const { rules } = require('../scanner/rules');
+const { listReportSites } = require('./reportSites');
+const { buildDocx } = require('./docxWriter');
+const { getCriteria, normalizeConformance, isInScope } = require('../compliance/wcagCatalog');
+
+/**
+ * WCAGAI v4.0 Accessibility Conformance Report (VPAT 2.x)
+ * Builds an ACR from scan results using the rule → success criterion mapping,
+ * and renders it as HTML or DOCX
+ *
+ * Editions:
+ *   wcag      - WCAG 2.x Level A / AA (and AAA when targeted) tables
+ *   508       - Revised Section 508: WCAG 2.0 A / AA plus Chapter 3 criteria
+ *   en301549  - EN 301 549 V3.2.1: Clause 9 (WCAG 2.1 A / AA) plus Clause 4
+ *
+ * Criteria no automated rule covers are "Not Evaluated" until a reviewer
+ * fills them in through `overrides`. So are covered criteria outside the
+ * scanned level/version, and ones whose checks matched nothing or couldn't be
+ * judged from markup: "Not Applicable" is only generated when every covering
+ * rule proves the content is absent (see `provesAbsence` in rules.js).
+ */
+
+const TERMS = {
+    SUPPORTS: 'Supports',
+    PARTIALLY_SUPPORTS: 'Partially Supports',
+    DOES_NOT_SUPPORT: 'Does Not Support',
+    NOT_APPLICABLE: 'Not Applicable',
+    NOT_EVALUATED: 'Not Evaluated'
+};
+
+const EDITIONS = {
+    wcag: {
+        name: 'VPAT® 2.5 WCAG',
+        standards: target => [`Web Content Accessibility Guidelines ${target.version}`]
+    },
+    508: {
+        name: 'VPAT® 2.5 Section 508',
+        standards: () => ['Revised Section 508 standards (36 CFR 1194), incorporating WCAG 2.0']
+    },
+    en301549: {
+        name: 'VPAT® 2.5 EU',
+        standards: () => ['EN 301 549 V3.2.1 (2021-03), incorporating WCAG 2.1']
+    }
+};
+
+// Revised 508 Chapter 3 and EN 301 549 Clause 4 need manual evaluation
+const SECTION_508_FPC = [
+    ['302.1', 'Without Vision'],
+    ['302.2', 'With Limited Vision'],
+    ['302.3', 'Without Perception of Color'],
+    ['302.4', 'Without Hearing'],
+    ['302.5', 'With Limited Hearing'],
+    ['302.6', 'Without Speech'],
+    ['302.7', 'With Limited Manipulation'],
+    ['302.8', 'With Limited Reach and Strength'],
+    ['302.9', 'With Limited Language, Cognitive, and Learning Abilities']
+];
+
+const EN_301_549_FPS = [
+    ['4.2.1', 'Usage without vision'],
+    ['4.2.2', 'Usage with limited vision'],
+    ['4.2.3', 'Usage without perception of colour'],
+    ['4.2.4', 'Usage without hearing'],
+    ['4.2.5', 'Usage with limited hearing'],
+    ['4.2.6', 'Usage with no or limited vocal capability'],
+    ['4.2.7', 'Usage with limited manipulation or strength'],
+    ['4.2.8', 'Usage with limited reach'],
+    ['4.2.9', 'Minimize photosensitive seizure triggers'],
+    ['4.2.10', 'Usage with limited cognition, language or learning'],
+    ['4.2.11', 'Privacy']
+];
+
+const MANUAL_REMARK = 'Not covered by automated testing; requires manual evaluation.';
+
+/**
+ * Per-criterion evidence gathered from every scanned site
+ */
+function collectEvidence(sites) {
+    const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+    const evidence = new Map();
+    const entry = id => {
+        if (!evidence.has(id)) {
+            evidence.set(id, {
+                rules: new Set(), provesAbsence: true, passed: 0, failed: 0, incomplete: 0, suppressed: 0,
+                sitesChecked: 0, sitesUnchecked: 0, examples: [], messages: new Map()
+            });
+        }
+        return evidence.get(id);
+    };
+
+    // Every criterion an automated rule maps to
+    rules.forEach(rule => rule.wcag.forEach(id => {
+        entry(id).rules.add(rule.id);
+        entry(id).provesAbsence = entry(id).provesAbsence && Boolean(rule.provesAbsence);
+    }));
+
+    sites.filter(site => site.scanResult).forEach(site => {
+        const result = site.scanResult;
+        // Rules only ran for criteria in the scan's target, and only reports with
+        // per-rule results show which rules ran at all
+        const target = normalizeConformance({ level: result.wcagLevel, version: result.wcagVersion });
+        evidence.forEach((item, id) => {
+            if (result.ruleResults && isInScope(id, target)) item.sitesChecked++;
+            else item.sitesUnchecked++;
+        });
+
+        const findings = [...result.violations, ...(result.suppressedViolations || [])];
+        const ruleResults = result.ruleResults ||
+            // Older reports: infer failures from the violations alone
+            [...new Set(findings.map(v => v.ruleId))].map(ruleId => ({
+                ruleId,
+                passed: 0,
+                failed: findings.filter(v => v.ruleId === ruleId).length
+            }));
+
+        ruleResults.forEach(ruleResult => {
+            const rule = rulesById.get(ruleResult.ruleId);
+            if (!rule) return;
+            (ruleResult.wcag || rule.wcag).forEach(id => {
+                entry(id).passed += ruleResult.passed;
+                entry(id).failed += ruleResult.failed;
+                entry(id).incomplete += ruleResult.incomplete || 0;
+            });
+        });
+
+        findings.forEach(violation => {
+            const criteria = violation.wcagCriteria || rulesById.get(violation.ruleId)?.wcag || [];
+            criteria.forEach(id => {
+                const item = entry(id);
+                if (violation.suppression) item.suppressed++;
+                item.messages.set(violation.message, (item.messages.get(violation.message) || 0) + 1);
+                if (item.examples.length < 3) {
+                    item.examples.push(`${violation.selector} (${violation.url || site.url})`);
+                }
+            });
+        });
+    });
+
+    return evidence;
+}
+
+/**
+ * Conformance term and generated remark for one criterion
+ */
+function assessCriterion(evidence) {
+    if (!evidence || evidence.rules.size === 0) {
+        return { conformance: TERMS.NOT_EVALUATED, remarks: MANUAL_REMARK };
+    }
+
+    const ruleList = [...evidence.rules].join(', ');
+    const total = evidence.passed + evidence.failed;
+
+    if (evidence.failed === 0) {
+        if (evidence.sitesUnchecked > 0) {
+            return { conformance: TERMS.NOT_EVALUATED, remarks: 'Outside the scanned WCAG level and version; requires manual evaluation.' };
+        }
+        if (evidence.incomplete > 0) {
+            return {
+                conformance: TERMS.NOT_EVALUATED,
+                remarks: `${evidence.passed} automated checks passed and ${evidence.incomplete} could not be decided from markup (${ruleList}); requires manual evaluation.`
+            };
+        }
+        if (total === 0) {
+            return evidence.provesAbsence
+                ? { conformance: TERMS.NOT_APPLICABLE, remarks: `No applicable content found (checked by ${ruleList}).` }
+                : { conformance: TERMS.NOT_EVALUATED, remarks: `No content matched the automated checks (${ruleList}); requires manual evaluation.` };
+        }
+        return { conformance: TERMS.SUPPORTS, remarks: `All ${total} automated checks passed (${ruleList}). Manual review recommended.` };
+    }
+
+    const issues = [...evidence.messages.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([message, count]) => `${message} (${count})`)
+        .join('; ');
+    const remarks = [
+        `${evidence.failed} of ${total} automated checks failed: ${issues}.`,
+        evidence.examples.length > 0 ? `Examples: ${evidence.examples.join(', ')}.` : null,
+        evidence.suppressed > 0 ? `Includes ${evidence.suppressed} known exceptions from the suppression baseline.` : null
+    ].filter(Boolean).join(' ');
+
+    return {
+        conformance: evidence.passed > 0 ? TERMS.PARTIALLY_SUPPORTS : TERMS.DOES_NOT_SUPPORT,
+        remarks
+    };
+}
+
+/**
+ * Table rows for a set of WCAG criteria
+ */
+function criterionRows(criteria, evidence, overrides, prefix = '') {
+    return criteria.map(criterion => {
+        const id = `${prefix}${criterion.id}`;
+        const assessed = assessCriterion(evidence.get(criterion.id));
+        const override = overrides[id] || overrides[criterion.id] || {};
+        const item = evidence.get(criterion.id);
+
+        return {
+            id,
+            criterionId: criterion.id,
+            title: `${id} ${criterion.name}`,
+            level: criterion.level,
+            conformance: override.conformance || assessed.conformance,
+            remarks: override.remarks || assessed.remarks,
+            automated: Boolean(item && item.rules.size > 0),
+            edited: Boolean(override.conformance || override.remarks),
+            evidence: item ? { rules: [...item.rules], passed: item.passed, failed: item.failed } : null
+        };
+    });
+}
+
+function manualRows(entries, overrides) {
+    return entries.map(([id, name]) => ({
+        id,
+        criterionId: null,
+        title: `${id} ${name}`,
+        level: null,
+        conformance: overrides[id]?.conformance || TERMS.NOT_EVALUATED,
+        remarks: overrides[id]?.remarks || MANUAL_REMARK,
+        automated: false,
+        edited: Boolean(overrides[id]),
+        evidence: null
+    }));
+}
+
+/**
+ * Build an Accessibility Conformance Report
+ * @param {Object} report - Result of WCAGAIV4Scanner.scan()
+ * @param {Object} options - { edition, product, vendor, conformance, overrides, evaluationMethods, date }
+ *   overrides: { '1.4.1': { conformance: 'Supports', remarks: 'Manually verified' } }
+ * @returns {Object} ACR model: product details, summary and conformance tables
+ */
+function buildAcr(report, options = {}) {
+    const editionId = String(options.edition || 'wcag').toLowerCase();
+    const edition = EDITIONS[editionId];
+    if (!edition) {
+        throw new Error(`Unknown VPAT edition "${options.edition}" (expected ${Object.keys(EDITIONS).join(', ')})`);
+    }
+
+    const sites = listReportSites(report);
+    const evidence = collectEvidence(sites);
+    const overrides = options.overrides || {};
+    const requested = normalizeConformance(options.conformance || {});
+    const tables = [];
+
+    if (editionId === 'wcag') {
+        const target = requested;
+        const levels = target.level === 'AAA' ? ['A', 'AA', 'AAA'] : ['A', 'AA'];
+        levels.forEach((level, i) => {
+            const criteria = getCriteria({ version: target.version, level }).filter(criterion => criterion.level === level);
+            tables.push({ id: `wcag-${level.toLowerCase()}`, title: `Table ${i + 1}: Success Criteria, Level ${level}`, rows: criterionRows(criteria, evidence, overrides) });
+        });
+    } else if (editionId === '508') {
+        ['A', 'AA'].forEach((level, i) => {
+            const criteria = getCriteria({ version: '2.0', level }).filter(criterion => criterion.level === level);
+            tables.push({ id: `508-wcag-${level.toLowerCase()}`, title: `Table ${i + 1}: WCAG 2.0 Success Criteria, Level ${level}`, rows: criterionRows(criteria, evidence, overrides) });
+        });
+        tables.push({ id: '508-chapter-3', title: 'Chapter 3: Functional Performance Criteria (FPC)', rows: manualRows(SECTION_508_FPC, overrides) });
+    } else {
+        tables.push({ id: 'en-clause-4', title: 'Clause 4: Functional Performance Statements', rows: manualRows(EN_301_549_FPS, overrides) });
+        tables.push({ id: 'en-clause-9', title: 'Clause 9: Web (WCAG 2.1 Level A and AA)', rows: criterionRows(getCriteria({ version: '2.1', level: 'AA' }), evidence, overrides, '9.') });
+    }
+
+    const rows = tables.flatMap(table => table.rows);
+    const summary = Object.values(TERMS).reduce((counts, term) => {
+        counts[term] = rows.filter(row => row.conformance === term).length;
+        return counts;
+    }, {});
+
+    const scanned = sites.filter(site => site.scanResult);
+
+    return {
+        edition: editionId,
+        editionName: edition.name,
+        standards: edition.standards(requested),
+        product: {
+            name: options.product?.name || scanned[0]?.name || 'Web application',
+            version: options.product?.version || null,
+            description: options.product?.description || `Website evaluated at ${scanned.map(site => site.url).slice(0, 3).join(', ')}`
+        },
+        vendor: options.vendor || {},
+        reportDate: (options.date ? new Date(options.date) : new Date()).toISOString().slice(0, 10),
+        evaluationMethods: options.evaluationMethods ||
+            `Automated testing with WCAGAI ${rules.length}-rule engine on ${scanned.length} sites ` +
+            `(${scanned.reduce((sum, site) => sum + (site.scanResult.pagesScanned || 1), 0)} pages). ` +
+            'Criteria marked "Not Evaluated" require manual review before publication.',
+        terms: TERMS,
+        summary,
+        tables
+    };
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an ACR as a standalone HTML document
+ */
+function renderAcrHtml(acr) {
+    const title = `${acr.product.name} Accessibility Conformance Report`;
+    const termClass = term => term.toLowerCase().replace(/\s+/g, '-');
+
+    const tables = acr.tables.map(table => `
+  <section>
+    <h2 id="${table.id}">${escapeHtml(table.title)}</h2>
+    <table>
+      <thead><tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr></thead>
+      <tbody>
+${table.rows.map(row => `        <tr data-criterion="${escapeHtml(row.id)}">
+          <th scope="row">${escapeHtml(row.title)}${row.level ? ` (Level ${row.level})` : ''}</th>
+          <td class="${termClass(row.conformance)}">${escapeHtml(row.conformance)}</td>
+          <td>${escapeHtml(row.remarks)}</td>
+        </tr>`).join('\n')}
+      </tbody>
+    </table>
+  </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; }
+    h1, h2 { color: #4338ca; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #9ca3af; padding: .5rem; text-align: left; vertical-align: top; }
+    thead th { background: #e0e7ff; }
+    tbody th { font-weight: normal; width: 30%; }
+    .supports { color: #047857; }
+    .partially-supports { color: #b45309; }
+    .does-not-support { color: #b91c1c; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p><strong>Based on ${escapeHtml(acr.editionName)} Edition</strong></p>
+    <dl>
+      <dt>Name of Product/Version</dt><dd>${escapeHtml(acr.product.name)}${acr.product.version ? ` ${escapeHtml(acr.product.version)}` : ''}</dd>
+      <dt>Report Date</dt><dd>${escapeHtml(acr.reportDate)}</dd>
+      <dt>Product Description</dt><dd>${escapeHtml(acr.product.description)}</dd>
+      <dt>Contact Information</dt><dd>${escapeHtml(acr.vendor.contact || '')}</dd>
+      <dt>Evaluation Methods Used</dt><dd>${escapeHtml(acr.evaluationMethods)}</dd>
+    </dl>
+    <h2>Applicable Standards/Guidelines</h2>
+    <ul>
+${acr.standards.map(standard => `      <li>${escapeHtml(standard)}</li>`).join('\n')}
+    </ul>
+    <h2>Terms</h2>
+    <ul>
+      <li><strong>Supports</strong>: The functionality of the product has at least one method that meets the criterion without known defects.</li>
+      <li><strong>Partially Supports</strong>: Some functionality of the product does not meet the criterion.</li>
+      <li><strong>Does Not Support</strong>: The majority of product functionality does not meet the criterion.</li>
+      <li><strong>Not Applicable</strong>: The criterion is not relevant to the product.</li>
+      <li><strong>Not Evaluated</strong>: The product has not been evaluated against the criterion.</li>
+    </ul>
+    <h2>Summary</h2>
+    <ul>
+${Object.entries(acr.summary).map(([term, count]) => `      <li>${escapeHtml(term)}: ${count}</li>`).join('\n')}
+    </ul>
+${tables}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an ACR as a .docx file
+ * @returns {Buffer}
+ */
+function renderAcrDocx(acr) {
+    const title = `${acr.product.name} Accessibility Conformance Report`;
+
+    return buildDocx([
+        { type: 'title', text: title },
+        { type: 'paragraph', text: `Based on ${acr.editionName} Edition`, bold: true },
+        {
+            type: 'table',
+            header: ['Field', 'Value'],
+            widths: [2800, 6800],
+            rows: [
+                ['Name of Product/Version', `${acr.product.name}${acr.product.version ? ` ${acr.product.version}` : ''}`],
+                ['Report Date', acr.reportDate],
+                ['Product Description', acr.product.description],
+                ['Contact Information', acr.vendor.contact || ''],
+                ['Evaluation Methods Used', acr.evaluationMethods],
+                ['Applicable Standards/Guidelines', acr.standards.join('\n')]
+            ]
+        },
+        { type: 'heading', text: 'Summary' },
+        ...Object.entries(acr.summary).map(([term, count]) => ({ type: 'paragraph', text: `${term}: ${count}` })),
+        ...acr.tables.flatMap(table => [
+            { type: 'heading', text: table.title, level: 2 },
+            {
+                type: 'table',
+                header: ['Criteria', 'Conformance Level', 'Remarks and Explanations'],
+                widths: [2800, 1800, 5000],
+                rows: table.rows.map(row => [
+                    `${row.title}${row.level ? ` (Level ${row.level})` : ''}`,
+                    row.conformance,
+                    row.remarks
+                ])
+            }
+        ])
+    ], { title, date: acr.reportDate });
+}
+
+module.exports = {
+    TERMS,
+    EDITIONS,
+    buildAcr,
+    renderAcrHtml,
+    renderAcrDocx
+};
@@ -0,0 +1,319 @@
+/**
+ * WCAGAI v4.0 DOM Utilities
+ * Accessible name, visibility, selector and colour helpers shared by the rule engine
+ */
+
+const FOCUSABLE_TAGS = ['a', 'button', 'input', 'select', 'textarea', 'iframe', 'summary'];
+const NAME_FROM_CONTENT_ROLES = [
+    'button', 'link', 'heading', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'option', 'radio', 'checkbox', 'switch', 'treeitem', 'cell', 'columnheader', 'rowheader', 'tooltip'
+];
+const NAME_FROM_CONTENT_TAGS = ['a', 'button', 'summary', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'th', 'td', 'option', 'label', 'legend', 'caption'];
+
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+    blue: [0, 0, 255], yellow: [255, 255, 0], gray: [128, 128, 128], grey: [128, 128, 128],
+    silver: [192, 192, 192], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+    darkgray: [169, 169, 169], darkgrey: [169, 169, 169], orange: [255, 165, 0],
+    navy: [0, 0, 128], maroon: [128, 0, 0], purple: [128, 0, 128], teal: [0, 128, 128]
+};
+
+/**
+ * Whether a node is an element (domhandler types <script>/<style> separately)
+ */
+function isElement(node) {
+    return Boolean(node) && ['tag', 'script', 'style'].includes(node.type);
+}
+
+/**
+ * Collapse whitespace and trim
+ */
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an inline style attribute into a lower-cased property map
+ */
+function parseStyle(el) {
+    const style = {};
+    const raw = (el.attribs && el.attribs.style) || '';
+
+    raw.split(';').forEach(declaration => {
+        const index = declaration.indexOf(':');
+        if (index === -1) return;
+        const property = declaration.slice(0, index).trim().toLowerCase();
+        const value = declaration.slice(index + 1).replace(/!important/i, '').trim().toLowerCase();
+        if (property) style[property] = value;
+    });
+
+    return style;
+}
+
+/**
+ * Whether an element is hidden from everyone (not rendered)
+ */
+function isHiddenFromAll(el) {
+    for (let node = el; node && node.type !== 'root'; node = node.parent) {
+        if (!node.attribs) continue;
+        if (node.attribs.hidden !== undefined) return true;
+        if (node.name === 'input' && (node.attribs.type || '').toLowerCase() === 'hidden') return true;
+
+        const style = parseStyle(node);
+        if (style.display === 'none' || style.visibility === 'hidden') return true;
+    }
+    return false;
+}
+
+/**
+ * Whether an element is hidden from assistive technology
+ */
+function isHiddenFromAT(el) {
+    if (isHiddenFromAll(el)) return true;
+
+    for (let node = el; node && node.type !== 'root'; node = node.parent) {
+        if (node.attribs && node.attribs['aria-hidden'] === 'true') return true;
+    }
+    return false;
+}
+
+/**
+ * Whether an element can receive keyboard focus
+ */
+function isFocusable(el) {
+    if (!el.attribs || el.attribs.disabled !== undefined) return false;
+
+    const tabindex = el.attribs.tabindex;
+    if (tabindex !== undefined && tabindex !== '') return parseInt(tabindex, 10) >= 0;
+
+    if (el.name === 'a' || el.name === 'area') return el.attribs.href !== undefined;
+    if (el.name === 'input') return (el.attribs.type || '').toLowerCase() !== 'hidden';
+    if (el.attribs.contenteditable === 'true' || el.attribs.contenteditable === '') return true;
+
+    return FOCUSABLE_TAGS.includes(el.name);
+}
+
+/**
+ * Explicit role or null
+ */
+function getRole(el) {
+    const role = el.attribs && el.attribs.role;
+    return role ? role.trim().split(/\s+/)[0].toLowerCase() : null;
+}
+
+/**
+ * Text for a subtree, following the "name from content" step of accname
+ */
+function getSubtreeText($, el) {
+    if (el.type === 'text') return el.data;
+    if (el.type !== 'tag') return '';
+    if (isHiddenFromAT(el)) return '';
+
+    const attribs = el.attribs || {};
+    if (attribs['aria-label'] && attribs['aria-label'].trim()) return attribs['aria-label'];
+    if (el.name === 'img' || el.name === 'area') return attribs.alt || '';
+    if (el.name === 'input' && (attribs.type || '').toLowerCase() === 'image') return attribs.alt || '';
+    if (el.name === 'svg') {
+        const title = $(el).children('title').first();
+        return title.length ? title.text() : '';
+    }
+
+    return (el.children || []).map(child => getSubtreeText($, child)).join(' ');
+}
+
+/**
+ * Text of the elements referenced by an IDREF list
+ */
+function getReferencedText($, idrefs) {
+    return idrefs.split(/\s+/)
+        .filter(Boolean)
+        .map(id => {
+            const target = $(`[id="${id.replace(/"/g, '\\"')}"]`).get(0);
+            return target ? normalizeText($(target).text()) : '';
+        })
+        .join(' ');
+}
+
+/**
+ * Simplified accessible name computation (aria-labelledby, aria-label,
+ * native labelling, name from content, title, placeholder)
+ */
+function getAccessibleName($, el) {
+    const attribs = el.attribs || {};
+
+    if (attribs['aria-labelledby']) {
+        const labelledBy = normalizeText(getReferencedText($, attribs['aria-labelledby']));
+        if (labelledBy) return labelledBy;
+    }
+
+    if (attribs['aria-label'] && attribs['aria-label'].trim()) {
+        return normalizeText(attribs['aria-label']);
+    }
+
+    const type = (attribs.type || '').toLowerCase();
+
+    if (['input', 'select', 'textarea'].includes(el.name)) {
+        if (el.name === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+            if (attribs.value && attribs.value.trim()) return normalizeText(attribs.value);
+            if (type === 'submit') return 'Submit';
+            if (type === 'reset') return 'Reset';
+        }
+        if (el.name === 'input' && type === 'image') {
+            if (attribs.alt && attribs.alt.trim()) return normalizeText(attribs.alt);
+        }
+
+        const labels = [];
+        if (attribs.id) {
+            $(`label[for="${attribs.id.replace(/"/g, '\\"')}"]`).each((i, label) => {
+                labels.push(getSubtreeText($, label));
+            });
+        }
+        const wrappingLabel = $(el).closest('label').get(0);
+        if (wrappingLabel) labels.push(getSubtreeText($, wrappingLabel));
+
+        const labelText = normalizeText(labels.join(' '));
+        if (labelText) return labelText;
+    }
+
+    if (['img', 'area'].includes(el.name) && attribs.alt !== undefined) {
+        return normalizeText(attribs.alt);
+    }
+
+    if (el.name === 'svg') {
+        const title = normalizeText($(el).children('title').first().text());
+        if (title) return title;
+    }
+
+    const role = getRole(el);
+    if (NAME_FROM_CONTENT_TAGS.includes(el.name) || NAME_FROM_CONTENT_ROLES.includes(role)) {
+        const content = normalizeText((el.children || []).map(child => getSubtreeText($, child)).join(' '));
+        if (content) return content;
+    }
+
+    if (attribs.title && attribs.title.trim()) return normalizeText(attribs.title);
+    if (attribs.placeholder && attribs.placeholder.trim()) return normalizeText(attribs.placeholder);
+
+    return '';
+}
+
+/**
+ * Build a CSS selector that identifies the element within its document
+ */
+function getSelector($, el) {
+    const parts = [];
+
+    for (let node = el; isElement(node); node = node.parent) {
+        const id = node.attribs && node.attribs.id;
+        if (id && /^[A-Za-z][\w-]*$/.test(id) && $(`[id="${id}"]`).length === 1) {
+            parts.unshift(`#${id}`);
+            break;
+        }
+
+        if (node.name === 'html' || !isElement(node.parent)) {
+            parts.unshift(node.name);
+            break;
+        }
+
+        const siblings = node.parent.children.filter(child => isElement(child) && child.name === node.name);
+        parts.unshift(siblings.length > 1
+            ? `${node.name}:nth-of-type(${siblings.indexOf(node) + 1})`
+            : node.name);
+    }
+
+    return parts.join(' > ');
+}
+
+/**
+ * Outer HTML of the element, truncated to the opening tag when long
+ */
+function getSnippet($, el, maxLength = 250) {
+    const html = $.html(el) || '';
+    if (html.length <= maxLength) return html;
+
+    const openingTag = html.slice(0, html.indexOf('>') + 1);
+    return openingTag.length <= maxLength
+        ? `${openingTag}...`
+        : `${openingTag.slice(0, maxLength)}...`;
+}
+
+/**
+ * Parse a CSS colour into [r, g, b, a], or null when it cannot be resolved
+ */
+function parseColor(value) {
+    if (!value) return null;
+    const color = value.trim().toLowerCase();
+
+    if (color === 'transparent') return [0, 0, 0, 0];
+    if (NAMED_COLORS[color]) return [...NAMED_COLORS[color], 1];
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return [
+            parseInt(digits.slice(0, 2), 16),
+            parseInt(digits.slice(2, 4), 16),
+            parseInt(digits.slice(4, 6), 16),
+            digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+        ];
+    }
+
+    const rgb = color.match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+        const channels = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        if (channels.length < 3 || channels.some(isNaN)) return null;
+        return [channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] : 1];
+    }
+
+    return null;
+}
+
+/**
+ * WCAG relative luminance of an sRGB colour
+ */
+function relativeLuminance([r, g, b]) {
+    const [R, G, B] = [r, g, b].map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * WCAG contrast ratio between two colours
+ */
+function contrastRatio(foreground, background) {
+    const l1 = relativeLuminance(foreground);
+    const l2 = relativeLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Resolve an inline-styled property by walking up the ancestors
+ */
+function getInheritedStyle(el, property) {
+    for (let node = el; node && node.type !== 'root'; node = node.parent) {
+        const value = parseStyle(node)[property];
+        if (value) return { value, element: node };
+    }
+    return null;
+}
+
+module.exports = {
+    isElement,
+    normalizeText,
+    parseStyle,
+    isHiddenFromAll,
+    isHiddenFromAT,
+    isFocusable,
+    getRole,
+    getAccessibleName,
+    getSelector,
+    getSnippet,
+    parseColor,
+    contrastRatio,
+    getInheritedStyle
+};
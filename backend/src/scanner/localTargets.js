@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+/**
+ * WCAGAI v4.0 Local Scan Targets
+ * Resolves file:// paths, build directories and raw HTML strings into pages
+ *
+ * Each page also gets a `fingerprintUrl` relative to the scan root
+ * (file:///docs/index.html), so the same build scanned from two checkouts
+ * produces the same violation fingerprints.
+ */
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Whether a value looks like markup rather than a location
+ */
+function isHtmlString(value) {
+    return typeof value === 'string' && /^\s*</.test(value);
+}
+
+/**
+ * Whether a value is a file:// URL
+ */
+function isFileUrl(value) {
+    return typeof value === 'string' && value.startsWith('file://');
+}
+
+/**
+ * Convert a file:// URL or relative path to an absolute filesystem path
+ */
+function toFilePath(target) {
+    return isFileUrl(target) ? fileURLToPath(target) : path.resolve(target);
+}
+
+/**
+ * Recursively collect HTML files under a directory, sorted for stable output
+ */
+async function findHtmlFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            if (SKIPPED_DIRECTORIES.includes(entry.name) || entry.name.startsWith('.')) continue;
+            files.push(...await findHtmlFiles(fullPath));
+        } else if (entry.isFile() && HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * file:// URL of a page relative to the scan root
+ */
+function rootRelativeUrl(label) {
+    return `file:///${label.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Resolve a local target into the pages to scan
+ * @param {string} target - file:// URL, file or directory path, or raw HTML
+ * @returns {Promise<Array>} Pages as { url, label, fingerprintUrl, filePath?, html? }
+ */
+async function resolveLocalTarget(target) {
+    if (isHtmlString(target)) {
+        return [{ url: 'about:blank', label: 'inline-html', fingerprintUrl: 'about:blank', html: target }];
+    }
+
+    const targetPath = toFilePath(target);
+    const stats = await fs.stat(targetPath);
+
+    if (stats.isDirectory()) {
+        const files = await findHtmlFiles(targetPath);
+        if (files.length === 0) {
+            throw new Error(`No HTML files found in ${targetPath}`);
+        }
+
+        return files.map(filePath => {
+            const label = path.relative(targetPath, filePath).split(path.sep).join('/');
+            return { url: pathToFileURL(filePath).href, label, fingerprintUrl: rootRelativeUrl(label), filePath };
+        });
+    }
+
+    return [{
+        url: pathToFileURL(targetPath).href,
+        label: path.basename(targetPath),
+        fingerprintUrl: rootRelativeUrl(path.basename(targetPath)),
+        filePath: targetPath
+    }];
+}
+
+/**
+ * Read the markup for a resolved page
+ */
+async function readLocalPage(page) {
+    if (page.html !== undefined) {
+        return { html: page.html, loadTime: 0 };
+    }
+
+    const startTime = Date.now();
+    const html = await fs.readFile(page.filePath, 'utf8');
+    return { html, loadTime: Date.now() - startTime };
+}
+
+module.exports = {
+    isHtmlString,
+    isFileUrl,
+    resolveLocalTarget,
+    readLocalPage
+};
@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+/**
+ * WCAGAI v4.0 Page Loader
+ * Fetches page markup over HTTP(S) for the rule engine
+ */
+
+const DEFAULT_USER_AGENT = 'WCAGAI-Scanner/4.0 (+accessibility audit)';
+
+/**
+ * Fetch a text resource (HTML, robots.txt, sitemap XML)
+ * @param {string} url - Resource URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} { url, finalUrl, status, contentType, body, loadTime }
+ */
+async function fetchText(url, options = {}) {
+    const { timeout = 15000, userAgent = DEFAULT_USER_AGENT, accept = '*/*', signal } = options;
+    const startTime = Date.now();
+
+    const response = await axios.get(url, {
+        timeout,
+        signal,
+        responseType: 'text',
+        maxRedirects: 5,
+        headers: {
+            'User-Agent': userAgent,
+            'Accept': accept
+        },
+        transformResponse: [data => data]
+    });
+
+    return {
+        url,
+        finalUrl: response.request?.res?.responseUrl || url,
+        status: response.status,
+        contentType: response.headers['content-type'] || '',
+        body: typeof response.data === 'string' ? response.data : String(response.data || ''),
+        loadTime: Date.now() - startTime
+    };
+}
+
+/**
+ * Fetch a page and return its HTML with load timing
+ * @param {string} url - Page URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} { url, finalUrl, status, contentType, html, loadTime }
+ */
+async function loadPage(url, options = {}) {
+    const { body, ...response } = await fetchText(url, { ...options, accept: 'text/html,application/xhtml+xml' });
+
+    if (response.contentType && !/html|xml/i.test(response.contentType)) {
+        throw new Error(`Unsupported content type: ${response.contentType}`);
+    }
+
+    return { ...response, html: body };
+}
+
+module.exports = { DEFAULT_USER_AGENT, fetchText, loadPage };
@@ -0,0 +1,85 @@
+/**
+ * WCAGAI v4.0 robots.txt Parser
+ * Allow/Disallow matching (longest match wins), Crawl-delay and Sitemap directives
+ */
+
+/**
+ * Convert a robots.txt path pattern (* and $ wildcards) into a RegExp
+ */
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt for a given user agent
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Object} { isAllowed(path), crawlDelay, sitemaps }
+ */
+function parseRobotsTxt(text, userAgent = '*') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const content = line.replace(/#.*$/, '').trim();
+        const index = content.indexOf(':');
+        if (index === -1) return;
+
+        const field = content.slice(0, index).trim().toLowerCase();
+        const value = content.slice(index + 1).trim();
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+            return;
+        }
+
+        if (field === 'user-agent') {
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+
+        lastWasAgent = false;
+        if (!current) return;
+
+        if (field === 'allow' || field === 'disallow') {
+            if (value) current.rules.push({ allow: field === 'allow', path: value, regex: patternToRegExp(value) });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay)) current.crawlDelay = delay;
+        }
+    });
+
+    const product = userAgent.split('/')[0].toLowerCase();
+    const group = groups.find(g => g.agents.some(agent => agent !== '*' && product.includes(agent)))
+        || groups.find(g => g.agents.includes('*'))
+        || { rules: [], crawlDelay: null };
+
+    return {
+        sitemaps,
+        crawlDelay: group.crawlDelay,
+        isAllowed(path) {
+            let match = null;
+            group.rules.forEach(rule => {
+                if (!rule.regex.test(path)) return;
+                if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+                    match = rule;
+                }
+            });
+            return !match || match.allow;
+        }
+    };
+}
+
+module.exports = { parseRobotsTxt };
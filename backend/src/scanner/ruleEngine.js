@@ -0,0 +1,133 @@
+const cheerio = require('cheerio');
+const { rules, skipsHidden } = require('./rules');
+const { getSelector, getSnippet } = require('./domUtils');
+const { fingerprintViolation } = require('../analysis/scanComparison');
+const { normalizeConformance, isInScope, formatCriterion } = require('../compliance/wcagCatalog');
+const { scorePage } = require('../analysis/scoringModel');
+
+/**
+ * WCAGAI v4.0 Accessibility Rule Engine
+ * Parses HTML into a DOM and evaluates axe-core-style rules against it
+ */
+
+class AccessibilityRuleEngine {
+    constructor(options = {}) {
+        this.rules = options.rules || rules;
+    }
+
+    /**
+     * Evaluate every rule against an HTML document
+     * @param {string} html - Page markup
+     * @param {Object} context - Page context
+     * @param {string} context.url - Page URL, attached to each violation
+     * @param {string} context.fingerprintUrl - URL fingerprints are keyed on instead (e.g. root-relative for local files)
+     * @param {string[]} context.selectors - CSS selectors to test each failed element against (suppressions), listed in matchedSelectors
+     * @param {string} context.level - Target conformance level (A, AA, AAA)
+     * @param {string} context.version - Target WCAG version (2.0, 2.1, 2.2)
+     * @returns {Object} Violations, per-rule results and check counts
+     */
+    evaluate(html, context = {}) {
+        const $ = cheerio.load(html || '');
+        const conformance = normalizeConformance(context);
+        const violations = [];
+        const ruleResults = [];
+
+        for (const rule of this.rules) {
+            // Rules only count when one of their criteria is in the target
+            const criteria = rule.wcag.filter(id => isInScope(id, conformance));
+            if (criteria.length === 0) continue;
+
+            const result = { ruleId: rule.id, impact: rule.impact, wcag: criteria, passed: 0, failed: 0, incomplete: 0 };
+
+            for (const el of $(rule.selector).toArray()) {
+                if (skipsHidden(rule, el)) continue;
+                if (rule.applies && !rule.applies(el, $)) continue;
+
+                let outcome;
+                try {
+                    outcome = rule.evaluate(el, $);
+                } catch (error) {
+                    console.warn(`⚠️  Rule ${rule.id} errored:`, error.message);
+                    outcome = null;
+                }
+
+                if (outcome === null || outcome === undefined) {
+                    result.incomplete++;
+                } else if (outcome === true) {
+                    result.passed++;
+                } else {
+                    result.failed++;
+                    violations.push(this.buildViolation(rule, el, $, outcome, { ...context, criteria }));
+                }
+            }
+
+            if (result.passed || result.failed || result.incomplete) {
+                ruleResults.push(result);
+            }
+        }
+
+        return {
+            url: context.url || null,
+            conformance,
+            violations,
+            ruleResults,
+            passes: ruleResults.reduce((sum, r) => sum + r.passed, 0),
+            incomplete: ruleResults.reduce((sum, r) => sum + r.incomplete, 0),
+            elementsChecked: ruleResults.reduce((sum, r) => sum + r.passed + r.failed, 0)
+        };
+    }
+
+    /**
+     * Build a violation record for a failed element
+     */
+    buildViolation(rule, el, $, outcome, context) {
+        // Only the criteria in the target level/version are reported
+        const criteria = context.criteria || rule.wcag;
+        const selector = getSelector($, el);
+
+        return {
+            fingerprint: fingerprintViolation({ ruleId: rule.id, selector }, context.fingerprintUrl || context.url),
+            ruleId: rule.id,
+            impact: rule.impact,
+            category: rule.category,
+            help: rule.help,
+            message: typeof outcome === 'string' ? outcome : rule.help,
+            wcagCriteria: criteria,
+            successCriterion: formatCriterion(criteria[0]),
+            selector: selector,
+            html: getSnippet($, el),
+            url: context.url || null,
+            ...(context.selectors && context.selectors.length > 0
+                ? { matchedSelectors: context.selectors.filter(pattern => this.elementMatches($, el, pattern)) }
+                : {})
+        };
+    }
+
+    /**
+     * Whether an element matches a CSS selector; selectors that don't parse match nothing
+     */
+    elementMatches($, el, selector) {
+        try {
+            return $(el).is(selector);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Compliance score (0-1), see analysis/scoringModel for the weighting
+     */
+    calculateComplianceScore(ruleResults) {
+        return scorePage(ruleResults).score;
+    }
+
+    /**
+     * List the rules the engine evaluates, optionally only those in a conformance target
+     */
+    getRules(target = null) {
+        const selected = target ? this.rules.filter(rule => rule.wcag.some(id => isInScope(id, target))) : this.rules;
+        return selected.map(({ id, category, impact, wcag, help }) => ({ id, category, impact, wcag, help }));
+    }
+}
+
+module.exports = AccessibilityRuleEngine;
@@ -0,0 +1,508 @@
+const {
+    normalizeText,
+    parseStyle,
+    isHiddenFromAT,
+    isFocusable,
+    getRole,
+    getAccessibleName,
+    parseColor,
+    contrastRatio,
+    getInheritedStyle
+} = require('./domUtils');
+
+/**
+ * WCAGAI v4.0 Accessibility Rules
+ * axe-core-style rule definitions evaluated against static HTML
+ *
+ * Each rule declares the elements it applies to (`selector`), the WCAG
+ * success criteria it tests, its impact, and an `evaluate(el, $)` check that
+ * returns true (pass), false or a message string (violation), or null when
+ * the element cannot be judged from markup alone.
+ *
+ * A rule sets `provesAbsence` when its selector finds every element its
+ * criteria can apply to, so matching nothing means the content isn't there
+ * (no <video>, no captions to check) rather than that it went unchecked.
+ */
+
+const ARIA_ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+    'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+    'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist',
+    'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+const ARIA_ATTRIBUTES = [
+    'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+    'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan',
+    'aria-controls', 'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled',
+    'aria-dropeffect', 'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup',
+    'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level',
+    'aria-live', 'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-orientation', 'aria-owns',
+    'aria-placeholder', 'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant', 'aria-required',
+    'aria-roledescription', 'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
+    'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+    'aria-valuetext'
+];
+
+const REQUIRED_ARIA_ATTRIBUTES = {
+    checkbox: ['aria-checked'],
+    combobox: ['aria-expanded'],
+    heading: ['aria-level'],
+    menuitemcheckbox: ['aria-checked'],
+    menuitemradio: ['aria-checked'],
+    radio: ['aria-checked'],
+    scrollbar: ['aria-controls', 'aria-valuenow'],
+    slider: ['aria-valuenow'],
+    switch: ['aria-checked']
+};
+
+const AUTOCOMPLETE_TOKENS = [
+    'on', 'off', 'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+    'nickname', 'username', 'new-password', 'current-password', 'one-time-code', 'organization-title',
+    'organization', 'street-address', 'address-line1', 'address-line2', 'address-line3', 'address-level4',
+    'address-level3', 'address-level2', 'address-level1', 'country', 'country-name', 'postal-code', 'cc-name',
+    'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month',
+    'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency', 'transaction-amount', 'language', 'bday',
+    'bday-day', 'bday-month', 'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national',
+    'tel-area-code', 'tel-local', 'tel-extension', 'email', 'impp', 'webauthn'
+];
+const AUTOCOMPLETE_MODIFIERS = ['shipping', 'billing', 'home', 'work', 'mobile', 'fax', 'pager'];
+
+const NON_LABELLED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+const IDREF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'for'];
+
+const hasText = value => normalizeText(value).length > 0;
+
+// IDs referenced by ARIA/label attributes, computed once per document
+const referencedIdCache = new WeakMap();
+function getReferencedIds($) {
+    if (!referencedIdCache.has($)) {
+        const ids = new Set();
+        $(IDREF_ATTRIBUTES.map(name => `[${name}]`).join(', ')).each((i, node) => {
+            IDREF_ATTRIBUTES.forEach(name => {
+                (node.attribs[name] || '').split(/\s+/).filter(Boolean).forEach(id => ids.add(id));
+            });
+        });
+        referencedIdCache.set($, ids);
+    }
+    return referencedIdCache.get($);
+}
+
+const rules = [
+    {
+        id: 'image-alt',
+        category: 'Image Alt Text',
+        impact: 'critical',
+        wcag: ['1.1.1'],
+        help: 'Images must have alternate text',
+        selector: 'img',
+        evaluate: (el, $) => {
+            const role = getRole(el);
+            if (role === 'none' || role === 'presentation') return el.attribs.alt === '' || el.attribs.alt === undefined ? true : null;
+            if (el.attribs.alt !== undefined) return true;
+            return hasText(getAccessibleName($, el)) || 'Element has no alt attribute and no accessible name';
+        }
+    },
+    {
+        id: 'input-image-alt',
+        category: 'Image Alt Text',
+        impact: 'critical',
+        wcag: ['1.1.1', '4.1.2'],
+        help: 'Image buttons must have alternate text',
+        selector: 'input[type="image" i]',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'area-alt',
+        category: 'Image Alt Text',
+        impact: 'critical',
+        wcag: ['1.1.1', '2.4.4', '4.1.2'],
+        help: 'Active <area> elements must have alternate text',
+        selector: 'map area[href]',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'role-img-alt',
+        category: 'Image Alt Text',
+        impact: 'serious',
+        wcag: ['1.1.1'],
+        help: 'Elements with role="img" must have an accessible name',
+        selector: '[role="img"]:not(img):not(svg)',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'svg-img-alt',
+        category: 'Image Alt Text',
+        impact: 'serious',
+        wcag: ['1.1.1'],
+        help: 'SVG images with role="img" must have an accessible name',
+        selector: 'svg[role="img"]',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'object-alt',
+        category: 'Image Alt Text',
+        impact: 'serious',
+        wcag: ['1.1.1'],
+        help: '<object> elements must have alternate text',
+        selector: 'object',
+        evaluate: (el, $) => hasText(getAccessibleName($, el)) || hasText($(el).text())
+    },
+    {
+        id: 'label',
+        category: 'Form Labels',
+        impact: 'critical',
+        wcag: ['4.1.2', '1.3.1'],
+        help: 'Form elements must have labels',
+        selector: 'input, textarea',
+        applies: el => el.name !== 'input' || !NON_LABELLED_INPUT_TYPES.includes((el.attribs.type || '').toLowerCase()),
+        evaluate: (el, $) => hasText(getAccessibleName($, el)) || 'Form element does not have an implicit or explicit label'
+    },
+    {
+        id: 'select-name',
+        category: 'Form Labels',
+        impact: 'critical',
+        wcag: ['4.1.2', '1.3.1'],
+        help: 'Select elements must have an accessible name',
+        selector: 'select',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'autocomplete-valid',
+        category: 'Form Labels',
+        impact: 'serious',
+        wcag: ['1.3.5'],
+        help: 'autocomplete attribute must be used correctly',
+        selector: 'input[autocomplete], select[autocomplete], textarea[autocomplete]',
+        evaluate: el => {
+            const tokens = el.attribs.autocomplete.toLowerCase().trim().split(/\s+/).filter(Boolean);
+            if (tokens.length === 0) return true;
+            const field = tokens[tokens.length - 1];
+            const modifiers = tokens.slice(0, -1).filter(token => !token.startsWith('section-'));
+            return (AUTOCOMPLETE_TOKENS.includes(field) && modifiers.every(token => AUTOCOMPLETE_MODIFIERS.includes(token)))
+                || `"${el.attribs.autocomplete}" is not a valid autocomplete value`;
+        }
+    },
+    {
+        id: 'button-name',
+        category: 'Button Names',
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'Buttons must have discernible text',
+        selector: 'button, [role="button"], input[type="button" i], input[type="submit" i], input[type="reset" i]',
+        evaluate: (el, $) => hasText(getAccessibleName($, el)) || 'Element does not have inner text, aria-label or title'
+    },
+    {
+        id: 'link-name',
+        category: 'Link Text',
+        impact: 'serious',
+        wcag: ['2.4.4', '4.1.2'],
+        help: 'Links must have discernible text',
+        selector: 'a[href], [role="link"]',
+        evaluate: (el, $) => {
+            const role = getRole(el);
+            if (role === 'none' || role === 'presentation') return null;
+            return hasText(getAccessibleName($, el)) || 'Link has no text, aria-label or image alternative';
+        }
+    },
+    {
+        id: 'frame-title',
+        category: 'Frame Titles',
+        impact: 'serious',
+        wcag: ['4.1.2'],
+        help: 'Frames must have an accessible name',
+        selector: 'iframe, frame',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'html-has-lang',
+        category: 'Page Language',
+        impact: 'serious',
+        wcag: ['3.1.1'],
+        help: '<html> element must have a lang attribute',
+        selector: 'html',
+        evaluate: el => hasText(el.attribs.lang) || hasText(el.attribs['xml:lang'])
+    },
+    {
+        id: 'html-lang-valid',
+        category: 'Page Language',
+        impact: 'serious',
+        wcag: ['3.1.1'],
+        help: '<html> element must have a valid value for the lang attribute',
+        selector: 'html[lang]',
+        evaluate: el => !hasText(el.attribs.lang) ? null : /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(el.attribs.lang.trim())
+    },
+    {
+        id: 'valid-lang',
+        category: 'Page Language',
+        impact: 'serious',
+        wcag: ['3.1.2'],
+        help: 'lang attribute must have a valid value',
+        selector: 'body [lang]',
+        evaluate: el => /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test((el.attribs.lang || '').trim())
+    },
+    {
+        id: 'document-title',
+        category: 'Page Title',
+        impact: 'serious',
+        wcag: ['2.4.2'],
+        help: 'Documents must have a <title> element',
+        selector: 'html',
+        evaluate: (el, $) => hasText($('head title').first().text()) || 'Document does not have a non-empty <title> element'
+    },
+    {
+        id: 'bypass',
+        category: 'Keyboard Navigation',
+        impact: 'serious',
+        wcag: ['2.4.1'],
+        help: 'Page must have means to bypass repeated blocks',
+        selector: 'html',
+        evaluate: (el, $) => $('main, [role="main"], h1, h2, h3, h4, h5, h6, [role="heading"], a[href^="#"]').length > 0
+            || 'No landmark, heading or skip link found'
+    },
+    {
+        id: 'keyboard-access',
+        category: 'Keyboard Navigation',
+        impact: 'serious',
+        wcag: ['2.1.1'],
+        help: 'Interactive elements must be operable with the keyboard',
+        selector: '[onclick]:not(a):not(button):not(input):not(select):not(textarea):not(summary):not(body):not(html)',
+        evaluate: el => isFocusable(el) || 'Element has a click handler but cannot receive keyboard focus'
+    },
+    {
+        id: 'tabindex',
+        category: 'Keyboard Navigation',
+        impact: 'serious',
+        wcag: ['2.4.3'],
+        help: 'Elements should not have tabindex greater than zero',
+        selector: '[tabindex]',
+        evaluate: el => !(parseInt(el.attribs.tabindex, 10) > 0)
+    },
+    {
+        id: 'focus-visible',
+        category: 'Focus Visibility',
+        impact: 'serious',
+        wcag: ['2.4.7'],
+        help: 'Focusable elements must have a visible focus indicator',
+        selector: 'style, a[style], button[style], input[style], select[style], textarea[style], [tabindex][style]',
+        evaluate: el => {
+            if (el.name !== 'style') {
+                const style = parseStyle(el);
+                return !/^(none|0|0px)$/.test(style.outline || style['outline-style'] || '')
+                    || Boolean(style['box-shadow'] || style.border)
+                    || 'Inline style removes the focus outline';
+            }
+
+            const css = (el.children || []).map(child => child.data || '').join('');
+            const blocks = css.match(/[^{}]*:focus[^{}]*\{[^}]*\}/g) || [];
+            const hidden = blocks.filter(block => {
+                const body = block.slice(block.indexOf('{') + 1);
+                return /outline(-style)?\s*:\s*(none|0)\b/.test(body) && !/box-shadow|border/.test(body);
+            });
+            return hidden.length === 0 || `Stylesheet removes the focus outline: ${normalizeText(hidden[0].slice(0, hidden[0].indexOf('{')))}`;
+        }
+    },
+    {
+        id: 'color-contrast',
+        category: 'Color Contrast',
+        impact: 'serious',
+        wcag: ['1.4.3'],
+        help: 'Elements must meet minimum color contrast ratio thresholds',
+        selector: '[style*="color"]',
+        evaluate: (el, $) => {
+            const ownText = (el.children || []).filter(child => child.type === 'text').map(child => child.data).join('');
+            if (!hasText(ownText)) return null;
+
+            const foreground = getInheritedStyle(el, 'color');
+            if (!foreground) return null;
+            const fg = parseColor(foreground.value);
+
+            let bg = [255, 255, 255, 1];
+            for (let node = el; node && node.type !== 'root'; node = node.parent) {
+                const style = parseStyle(node);
+                const value = style['background-color'] || style.background;
+                if (value) {
+                    bg = parseColor(value.split(/\s+/)[0]);
+                    break;
+                }
+            }
+            if (!fg || !bg || fg[3] < 1 || bg[3] < 1) return null;
+
+            const style = parseStyle(el);
+            const fontSize = parseFloat(style['font-size']) || 16;
+            const bold = ['bold', 'bolder', '700', '800', '900'].includes(style['font-weight']) || ['b', 'strong'].includes(el.name);
+            const largeText = fontSize >= 24 || (bold && fontSize >= 18.66);
+            const required = largeText ? 3 : 4.5;
+
+            const ratio = contrastRatio(fg, bg);
+            return ratio >= required || `Contrast ratio ${ratio.toFixed(2)}:1 is below the required ${required}:1`;
+        }
+    },
+    {
+        id: 'meta-viewport',
+        category: 'Zoom and Reflow',
+        impact: 'critical',
+        wcag: ['1.4.4'],
+        help: 'Zooming and scaling must not be disabled',
+        selector: 'meta[name="viewport" i]',
+        evaluate: el => {
+            const content = (el.attribs.content || '').toLowerCase().replace(/\s+/g, '');
+            if (/user-scalable=(no|0)/.test(content)) return 'user-scalable=no disables zooming';
+            const maxScale = content.match(/maximum-scale=([\d.]+)/);
+            return !(maxScale && parseFloat(maxScale[1]) < 2) || `maximum-scale=${maxScale[1]} limits zooming`;
+        }
+    },
+    {
+        id: 'meta-refresh',
+        category: 'Timing',
+        impact: 'critical',
+        wcag: ['2.2.1'],
+        help: 'Timed refresh must not exist',
+        selector: 'meta[http-equiv="refresh" i]',
+        evaluate: el => {
+            const delay = parseInt(el.attribs.content, 10);
+            return isNaN(delay) || delay === 0 || delay > 72000;
+        }
+    },
+    {
+        id: 'blink',
+        category: 'Timing',
+        impact: 'serious',
+        wcag: ['2.2.2'],
+        help: '<blink> and <marquee> elements are deprecated and must not be used',
+        selector: 'blink, marquee',
+        evaluate: () => false
+    },
+    {
+        id: 'video-caption',
+        category: 'Media Captions',
+        impact: 'critical',
+        wcag: ['1.2.2'],
+        help: '<video> elements must have captions',
+        selector: 'video',
+        provesAbsence: true,
+        evaluate: (el, $) => $(el).find('track[kind="captions" i]').length > 0 || 'No captions track found'
+    },
+    {
+        id: 'list',
+        category: 'Document Structure',
+        impact: 'serious',
+        wcag: ['1.3.1'],
+        help: '<ul> and <ol> must only directly contain <li>, <script> or <template> elements',
+        selector: 'ul:not([role]), ol:not([role])',
+        evaluate: el => (el.children || [])
+            .filter(child => child.type === 'tag' || child.type === 'script' || child.type === 'style')
+            .every(child => ['li', 'script', 'template'].includes(child.name))
+    },
+    {
+        id: 'listitem',
+        category: 'Document Structure',
+        impact: 'serious',
+        wcag: ['1.3.1'],
+        help: '<li> elements must be contained in a <ul> or <ol>',
+        selector: 'li',
+        evaluate: el => {
+            const parent = el.parent;
+            if (!parent || parent.type !== 'tag') return false;
+            return ['ul', 'ol', 'menu'].includes(parent.name) || getRole(parent) === 'list';
+        }
+    },
+    {
+        id: 'empty-heading',
+        category: 'Document Structure',
+        impact: 'minor',
+        wcag: ['2.4.6'],
+        help: 'Headings should not be empty',
+        selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+        evaluate: (el, $) => hasText(getAccessibleName($, el))
+    },
+    {
+        id: 'aria-roles',
+        category: 'ARIA Usage',
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'ARIA roles used must conform to valid values',
+        selector: '[role]',
+        evaluate: el => {
+            const roles = el.attribs.role.trim().toLowerCase().split(/\s+/).filter(Boolean);
+            if (roles.length === 0) return null;
+            return ARIA_ROLES.includes(roles[0]) || `Role "${roles[0]}" is not a valid ARIA role`;
+        }
+    },
+    {
+        id: 'aria-valid-attr',
+        category: 'ARIA Usage',
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'ARIA attributes must conform to valid names',
+        selector: '*',
+        applies: el => Object.keys(el.attribs || {}).some(name => name.startsWith('aria-')),
+        evaluate: el => {
+            const invalid = Object.keys(el.attribs).filter(name => name.startsWith('aria-') && !ARIA_ATTRIBUTES.includes(name));
+            return invalid.length === 0 || `Invalid ARIA attribute: ${invalid.join(', ')}`;
+        }
+    },
+    {
+        id: 'aria-required-attr',
+        category: 'ARIA Usage',
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'Required ARIA attributes must be provided',
+        selector: Object.keys(REQUIRED_ARIA_ATTRIBUTES).map(role => `[role="${role}"]`).join(', '),
+        evaluate: el => {
+            if (el.name === 'input' || (getRole(el) === 'heading' && /^h[1-6]$/.test(el.name))) return true;
+            const missing = (REQUIRED_ARIA_ATTRIBUTES[getRole(el)] || []).filter(name => el.attribs[name] === undefined);
+            return missing.length === 0 || `Required ARIA attribute not present: ${missing.join(', ')}`;
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        category: 'ARIA Usage',
+        impact: 'serious',
+        wcag: ['4.1.2'],
+        help: 'aria-hidden elements must not be focusable or contain focusable elements',
+        selector: '[aria-hidden="true"]',
+        includeHidden: true,
+        evaluate: (el, $) => {
+            const focusable = [el, ...$(el).find('*').toArray()].filter(node => isFocusable(node));
+            return focusable.length === 0 || 'Focusable content is hidden from assistive technology';
+        }
+    },
+    {
+        id: 'nested-interactive',
+        category: 'ARIA Usage',
+        impact: 'serious',
+        wcag: ['4.1.2'],
+        help: 'Interactive controls must not be nested',
+        selector: 'a[href], button, [role="button"], [role="link"]',
+        evaluate: (el, $) => $(el).find('*').toArray().filter(node => isFocusable(node)).length === 0
+            || 'Element has focusable descendants'
+    },
+    {
+        id: 'duplicate-id-aria',
+        category: 'ARIA Usage',
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'IDs used in ARIA and labels must be unique',
+        selector: '[id]',
+        includeHidden: true,
+        applies: (el, $) => getReferencedIds($).has(el.attribs.id),
+        evaluate: (el, $) => $(`[id="${el.attribs.id.replace(/"/g, '\\"')}"]`).length === 1
+            || `Document has multiple elements referenced with id "${el.attribs.id}"`
+    }
+];
+
+/**
+ * Whether a rule should skip an element that is hidden
+ */
+function skipsHidden(rule, el) {
+    return !rule.includeHidden && el.name !== 'html' && isHiddenFromAT(el);
+}
+
+module.exports = { rules, skipsHidden };
@@ -0,0 +1,247 @@
+const EventEmitter = require('events');
+
+/**
+ * WCAGAI v4.0 Scan Queue
+ * Worker pool with per-domain politeness, timeouts, retries with backoff and cancellation
+ *
+ * Events:
+ *   started   { job, attempt }                 - a job attempt began
+ *   retry     { job, attempt, error, delay }   - an attempt failed and will be retried
+ *   finished  { job, result, duration, attempts }
+ *   failed    { job, error, attempts }
+ *   cancelled { job }
+ *   progress  { total, completed, failed, cancelled, active, pending }
+ */
+class ScanQueue extends EventEmitter {
+    /**
+     * @param {Object} options - Queue settings
+     * @param {number} options.concurrency - Jobs running at once across all domains (default 4)
+     * @param {number} options.perDomainConcurrency - Jobs running at once per domain (default 1)
+     * @param {number} options.domainDelay - Minimum ms between job starts on the same domain (default 1000)
+     * @param {number} options.timeout - Per-attempt timeout in ms (default 60000)
+     * @param {number} options.retries - Retries after the first failed attempt (default 2)
+     * @param {number} options.backoff - Base retry delay in ms, doubled per attempt (default 1000)
+     * @param {number} options.maxBackoff - Cap on the retry delay in ms (default 30000)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = {
+            concurrency: 4,
+            perDomainConcurrency: 1,
+            domainDelay: 1000,
+            timeout: 60000,
+            retries: 2,
+            backoff: 1000,
+            maxBackoff: 30000,
+            ...options
+        };
+        if (!Number.isInteger(this.options.concurrency) || this.options.concurrency < 1) {
+            throw new Error(`Queue concurrency must be a whole number above 0 (got "${this.options.concurrency}")`);
+        }
+
+        this.pending = [];
+        this.active = new Map();
+        this.domains = new Map();
+        this.results = [];
+        this.counts = { total: 0, completed: 0, failed: 0, cancelled: 0 };
+        this.cancelled = false;
+        this.timer = null;
+        this.settle = null;
+    }
+
+    /**
+     * Run jobs to completion
+     * @param {Array<Object>} jobs - { id, domain, run: async (signal, attempt) => result, ...meta }
+     * @returns {Promise<Array>} One outcome per job, in input order:
+     *          { job, status: 'finished'|'failed'|'cancelled', result?, error?, attempts, duration }
+     */
+    run(jobs) {
+        this.results = new Array(jobs.length);
+        this.counts = { total: jobs.length, completed: 0, failed: 0, cancelled: 0 };
+        this.pending = jobs.map((job, index) => ({ job, index, attempt: 0, readyAt: 0, startedAt: null }));
+
+        if (jobs.length === 0) return Promise.resolve([]);
+
+        return new Promise(resolve => {
+            this.settle = resolve;
+            this.schedule();
+        });
+    }
+
+    /**
+     * Cancel pending jobs and abort running ones
+     */
+    cancel(reason = 'Scan cancelled') {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        clearTimeout(this.timer);
+
+        this.pending.splice(0).forEach(entry => this.finish(entry, 'cancelled', { error: reason }));
+        this.active.forEach(({ controller }) => controller.abort(new Error(reason)));
+    }
+
+    /**
+     * Start every job that is allowed to run now, and wake up for the next one
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        if (this.cancelled) return;
+
+        const now = Date.now();
+        let nextWake = Infinity;
+
+        for (let i = 0; i < this.pending.length && this.active.size < this.options.concurrency; i++) {
+            const entry = this.pending[i];
+            const readyAt = Math.max(entry.readyAt, this.domainReadyAt(entry.job.domain));
+
+            if (readyAt > now) {
+                nextWake = Math.min(nextWake, readyAt);
+                continue;
+            }
+            if (this.domainActive(entry.job.domain) >= this.options.perDomainConcurrency) {
+                continue;
+            }
+
+            this.pending.splice(i--, 1);
+            this.start(entry);
+        }
+
+        if (nextWake !== Infinity && this.active.size < this.options.concurrency) {
+            this.timer = setTimeout(() => this.schedule(), nextWake - now);
+        }
+
+        this.checkDone();
+    }
+
+    /**
+     * Run one attempt of a job with its own timeout and abort controller
+     */
+    start(entry) {
+        const { job } = entry;
+        const controller = new AbortController();
+        const domainState = this.domainState(job.domain);
+
+        entry.attempt++;
+        entry.startedAt = entry.startedAt || Date.now();
+        domainState.active++;
+        domainState.lastStart = Date.now();
+        this.active.set(entry, { controller });
+
+        this.emit('started', { job, attempt: entry.attempt });
+
+        let timeoutId;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                const error = new Error(`Timed out after ${this.options.timeout}ms`);
+                controller.abort(error);
+                reject(error);
+            }, this.options.timeout);
+        });
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason || new Error('Aborted')));
+        });
+
+        Promise.race([Promise.resolve().then(() => job.run(controller.signal, entry.attempt)), timeout, aborted])
+            .then(result => {
+                this.release(entry, timeoutId);
+                this.finish(entry, 'finished', { result });
+            })
+            .catch(error => {
+                this.release(entry, timeoutId);
+
+                if (this.cancelled) {
+                    this.finish(entry, 'cancelled', { error: error.message });
+                } else if (entry.attempt <= this.options.retries) {
+                    const delay = Math.min(this.options.backoff * Math.pow(2, entry.attempt - 1), this.options.maxBackoff);
+                    entry.readyAt = Date.now() + delay;
+                    this.pending.push(entry);
+                    this.emit('retry', { job, attempt: entry.attempt, error, delay });
+                } else {
+                    this.finish(entry, 'failed', { error: error.message });
+                }
+            })
+            .finally(() => this.schedule());
+    }
+
+    /**
+     * Free the worker and domain slot held by an attempt
+     */
+    release(entry, timeoutId) {
+        clearTimeout(timeoutId);
+        this.active.delete(entry);
+        this.domainState(entry.job.domain).active--;
+    }
+
+    /**
+     * Record a job outcome and emit its event
+     */
+    finish(entry, status, { result, error } = {}) {
+        const outcome = {
+            job: entry.job,
+            status,
+            result,
+            error,
+            attempts: entry.attempt,
+            duration: entry.startedAt ? Date.now() - entry.startedAt : 0
+        };
+        this.results[entry.index] = outcome;
+
+        if (status === 'finished') {
+            this.counts.completed++;
+            this.emit('finished', { job: entry.job, result, duration: outcome.duration, attempts: entry.attempt });
+        } else if (status === 'failed') {
+            this.counts.failed++;
+            this.emit('failed', { job: entry.job, error, attempts: entry.attempt });
+        } else {
+            this.counts.cancelled++;
+            this.emit('cancelled', { job: entry.job });
+        }
+
+        this.emit('progress', {
+            ...this.counts,
+            active: this.active.size,
+            pending: this.pending.length
+        });
+        this.checkDone();
+    }
+
+    /**
+     * Resolve run() once every job has an outcome
+     */
+    checkDone() {
+        const { total, completed, failed, cancelled } = this.counts;
+        if (this.settle && completed + failed + cancelled === total && this.active.size === 0) {
+            clearTimeout(this.timer);
+            const settle = this.settle;
+            this.settle = null;
+            settle(this.results);
+        }
+    }
+
+    /**
+     * Per-domain bookkeeping for politeness limits
+     */
+    domainState(domain = '*') {
+        if (!this.domains.has(domain)) {
+            this.domains.set(domain, { active: 0, lastStart: 0 });
+        }
+        return this.domains.get(domain);
+    }
+
+    /**
+     * Jobs currently running against a domain
+     */
+    domainActive(domain) {
+        return this.domainState(domain).active;
+    }
+
+    /**
+     * Earliest time the next job on a domain may start
+     */
+    domainReadyAt(domain) {
+        const { lastStart } = this.domainState(domain);
+        return lastStart ? lastStart + this.options.domainDelay : 0;
+    }
+}
+
+module.exports = ScanQueue;
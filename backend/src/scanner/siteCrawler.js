@@ -0,0 +1,262 @@
+const cheerio = require('cheerio');
+const { DEFAULT_USER_AGENT, fetchText, loadPage } = require('./pageLoader');
+const { parseRobotsTxt } = require('./robotsTxt');
+
+/**
+ * WCAGAI v4.0 Site Crawler
+ * Multi-page discovery for a single site: sitemap.xml, robots.txt and same-origin links
+ *
+ * When the start page redirects to another origin (example.org → www.example.org)
+ * the site is crawled on both, with robots.txt from the one it redirected to.
+ */
+
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|txt|zip|gz|mp3|mp4|webm|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+class SiteCrawler {
+    /**
+     * @param {Object} options - Crawl limits
+     * @param {number} options.maxDepth - Link hops from the start page (default 2)
+     * @param {number} options.maxPages - Maximum pages to visit (default 25)
+     * @param {Array<string|RegExp>} options.include - Only visit URLs matching one of these
+     * @param {Array<string|RegExp>} options.exclude - Never visit URLs matching these
+     * @param {boolean} options.useSitemap - Seed the queue from sitemap.xml (default true)
+     * @param {boolean} options.respectRobots - Obey robots.txt (default true)
+     * @param {number} options.maxCrawlDelay - Cap on robots.txt Crawl-delay, in ms
+     * @param {AbortSignal} options.signal - Stops the crawl and any in-flight request
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxDepth: 2,
+            maxPages: 25,
+            include: [],
+            exclude: [],
+            useSitemap: true,
+            respectRobots: true,
+            maxSitemapUrls: 500,
+            maxCrawlDelay: 10000,
+            timeout: 15000,
+            userAgent: DEFAULT_USER_AGENT,
+            ...options
+        };
+
+        this.include = this.options.include.map(pattern => this.toRegExp(pattern));
+        this.exclude = this.options.exclude.map(pattern => this.toRegExp(pattern));
+    }
+
+    /**
+     * Crawl a site breadth-first, handing each page to `visit` as it is loaded
+     * @param {string} startUrl - Entry page
+     * @param {Function} visit - async (page) => void, page = { url, depth, html, loadTime, status }
+     * @returns {Promise<Object>} Crawl summary
+     */
+    async crawl(startUrl, visit) {
+        const origin = new URL(startUrl).origin;
+        const origins = new Set([origin]);
+        let robots = this.options.respectRobots ? await this.loadRobots(origin) : parseRobotsTxt('');
+        const crawlDelay = Math.min((robots.crawlDelay || 0) * 1000, this.options.maxCrawlDelay);
+
+        const queue = [{ url: this.normalizeUrl(startUrl), depth: 0, source: 'start' }];
+        const seen = new Set([queue[0].url]);
+        const summary = {
+            startUrl,
+            origin,
+            pagesVisited: 0,
+            sitemapUrls: 0,
+            skipped: { robots: 0, pattern: 0, limit: 0 },
+            errors: [],
+            crawlDelay
+        };
+
+        if (this.options.useSitemap) {
+            const sitemapUrls = await this.loadSitemapUrls(origin, robots.sitemaps);
+            summary.sitemapUrls = sitemapUrls.length;
+            sitemapUrls.forEach(url => {
+                const normalized = this.normalizeUrl(url);
+                // Checked against the site's origins when dequeued, as the start page may redirect
+                if (normalized && !seen.has(normalized)) {
+                    seen.add(normalized);
+                    queue.push({ url: normalized, depth: 1, source: 'sitemap' });
+                }
+            });
+        }
+
+        while (queue.length > 0) {
+            this.throwIfAborted();
+            const entry = queue.shift();
+            if (!origins.has(new URL(entry.url).origin)) continue;
+
+            if (summary.pagesVisited >= this.options.maxPages) {
+                summary.skipped.limit += queue.length + 1;
+                break;
+            }
+
+            const { pathname, search } = new URL(entry.url);
+            if (!robots.isAllowed(pathname + search)) {
+                summary.skipped.robots++;
+                continue;
+            }
+            if (entry.source !== 'start' && !this.matchesPatterns(entry.url)) {
+                summary.skipped.pattern++;
+                continue;
+            }
+
+            if (summary.pagesVisited > 0 && crawlDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, crawlDelay));
+            }
+
+            let page;
+            try {
+                page = await loadPage(entry.url, this.requestOptions());
+            } catch (error) {
+                this.throwIfAborted();
+                summary.errors.push({ url: entry.url, error: error.message });
+                continue;
+            }
+
+            if (entry.source === 'start' && page.finalUrl) {
+                const finalOrigin = new URL(page.finalUrl).origin;
+                if (!origins.has(finalOrigin)) {
+                    origins.add(finalOrigin);
+                    summary.origin = finalOrigin;
+                    if (this.options.respectRobots) robots = await this.loadRobots(finalOrigin);
+                }
+            }
+
+            summary.pagesVisited++;
+            await visit({ ...page, url: entry.url, depth: entry.depth, source: entry.source });
+
+            if (entry.depth < this.options.maxDepth) {
+                this.extractLinks(page.html, page.finalUrl || entry.url).forEach(link => {
+                    if (!seen.has(link) && origins.has(new URL(link).origin)) {
+                        seen.add(link);
+                        queue.push({ url: link, depth: entry.depth + 1, source: 'link' });
+                    }
+                });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Fetch and parse robots.txt; a missing file allows everything
+     */
+    async loadRobots(origin) {
+        try {
+            const response = await fetchText(`${origin}/robots.txt`, this.requestOptions());
+            return parseRobotsTxt(response.body, this.options.userAgent);
+        } catch (error) {
+            return parseRobotsTxt('');
+        }
+    }
+
+    /**
+     * Collect page URLs from sitemap.xml (and sitemap indexes) plus robots.txt Sitemap entries
+     */
+    async loadSitemapUrls(origin, robotsSitemaps = []) {
+        const pending = robotsSitemaps.length > 0 ? [...robotsSitemaps] : [`${origin}/sitemap.xml`];
+        const visitedSitemaps = new Set();
+        const urls = [];
+
+        while (pending.length > 0 && urls.length < this.options.maxSitemapUrls && visitedSitemaps.size < 10) {
+            const sitemapUrl = pending.shift();
+            if (visitedSitemaps.has(sitemapUrl)) continue;
+            visitedSitemaps.add(sitemapUrl);
+
+            let xml;
+            try {
+                xml = (await fetchText(sitemapUrl, this.requestOptions())).body;
+            } catch (error) {
+                continue;
+            }
+
+            const $ = cheerio.load(xml, { xml: true });
+            $('sitemapindex sitemap > loc').each((i, el) => {
+                pending.push($(el).text().trim());
+            });
+            $('urlset url > loc').each((i, el) => {
+                if (urls.length < this.options.maxSitemapUrls) urls.push($(el).text().trim());
+            });
+        }
+
+        return urls;
+    }
+
+    /**
+     * Same-document links resolved against the page (honouring <base href>)
+     */
+    extractLinks(html, pageUrl) {
+        const $ = cheerio.load(html || '');
+        const base = $('base[href]').attr('href');
+        let baseUrl = pageUrl;
+        try {
+            if (base) baseUrl = new URL(base, pageUrl).href;
+        } catch (error) {
+            // Invalid <base>, fall back to the page URL
+        }
+
+        const links = [];
+        $('a[href], area[href]').each((i, el) => {
+            const href = ($(el).attr('href') || '').trim();
+            if (!href || /^(mailto|tel|javascript|data):/i.test(href)) return;
+            if (($(el).attr('rel') || '').split(/\s+/).includes('nofollow')) return;
+
+            const normalized = this.normalizeUrl(href, baseUrl);
+            if (normalized && !links.includes(normalized)) links.push(normalized);
+        });
+
+        return links;
+    }
+
+    /**
+     * Absolute http(s) URL without fragment, or null for non-page resources
+     */
+    normalizeUrl(href, baseUrl) {
+        try {
+            const url = new URL(href, baseUrl);
+            if (!['http:', 'https:'].includes(url.protocol)) return null;
+            if (NON_HTML_EXTENSIONS.test(url.pathname)) return null;
+            url.hash = '';
+            return url.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Shared options for page, robots.txt and sitemap requests
+     */
+    requestOptions() {
+        return { timeout: this.options.timeout, userAgent: this.options.userAgent, signal: this.options.signal };
+    }
+
+    /**
+     * Abort the crawl when the caller's signal fires
+     */
+    throwIfAborted() {
+        if (this.options.signal?.aborted) {
+            throw new Error('Crawl cancelled');
+        }
+    }
+
+    /**
+     * Apply include/exclude URL patterns
+     */
+    matchesPatterns(url) {
+        if (this.exclude.some(regex => regex.test(url))) return false;
+        return this.include.length === 0 || this.include.some(regex => regex.test(url));
+    }
+
+    /**
+     * Patterns are RegExps or strings with `*` wildcards, matched anywhere in the URL
+     */
+    toRegExp(pattern) {
+        if (pattern instanceof RegExp) return pattern;
+        return new RegExp(String(pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*'));
+    }
+}
+
+module.exports = SiteCrawler;
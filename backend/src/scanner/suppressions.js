@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WCAGAI v4.0 Suppression List
+ * Project-level baseline of accepted or known violations (third-party widgets, reviewed exceptions)
+ *
+ * File format (.wcagai-baseline.json):
+ * {
+ *   "suppressions": [
+ *     {
+ *       "rule": "color-contrast",            // rule id (optional)
+ *       "selector": "#chat-widget *",        // CSS selector (optional), see below
+ *       "url": "https://example.com/help/*", // page URL pattern, `*` wildcard (optional)
+ *       "reason": "Vendor chat widget, fix tracked in VEND-12",
+ *       "expires": "2026-06-30"
+ *     }
+ *   ]
+ * }
+ *
+ * Every given matcher must match. Entries past their expiry stop suppressing,
+ * and the violations they used to cover are reported as active again.
+ *
+ * Selectors are matched against the element while the page is loaded, so
+ * "#chat-widget *" covers everything inside the widget, including elements
+ * reported under their own id (#send). Violations read back from saved reports
+ * have no page, so there the selector is matched as a `*` wildcard pattern
+ * against the reported selector text; that text is also tried for live pages.
+ */
+
+const DEFAULT_FILE = '.wcagai-baseline.json';
+
+/**
+ * Convert a `*` wildcard pattern into an anchored RegExp
+ */
+function wildcardToRegExp(pattern) {
+    const body = String(pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}$`);
+}
+
+class SuppressionList {
+    /**
+     * @param {Array<Object>} entries - Suppression entries
+     * @param {Object} options - { source } file the entries came from
+     */
+    constructor(entries = [], options = {}) {
+        this.source = options.source || null;
+        this.entries = entries.map((entry, index) => this.validate(entry, index));
+    }
+
+    /**
+     * Load a suppression file
+     */
+    static fromFile(filePath) {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const entries = Array.isArray(raw) ? raw : raw.suppressions || [];
+        return new SuppressionList(entries, { source: path.resolve(filePath) });
+    }
+
+    /**
+     * Resolve scan options into a suppression list
+     * @param {string|Array|Object|SuppressionList} input - File path, entries, { suppressions } or a list
+     * @param {string} cwd - Directory searched for the default .wcagai-baseline.json
+     * @returns {SuppressionList}
+     */
+    static resolve(input, cwd = process.cwd()) {
+        if (input instanceof SuppressionList) return input;
+        if (typeof input === 'string') return SuppressionList.fromFile(input);
+        if (Array.isArray(input)) return new SuppressionList(input);
+        if (input && Array.isArray(input.suppressions)) return new SuppressionList(input.suppressions);
+
+        const defaultFile = path.join(cwd, DEFAULT_FILE);
+        return fs.existsSync(defaultFile) ? SuppressionList.fromFile(defaultFile) : new SuppressionList([]);
+    }
+
+    /**
+     * Check an entry has a matcher, a reason and a valid expiry date
+     */
+    validate(entry, index) {
+        const label = `Suppression #${index + 1}`;
+
+        if (!entry.rule && !entry.selector && !entry.url && !entry.fingerprint) {
+            throw new Error(`${label} must match on rule, selector, url or fingerprint`);
+        }
+        if (!entry.reason || !String(entry.reason).trim()) {
+            throw new Error(`${label} needs a reason`);
+        }
+        if (!entry.expires) {
+            throw new Error(`${label} needs an expires date`);
+        }
+
+        // Date-only expiries cover the whole day (UTC)
+        const expiresAt = new Date(/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) ? `${entry.expires}T23:59:59.999Z` : entry.expires);
+        if (isNaN(expiresAt.getTime())) {
+            throw new Error(`${label} has an invalid expires date: ${entry.expires}`);
+        }
+
+        return {
+            ...entry,
+            id: entry.id || `suppression-${index + 1}`,
+            expiresAt,
+            selectorPattern: entry.selector ? wildcardToRegExp(entry.selector) : null,
+            urlPattern: entry.url ? wildcardToRegExp(entry.url) : null
+        };
+    }
+
+    /**
+     * CSS selectors of the entries, for the rule engine to match against each failed element
+     */
+    get selectors() {
+        return [...new Set(this.entries.filter(entry => entry.selector).map(entry => entry.selector))];
+    }
+
+    /**
+     * Whether an entry's matchers all match a violation
+     */
+    matches(entry, violation) {
+        if (entry.fingerprint && entry.fingerprint !== violation.fingerprint) return false;
+        if (entry.rule && entry.rule !== violation.ruleId) return false;
+        if (entry.selector && !(violation.matchedSelectors || []).includes(entry.selector) &&
+            !entry.selectorPattern.test(violation.selector || '')) return false;
+        if (entry.urlPattern && !entry.urlPattern.test(violation.url || '')) return false;
+        return true;
+    }
+
+    /**
+     * Split violations into active and suppressed
+     * @param {Array} violations - Rule engine violations
+     * @param {Date} now - Evaluation time for expiry checks
+     * @returns {Object} { active, suppressed, expired } where expired lists entries that matched but lapsed
+     */
+    apply(violations, now = new Date()) {
+        const active = [];
+        const suppressed = [];
+        const expired = new Map();
+
+        violations.forEach(violation => {
+            const matching = this.entries.filter(entry => this.matches(entry, violation));
+            const current = matching.find(entry => entry.expiresAt >= now);
+            // DOM matches only matter here, they aren't reported
+            const { matchedSelectors, ...reported } = violation;
+
+            if (current) {
+                suppressed.push({ ...reported, suppression: this.describe(current) });
+                return;
+            }
+
+            const lapsed = matching[0];
+            if (lapsed) {
+                expired.set(lapsed.id, this.describe(lapsed));
+                active.push({ ...reported, suppressionExpired: this.describe(lapsed) });
+            } else {
+                active.push(reported);
+            }
+        });
+
+        return { active, suppressed, expired: [...expired.values()] };
+    }
+
+    /**
+     * Public view of an entry for reports
+     */
+    describe(entry) {
+        return {
+            id: entry.id,
+            rule: entry.rule,
+            selector: entry.selector,
+            url: entry.url,
+            fingerprint: entry.fingerprint,
+            reason: entry.reason,
+            expires: entry.expires
+        };
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+}
+
+SuppressionList.DEFAULT_FILE = DEFAULT_FILE;
+
+module.exports = SuppressionList;
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { FORMATS, formatReport } = require('../reports/formatters');
+const { getCriterion } = require('../compliance/wcagCatalog');
+
+/**
+ * WCAGAI v4.0 Dashboard Server
+ * Serves index.html and the JSON API it reads scan results from
+ *
+ *   GET /                                   dashboard (index.html)
+ *   GET /api/dashboard                      sites, distribution and top issues of the current report
+ *   GET /api/sites/:domain                  violations grouped by WCAG criterion, snippets and AI fixes
+ *   GET /api/sites/:domain/report?format=   one site's report (json, sarif, junit, vpat, vpat-docx)
+ *   GET /api/trends?domain=|vertical=       scan history trends
+ *
+ * The report is a scanner report object or a file saved with --output; a
+ * file is re-read on every request so a new scan shows up without a restart.
+ */
+
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    sarif: 'application/json; charset=utf-8',
+    xml: 'application/xml; charset=utf-8',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function siteDomain(site) {
+    if (site.domain) return site.domain;
+    try {
+        return new URL(site.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return site.url || 'unknown';
+    }
+}
+
+function compareCriteria(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+class DashboardServer {
+    /**
+     * @param {Object} options - { scanner, report, reportFile, prisma, root }
+     */
+    constructor(options = {}) {
+        if (!options.scanner) {
+            throw new Error('DashboardServer needs a WCAGAIV4Scanner');
+        }
+        this.scanner = options.scanner;
+        this.report = options.report || null;
+        this.reportFile = options.reportFile || null;
+        this.prisma = options.prisma || null;
+        this.root = options.root || path.resolve(__dirname, '../../..');
+        this.server = null;
+    }
+
+    /**
+     * Current report as a list of sites ({ domain, url, scanResult, ... })
+     */
+    loadReport() {
+        const report = this.reportFile ? JSON.parse(fs.readFileSync(this.reportFile, 'utf8')) : this.report;
+        if (!report) {
+            throw new HttpError(404, 'No scan results yet: run a scan with --output and serve that file');
+        }
+        if (report.scanMode === 'direct') {
+            return {
+                ...report,
+                results: [{ url: report.url, domain: siteDomain({ url: report.url }), scanResult: report.result }]
+            };
+        }
+        return report;
+    }
+
+    findSite(report, domain) {
+        const site = report.results.find(result => siteDomain(result) === domain);
+        if (!site) {
+            throw new HttpError(404, `No site "${domain}" in the current scan results`);
+        }
+        return site;
+    }
+
+    /**
+     * Data behind the dashboard: one row per site plus the vertical analysis
+     */
+    getDashboard() {
+        const report = this.loadReport();
+        const analysis = report.analysis || this.scanner.generateVerticalAnalysis(report.results, report.vertical || 'direct');
+
+        return {
+            scanMode: report.scanMode,
+            vertical: report.vertical || analysis.vertical || null,
+            keywords: report.keywords || [],
+            completedAt: report.completedAt || null,
+            sites: report.results.map(site => ({
+                domain: siteDomain(site),
+                url: site.url,
+                title: site.title || null,
+                compliance: site.scanResult ? site.scanResult.compliancePercentage ?? Math.round(site.scanResult.complianceScore * 100) : null,
+                violations: site.scanResult?.totalViolations ?? null,
+                critical: site.scanResult?.criticalViolations ?? null,
+                scannedAt: site.scannedAt || report.completedAt || null,
+                error: site.scanError || null
+            })),
+            analysis: {
+                averageCompliance: analysis.averageCompliance,
+                successfulScans: analysis.successfulScans,
+                totalSites: analysis.totalSites,
+                complianceDistribution: analysis.complianceDistribution,
+                topIssues: analysis.topIssues,
+                roiEstimate: analysis.roiEstimate
+            }
+        };
+    }
+
+    /**
+     * One site's violations grouped by WCAG success criterion, with any AI fixes
+     */
+    async getSiteDetail(domain) {
+        const report = this.loadReport();
+        const site = this.findSite(report, domain);
+        if (!site.scanResult) {
+            return { domain, url: site.url, error: site.scanError || 'Not scanned', criteria: [], fixes: [] };
+        }
+
+        const fixes = await this.getFixes(site, report);
+        const groups = new Map();
+        site.scanResult.violations.forEach(violation => {
+            const criterion = (violation.wcagCriteria || [])[0] || 'other';
+            if (!groups.has(criterion)) groups.set(criterion, []);
+            groups.get(criterion).push({
+                ruleId: violation.ruleId,
+                impact: violation.impact,
+                message: violation.message,
+                help: violation.help,
+                selector: violation.selector,
+                html: violation.html,
+                url: violation.url,
+                fingerprint: violation.fingerprint,
+                fix: fixes.find(fix => fix.fingerprint === violation.fingerprint ||
+                    (fix.rule === violation.ruleId && fix.element === violation.selector)) || null
+            });
+        });
+
+        return {
+            domain: siteDomain(site),
+            url: site.url,
+            title: site.title || null,
+            compliance: site.scanResult.compliancePercentage ?? Math.round(site.scanResult.complianceScore * 100),
+            totalViolations: site.scanResult.totalViolations,
+            criticalViolations: site.scanResult.criticalViolations,
+            suppressedViolations: (site.scanResult.suppressedViolations || []).length,
+            legalRisk: site.legalRisk || null,
+            criteria: [...groups.entries()]
+                .sort(([a], [b]) => compareCriteria(a, b))
+                .map(([criterion, violations]) => ({
+                    criterion,
+                    name: getCriterion(criterion)?.name || null,
+                    level: getCriterion(criterion)?.level || null,
+                    violations: violations.sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact))
+                })),
+            fixes
+        };
+    }
+
+    /**
+     * AI fixes attached to the site in the report, or stored AIFix rows for its latest saved scan
+     */
+    async getFixes(site, report) {
+        if (Array.isArray(site.aiFixes)) {
+            return site.aiFixes;
+        }
+        if (!this.prisma || !report.runId) {
+            return [];
+        }
+
+        const scans = await this.scanner.history.history({ domain: siteDomain(site) });
+        const scan = scans.filter(row => row.runId === report.runId).pop();
+        return scan ? this.prisma.aIFix.findMany({ where: { scanId: scan.id } }) : [];
+    }
+
+    /**
+     * One site's report, serialised like `--format`
+     */
+    getSiteReport(domain, format = 'json') {
+        if (!FORMATS[format]) {
+            throw new HttpError(400, `Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+        const report = this.loadReport();
+        const site = this.findSite(report, domain);
+        const siteReport = {
+            ...report,
+            sitesScanned: 1,
+            results: [site],
+            analysis: this.scanner.generateVerticalAnalysis([site], report.vertical || 'direct')
+        };
+
+        return {
+            filename: `wcagai-${domain.replace(/[^a-z0-9.-]+/gi, '_')}.${FORMATS[format].extension}`,
+            contentType: CONTENT_TYPES[FORMATS[format].extension] || 'application/octet-stream',
+            body: formatReport(siteReport, format)
+        };
+    }
+
+    /**
+     * Route a request
+     */
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const parts = url.pathname.split('/').filter(Boolean).map(part => {
+                try {
+                    return decodeURIComponent(part);
+                } catch (error) {
+                    throw new HttpError(400, `Malformed path: ${url.pathname}`);
+                }
+            });
+
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `${req.method} is not supported`);
+            }
+
+            if (parts.length === 0 || url.pathname === '/index.html') {
+                return this.send(res, 200, CONTENT_TYPES.html, fs.readFileSync(path.join(this.root, 'index.html')));
+            }
+            if (parts[0] !== 'api') {
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+            }
+
+            if (parts[1] === 'dashboard' && parts.length === 2) {
+                return this.sendJson(res, 200, this.getDashboard());
+            }
+            if (parts[1] === 'sites' && parts.length === 3) {
+                return this.sendJson(res, 200, await this.getSiteDetail(parts[2]));
+            }
+            if (parts[1] === 'sites' && parts[3] === 'report' && parts.length === 4) {
+                const { filename, contentType, body } = this.getSiteReport(parts[2], (url.searchParams.get('format') || 'json').toLowerCase());
+                return this.send(res, 200, contentType, body, { 'Content-Disposition': `attachment; filename="${filename}"` });
+            }
+            if (parts[1] === 'trends' && parts.length === 2) {
+                const query = Object.fromEntries(['domain', 'vertical', 'from', 'to']
+                    .filter(key => url.searchParams.get(key))
+                    .map(key => [key, url.searchParams.get(key)]));
+                if (!query.domain && !query.vertical) {
+                    throw new HttpError(400, 'Trends need a domain or vertical parameter');
+                }
+                return this.sendJson(res, 200, await this.scanner.getTrends(query));
+            }
+
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        } catch (error) {
+            if (!error.status) {
+                console.error('❌ Dashboard request failed:', error.message);
+            }
+            return this.sendJson(res, error.status || 500, { error: error.message });
+        }
+    }
+
+    send(res, status, contentType, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+        res.end(body);
+    }
+
+    sendJson(res, status, data) {
+        this.send(res, status, CONTENT_TYPES.json, JSON.stringify(data));
+    }
+
+    /**
+     * @param {number} port - 0 picks a free port
+     * @returns {Promise<Object>} { port, url }
+     */
+    listen(port = 8080, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                resolve({ port: address.port, url: `http://${host}:${address.port}/` });
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+module.exports = DashboardServer;
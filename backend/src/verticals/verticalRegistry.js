@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { getCriterion } = require('../compliance/wcagCatalog');
+
+/**
+ * WCAGAI v4.0 Vertical Registry
+ * Industry verticals as data: discovery keywords and query template, compliance
+ * benchmark, known top sites, typical issues, regulation and report pricing
+ *
+ * Verticals load from verticals.json next to this file, or the file named by
+ * WCAGAI_VERTICALS. Rows in the VerticalBenchmark table override the file (and
+ * can add verticals) once loadVerticalBenchmarks() has run; saveVerticalBenchmarks()
+ * seeds the table from the file.
+ *
+ * Vertical
+ *   keywords            - Default discovery keywords
+ *   queryTemplate       - Search query; {keywords}, {vertical} and {year} are filled in
+ *   queryVariants       - Per-keyword query templates discovery fans out over (default
+ *                         "{keywords}" and "{keywords} {vertical}")
+ *   complianceBenchmark - Expected average compliance score (0-1), with benchmarkSource
+ *   topSites            - Known leading domains, the discovery fallback
+ *   typicalIssues       - WCAG criteria the vertical most often fails
+ *   regulatoryPressure  - HIGH, MEDIUM or LOW
+ *   complianceDeadline  - Next regulatory deadline (YYYY-MM-DD) or null, with deadlineNote
+ *   reportPrice         - Benchmark report price in cents (USD)
+ *   jurisdictions       - Default markets (see jurisdictions)
+ *   legal               - Legal risk profile: { adaBaseRate, eaaInScope, settlementMultiplier }
+ */
+
+const DEFAULT_FILE = path.join(__dirname, 'verticals.json');
+const PRESSURES = ['HIGH', 'MEDIUM', 'LOW'];
+const DEFAULT_QUERY_TEMPLATE = '{keywords} {vertical} sites {year}';
+const DEFAULT_QUERY_VARIANTS = ['{keywords}', '{keywords} {vertical}'];
+const DEFAULT_REPORT_PRICE = 199900; // $1,999
+const DEFAULT_LEGAL = { adaBaseRate: 0.04, eaaInScope: false, settlementMultiplier: 1.0 };
+
+let registry = null;
+
+/**
+ * Validate a vertical definition and fill in defaults
+ */
+function normalizeVertical(definition) {
+    const id = String(definition?.id || '').trim().toLowerCase();
+    const fail = message => { throw new Error(`Vertical "${id || '?'}": ${message}`); };
+
+    if (!/^[a-z][a-z0-9-]*$/.test(id)) fail('id must be a lower-case slug');
+    const keywords = definition.keywords;
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+        fail('needs a list of keywords');
+    }
+    const queryTemplate = definition.queryTemplate || DEFAULT_QUERY_TEMPLATE;
+    if (!queryTemplate.includes('{keywords}')) fail('queryTemplate must contain {keywords}');
+    const queryVariants = definition.queryVariants && definition.queryVariants.length > 0 ? definition.queryVariants : DEFAULT_QUERY_VARIANTS;
+    queryVariants.forEach(variant => {
+        if (typeof variant !== 'string' || !variant.includes('{keywords}')) fail(`query variant "${variant}" must contain {keywords}`);
+    });
+    const benchmark = definition.complianceBenchmark;
+    if (typeof benchmark !== 'number' || benchmark < 0 || benchmark > 1) fail('complianceBenchmark must be between 0 and 1');
+    const pressure = String(definition.regulatoryPressure || 'MEDIUM').toUpperCase();
+    if (!PRESSURES.includes(pressure)) fail(`regulatoryPressure must be ${PRESSURES.join(', ')}`);
+    const deadline = definition.complianceDeadline || null;
+    if (deadline && !(/^\d{4}-\d{2}-\d{2}$/.test(deadline) && !isNaN(Date.parse(deadline)))) {
+        fail(`complianceDeadline "${deadline}" is not a YYYY-MM-DD date`);
+    }
+    const price = definition.reportPrice ?? DEFAULT_REPORT_PRICE;
+    if (!Number.isInteger(price) || price <= 0) fail('reportPrice must be a positive whole number of cents');
+    const typicalIssues = definition.typicalIssues || [];
+    typicalIssues.forEach(criterion => {
+        if (!getCriterion(criterion)) fail(`unknown WCAG criterion "${criterion}" in typicalIssues`);
+    });
+
+    return {
+        id,
+        name: definition.name || id,
+        keywords: keywords.map(keyword => keyword.trim()),
+        queryTemplate,
+        queryVariants: [...new Set(queryVariants)],
+        complianceBenchmark: benchmark,
+        benchmarkSource: definition.benchmarkSource || null,
+        topSites: definition.topSites || [],
+        typicalIssues,
+        regulatoryPressure: pressure,
+        complianceDeadline: deadline,
+        deadlineNote: definition.deadlineNote || null,
+        reportPrice: price,
+        jurisdictions: definition.jurisdictions && definition.jurisdictions.length > 0 ? definition.jurisdictions : null,
+        legal: { ...DEFAULT_LEGAL, ...definition.legal }
+    };
+}
+
+/**
+ * Replace the registry with the verticals in a JSON file ({ verticals: [...] })
+ * @param {string} file - Defaults to WCAGAI_VERTICALS or verticals.json
+ * @returns {Array<Object>} Loaded verticals
+ */
+function loadVerticals(file = process.env.WCAGAI_VERTICALS || DEFAULT_FILE) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const definitions = Array.isArray(raw) ? raw : raw.verticals || [];
+    const loaded = new Map();
+    definitions.map(normalizeVertical).forEach(vertical => loaded.set(vertical.id, vertical));
+    registry = loaded;
+    return listVerticals();
+}
+
+function verticals() {
+    if (!registry) loadVerticals();
+    return registry;
+}
+
+/**
+ * Add or replace a vertical
+ */
+function registerVertical(definition) {
+    const vertical = normalizeVertical(definition);
+    verticals().set(vertical.id, vertical);
+    return vertical;
+}
+
+function listVerticals() {
+    return [...verticals().values()];
+}
+
+/**
+ * Look up a vertical by ID (case-insensitive)
+ * @returns {Object|null}
+ */
+function getVertical(id) {
+    return verticals().get(String(id || '').trim().toLowerCase()) || null;
+}
+
+/**
+ * Like getVertical, but unknown IDs are an error
+ */
+function requireVertical(id) {
+    const vertical = getVertical(id);
+    if (!vertical) {
+        throw new Error(`Unknown vertical "${id}" (expected ${[...verticals().keys()].join(', ')})`);
+    }
+    return vertical;
+}
+
+/**
+ * A vertical, or neutral defaults for IDs the registry doesn't know (e.g. "local")
+ */
+function resolveVertical(id) {
+    return getVertical(id) || {
+        id: id || 'default',
+        name: id || 'default',
+        keywords: [],
+        queryTemplate: DEFAULT_QUERY_TEMPLATE,
+        queryVariants: DEFAULT_QUERY_VARIANTS,
+        complianceBenchmark: 0.5,
+        benchmarkSource: null,
+        topSites: [],
+        typicalIssues: [],
+        regulatoryPressure: 'LOW',
+        complianceDeadline: null,
+        deadlineNote: null,
+        reportPrice: DEFAULT_REPORT_PRICE,
+        jurisdictions: null,
+        legal: { ...DEFAULT_LEGAL },
+        generic: true
+    };
+}
+
+/**
+ * Fill a vertical's query template (or another template, e.g. one of its queryVariants)
+ * @param {string} id - Vertical ID
+ * @param {string[]} keywords - Search keywords
+ * @param {Object} options - { year } (defaults to the current year), { template }
+ */
+function buildVerticalQuery(id, keywords, { year = new Date().getUTCFullYear(), template = null } = {}) {
+    const vertical = resolveVertical(id);
+    return (template || vertical.queryTemplate)
+        .replace(/\{keywords\}/g, keywords.join(' '))
+        .replace(/\{vertical\}/g, vertical.id)
+        .replace(/\{year\}/g, String(year))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Overlay VerticalBenchmark rows onto the registry. A row for an unknown vertical
+ * becomes a new vertical if it has keywords; incomplete rows are skipped with a warning.
+ * @param {Object} prisma - Prisma client
+ * @returns {Promise<Array<Object>>} Verticals updated from the table
+ */
+async function loadVerticalBenchmarks(prisma) {
+    const rows = await prisma.verticalBenchmark.findMany();
+    const updated = [];
+
+    rows.forEach(row => {
+        const existing = getVertical(row.vertical) || {};
+        const pick = (list, fallback) => list && list.length > 0 ? list : fallback;
+        try {
+            updated.push(registerVertical({
+                ...existing,
+                id: row.vertical,
+                name: row.name || existing.name,
+                keywords: pick(row.keywords, existing.keywords),
+                queryTemplate: row.queryTemplate || existing.queryTemplate,
+                queryVariants: pick(row.queryVariants, existing.queryVariants),
+                complianceBenchmark: row.avgCompliance,
+                topSites: pick(row.topSites, existing.topSites),
+                typicalIssues: pick(row.typicalIssues, existing.typicalIssues),
+                regulatoryPressure: row.regulatoryPressure || existing.regulatoryPressure,
+                complianceDeadline: row.complianceDeadline ? new Date(row.complianceDeadline).toISOString().slice(0, 10) : existing.complianceDeadline,
+                reportPrice: row.reportPrice ?? existing.reportPrice,
+                jurisdictions: pick(row.jurisdictions, existing.jurisdictions),
+                legal: row.legal || existing.legal
+            }));
+        } catch (error) {
+            console.warn(`⚠️  Skipping VerticalBenchmark row "${row.vertical}":`, error.message);
+        }
+    });
+
+    return updated;
+}
+
+/**
+ * Write registry verticals to the VerticalBenchmark table (insert or update by vertical)
+ * @param {Object} prisma - Prisma client
+ * @param {Array<Object>} list - Verticals to save (default: all)
+ */
+async function saveVerticalBenchmarks(prisma, list = listVerticals()) {
+    for (const vertical of list) {
+        const data = {
+            name: vertical.name,
+            keywords: vertical.keywords,
+            queryTemplate: vertical.queryTemplate,
+            queryVariants: vertical.queryVariants,
+            avgCompliance: vertical.complianceBenchmark,
+            topSites: vertical.topSites,
+            typicalIssues: vertical.typicalIssues,
+            regulatoryPressure: vertical.regulatoryPressure,
+            complianceDeadline: vertical.complianceDeadline ? new Date(vertical.complianceDeadline) : null,
+            reportPrice: vertical.reportPrice,
+            jurisdictions: vertical.jurisdictions || [],
+            legal: vertical.legal
+        };
+        await prisma.verticalBenchmark.upsert({
+            where: { vertical: vertical.id },
+            create: { vertical: vertical.id, ...data },
+            update: data
+        });
+    }
+    return list.length;
+}
+
+module.exports = {
+    DEFAULT_FILE,
+    DEFAULT_LEGAL,
+    loadVerticals,
+    registerVertical,
+    listVerticals,
+    getVertical,
+    requireVertical,
+    resolveVertical,
+    buildVerticalQuery,
+    loadVerticalBenchmarks,
+    saveVerticalBenchmarks
+};
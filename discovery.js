@@ -1,41 +1,137 @@
-const { SerpApiSearch } = require('google-search-results-nodejs');
-const redis = require('redis');
+const Cache = require('./backend/src/cache/cache');
+const { predictCompliance, DEFAULT_SEED } = require('./backend/src/analysis/scoringModel');
+const { resolveJurisdictions } = require('./backend/src/compliance/jurisdictions');
+const { SerpApiProvider, createProviders } = require('./backend/src/discovery/providers');
+const { TrafficStore } = require('./backend/src/discovery/trafficData');
+const { GROUPINGS, hostOf, registrableDomain, resolveRedirect, mergeSites } = require('./backend/src/discovery/domains');
+const { resolveVertical, buildVerticalQuery } = require('./backend/src/verticals/verticalRegistry');
 
 /**
  * WCAGAI v4.0 Vertical Discovery System
  * Implements keyword-based site discovery with traffic analytics
  * Based on validated 2025 market data
+ *
+ * Candidate sites come from discovery providers (backend/src/discovery/providers):
+ * SerpAPI by default, or any mix of seed lists, sitemaps, domain lists and
+ * recorded fixtures. With the `merge` strategy every provider is asked; with
+ * `first` the first provider that returns sites wins. The vertical's known top
+ * sites are only used when every provider fails or comes back empty.
+ *
+ * Sites are identified and merged by registrable domain (m.paypal.com → paypal.com)
+ * or, with grouping "organisation", by organisation (paypal.com with paypal.co.uk,
+ * but also delta.com with delta.org; see discovery/domains). The first provider to
+ * find a site keeps it (`discoveredFrom`), with the best position and all
+ * providers in `discoveredBy`; `canonicalDomain` and `aliasDomains` record the
+ * domains that were merged. With resolveRedirects each result is fetched first
+ * and filed under the domain it redirects to (`redirectedFrom`), so a domain that
+ * redirects to another (paypal.co.uk → paypal.com) merges with it.
+ *
+ * Search providers (SerpAPI) are fanned out: every requested keyword, then every
+ * keyword of the vertical, is searched with each of the vertical's queryVariants,
+ * and each search is paged until it runs dry. Pages are fetched a round at a time
+ * (page 1 of every search, then page 2, ...) and paging stops once enough
+ * sites are found, after `maxPages` pages or when the API call `budget`
+ * is spent. Sites found by several searches keep them all in `matchedQueries` and
+ * rank above sites with the same traffic found by fewer; `lastRun` reports the
+ * searches and API calls of the last search. Other providers are asked once.
+ *
+ * Results are kept in the `discovery` cache namespace (see cache/cache), tagged
+ * with the vertical and each keyword so invalidate() can drop them; stale results
+ * are served while a fresh search runs in the background. Fallback sites are
+ * never cached.
+ *
+ * Monthly visits come from imported analytics data (see discovery/trafficData) when
+ * a provider doesn't supply them, SerpAPI never does. Each site records where its
+ * number came from (`trafficSource`, `trafficDate`); sites with no data have 0.
  */
+
+const DEFAULT_SEARCH = {
+    variants: null,
+    pageSize: 10,
+    maxPages: 5,
+    budget: 40,
+    verticalKeywords: true
+};
+
+/**
+ * Search fan-out settings, validated
+ * @param {Object} options - { variants, pageSize, maxPages, budget, verticalKeywords }
+ *   variants - Query templates with {keywords} (default: the vertical's queryVariants)
+ *   pageSize - Results asked for per page (default 10)
+ *   maxPages - Pages per search at most (default 5)
+ *   budget - Search API calls per discovery run (default WCAGAI_SEARCH_BUDGET or 40)
+ *   verticalKeywords - Also search the vertical's own keywords (default true)
+ */
+function searchSettings(options = {}) {
+    const settings = { ...DEFAULT_SEARCH, budget: process.env.WCAGAI_SEARCH_BUDGET || DEFAULT_SEARCH.budget };
+    Object.entries(options || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) settings[key] = value;
+    });
+
+    ['pageSize', 'maxPages', 'budget'].forEach(key => {
+        const value = Number(settings[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Search ${key} must be a whole number above 0 (got "${settings[key]}")`);
+        }
+        settings[key] = value;
+    });
+    if (settings.variants) {
+        settings.variants.forEach(variant => {
+            if (typeof variant !== 'string' || !variant.includes('{keywords}')) {
+                throw new Error(`Search variant "${variant}" must contain {keywords}`);
+            }
+        });
+    }
+    settings.verticalKeywords = Boolean(settings.verticalKeywords);
+    return settings;
+}
+
+/**
+ * Trimmed, lower-cased, de-duplicated and sorted keywords
+ */
+function normalizeKeywords(keywords = []) {
+    return [...new Set(keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))].sort();
+}
+
 class VerticalDiscovery {
-    constructor() {
-        // Initialize SerpAPI client with environment token
-        this.client = new SerpApiSearch(process.env.SERPAPI_KEY || process.env.SERPAPI_TOKEN || 'demo');
+    /**
+     * @param {Object} options - { predictionSeed, providers, strategy, record, cache, traffic, grouping, resolveRedirects, search }
+     * @param {string|Array} options.providers - Providers, configs or specs (default WCAGAI_DISCOVERY or "serpapi")
+     * @param {string} options.strategy - "merge" (default) or "first"
+     * @param {string} options.record - Fixture file to record provider results into
+     * @param {Cache|Object} options.cache - Cache or Cache options (default: configured from the environment)
+     * @param {TrafficStore|string} options.traffic - Imported traffic data, or its file (default WCAGAI_TRAFFIC or ./.wcagai-traffic.json)
+     * @param {string} options.grouping - Merge results by "domain" (default) or "organisation"
+     * @param {boolean|Object} options.resolveRedirects - Follow each result's redirects ({ timeout, fetch }); off by default
+     * @param {Object} options.search - Search fan-out { variants, pageSize, maxPages, budget, verticalKeywords } (see searchSettings)
+     */
+    constructor(options = {}) {
+        // Seed for predictedCompliance, so runs are reproducible
+        this.predictionSeed = options.predictionSeed ?? process.env.WCAGAI_PREDICTION_SEED ?? DEFAULT_SEED;
         
-        // Initialize Redis client for caching
-        this.redis = redis.createClient({
-            host: process.env.REDIS_HOST || 'localhost',
-            port: process.env.REDIS_PORT || 6379,
-            db: process.env.REDIS_DB || 0
-        });
+        // Discovery providers, asked in order
+        this.providers = createProviders(options.providers || process.env.WCAGAI_DISCOVERY || 'serpapi', { record: options.record });
+        this.strategy = options.strategy || 'merge';
+        if (!['merge', 'first'].includes(this.strategy)) {
+            throw new Error(`Unknown discovery strategy "${this.strategy}" (expected merge or first)`);
+        }
         
-        // Vertical-specific search templates (validated 2025 data)
-        this.verticalTemplates = {
-            healthcare: {
-                keywords: ['healthcare', 'hospital', 'patient portal', 'medical', 'clinic'],
-                complianceBenchmark: 0.74, // Based on HHS mandate analysis
-                topSites: ['nih.gov', 'mayoclinic.org', 'webmd.com', 'cdc.gov', 'healthline.com']
-            },
-            fintech: {
-                keywords: ['fintech', 'banking app', 'payment platform', 'digital banking', 'financial services'],
-                complianceBenchmark: 0.31, // Based on TestDevLab study
-                topSites: ['stripe.com', 'paypal.com', 'coinbase.com', 'robinhood.com', 'klarna.com']
-            },
-            ecommerce: {
-                keywords: ['e-commerce', 'online shopping', 'retail platform', 'marketplace'],
-                complianceBenchmark: 0.45, // Estimated baseline
-                topSites: ['amazon.com', 'shopify.com', 'ebay.com', 'etsy.com']
-            }
-        };
+        // Site identity
+        this.grouping = options.grouping || 'domain';
+        if (!GROUPINGS.includes(this.grouping)) {
+            throw new Error(`Unknown site grouping "${this.grouping}" (expected ${GROUPINGS.join(' or ')})`);
+        }
+        this.resolveRedirects = options.resolveRedirects || false;
+        
+        // Keyword / variant fan-out and paging for search providers
+        this.search = searchSettings(options.search);
+        this.lastRun = null;
+        
+        // Shared result cache
+        this.cache = options.cache instanceof Cache ? options.cache : new Cache(options.cache);
+        
+        // Imported traffic data joined into results
+        this.traffic = options.traffic instanceof TrafficStore ? options.traffic : new TrafficStore({ file: options.traffic });
     }
 
     /**
@@ -43,93 +139,267 @@ class VerticalDiscovery {
      * @param {string[]} keywords - Search keywords
      * @param {string} vertical - Industry vertical
      * @param {number} limit - Maximum number of results
+     * @param {Object} options - { jurisdictions } markets to search (defaults to the vertical's)
      * @returns {Promise<Array>} Array of discovered sites with traffic data
      */
-    async discover(keywords, vertical, limit = 20) {
+    async discover(keywords, vertical, limit = 20, options = {}) {
         try {
-            // Check cache first for performance
-            const cacheKey = `discovery:${vertical}:${keywords.join(',')}`;
-            const cached = await this.getFromCache(cacheKey);
-            if (cached) {
-                console.log(`Returning cached results for ${vertical} discovery`);
-                return cached;
-            }
-
-            // Construct search query based on vertical and keywords
-            const query = this.buildSearchQuery(keywords, vertical);
-            console.log(`Searching for: ${query}`);
+            // Search the primary market of the target jurisdictions
+            const location = resolveJurisdictions(options.jurisdictions, { vertical })[0].searchLocation;
+            
+            // Keywords in a fixed order, so the same search always has the same cache key and plan
+            const normalized = normalizeKeywords(keywords);
+            const query = { keywords: normalized, vertical, limit, location, searchQuery: this.buildSearchQuery(normalized, vertical) };
+            const { budget, maxPages, pageSize } = this.search;
+            // The planned searches cover the variants and vertical keywords, which the registry or database may change
+            const plan = this.buildSearchQueries(normalized, vertical).map(search => search.query).join('|');
+            const identity = `${this.grouping}${this.resolveRedirects ? '+redirects' : ''}:${budget}x${maxPages}x${pageSize}:${plan}`;
+            const cacheKey = `${this.providers.map(p => p.name).join('+')}:${identity}:${vertical}:${location}:${limit}:${normalized.join(',')}`;
+            const tags = [Cache.tag('vertical', vertical), ...normalized.map(keyword => Cache.tag('keyword', keyword))];
 
-            // Execute search via SerpAPI
-            const searchResults = await this.client.json({
-                engine: 'google',
-                q: query,
-                num: limit,
-                location: vertical === 'fintech' ? 'United Kingdom' : 'United States' // EAA compliance focus
-            });
+            let searched = false;
+            const sites = await this.cache.wrap('discovery', cacheKey, async () => {
+                searched = true;
+                console.log(`Searching for: ${normalized.join(', ')} (${vertical})`);
 
-            // Process and enhance results with traffic analytics
-            const sites = await this.processSearchResults(searchResults, vertical);
-
-            // Cache results for 24 hours (86400 seconds)
-            await this.cacheResults(cacheKey, sites, 86400);
+                // Ask the providers and enhance results with traffic analytics
+                const found = await this.runProviders(query);
+                if (found.length === 0) {
+                    throw new Error(`No sites from discovery providers (${this.providers.map(p => p.name).join(', ')})`);
+                }
+                return found;
+            }, { tags });
 
+            if (!searched) {
+                console.log(`Returning cached results for ${vertical} discovery`);
+            }
             return sites;
 
         } catch (error) {
-            console.error(`Discovery error for ${vertical}:`, error);
+            console.error(`Discovery error for ${vertical}:`, error.message);
             // Fallback to known top sites for the vertical
             return this.getFallbackSites(vertical);
         }
     }
 
     /**
-     * Build optimized search query for vertical discovery
+     * Ask each provider in turn; a failing provider is skipped. Search providers
+     * share one API call budget across the run.
+     * @returns {Promise<Array>} Sites merged by organisation or domain, ranked by rankSites
      */
-    buildSearchQuery(keywords, vertical) {
-        const baseQuery = keywords.join(' ');
-        const yearFilter = '2025'; // Focus on current/relevant results
-        
-        switch (vertical) {
-            case 'healthcare':
-                return `${baseQuery} healthcare sites ${yearFilter} patient portal medical`;
-            case 'fintech':
-                return `${baseQuery} fintech banking platform ${yearFilter} digital financial services`;
-            case 'ecommerce':
-                return `${baseQuery} ecommerce online shopping ${yearFilter} retail marketplace`;
-            default:
-                return `${baseQuery} ${vertical} sites ${yearFilter}`;
+    async runProviders(query) {
+        const found = [];
+        const run = { searches: this.buildSearchQueries(query.keywords, query.vertical), apiCalls: 0, budget: this.search.budget, exhausted: false };
+        this.lastRun = run;
+
+        for (const provider of this.providers) {
+            if (provider.paged) {
+                found.push(...await this.runSearches(provider, query, run));
+            }
+            if (!provider.paged || provider.unpaged) {
+                try {
+                    found.push(...this.enrichSites(await provider.discover(query), query.vertical, provider.name));
+                } catch (error) {
+                    console.warn(`⚠️  Discovery provider ${provider.name} failed:`, error.message);
+                    continue;
+                }
+            }
+
+            if (this.strategy === 'first' && found.length > 0) break;
+        }
+
+        if (run.apiCalls > 0) {
+            console.log(`🔎 ${run.apiCalls}/${run.budget} search API calls for ${run.searches.length} queries${run.exhausted ? ' (budget spent)' : ''}`);
+        }
+
+        if (this.resolveRedirects) {
+            await this.followRedirects(found, query.vertical);
+        }
+
+        return this.rankSites(mergeSites(found, { by: this.grouping })).slice(0, query.limit);
+    }
+
+    /**
+     * Page through every planned search with a paged provider, a page of each
+     * search per round. A search is done when the provider reports no further
+     * page (discoverPage's hasMore), or on an empty page when it can't tell; paging
+     * stops after the round in which `limit` sites have been found, after
+     * maxPages, or when the budget is spent. A failing provider keeps what it found.
+     * @param {Object} provider - Provider with `paged`
+     * @param {Object} query - { keywords, vertical, limit, location }
+     * @param {Object} run - { searches, apiCalls, budget, exhausted }, updated in place
+     * @returns {Promise<Array>} Enriched sites, each with the query that found it in matchedQueries
+     */
+    async runSearches(provider, query, run) {
+        const found = [];
+        let active = run.searches;
+
+        for (let page = 1; page <= this.search.maxPages && active.length > 0; page++) {
+            const next = [];
+            for (const search of active) {
+                if (run.apiCalls >= run.budget) {
+                    run.exhausted = true;
+                    return found;
+                }
+                run.apiCalls++;
+
+                let candidates;
+                let hasMore;
+                try {
+                    const request = { ...query, keywords: [search.keyword], searchQuery: search.query, page, pageSize: this.search.pageSize };
+                    ({ sites: candidates, hasMore } = provider.discoverPage
+                        ? await provider.discoverPage(request)
+                        : { sites: await provider.discover(request) });
+                } catch (error) {
+                    console.warn(`⚠️  Discovery provider ${provider.name} failed:`, error.message);
+                    return found;
+                }
+
+                found.push(...this.enrichSites(candidates, query.vertical, provider.name)
+                    .map(site => ({ ...site, matchedQueries: [search.query] })));
+                if (hasMore ?? candidates.length > 0) next.push(search);
+            }
+
+            if (mergeSites(found, { by: this.grouping }).length >= query.limit) break;
+            active = next;
         }
+
+        return found;
     }
 
     /**
-     * Process search results and enhance with traffic/compliance data
+     * Plan the searches for a run: each keyword with each query variant, every
+     * keyword's first variant before any second one so a small budget still covers
+     * all keywords. The requested keywords come first, then the vertical's own.
+     * @param {string[]} keywords - Requested keywords
+     * @param {string} vertical - Industry vertical
+     * @returns {Array<Object>} { keyword, variant, query } in search order
      */
-    async processSearchResults(searchResults, vertical) {
-        const verticalData = this.verticalTemplates[vertical];
-        
-        if (!searchResults.organic_results) {
-            return [];
+    buildSearchQueries(keywords, vertical) {
+        const verticalData = this.getVerticalStats(vertical);
+        const variants = this.search.variants || verticalData.queryVariants;
+        const all = normalizeKeywords(keywords);
+        if (this.search.verticalKeywords) {
+            verticalData.keywords.map(keyword => keyword.trim().toLowerCase())
+                .forEach(keyword => { if (keyword && !all.includes(keyword)) all.push(keyword); });
         }
 
-        const sites = searchResults.organic_results.map((result, index) => {
+        const searches = [];
+        const seen = new Set();
+        variants.forEach(variant => all.forEach(keyword => {
+            // "healthcare {vertical}" for the healthcare keyword is just "healthcare"
+            const words = buildVerticalQuery(vertical, [keyword], { template: variant }).split(/\s+/).filter(Boolean);
+            const query = words.filter((word, index) => words.indexOf(word) === index).join(' ');
+            if (seen.has(query)) return;
+            seen.add(query);
+            searches.push({ keyword, variant, query });
+        }));
+        return searches;
+    }
+
+    /**
+     * Rank merged sites: most traffic, then found by the most searches, then best position
+     */
+    rankSites(sites) {
+        return sites.sort((a, b) => (b.traffic - a.traffic) ||
+            ((b.matchedQueries || []).length - (a.matchedQueries || []).length) ||
+            ((a.position || 0) - (b.position || 0)));
+    }
+
+    /**
+     * Re-file sites that redirect to another registrable domain under that domain
+     * (e.g. paypal.me → paypal.com). Redirects are cached; a site that can't be
+     * fetched keeps its own domain.
+     */
+    async followRedirects(sites, vertical) {
+        const options = this.resolveRedirects === true ? {} : this.resolveRedirects;
+        const topSites = this.getVerticalStats(vertical).topSites;
+        const batchSize = 5;
+
+        for (let i = 0; i < sites.length; i += batchSize) {
+            await Promise.all(sites.slice(i, i + batchSize).map(async site => {
+                let finalUrl;
+                try {
+                    finalUrl = await this.cache.wrap('redirect', site.url, () => resolveRedirect(site.url, options));
+                } catch (error) {
+                    return;
+                }
+                const domain = registrableDomain(finalUrl);
+                if (domain === site.domain) return;
+
+                site.redirectedFrom = site.url;
+                site.aliasDomains = [...new Set([site.domain, ...site.aliasDomains])];
+                site.url = finalUrl;
+                site.domain = domain;
+                site.canonicalDomain = domain;
+                site.isTopSite = site.isTopSite || topSites.includes(domain);
+                if (!site.traffic) Object.assign(site, this.trafficFor(domain));
+            }));
+        }
+        return sites;
+    }
+
+    /**
+     * Build optimized search query for vertical discovery (the vertical's queryTemplate)
+     */
+    buildSearchQuery(keywords, vertical) {
+        return buildVerticalQuery(vertical, keywords);
+    }
+
+    /**
+     * Process SerpAPI search results and enhance with traffic/compliance data
+     */
+    async processSearchResults(searchResults, vertical) {
+        return this.rankSites(mergeSites(this.enrichSites(SerpApiProvider.parseResults(searchResults), vertical, 'serpapi'), { by: this.grouping }));
+    }
+
+    /**
+     * Turn provider candidates into sites with traffic and compliance data
+     * @param {Array} candidates - { url, title, snippet, traffic, ... } from a provider
+     * @param {string} vertical - Industry vertical
+     * @param {string} source - Provider name, kept as discoveredFrom
+     */
+    enrichSites(candidates, vertical, source) {
+        const verticalData = this.getVerticalStats(vertical);
+        const discoveredAt = new Date().toISOString();
+
+        return candidates.filter(candidate => candidate && candidate.url).map((candidate, index) => {
+            const domain = this.extractDomain(candidate.url);
+            const host = hostOf(candidate.url);
+            const traffic = candidate.traffic
+                ? { traffic: candidate.traffic, trafficScore: this.calculateTrafficScore(candidate.traffic), trafficSource: source, trafficDate: null }
+                : this.trafficFor(domain);
             return {
-                url: result.link,
-                title: result.title,
-                snippet: result.snippet,
-                position: index + 1,
-                traffic: result.traffic || 0,
-                trafficScore: this.calculateTrafficScore(result.traffic || 0),
-                domain: this.extractDomain(result.link),
-                discoveredAt: new Date().toISOString(),
+                ...candidate,
+                title: candidate.title || domain,
+                snippet: candidate.snippet || '',
+                position: candidate.position || index + 1,
+                ...traffic,
+                domain: domain,
+                canonicalDomain: domain,
+                aliasDomains: host && host !== domain ? [host] : [],
+                discoveredAt: discoveredAt,
+                discoveredFrom: source,
                 vertical: vertical,
-                // Compliance prediction based on vertical benchmarks
-                predictedCompliance: verticalData.complianceBenchmark + (Math.random() * 0.2 - 0.1), // ±10% variance
-                isTopSite: verticalData.topSites.includes(this.extractDomain(result.link))
+                // Compliance prediction based on vertical benchmarks, ±10% seeded per domain
+                predictedCompliance: predictCompliance(verticalData.complianceBenchmark, domain, { seed: this.predictionSeed }),
+                isTopSite: verticalData.topSites.includes(domain)
             };
         });
+    }
 
-        // Sort by traffic (highest first)
-        return sites.sort((a, b) => b.traffic - a.traffic);
+    /**
+     * Imported monthly visits for a domain
+     * @returns {Object} { traffic, trafficScore, trafficSource, trafficDate }, 0 and nulls without data
+     */
+    trafficFor(domain) {
+        const record = this.traffic.lookup(domain);
+        return {
+            traffic: record ? record.visits : 0,
+            trafficScore: record ? this.calculateTrafficScore(record.visits) : 0,
+            trafficSource: record ? record.source : null,
+            trafficDate: record ? record.date : null
+        };
     }
 
     /**
@@ -144,84 +414,70 @@ class VerticalDiscovery {
     }
 
     /**
-     * Extract domain from URL
+     * Registrable domain of a URL (m.paypal.com/us → paypal.com)
      */
     extractDomain(url) {
-        try {
-            return new URL(url).hostname.replace('www.', '');
-        } catch (error) {
-            return url;
-        }
-    }
-
-    /**
-     * Cache results in Redis
-     */
-    async cacheResults(key, data, ttl) {
-        try {
-            await this.redis.setex(key, ttl, JSON.stringify(data));
-            console.log(`Cached discovery results: ${key}`);
-        } catch (error) {
-            console.warn('Cache write failed:', error.message);
-        }
+        return registrableDomain(url) || url;
     }
 
     /**
-     * Retrieve cached results
+     * Drop cached discovery results for a vertical or keyword (either matches),
+     * or all of them when neither is given
+     * @param {Object} selector - { vertical, keyword }
+     * @returns {Promise<number>} Cached searches removed
      */
-    async getFromCache(key) {
-        try {
-            const cached = await this.redis.get(key);
-            return cached ? JSON.parse(cached) : null;
-        } catch (error) {
-            console.warn('Cache read failed:', error.message);
-            return null;
-        }
+    async invalidate({ vertical = null, keyword = null } = {}) {
+        return this.cache.invalidate({ namespace: 'discovery', vertical, keyword });
     }
 
     /**
      * Fallback to known top sites if API fails
      */
     getFallbackSites(vertical) {
-        const verticalData = this.verticalTemplates[vertical];
+        const verticalData = resolveVertical(vertical);
         
-        return verticalData.topSites.map((domain, index) => ({
-            url: `https://${domain}`,
-            title: `${domain} - Fallback Discovery`,
-            snippet: 'Known top site for vertical',
-            position: index + 1,
-            traffic: 0, // Unknown in fallback mode
-            trafficScore: 0.5, // Neutral score
-            domain: domain,
-            discoveredAt: new Date().toISOString(),
-            vertical: vertical,
-            predictedCompliance: verticalData.complianceBenchmark,
-            isTopSite: true,
-            isFallback: true
-        }));
+        return verticalData.topSites.map((domain, index) => {
+            const traffic = this.trafficFor(domain);
+            return {
+                url: `https://${domain}`,
+                title: `${domain} - Fallback Discovery`,
+                snippet: 'Known top site for vertical',
+                position: index + 1,
+                ...traffic,
+                // Neutral score when there is no imported traffic
+                trafficScore: traffic.trafficSource ? traffic.trafficScore : 0.5,
+                domain: domain,
+                canonicalDomain: domain,
+                aliasDomains: [],
+                discoveredAt: new Date().toISOString(),
+                discoveredFrom: 'fallback',
+                vertical: vertical,
+                predictedCompliance: verticalData.complianceBenchmark,
+                isTopSite: true,
+                isFallback: true
+            };
+        });
     }
 
     /**
-     * Get vertical statistics for benchmarking
+     * Get vertical statistics for benchmarking (see verticals/verticalRegistry)
      */
     getVerticalStats(vertical) {
-        return this.verticalTemplates[vertical] || {
-            keywords: [],
-            complianceBenchmark: 0.5,
-            topSites: []
-        };
+        return resolveVertical(vertical);
     }
 
     /**
-     * Close Redis connection
+     * Close the cache connection
      */
     async disconnect() {
-        if (this.redis) {
-            await this.redis.quit();
-        }
+        await this.cache.close();
     }
 }
 
+VerticalDiscovery.DEFAULT_SEARCH = DEFAULT_SEARCH;
+VerticalDiscovery.searchSettings = searchSettings;
+VerticalDiscovery.normalizeKeywords = normalizeKeywords;
+
 module.exports = VerticalDiscovery;
 
 // Integration example for scanner.js:
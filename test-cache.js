@@ -0,0 +1,233 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Cache = require('./backend/src/cache/cache');
+const { MemoryDriver, FileDriver, RedisDriver, parseDriverSpec, createDriver } = require('./backend/src/cache/drivers');
+const VerticalDiscovery = require('./discovery');
+const GrokRemediationEngine = require('./backend/src/ai/grokRemediation');
+
+/**
+ * Test WCAGAI v4.0 Cache
+ * Validates the memory, file and Redis drivers, per-namespace TTLs, stale-while-revalidate,
+ * invalidation, metrics and the cache in discovery and AI fixes
+ */
+
+// In-memory stand-in for a node-redis v4 client
+function fakeRedis() {
+    const store = new Map();
+    const client = {
+        store,
+        isOpen: false,
+        isReady: false,
+        ttls: {},
+        on: () => client,
+        connect: async () => { client.isOpen = true; client.isReady = true; },
+        quit: async () => { client.isOpen = false; client.isReady = false; },
+        get: async key => store.get(key) ?? null,
+        setEx: async (key, seconds, value) => { client.ttls[key] = seconds; store.set(key, value); return 'OK'; },
+        del: async key => store.delete(key) ? 1 : 0,
+        scanIterator: async function* ({ MATCH }) {
+            const prefix = MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+            for (const key of store.keys()) if (key.startsWith(prefix)) yield key;
+        }
+    };
+    return client;
+}
+
+// A driver whose backend is down
+const brokenDriver = {
+    name: 'broken',
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); },
+    delete: async () => { throw new Error('connection refused'); },
+    keys: async () => { throw new Error('connection refused'); },
+    close: async () => {}
+};
+
+const quiet = { warn: () => {} };
+
+async function testCache() {
+    console.log('🚀 Testing WCAGAI v4.0 Cache...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-cache-'));
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+
+    try {
+        // Test 1: Namespaces and TTLs
+        console.log('⏱️  Test 1: Per-namespace TTLs');
+        const cache = new Cache({ driver: 'memory', ttl: { discovery: 60, reports: 10 }, staleTtl: { discovery: 0 }, logger: quiet });
+        assert.strictEqual(cache.ttl('ai-fix'), 30 * 86400);
+        assert.strictEqual(cache.ttl('scan'), 0);
+        await cache.set('discovery', 'fintech', ['bank.test']);
+        await cache.set('reports', 'fintech', { score: 0.7 });
+        assert.strictEqual(await cache.set('scan', 'https://bank.test/', '<html>'), false, 'scan caching is off by default');
+        assert.deepStrictEqual(await cache.get('discovery', 'fintech'), ['bank.test']);
+        now += 30 * 1000;
+        assert.strictEqual(await cache.get('reports', 'fintech'), undefined);
+        assert.deepStrictEqual(await cache.get('discovery', 'fintech'), ['bank.test']);
+        now += 31 * 1000;
+        assert.strictEqual(await cache.get('discovery', 'fintech'), undefined);
+        assert.deepStrictEqual(Cache.parseTtls('discovery=3600, scan=600'), { discovery: 3600, scan: 600 });
+        assert.throws(() => Cache.parseTtls('discovery=soon'), /Invalid cache TTL "discovery=soon"/);
+        console.log('✅ Entries expire by namespace; a TTL of 0 turns a namespace off');
+
+        // Test 2: Stale-while-revalidate
+        console.log('\n♻️  Test 2: Stale-while-revalidate');
+        const swr = new Cache({ driver: 'memory', ttl: { discovery: 60 }, staleTtl: { discovery: 600 }, logger: quiet });
+        let fetches = 0;
+        const fetch = async () => { fetches++; return `result ${fetches}`; };
+        assert.strictEqual(await swr.wrap('discovery', 'q', fetch), 'result 1');
+        assert.strictEqual(await swr.wrap('discovery', 'q', fetch), 'result 1');
+        now += 120 * 1000;
+        assert.strictEqual(await swr.wrap('discovery', 'q', fetch), 'result 1', 'stale value served at once');
+        await swr.settle();
+        assert.strictEqual(fetches, 2);
+        assert.strictEqual(await swr.wrap('discovery', 'q', fetch), 'result 2');
+
+        const [a, b] = await Promise.all([swr.wrap('discovery', 'new', fetch), swr.wrap('discovery', 'new', fetch)]);
+        assert.strictEqual(a, b, 'concurrent misses share one fetch');
+        assert.strictEqual(fetches, 3);
+        await assert.rejects(swr.wrap('discovery', 'failing', async () => { throw new Error('API down'); }), /API down/);
+        assert.strictEqual(await swr.get('discovery', 'failing'), undefined, 'errors are not cached');
+        now += 1000 * 1000;
+        assert.strictEqual(await swr.wrap('discovery', 'q', fetch), 'result 4', 'past the stale window it is a miss');
+        console.log(`✅ ${fetches} fetches for 7 lookups`);
+
+        // Test 3: Invalidation and metrics
+        console.log('\n🗑️  Test 3: Invalidation and metrics');
+        const tagged = new Cache({ driver: 'memory', logger: quiet });
+        await tagged.set('discovery', 'a', 1, { tags: [Cache.tag('vertical', 'fintech'), Cache.tag('keyword', 'online banking')] });
+        await tagged.set('discovery', 'b', 2, { tags: [Cache.tag('vertical', 'fintech'), Cache.tag('keyword', 'mortgage')] });
+        await tagged.set('discovery', 'c', 3, { tags: [Cache.tag('vertical', 'healthcare')] });
+        await tagged.set('ai-fix', 'd', 4, { tags: [Cache.tag('vertical', 'fintech')] });
+        assert.strictEqual(await tagged.invalidate({ keyword: ' Online Banking' }), 1);
+        assert.strictEqual(await tagged.invalidate({ namespace: 'discovery', vertical: 'FINTECH' }), 1);
+        assert.strictEqual(await tagged.get('ai-fix', 'd'), 4, 'other namespaces are untouched');
+        assert.strictEqual(await tagged.get('discovery', 'c'), 3);
+        assert.strictEqual(await tagged.invalidate({ namespace: 'discovery' }), 1);
+        await assert.rejects(tagged.invalidate({}), /needs a namespace, vertical, keyword or tags/);
+        await tagged.get('discovery', 'c');
+        const stats = tagged.stats();
+        assert.strictEqual(stats.driver, 'memory');
+        assert.deepStrictEqual(
+            { hits: stats.namespaces.discovery.hits, misses: stats.namespaces.discovery.misses, invalidated: stats.namespaces.discovery.invalidated },
+            { hits: 1, misses: 1, invalidated: 3 }
+        );
+        assert.strictEqual(stats.namespaces['ai-fix'].hitRate, 1);
+        assert.strictEqual(stats.total.hitRate, 2 / 3);
+        console.log(`✅ Invalidated by keyword, vertical and namespace; hit rate ${Math.round(stats.total.hitRate * 100)}%`);
+
+        // Test 4: File and Redis drivers
+        console.log('\n💾 Test 4: File and Redis drivers');
+        assert.deepStrictEqual(parseDriverSpec('file:/tmp/cache'), { type: 'file', dir: '/tmp/cache' });
+        assert.deepStrictEqual(parseDriverSpec('redis://cache.internal:6380/2'), { type: 'redis', url: 'redis://cache.internal:6380/2' });
+        assert.throws(() => createDriver('memcached'), /Unknown cache driver "memcached"/);
+        assert.ok(createDriver('memory') instanceof MemoryDriver);
+
+        const files = path.join(dir, 'files');
+        await new Cache({ driver: `file:${files}`, logger: quiet }).set('discovery', 'fintech:us', ['bank.test'], { tags: ['vertical:fintech'] });
+        const reopened = new Cache({ driver: new FileDriver({ dir: files }), logger: quiet });
+        assert.deepStrictEqual(await reopened.get('discovery', 'fintech:us'), ['bank.test'], 'entries survive the process');
+        assert.strictEqual(await reopened.invalidate({ vertical: 'fintech' }), 1);
+        assert.deepStrictEqual(fs.readdirSync(files), []);
+
+        const client = fakeRedis();
+        const redisCache = new Cache({ driver: new RedisDriver({ client }), ttl: { discovery: 100 }, staleTtl: { discovery: 50 }, logger: quiet });
+        await redisCache.set('discovery', 'fintech:*', ['bank.test'], { tags: ['vertical:fintech'] });
+        assert.ok(client.isReady, 'connects on first use');
+        assert.strictEqual(client.ttls['wcagai:discovery:fintech:*'], 150, 'Redis keeps entries through the stale window');
+        assert.deepStrictEqual(await redisCache.get('discovery', 'fintech:*'), ['bank.test']);
+        assert.strictEqual(await redisCache.invalidate({ vertical: 'fintech' }), 1);
+        await redisCache.close();
+        assert.strictEqual(client.isOpen, false);
+        await redisCache.close();
+
+        const warnings = [];
+        const broken = new Cache({ driver: brokenDriver, logger: { warn: message => warnings.push(message) } });
+        assert.strictEqual(await broken.wrap('discovery', 'q', async () => 'live'), 'live');
+        assert.strictEqual(await broken.wrap('discovery', 'q', async () => 'live again'), 'live again');
+        assert.strictEqual(await broken.invalidate({ vertical: 'fintech' }), 0);
+        assert.strictEqual(broken.stats().namespaces.discovery.errors, 4);
+        assert.strictEqual(warnings.length, 1, 'one warning, not one per request');
+        console.log('✅ File entries persist; Redis uses the v4 API; a broken backend is a cache miss');
+
+        // Test 5: Discovery and AI fixes
+        console.log('\n🔎 Test 5: Discovery and AI fixes');
+        let searches = 0;
+        const provider = { name: 'static', discover: async () => { searches++; return [{ url: 'https://bank.test/', traffic: 1000 }]; } };
+        const shared = new Cache({ driver: 'memory', logger: quiet });
+        const discovery = new VerticalDiscovery({ providers: [provider], cache: shared });
+        await discovery.discover(['online banking', 'mortgage'], 'fintech', 5);
+        const cached = await discovery.discover(['online banking', 'mortgage'], 'fintech', 5);
+        assert.strictEqual(searches, 1);
+        assert.strictEqual(cached[0].domain, 'bank.test');
+        assert.strictEqual(await discovery.invalidate({ keyword: 'Mortgage' }), 1);
+        await discovery.discover(['online banking', 'mortgage'], 'fintech', 5);
+        assert.strictEqual(searches, 2);
+
+        const empty = new VerticalDiscovery({ providers: [{ name: 'none', discover: async () => [] }], cache: shared });
+        assert.ok((await empty.discover(['banking'], 'fintech', 5)).every(site => site.isFallback));
+        assert.ok((await empty.discover(['banking'], 'fintech', 5)).every(site => site.isFallback));
+        assert.strictEqual(shared.stats().namespaces.discovery.writes, 2, 'fallback sites are not cached');
+
+        const remediation = new GrokRemediationEngine({ cache: shared });
+        let calls = 0;
+        remediation.callXAI = async () => { calls++; return { choices: [{ message: { content: 'Add alt="Quarterly revenue chart, up 12%"' } }] }; };
+        const fix = { violationType: 'altText', element: '<img src="chart.png">', context: 'Investor page', vertical: 'fintech' };
+        const first = await remediation.generateFix(fix);
+        const second = await remediation.generateFix(fix);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(second.suggestion, first.suggestion);
+        await remediation.generateFix({ ...fix, wcagLevel: 'AAA' });
+        assert.strictEqual(calls, 2, 'the conformance target is part of the key');
+        assert.strictEqual(await shared.invalidate({ namespace: 'ai-fix', vertical: 'fintech' }), 2);
+
+        remediation.callXAI = async () => { throw new Error('rate limited'); };
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.ok((await remediation.generateFix(fix)).isFallback);
+        } finally {
+            console.error = originalError;
+        }
+        assert.strictEqual(shared.stats().namespaces['ai-fix'].writes, 2, 'fallback fixes are not cached');
+        console.log(`✅ ${searches} searches and ${calls} xAI calls; hit rate ${Math.round(shared.stats().total.hitRate * 100)}%`);
+
+        // Test 6: CLI
+        console.log('\n⌨️  Test 6: --cache and --invalidate-cache');
+        try {
+            execFileSync(process.execPath, ['scanner-v4-integration.js', '--url=https://example.invalid/', '--cache=memcached'], { stdio: 'pipe' });
+            assert.fail('Unknown cache drivers should be rejected');
+        } catch (error) {
+            assert.strictEqual(error.status, 64);
+            assert.ok(error.stderr.toString().includes('Unknown cache driver "memcached"'));
+        }
+        now = realNow();
+        const cliFiles = path.join(dir, 'cli');
+        const cliCache = new Cache({ driver: `file:${cliFiles}`, logger: quiet });
+        await cliCache.set('discovery', 'x', 1, { tags: [Cache.tag('vertical', 'fintech')] });
+        await cliCache.set('discovery', 'y', 2, { tags: [Cache.tag('vertical', 'healthcare')] });
+        const output = execFileSync(process.execPath, ['scanner-v4-integration.js', `--cache=file:${cliFiles}`, '--invalidate-cache=vertical:fintech'], { encoding: 'utf8' });
+        assert.ok(output.includes('Removed 1 cached entry'));
+        assert.strictEqual(fs.readdirSync(cliFiles).length, 1);
+        console.log(`✅ ${output.trim()}`);
+    } finally {
+        Date.now = realNow;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Cache tests passed!');
+}
+
+if (require.main === module) {
+    testCache().catch(error => {
+        console.error('❌ Cache test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testCache };
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const { EXIT_CODES, parseThresholds, evaluateGate, formatGateSummary } = require('./backend/src/analysis/ciGate');
+
+/**
+ * Test WCAGAI v4.0 CI Gate
+ * Validates threshold parsing, gate outcomes and the CLI exit codes
+ */
+
+const CLEAN = '<html lang="en"><head><title>Docs</title></head><body><main><h1>Docs</h1><img src="a.png" alt="Diagram"></main></body></html>';
+const BROKEN = '<html lang="en"><head><title>Docs</title></head><body><main><h1>Docs</h1><img src="a.png"><button></button></main></body></html>';
+
+function runCli(args) {
+    const run = spawnSync(process.execPath, [path.join(__dirname, 'scanner-v4-integration.js'), ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status: run.status, output: run.stdout + run.stderr };
+}
+
+async function testCiGate() {
+    console.log('🚀 Testing WCAGAI v4.0 CI Gate...\n');
+
+    // Test 1: Threshold parsing
+    console.log('⚙️  Test 1: Threshold parsing');
+    assert.deepStrictEqual(parseThresholds({ failOn: 'Critical', minScore: '80', maxNewViolations: '0' }),
+        { failOn: 'critical', minScore: 0.8, maxNewViolations: 0 });
+    assert.throws(() => parseThresholds({ failOn: 'blocker' }), /--fail-on/);
+    assert.throws(() => parseThresholds({ minScore: 'high' }), /--min-score/);
+    assert.throws(() => parseThresholds({ maxNewViolations: '-1' }), /--max-new-violations/);
+    console.log('✅ Percent scores normalised, invalid values rejected');
+
+    // Test 2: Gate outcomes
+    console.log('\n🚦 Test 2: Gate outcomes');
+    const scanner = new WCAGAIV4Scanner();
+    const report = html => ({ scanMode: 'direct', url: 'https://docs.test/', result: scanner.evaluateHtml(html, { url: 'https://docs.test/' }) });
+    const clean = report(CLEAN);
+    const broken = report(BROKEN);
+
+    const passing = evaluateGate(clean, parseThresholds({ failOn: 'critical', minScore: 0.9, maxNewViolations: 0 }));
+    assert.strictEqual(passing.passed, true);
+    assert.strictEqual(passing.exitCode, EXIT_CODES.PASSED);
+
+    const impact = evaluateGate(broken, parseThresholds({ failOn: 'critical' }));
+    assert.strictEqual(impact.exitCode, EXIT_CODES.IMPACT);
+    assert.strictEqual(impact.metrics.impactCounts.critical, 2);
+    assert.strictEqual(evaluateGate(broken, parseThresholds({ minScore: 0.99 })).exitCode, EXIT_CODES.MIN_SCORE);
+
+    const sincePrevious = evaluateGate(broken, parseThresholds({ maxNewViolations: 0 }), { previous: broken });
+    assert.strictEqual(sincePrevious.passed, true);
+    assert.strictEqual(sincePrevious.metrics.newViolations, 0);
+    const regression = evaluateGate(broken, parseThresholds({ maxNewViolations: 1 }), { previous: clean });
+    assert.strictEqual(regression.exitCode, EXIT_CODES.NEW_VIOLATIONS);
+
+    const summary = formatGateSummary(impact);
+    assert.ok(summary.includes('FAILED (exit 2)'));
+    assert.ok(summary.includes('❌ fail-on: 2 violations at critical impact or above'));
+    console.log(`✅ Exit codes ${impact.exitCode} / ${EXIT_CODES.MIN_SCORE} / ${regression.exitCode} for each breach`);
+
+    // Sites that errored can't pass the gate
+    const site = (domain, html) => ({ url: `https://${domain}/`, domain, scanResult: scanner.evaluateHtml(html, { url: `https://${domain}/` }) });
+    const errored = { url: 'https://down.test/', domain: 'down.test', scanError: 'net::ERR_NAME_NOT_RESOLVED' };
+    const thresholds = parseThresholds({ failOn: 'critical', maxNewViolations: 0 });
+    const partial = evaluateGate({ scanMode: 'discovery', results: [site('docs.test', CLEAN), errored] }, thresholds);
+    assert.deepStrictEqual([partial.passed, partial.exitCode, partial.metrics.sitesFailed], [false, EXIT_CODES.SCAN_FAILED, 1]);
+    assert.ok(formatGateSummary(partial).includes('❌ scan-errors: 1 of 2 sites failed to scan'));
+    assert.strictEqual(evaluateGate({ scanMode: 'local', results: [errored] }, thresholds).exitCode, EXIT_CODES.SCAN_FAILED);
+    const empty = evaluateGate({ scanMode: 'discovery', results: [] }, thresholds);
+    assert.strictEqual(empty.exitCode, EXIT_CODES.SCAN_FAILED);
+    assert.strictEqual(empty.checks[0].message, 'nothing was scanned');
+    assert.strictEqual(evaluateGate({ scanMode: 'discovery', results: [site('docs.test', CLEAN)] }, thresholds).exitCode, EXIT_CODES.PASSED);
+    console.log(`✅ Failed or missing scans exit ${EXIT_CODES.SCAN_FAILED}`);
+
+    // Test 3: CLI exit codes
+    console.log('\n💻 Test 3: CLI exit codes');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-gate-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'clean.html'), CLEAN);
+        fs.writeFileSync(path.join(dir, 'broken.html'), BROKEN);
+        const previous = path.join(dir, 'previous.json');
+
+        const ok = runCli([`--path=${path.join(dir, 'clean.html')}`, '--fail-on=serious', '--min-score=0.8', `--output=${previous}`]);
+        assert.strictEqual(ok.status, EXIT_CODES.PASSED, ok.output);
+        assert.ok(ok.output.includes('WCAGAI CI gate: PASSED'));
+
+        const failing = runCli([`--path=${path.join(dir, 'broken.html')}`, '--fail-on=critical']);
+        assert.strictEqual(failing.status, EXIT_CODES.IMPACT, failing.output);
+
+        // Same label in both runs, so the diff pairs the pages up
+        fs.renameSync(path.join(dir, 'broken.html'), path.join(dir, 'clean.html'));
+        const regressed = runCli([`--path=${path.join(dir, 'clean.html')}`, '--max-new-violations=0', `--compare-to=${previous}`]);
+        assert.strictEqual(regressed.status, EXIT_CODES.NEW_VIOLATIONS, regressed.output);
+        assert.ok(regressed.output.includes('2 new violations since previous run'));
+
+        const usage = runCli([`--path=${path.join(dir, 'clean.html')}`, '--fail-on=blocker']);
+        assert.strictEqual(usage.status, EXIT_CODES.USAGE);
+        const missing = runCli([`--path=${path.join(dir, 'missing')}`, '--fail-on=critical']);
+        assert.strictEqual(missing.status, EXIT_CODES.SCAN_FAILED, missing.output);
+        assert.ok(missing.output.includes('Scan failed: ENOENT'));
+
+        // A queue that can't start a job would end the run before the gate
+        for (const flag of ['--concurrency=0', '--concurrency=abc', '--limit=-2']) {
+            const invalid = runCli(['--keywords=clinic', '--vertical=healthcare', flag, '--fail-on=critical']);
+            assert.strictEqual(invalid.status, EXIT_CODES.USAGE, invalid.output);
+            assert.ok(invalid.output.includes(`Invalid ${flag.split('=')[0]}`));
+        }
+        console.log(`✅ CLI exits ${ok.status}, ${failing.status}, ${regressed.status} and ${usage.status}`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎯 CI gate tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testCiGate().catch(error => {
+        console.error('❌ CI gate test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testCiGate };
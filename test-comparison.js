@@ -0,0 +1,140 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const { compareScans, fingerprintViolation } = require('./backend/src/analysis/scanComparison');
+
+/**
+ * Test WCAGAI v4.0 Scan Comparison
+ * Validates new/fixed/persisting classification, score deltas and the --compare CLI
+ */
+
+const WEEK_1 = {
+    clinic: '<html lang="en"><head><title>Clinic</title></head><body><main><h1>Clinic</h1><img src="a.png"><img src="b.png" id="hero"></main></body></html>',
+    bank: '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1><input type="text" id="amount"></main></body></html>'
+};
+
+const WEEK_2 = {
+    // hero image fixed, new unlabeled button
+    clinic: '<html lang="en"><head><title>Clinic</title></head><body><main><h1>Clinic</h1><img src="a.png"><img src="b.png" id="hero" alt="Doctors"><button></button></main></body></html>',
+    bank: WEEK_1.bank
+};
+
+function buildReport(scanner, pages) {
+    const results = Object.entries(pages).map(([name, html]) => ({
+        url: `https://www.${name}.test/`,
+        domain: `${name}.test`,
+        scanResult: scanner.evaluateHtml(html, { url: `https://www.${name}.test/` })
+    }));
+    return { scanMode: 'discovery', vertical: 'healthcare', results, analysis: scanner.generateVerticalAnalysis(results, 'healthcare') };
+}
+
+async function testScanComparison() {
+    console.log('🚀 Testing WCAGAI v4.0 Scan Comparison...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    const week1 = buildReport(scanner, WEEK_1);
+    const week2 = buildReport(scanner, WEEK_2);
+
+    // Test 1: Stable fingerprints
+    console.log('🔑 Test 1: Violation fingerprints');
+    const a = fingerprintViolation({ ruleId: 'image-alt', selector: '#hero' }, 'https://www.clinic.test/#top');
+    const b = fingerprintViolation({ ruleId: 'image-alt', selector: '#hero' }, 'https://clinic.test');
+    const c = fingerprintViolation({ ruleId: 'image-alt', selector: '#hero' }, 'https://clinic.test/about');
+    assert.strictEqual(a, b);
+    assert.notStrictEqual(a, c);
+    assert.ok(week1.results[0].scanResult.violations.every(v => v.fingerprint));
+    console.log(`✅ Fingerprint ${a} ignores www, fragment and trailing slash`);
+
+    // Test 2: Classification
+    console.log('\n🔀 Test 2: New / fixed / persisting');
+    const comparison = compareScans(week1, week2);
+    assert.strictEqual(comparison.summary.newViolations, 1);
+    assert.strictEqual(comparison.violations.new[0].ruleId, 'button-name');
+    assert.strictEqual(comparison.summary.fixedViolations, 1);
+    assert.strictEqual(comparison.violations.fixed[0].selector, '#hero');
+    assert.strictEqual(comparison.summary.persistingViolations, 2);
+    console.log(`✅ ${comparison.summary.newViolations} new, ${comparison.summary.fixedViolations} fixed, ${comparison.summary.persistingViolations} persisting`);
+
+    // Test 3: Score deltas per site and vertical
+    console.log('\n📈 Test 3: Score deltas');
+    const clinic = comparison.sites.find(s => s.site === 'clinic.test');
+    const bank = comparison.sites.find(s => s.site === 'bank.test');
+    assert.strictEqual(bank.scoreDelta, 0);
+    assert.strictEqual(bank.regressed, false);
+    assert.strictEqual(clinic.regressed, true);
+    assert.strictEqual(clinic.scoreDelta, clinic.currentScore - clinic.baselineScore);
+    const expectedVerticalDelta = week2.analysis.averageComplianceScore - week1.analysis.averageComplianceScore;
+    assert.ok(Math.abs(comparison.summary.scoreDelta - expectedVerticalDelta) < 1e-9);
+    assert.deepStrictEqual(comparison.summary.regressedSites, ['clinic.test']);
+    console.log(`✅ Vertical delta ${(comparison.summary.scoreDelta * 100).toFixed(1)} pts`);
+
+    // Test 4: Prisma Scan rows
+    console.log('\n🗄️  Test 4: Scan rows');
+    const rows = compareScans(
+        [{ url: 'https://clinic.test', complianceScore: 0.6, violations: 4, vertical: 'healthcare' }],
+        [{ url: 'https://clinic.test', complianceScore: 0.7, violations: 3, vertical: 'healthcare' },
+            { url: 'https://newclinic.test', complianceScore: 0.5, violations: 8 }]
+    );
+    assert.strictEqual(rows.sites[0].comparableViolations, false);
+    assert.ok(Math.abs(rows.sites[0].scoreDelta - 0.1) < 1e-9);
+    assert.strictEqual(rows.summary.sitesAdded, 1);
+    console.log('✅ Score-only comparison for rows without findings');
+
+    // Test 5: Local builds in different checkouts
+    console.log('\n📁 Test 5: Local scans from two directories');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-compare-'));
+    try {
+        ['checkout-a', 'checkout-b'].forEach(checkout => {
+            fs.mkdirSync(path.join(dir, checkout, 'docs'), { recursive: true });
+            fs.writeFileSync(path.join(dir, checkout, 'index.html'), WEEK_1.clinic);
+            fs.writeFileSync(path.join(dir, checkout, 'docs', 'form.html'), WEEK_1.bank);
+        });
+        const localA = await scanner.scan({ path: path.join(dir, 'checkout-a') });
+        const localB = await scanner.scan({ path: path.join(dir, 'checkout-b') });
+        const local = compareScans(localA, localB);
+        assert.deepStrictEqual([local.summary.newViolations, local.summary.fixedViolations], [0, 0]);
+        assert.strictEqual(local.summary.persistingViolations, 3);
+        console.log(`✅ ${local.summary.persistingViolations} persisting, none new or fixed`);
+
+        // Test 6: CLI
+        console.log('\n💻 Test 6: --compare CLI');
+        fs.writeFileSync(path.join(dir, 'week1.json'), JSON.stringify(week1));
+        fs.writeFileSync(path.join(dir, 'week2.json'), JSON.stringify(week2));
+        const compare = (...files) => execFileSync(process.execPath, [
+            path.join(__dirname, 'scanner-v4-integration.js'),
+            `--compare=${files.map(file => path.join(dir, file)).join(',')}`
+        ], { encoding: 'utf8', stdio: 'pipe' });
+        const output = compare('week1.json', 'week2.json');
+        assert.ok(output.includes('New: 1'));
+        assert.ok(output.includes('Regression detected on: clinic.test'));
+
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ "results": [');
+        for (const [files, message] of [[['week1.json', 'missing.json'], 'Cannot read scan results from'], [['week1.json', 'broken.json'], 'Cannot read scan results from'], [['week1.json'], 'needs two files']]) {
+            try {
+                compare(...files);
+                assert.fail(`--compare=${files.join(',')} should be rejected`);
+            } catch (error) {
+                assert.strictEqual(error.status, 64);
+                assert.ok(error.stderr.includes(message));
+            }
+        }
+        console.log('✅ CLI prints the diff and rejects missing or invalid files');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎯 Scan comparison tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testScanComparison().catch(error => {
+        console.error('❌ Scan comparison test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testScanComparison };
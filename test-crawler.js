@@ -0,0 +1,189 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const SiteCrawler = require('./backend/src/scanner/siteCrawler');
+const { parseRobotsTxt } = require('./backend/src/scanner/robotsTxt');
+
+/**
+ * Test WCAGAI v4.0 Site Crawler
+ * Runs the crawler against a local fixture server (sitemap.xml, robots.txt, same-origin links)
+ */
+
+const page = (title, body) => `<html lang="en"><head><title>${title}</title></head><body><main><h1>${title}</h1>${body}</main></body></html>`;
+
+function createFixtureServer() {
+    let origin = '';
+    const routes = {
+        '/robots.txt': () => 'User-agent: *\nDisallow: /private\nAllow: /private/open\n',
+        '/sitemap.xml': () => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>${origin}/</loc></url>
+    <url><loc>${origin}/services/cardiology</loc></url>
+    <url><loc>https://other.test/not-ours</loc></url>
+</urlset>`,
+        '/': () => page('Home', `
+            <a href="/about">About</a>
+            <a href="/contact#form">Contact</a>
+            <a href="/private/admin">Admin</a>
+            <a href="/private/open">Open</a>
+            <a href="/blog/post-1">Blog</a>
+            <a href="/brochure.pdf">Brochure</a>
+            <a href="mailto:care@example.test">Email</a>
+            <a href="https://other.test/">Partner</a>`),
+        '/about': () => page('About', '<a href="/team">Team</a>'),
+        '/team': () => page('Team', '<a href="/team/deep">Deep</a>'),
+        '/team/deep': () => page('Deep', ''),
+        '/contact': () => '<html><head><title>Contact</title></head><body><form><input type="text"></form><img src="map.png"></body></html>',
+        '/private/open': () => page('Open', ''),
+        '/private/admin': () => page('Admin', ''),
+        '/blog/post-1': () => page('Post', ''),
+        '/services/cardiology': () => page('Cardiology', '')
+    };
+
+    const requested = [];
+    const server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const route = routes[req.url];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        const type = req.url.endsWith('.xml') ? 'application/xml' : req.url.endsWith('.txt') ? 'text/plain' : 'text/html';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(route());
+    });
+
+    return {
+        server,
+        requested,
+        async start() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            origin = `http://127.0.0.1:${server.address().port}`;
+            return origin;
+        }
+    };
+}
+
+async function testSiteCrawler() {
+    console.log('🚀 Testing WCAGAI v4.0 Site Crawler...\n');
+
+    const fixture = createFixtureServer();
+    const origin = await fixture.start();
+    const scanner = new WCAGAIV4Scanner();
+
+    try {
+        // Test 1: robots.txt parsing
+        console.log('🤖 Test 1: robots.txt rules');
+        const robots = parseRobotsTxt('User-agent: *\nDisallow: /private\nAllow: /private/open\nCrawl-delay: 2\nSitemap: https://x.test/s.xml');
+        assert.strictEqual(robots.isAllowed('/private/admin'), false);
+        assert.strictEqual(robots.isAllowed('/private/open'), true);
+        assert.strictEqual(robots.isAllowed('/about'), true);
+        assert.strictEqual(robots.crawlDelay, 2);
+        assert.deepStrictEqual(robots.sitemaps, ['https://x.test/s.xml']);
+        console.log('✅ Allow/Disallow, Crawl-delay and Sitemap parsed');
+
+        // Test 2: Full crawl within depth
+        console.log('\n🕸️  Test 2: Sitemap + link crawl');
+        const visited = [];
+        const crawler = new SiteCrawler({ maxDepth: 2, maxPages: 20 });
+        const summary = await crawler.crawl(`${origin}/`, async (p) => visited.push(p.url.replace(origin, '')));
+
+        assert.ok(visited.includes('/services/cardiology'), 'sitemap URL visited');
+        assert.ok(visited.includes('/team'), 'depth-2 link visited');
+        assert.ok(!visited.includes('/team/deep'), 'depth-3 link not visited');
+        assert.ok(!visited.includes('/private/admin'), 'robots-disallowed URL not visited');
+        assert.ok(visited.includes('/private/open'), 'robots Allow override visited');
+        assert.ok(!fixture.requested.includes('/brochure.pdf'), 'non-HTML resource not fetched');
+        assert.ok(visited.every(url => url.startsWith('/')), 'only same-origin pages');
+        assert.strictEqual(summary.skipped.robots, 1);
+        assert.strictEqual(summary.sitemapUrls, 3);
+        console.log(`✅ Visited ${visited.length} pages: ${visited.join(', ')}`);
+
+        // A start page that redirects to another origin is crawled there
+        const redirector = http.createServer((req, res) => {
+            res.writeHead(301, { Location: `${origin}${req.url}` });
+            res.end();
+        });
+        await new Promise(resolve => redirector.listen(0, 'localhost', resolve));
+        try {
+            const redirected = [];
+            const moved = await new SiteCrawler({ maxDepth: 2, maxPages: 20, useSitemap: false })
+                .crawl(`http://localhost:${redirector.address().port}/`, async (p) => redirected.push(p.url));
+            assert.ok(moved.pagesVisited > 1, 'links on the redirected start page are followed');
+            assert.strictEqual(moved.origin, origin);
+            assert.ok(redirected.includes(`${origin}/team`));
+            assert.ok(!redirected.includes(`${origin}/private/admin`), 'robots.txt of the redirected origin applies');
+            console.log(`✅ Redirected start page: ${moved.pagesVisited} pages on ${moved.origin}`);
+        } finally {
+            redirector.close();
+        }
+
+        // Test 3: Page limit and URL patterns
+        console.log('\n🎛️  Test 3: Page limit and URL patterns');
+        const limited = [];
+        await new SiteCrawler({ maxPages: 2 }).crawl(`${origin}/`, async (p) => limited.push(p.url));
+        assert.strictEqual(limited.length, 2);
+
+        const filtered = [];
+        await new SiteCrawler({ exclude: ['/blog/*', /\/team/], useSitemap: false })
+            .crawl(`${origin}/`, async (p) => filtered.push(p.url.replace(origin, '')));
+        assert.ok(!filtered.includes('/blog/post-1'));
+        assert.ok(!filtered.includes('/team'));
+        assert.ok(filtered.includes('/about'));
+
+        const included = [];
+        await new SiteCrawler({ include: ['/about'], useSitemap: false })
+            .crawl(`${origin}/`, async (p) => included.push(p.url.replace(origin, '')));
+        assert.deepStrictEqual(included, ['/', '/about']);
+        // The server runs in this process, so the CLI is run without blocking it
+        const output = path.join(os.tmpdir(), `wcagai-crawl-${process.pid}.json`);
+        try {
+            await promisify(execFile)(process.execPath, ['scanner-v4-integration.js', `--url=${origin}/`, '--crawl',
+                '--include=/about,/contact,/blog/*', '--exclude=/blog/*', `--output=${output}`]);
+            const cliPages = JSON.parse(fs.readFileSync(output, 'utf8')).result.pages.map(p => p.url.replace(origin, ''));
+            assert.deepStrictEqual(cliPages.sort(), ['/', '/about', '/contact']);
+        } finally {
+            fs.rmSync(output, { force: true });
+        }
+        for (const flag of ['--max-pages=abc', '--max-pages=0', '--max-depth=abc', '--max-depth=-1']) {
+            const rejected = await promisify(execFile)(process.execPath, ['scanner-v4-integration.js', `--url=${origin}/`, flag])
+                .then(() => assert.fail(`${flag} should be rejected`), error => error);
+            assert.strictEqual(rejected.code, 64);
+            assert.ok(rejected.stderr.includes(`Invalid ${flag.split('=')[0]}`));
+        }
+        console.log('✅ maxPages, exclude and include respected, also through --include and --exclude');
+
+        // Test 4: Site-level rollup in scanResult
+        console.log('\n📊 Test 4: Site-level scan result');
+        const direct = await scanner.scan({ url: `${origin}/`, crawl: { maxDepth: 1 } });
+        const site = direct.result;
+        assert.strictEqual(site.pagesScanned, site.pages.length);
+        assert.ok(site.pagesScanned > 1);
+        const contact = site.pages.find(p => p.url === `${origin}/contact`);
+        assert.ok(contact.totalViolations > 0);
+        assert.strictEqual(site.totalViolations, site.pages.reduce((sum, p) => sum + p.totalViolations, 0));
+        assert.ok(site.violations.every(v => v.url.startsWith(origin)));
+        assert.ok(site.complianceScore < 1 && site.complianceScore > 0);
+        console.log(`✅ ${site.pagesScanned} pages rolled up to ${site.compliancePercentage}%`);
+
+        console.log('\n🎯 Site crawler tests passed');
+
+    } finally {
+        fixture.server.close();
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testSiteCrawler().catch(error => {
+        console.error('❌ Site crawler test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testSiteCrawler };
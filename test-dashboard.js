@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const DashboardServer = require('./backend/src/server/dashboardServer');
+
+/**
+ * Test WCAGAI v4.0 Dashboard Server
+ * Validates the dashboard API: live results, site drill-down, report export and trends
+ */
+
+const PAGES = {
+    'shop.test': '<html lang="en"><head><title>Shop</title></head><body><main><h1>Shop</h1>' +
+        '<img src="hero.png"><a href="/cart"></a><img src="logo.png" alt="Shop"></main></body></html>',
+    'bank.test': '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+        '<img src="card.png" alt="Card"></main></body></html>'
+};
+
+async function testDashboard() {
+    console.log('🚀 Testing WCAGAI v4.0 Dashboard Server...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    const results = Object.entries(PAGES).map(([domain, html]) => ({
+        url: `https://${domain}/`,
+        domain,
+        scanResult: scanner.evaluateHtml(html, { url: `https://${domain}/` }),
+        scannedAt: '2026-05-01T10:00:00.000Z'
+    }));
+    results[0].aiFixes = [{ rule: 'image-alt', element: results[0].scanResult.violations.find(v => v.ruleId === 'image-alt').selector, suggestion: 'Add alt="Summer sale banner"' }];
+    results.push({ url: 'https://down.test/', domain: 'down.test', scanError: 'timeout' });
+    const report = {
+        scanMode: 'discovery',
+        vertical: 'ecommerce',
+        keywords: ['shop'],
+        sitesScanned: results.length,
+        results,
+        analysis: scanner.generateVerticalAnalysis(results, 'ecommerce'),
+        completedAt: '2026-05-01T10:05:00.000Z'
+    };
+    await scanner.history.record(report);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-dashboard-'));
+    const reportFile = path.join(dir, 'results.json');
+    fs.writeFileSync(reportFile, JSON.stringify(report));
+    const dashboard = new DashboardServer({ scanner, reportFile });
+    const { url } = await dashboard.listen(0);
+    const get = async route => {
+        const response = await fetch(new URL(route, url));
+        const type = response.headers.get('content-type');
+        return { status: response.status, type, headers: response.headers, body: type.includes('json') ? await response.json() : await response.text() };
+    };
+
+    try {
+        // Test 1: Dashboard page and data
+        console.log('📺 Test 1: Dashboard data');
+        const page = await get('/');
+        assert.strictEqual(page.status, 200);
+        assert.ok(page.body.includes('/dashboard'));
+        assert.ok(!page.body.includes('stripe.com'), 'hard-coded sample data is gone');
+        const { body: data } = await get('/api/dashboard');
+        assert.strictEqual(data.vertical, 'ecommerce');
+        assert.deepStrictEqual(data.sites.map(site => site.domain), ['shop.test', 'bank.test', 'down.test']);
+        assert.strictEqual(data.sites[1].compliance, 100);
+        assert.strictEqual(data.sites[2].compliance, null);
+        assert.strictEqual(data.sites[2].error, 'timeout');
+        assert.strictEqual(data.analysis.complianceDistribution.excellent, 1);
+        assert.ok(data.analysis.topIssues.length > 0);
+        console.log(`✅ ${data.sites.length} sites, ${data.analysis.averageCompliance}% average`);
+
+        // Test 2: Site drill-down
+        console.log('\n🔍 Test 2: Site detail grouped by criterion');
+        const { body: site } = await get('/api/sites/shop.test');
+        assert.deepStrictEqual(site.criteria.map(group => group.criterion), ['1.1.1', '2.4.4']);
+        assert.strictEqual(site.criteria[0].name, 'Non-text Content');
+        const image = site.criteria[0].violations[0];
+        assert.ok(image.html.includes('hero.png'));
+        assert.strictEqual(image.fix.suggestion, 'Add alt="Summer sale banner"');
+        assert.strictEqual(site.criteria[1].violations[0].fix, null);
+        assert.strictEqual((await get('/api/sites/down.test')).body.error, 'timeout');
+        const missing = await get('/api/sites/nowhere.test');
+        assert.strictEqual(missing.status, 404);
+        assert.ok(missing.body.error.includes('nowhere.test'));
+        const malformed = await get('/api/sites/%E0%A4%A');
+        assert.strictEqual(malformed.status, 400);
+        assert.ok(malformed.body.error.includes('Malformed path'));
+        assert.strictEqual((await get('/api/dashboard')).status, 200, 'the server is still up');
+        console.log(`✅ ${site.criteria.length} criteria, ${site.totalViolations} violations, AI fix attached`);
+
+        // Test 3: Per-site export
+        console.log('\n⬇️  Test 3: Site report download');
+        const json = await get('/api/sites/shop.test/report');
+        assert.strictEqual(json.status, 200);
+        assert.ok(json.headers.get('content-disposition').includes('wcagai-shop.test.json'));
+        assert.deepStrictEqual(json.body.results.map(r => r.domain), ['shop.test']);
+        assert.strictEqual(json.body.analysis.totalSites, 1);
+        const sarif = await get('/api/sites/shop.test/report?format=sarif');
+        assert.ok(sarif.headers.get('content-disposition').includes('.sarif'));
+        assert.strictEqual((await get('/api/sites/shop.test/report?format=pdf')).status, 400);
+        console.log('✅ JSON and SARIF exports of one site');
+
+        // Test 4: Trends and live reload
+        console.log('\n📈 Test 4: Trends and fresh results');
+        const { body: trends } = await get('/api/trends?domain=shop.test');
+        assert.strictEqual(trends.score.points.length, 1);
+        assert.strictEqual((await get('/api/trends')).status, 400);
+        fs.writeFileSync(reportFile, JSON.stringify({ ...report, results: results.slice(1), analysis: null }));
+        const { body: fresh } = await get('/api/dashboard');
+        assert.deepStrictEqual(fresh.sites.map(s => s.domain), ['bank.test', 'down.test']);
+        assert.strictEqual(fresh.analysis.totalSites, 2);
+        console.log('✅ Trends served, new results picked up without a restart');
+    } finally {
+        await dashboard.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Dashboard server tests passed!');
+}
+
+if (require.main === module) {
+    testDashboard().catch(error => {
+        console.error('❌ Dashboard server test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testDashboard };
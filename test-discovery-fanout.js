@@ -0,0 +1,188 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const VerticalDiscovery = require('./discovery');
+const { SerpApiProvider } = require('./backend/src/discovery/providers');
+const { getVertical, registerVertical } = require('./backend/src/verticals/verticalRegistry');
+
+/**
+ * Test WCAGAI v4.0 Discovery Fan-out
+ * Validates query planning over keywords and variants, paging, the API call budget, cross-query ranking and cache keys
+ */
+
+// SerpAPI stand-in: 24 results per query (two full pages of 10 and one of 4, or at
+// most `perPage` a page, as Google often returns fewer than asked for), each
+// query's first result is the same portal, and every request is recorded
+function searchEngine(requests, { perPage = Infinity } = {}) {
+    return {
+        get: async url => {
+            const params = new URL(url).searchParams;
+            const q = params.get('q');
+            const num = Number(params.get('num'));
+            const start = Number(params.get('start') || 0);
+            requests.push({ q, num, start });
+
+            const slug = q.replace(/\W+/g, '-');
+            const links = Array.from({ length: 24 }, (unused, i) => i === 0 ? 'https://www.shared-portal.test/' : `https://${slug}-${i}.test/`);
+            return { data: {
+                organic_results: links.slice(start, start + Math.min(num, perPage)).map(link => ({ link, title: link })),
+                ...(start + num < links.length ? { serpapi_pagination: { next: `https://serpapi.com/search?start=${start + num}` } } : {})
+            } };
+        }
+    };
+}
+
+function searching(requests, search, options = {}) {
+    return new VerticalDiscovery({
+        providers: [new SerpApiProvider({ apiKey: 'test-key', http: searchEngine(requests) })],
+        search,
+        cache: { driver: 'memory' },
+        ...options
+    });
+}
+
+async function testDiscoveryFanout() {
+    console.log('🚀 Testing WCAGAI v4.0 Discovery Fan-out...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-fanout-'));
+
+    try {
+        // Test 1: Query plan
+        console.log('🗺️  Test 1: Keywords × query variants');
+        assert.deepStrictEqual(VerticalDiscovery.normalizeKeywords([' Telehealth', 'patient portal', 'telehealth', '']), ['patient portal', 'telehealth']);
+        const planner = searching([], {});
+        const plan = planner.buildSearchQueries(['Telehealth', 'patient portal'], 'healthcare');
+        assert.deepStrictEqual(plan.slice(0, 3).map(search => search.query), ['patient portal', 'telehealth', 'healthcare']);
+        assert.strictEqual(plan.length, 11, '6 keywords (2 given, 4 more from the vertical) × 2 variants, less "healthcare healthcare"');
+        assert.deepStrictEqual(plan.slice(6).map(search => search.query),
+            ['patient portal healthcare', 'telehealth healthcare', 'hospital healthcare', 'medical healthcare', 'clinic healthcare']);
+        assert.ok(plan.every(search => !/\b20\d\d\b/.test(search.query)), 'no fixed year');
+        const given = searching([], { verticalKeywords: false, variants: ['{keywords}', '{keywords} online'] });
+        assert.deepStrictEqual(given.buildSearchQueries(['telehealth'], 'healthcare').map(search => search.query), ['telehealth', 'telehealth online']);
+        assert.throws(() => searching([], { variants: ['best sites'] }), /Search variant "best sites" must contain \{keywords\}/);
+        assert.throws(() => searching([], { budget: 0 }), /Search budget must be a whole number above 0/);
+        console.log(`✅ ${plan.length} searches: ${plan.slice(0, 3).map(search => `"${search.query}"`).join(', ')}, ...`);
+
+        // Test 2: Paging
+        console.log('\n📄 Test 2: Paging through results');
+        const requests = [];
+        const paging = searching(requests, { verticalKeywords: false, variants: ['{keywords}'] });
+        const paged = await paging.discover(['telehealth'], 'healthcare', 100);
+        assert.deepStrictEqual(requests.map(({ num, start }) => [num, start]), [[10, 0], [10, 10], [10, 20]], 'the last page ends the search');
+        assert.strictEqual(paged.length, 24);
+        assert.strictEqual(paged.find(site => site.domain === 'telehealth-23.test').position, 24);
+        assert.deepStrictEqual(paging.lastRun, { searches: paging.lastRun.searches, apiCalls: 3, budget: 40, exhausted: false });
+
+        requests.length = 0;
+        const short = new VerticalDiscovery({
+            providers: [new SerpApiProvider({ apiKey: 'test-key', http: searchEngine(requests, { perPage: 8 }) })],
+            search: { verticalKeywords: false, variants: ['{keywords}'] },
+            cache: { driver: 'memory' }
+        });
+        assert.strictEqual((await short.discover(['telehealth'], 'healthcare', 100)).length, 20);
+        assert.deepStrictEqual(requests.map(({ start }) => start), [0, 10, 20], 'short pages continue while there is a next page');
+        console.log(`✅ ${paged.length} sites over 3 pages, pages of 8 followed to the end`);
+
+        // Test 3: Budget
+        console.log('\n💳 Test 3: API call budget');
+        requests.length = 0;
+        const budgeted = searching(requests, { budget: 5 });
+        const cheap = await budgeted.discover(['telehealth', 'patient portal'], 'healthcare', 200);
+        assert.strictEqual(requests.length, 5);
+        assert.deepStrictEqual([budgeted.lastRun.apiCalls, budgeted.lastRun.exhausted], [5, true]);
+        assert.deepStrictEqual(requests.map(request => request.q), ['patient portal', 'telehealth', 'healthcare', 'hospital', 'medical'], 'first pages of every keyword come first');
+        assert.ok(cheap.length > 0);
+
+        requests.length = 0;
+        const enough = searching(requests, { maxPages: 10 });
+        await enough.discover(['telehealth'], 'healthcare', 20);
+        assert.strictEqual(requests.length, enough.lastRun.searches.length, 'paging stops once the limit is reached');
+        requests.length = 0;
+        await searching(requests, { verticalKeywords: false, variants: ['{keywords}'], maxPages: 2 }).discover(['telehealth'], 'healthcare', 100);
+        assert.strictEqual(requests.length, 2);
+        console.log(`✅ Stopped at ${budgeted.lastRun.apiCalls} calls of ${budgeted.lastRun.searches.length * 3} needed`);
+
+        // Test 4: Ranking across queries
+        console.log('\n🏅 Test 4: Merged and ranked across queries');
+        const ranked = await searching([], { verticalKeywords: false }).discover(['telehealth', 'patient portal'], 'healthcare', 100);
+        assert.strictEqual(ranked[0].domain, 'shared-portal.test');
+        assert.deepStrictEqual(ranked[0].matchedQueries, ['patient portal', 'telehealth', 'patient portal healthcare', 'telehealth healthcare']);
+        assert.strictEqual(ranked.filter(site => site.domain === 'shared-portal.test').length, 1);
+        assert.deepStrictEqual(ranked[1].matchedQueries, ['patient portal']);
+        assert.ok(ranked.slice(1).every(site => site.matchedQueries.length === 1));
+        assert.strictEqual(ranked[0].position, 1);
+        console.log(`✅ ${ranked[0].domain} matched ${ranked[0].matchedQueries.length} queries, ${ranked.length} sites in all`);
+
+        // Test 5: Cache keys
+        console.log('\n🗄️  Test 5: Keyword order and the cache');
+        requests.length = 0;
+        const cached = searching(requests, {});
+        const firstRun = await cached.discover(['telehealth', 'Patient Portal'], 'healthcare', 20);
+        const calls = requests.length;
+        const secondRun = await cached.discover(['patient portal ', 'telehealth'], 'healthcare', 20);
+        assert.strictEqual(requests.length, calls, 'reordered keywords hit the cache');
+        assert.deepStrictEqual(secondRun.map(site => site.domain), firstRun.map(site => site.domain));
+        assert.strictEqual(cached.cache.stats().namespaces.discovery.hits, 1);
+        await cached.discover(['telehealth'], 'healthcare', 20);
+        assert.ok(requests.length > calls, 'other keywords are searched');
+        const variantCalls = requests.length;
+        await searching(requests, { variants: ['{keywords}'] }, { cache: cached.cache }).discover(['telehealth'], 'healthcare', 20);
+        assert.ok(requests.length > variantCalls, 'other query variants are searched');
+        assert.strictEqual(await cached.invalidate({ keyword: 'Patient Portal' }), 1);
+        const healthcare = getVertical('healthcare');
+        try {
+            registerVertical({ ...healthcare, queryVariants: ['{keywords} online'] });
+            const editedCalls = requests.length;
+            await cached.discover(['telehealth'], 'healthcare', 20);
+            assert.ok(requests.length > editedCalls, 'edited vertical variants are searched afresh');
+        } finally {
+            registerVertical(healthcare);
+        }
+        console.log(`✅ One search of ${calls} API calls served both keyword orders`);
+
+        // Test 6: Recorded pages
+        console.log('\n📼 Test 6: Recording and replaying pages');
+        const fixture = path.join(dir, 'telehealth.json');
+        requests.length = 0;
+        const recorder = searching(requests, { verticalKeywords: false }, { record: fixture });
+        const recorded = await recorder.discover(['telehealth'], 'healthcare', 100);
+        const recordings = JSON.parse(fs.readFileSync(fixture, 'utf8')).recordings;
+        assert.strictEqual(recordings.length, requests.length);
+        assert.deepStrictEqual(recordings.map(recording => recording.page), [1, 1, 2, 2, 3, 3]);
+
+        const replay = new VerticalDiscovery({ providers: `fixture:${fixture}`, search: { verticalKeywords: false }, cache: { driver: 'memory' } });
+        assert.ok(replay.providers[0].paged && !replay.providers[0].unpaged);
+        const replayed = await replay.discover(['telehealth'], 'healthcare', 100);
+        assert.strictEqual(requests.length, recordings.length, 'replay makes no requests');
+        assert.deepStrictEqual(replayed.map(site => site.domain), recorded.map(site => site.domain));
+        console.log(`✅ Replayed ${replayed.length} sites from ${recordings.length} recorded pages`);
+
+        // Test 7: CLI
+        console.log('\n⌨️  Test 7: --search-budget and --search-pages');
+        for (const flag of ['--search-budget=0', '--search-pages=two']) {
+            try {
+                execFileSync(process.execPath, ['scanner-v4-integration.js', '--keywords=telehealth', '--vertical=healthcare', flag], { stdio: 'pipe' });
+                assert.fail(`${flag} should be rejected`);
+            } catch (error) {
+                assert.strictEqual(error.status, 64);
+                assert.ok(error.stderr.toString().includes(`Invalid ${flag.split('=')[0]}`));
+            }
+        }
+        console.log('✅ Budgets and page counts are validated');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Discovery fan-out tests passed!');
+}
+
+if (require.main === module) {
+    testDiscoveryFanout().catch(error => {
+        console.error('❌ Discovery fan-out test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testDiscoveryFanout };
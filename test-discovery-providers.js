@@ -0,0 +1,179 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const VerticalDiscovery = require('./discovery');
+const Cache = require('./backend/src/cache/cache');
+const { parseCsv } = require('./backend/src/discovery/csv');
+const {
+    SerpApiProvider,
+    SeedListProvider,
+    SitemapProvider,
+    FixtureProvider,
+    registerProvider,
+    parseProviderSpec,
+    createProviders
+} = require('./backend/src/discovery/providers');
+
+/**
+ * Test WCAGAI v4.0 Discovery Providers
+ * Validates seed lists, sitemaps, fixtures, SerpAPI handling and combined providers, all offline
+ */
+
+// Discovery cache off: every run goes to the providers
+function offline(discovery) {
+    discovery.cache = new Cache({ driver: 'memory', ttl: { discovery: 0 } });
+    return discovery;
+}
+
+async function testDiscoveryProviders() {
+    console.log('🚀 Testing WCAGAI v4.0 Discovery Providers...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-discovery-'));
+    const query = { keywords: ['online banking'], vertical: 'fintech', limit: 10, location: 'United States', searchQuery: 'online banking fintech' };
+
+    try {
+        // Test 1: CSV and JSON seed lists
+        console.log('🌱 Test 1: Seed lists');
+        assert.deepStrictEqual(parseCsv('\uFEFFURL;Title;Traffic\r\n"https://a.test/";"A; Bank ""Plus""";"1,200"\r\n\r\n'),
+            [{ url: 'https://a.test/', title: 'A; Bank "Plus"', traffic: '1,200' }]);
+
+        const csv = path.join(dir, 'banks.csv');
+        fs.writeFileSync(csv, 'domain,title,traffic,vertical,keywords\n' +
+            'www.bank-a.test,Bank A,"2,500,000",fintech,online banking;mobile\n' +
+            'clinic.test,Clinic,900000,healthcare,\n' +
+            'https://lender.test/loans,Lender,,fintech,mortgage\n' +
+            'neobank.test,Neobank,40000,,\n');
+        const seeds = await new SeedListProvider({ file: csv }).discover(query);
+        assert.deepStrictEqual(seeds.map(seed => seed.url), ['https://www.bank-a.test/', 'https://neobank.test/']);
+        assert.strictEqual(seeds[0].traffic, 2500000);
+
+        const json = path.join(dir, 'banks.json');
+        fs.writeFileSync(json, JSON.stringify({ sites: ['bank-b.test', { url: 'https://bank-c.test', traffic: 10 }, 'not a url', 'ftp://files.test'] }));
+        assert.deepStrictEqual((await new SeedListProvider({ file: json }).discover(query)).map(seed => seed.title), ['bank-b.test', 'bank-c.test']);
+        assert.throws(() => new SeedListProvider({ file: path.join(dir, 'missing.csv') }), /No seed list at/);
+        console.log(`✅ ${seeds.length} CSV seeds matched the vertical and keywords`);
+
+        // Test 2: Sitemaps and domain lists
+        console.log('\n🗺️  Test 2: Sitemaps and domain lists');
+        const index = path.join(dir, 'sitemap.xml');
+        fs.writeFileSync(index, '<?xml version="1.0"?><sitemapindex><sitemap><loc>https://directory.test/banks.xml</loc></sitemap></sitemapindex>');
+        const fetched = [];
+        const fetch = async url => {
+            fetched.push(url);
+            return { body: '<urlset><url><loc>https://bank-a.test/</loc></url><url><loc>https://bank-a.test/about</loc></url>' +
+                '<url><loc>https://credit-union.test/join</loc></url></urlset>' };
+        };
+        const domains = path.join(dir, 'domains.txt');
+        fs.writeFileSync(domains, '# banks\nbank-d.test\n\nhttps://bank-a.test/login  # duplicate host\n');
+        const listed = await new SitemapProvider({ sitemaps: [index], domainsFile: domains, fetch }).discover(query);
+        assert.deepStrictEqual(fetched, ['https://directory.test/banks.xml']);
+        assert.deepStrictEqual(listed.map(site => site.url), ['https://bank-d.test/', 'https://bank-a.test/', 'https://credit-union.test/']);
+        assert.throws(() => new SitemapProvider({}), /needs sitemaps or a domain list/);
+        console.log(`✅ ${listed.length} sites, one per host`);
+
+        // Test 3: SerpAPI responses and errors
+        console.log('\n🔎 Test 3: SerpAPI provider');
+        const requests = [];
+        const serpapi = new SerpApiProvider({
+            apiKey: 'test-key',
+            http: { get: async (url, config) => {
+                requests.push({ url: new URL(url), config });
+                return { data: { organic_results: [{ link: 'https://www.bank-a.test/', title: 'Bank A', traffic: 5000 }, { link: 'https://bank-e.test/', title: 'Bank E' }] } };
+            } }
+        });
+        const found = await serpapi.discover(query);
+        assert.strictEqual(requests[0].url.searchParams.get('location'), 'United States');
+        assert.strictEqual(requests[0].url.searchParams.get('api_key'), 'test-key');
+        assert.strictEqual(requests[0].config.timeout, 30000);
+        assert.deepStrictEqual(found.map(site => site.position), [1, 2]);
+
+        const refused = new SerpApiProvider({ http: { get: async () => { throw new Error('getaddrinfo ENOTFOUND serpapi.com'); } } });
+        await assert.rejects(refused.discover(query), /ENOTFOUND/);
+        const invalidKey = new SerpApiProvider({ http: { get: async () => ({ data: { error: 'Invalid API key.' } }) } });
+        await assert.rejects(invalidKey.discover(query), /SerpAPI: Invalid API key/);
+        console.log('✅ Promise-based search, network and API errors are rejected, not thrown');
+
+        // Test 4: Combined providers
+        console.log('\n🧩 Test 4: Combined providers');
+        const discovery = offline(new VerticalDiscovery({
+            predictionSeed: 'providers',
+            providers: [{ type: 'seed', file: csv }, serpapi, new SitemapProvider({ domainsFile: domains, name: 'domain-list' })]
+        }));
+        const sites = await discovery.discover(['online banking'], 'fintech', 10);
+        const byDomain = Object.fromEntries(sites.map(site => [site.domain, site]));
+        assert.deepStrictEqual(sites.map(site => site.domain), ['bank-a.test', 'neobank.test', 'bank-e.test', 'bank-d.test']);
+        assert.strictEqual(byDomain['bank-a.test'].discoveredFrom, 'seed-list');
+        assert.deepStrictEqual(byDomain['bank-a.test'].discoveredBy, ['seed-list', 'serpapi', 'domain-list']);
+        assert.strictEqual(byDomain['bank-e.test'].discoveredFrom, 'serpapi');
+        assert.strictEqual(byDomain['bank-d.test'].discoveredFrom, 'domain-list');
+        assert.ok(byDomain['bank-a.test'].trafficScore > 0.7);
+        assert.ok(sites.every(site => site.vertical === 'fintech' && !site.isFallback));
+
+        const first = offline(new VerticalDiscovery({ providers: [refused, { type: 'seed', file: csv }, serpapi], strategy: 'first' }));
+        const firstSites = await first.discover(['online banking'], 'fintech', 10);
+        assert.deepStrictEqual([...new Set(firstSites.map(site => site.discoveredFrom))], ['seed-list']);
+
+        const failing = offline(new VerticalDiscovery({ providers: [refused] }));
+        const fallback = await failing.discover(['online banking'], 'fintech', 10);
+        assert.ok(fallback.every(site => site.isFallback && site.discoveredFrom === 'fallback'));
+        assert.strictEqual(fallback.length, 5);
+        assert.throws(() => new VerticalDiscovery({ providers: 'serpapi', strategy: 'best' }), /Unknown discovery strategy "best"/);
+        console.log(`✅ ${sites.map(site => `${site.domain} (${site.discoveredBy.join('+')})`).join(', ')}`);
+
+        // Test 5: Recorded fixtures
+        console.log('\n📼 Test 5: Record and replay');
+        const fixture = path.join(dir, 'fixtures', 'banking.json');
+        const recorder = offline(new VerticalDiscovery({ providers: [serpapi, { type: 'seed', file: json }], record: fixture }));
+        const recorded = await recorder.discover(['online banking'], 'fintech', 10, { jurisdictions: ['us'] });
+        assert.deepStrictEqual([...new Set(recorded.map(site => site.discoveredFrom))], ['serpapi', 'seed-list']);
+        // One recording per SerpAPI page and one for the seed list
+        const recordings = recorder.lastRun.apiCalls + 1;
+        assert.strictEqual(JSON.parse(fs.readFileSync(fixture, 'utf8')).recordings.length, recordings);
+        await recorder.discover(['online banking'], 'fintech', 10, { jurisdictions: ['us'] });
+        assert.strictEqual(JSON.parse(fs.readFileSync(fixture, 'utf8')).recordings.length, recordings, 're-recording replaces');
+
+        const requestCount = requests.length;
+        const replay = offline(new VerticalDiscovery({ providers: `fixture:${fixture}` }));
+        const replayed = await replay.discover(['online banking'], 'fintech', 10, { jurisdictions: ['us'] });
+        assert.strictEqual(requests.length, requestCount, 'replay makes no requests');
+        assert.deepStrictEqual(replayed.map(site => site.domain), recorded.map(site => site.domain));
+        assert.ok(replayed.every(site => site.discoveredFrom === 'fixture'));
+        assert.deepStrictEqual([...new Set(replayed.map(site => site.recordedFrom))], ['serpapi', 'seed-list']);
+        await assert.rejects(new FixtureProvider({ file: fixture }).discover({ ...query, vertical: 'healthcare' }), /No recorded discovery for "healthcare\|/);
+        assert.throws(() => new FixtureProvider({ file: path.join(dir, 'none.json') }), /No discovery fixture at/);
+        console.log(`✅ Replayed ${replayed.length} sites recorded from SerpAPI and a seed list`);
+
+        // Test 6: Specs, custom providers and the CLI
+        console.log('\n⌨️  Test 6: Provider specs and --discovery');
+        assert.deepStrictEqual(parseProviderSpec('sitemap:https://example.test/sitemap.xml'), { type: 'sitemap', sitemaps: ['https://example.test/sitemap.xml'] });
+        assert.deepStrictEqual(createProviders(`seed:${csv},domains:${domains}`).map(provider => provider.name), ['seed-list', 'domain-list']);
+        assert.throws(() => createProviders('bing'), /Unknown discovery provider "bing"/);
+        registerProvider('static', config => ({ name: 'static', discover: async () => config.sites }));
+        const custom = offline(new VerticalDiscovery({ providers: [{ type: 'static', sites: [{ url: 'https://custom.test/' }] }] }));
+        assert.strictEqual((await custom.discover(['banking'], 'fintech', 5))[0].discoveredFrom, 'static');
+
+        try {
+            execFileSync(process.execPath, ['scanner-v4-integration.js', '--keywords=banking', '--vertical=fintech', '--discovery=seed:missing.csv'], { stdio: 'pipe' });
+            assert.fail('Missing seed lists should be rejected');
+        } catch (error) {
+            assert.strictEqual(error.status, 64);
+            assert.ok(error.stderr.toString().includes('No seed list at missing.csv'));
+        }
+        console.log('✅ Registered providers plug in; bad --discovery specs exit with code 64');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Discovery provider tests passed!');
+}
+
+if (require.main === module) {
+    testDiscoveryProviders().catch(error => {
+        console.error('❌ Discovery provider test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testDiscoveryProviders };
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const VerticalDiscovery = require('./discovery');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const { hostOf, registrableDomain, organisationOf, resolveRedirect, mergeSites } = require('./backend/src/discovery/domains');
+
+/**
+ * Test WCAGAI v4.0 Site Identity
+ * Validates registrable domains, organisation grouping, redirect resolution and merged discovery results
+ */
+
+// SerpAPI-style results where one company takes several places
+const paypalResults = {
+    name: 'serpapi',
+    discover: async () => [
+        { url: 'https://www.paypal.com/us/home', title: 'PayPal', position: 1 },
+        { url: 'https://stripe.com/', title: 'Stripe', position: 2 },
+        { url: 'https://m.paypal.com/signin', title: 'PayPal mobile', position: 3 },
+        { url: 'https://www.paypal.co.uk/', title: 'PayPal UK', position: 4 },
+        { url: 'https://wise.com/', title: 'Wise', position: 5 },
+        { url: 'https://pypl.com/app', title: 'PayPal app', position: 6 }
+    ]
+};
+
+async function testDomains() {
+    console.log('🚀 Testing WCAGAI v4.0 Site Identity...\n');
+
+    // Test 1: Public Suffix List
+    console.log('🌐 Test 1: Registrable domains');
+    assert.strictEqual(hostOf('https://WWW.PayPal.com/us/'), 'paypal.com');
+    assert.deepStrictEqual(['m.paypal.com', 'https://paypal.com/us/webapps', 'www.paypal.co.uk', 'dmv.ca.gov', 'alice.github.io', 'localhost', '127.0.0.1', 'bank.test']
+        .map(registrableDomain), ['paypal.com', 'paypal.com', 'paypal.co.uk', 'ca.gov', 'alice.github.io', 'localhost', '127.0.0.1', 'bank.test']);
+    assert.strictEqual(organisationOf('www.paypal.co.uk'), 'paypal');
+    assert.strictEqual(organisationOf('https://m.paypal.com/'), 'paypal');
+    assert.notStrictEqual(organisationOf('alice.github.io'), organisationOf('bob.github.io'));
+    console.log('✅ m.paypal.com, paypal.com/us and www.paypal.co.uk are one organisation');
+
+    // Test 2: Merging
+    console.log('\n🧩 Test 2: Merging duplicates');
+    const site = (domain, extra) => ({ domain, aliasDomains: [], traffic: 0, trafficScore: 0, discoveredFrom: 'serpapi', ...extra });
+    const merged = mergeSites([
+        site('paypal.com', { position: 3, url: 'https://m.paypal.com/', aliasDomains: ['m.paypal.com'] }),
+        site('paypal.com', { position: 1, url: 'https://www.paypal.com/' }),
+        site('paypal.co.uk', { position: 4, traffic: 900, trafficScore: 0.4, trafficSource: 'Semrush' }),
+        site('paypal.com', { position: 2, discoveredFrom: 'seed-list' })
+    ], { by: 'organisation' });
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(
+        { url: merged[0].url, canonicalDomain: merged[0].canonicalDomain, position: merged[0].position, traffic: merged[0].traffic, trafficSource: merged[0].trafficSource },
+        { url: 'https://www.paypal.com/', canonicalDomain: 'paypal.com', position: 1, traffic: 900, trafficSource: 'Semrush' }
+    );
+    assert.deepStrictEqual(merged[0].aliasDomains.sort(), ['m.paypal.com', 'paypal.co.uk']);
+    assert.deepStrictEqual(merged[0].discoveredBy, ['serpapi', 'seed-list']);
+    assert.strictEqual(mergeSites([site('paypal.com', { position: 1 }), site('paypal.co.uk', { position: 2 })]).length, 2);
+    assert.deepStrictEqual(mergeSites([site('delta.com', { position: 1 }), site('delta.org', { position: 2 }),
+        site('nationwide.co.uk', { position: 3 }), site('nationwide.com', { position: 4 })]).map(result => result.domain),
+    ['delta.com', 'delta.org', 'nationwide.co.uk', 'nationwide.com'], 'a shared name is no proof of a shared owner');
+    assert.throws(() => mergeSites([], { by: 'company' }), /Unknown site grouping "company"/);
+    console.log(`✅ Kept ${merged[0].url} at position ${merged[0].position} with aliases ${merged[0].aliasDomains.join(', ')}`);
+
+    // Test 3: Discovery
+    console.log('\n🔎 Test 3: Discovery results');
+    const byDomain = new VerticalDiscovery({ providers: [paypalResults], cache: { driver: 'memory' } });
+    assert.deepStrictEqual((await byDomain.discover(['online payments'], 'fintech', 10)).map(result => result.domain),
+        ['paypal.com', 'stripe.com', 'paypal.co.uk', 'wise.com', 'pypl.com']);
+
+    const discovery = new VerticalDiscovery({ providers: [paypalResults], grouping: 'organisation', cache: { driver: 'memory' } });
+    const sites = await discovery.discover(['online payments'], 'fintech', 10);
+    assert.deepStrictEqual(sites.map(result => result.domain), ['paypal.com', 'stripe.com', 'wise.com', 'pypl.com']);
+    const paypal = sites[0];
+    assert.deepStrictEqual([paypal.canonicalDomain, paypal.position, paypal.url], ['paypal.com', 1, 'https://www.paypal.com/us/home']);
+    assert.deepStrictEqual(paypal.aliasDomains, ['m.paypal.com', 'paypal.co.uk']);
+    assert.ok(paypal.isTopSite, 'paypal.com is a fintech top site');
+    assert.deepStrictEqual(sites[1].aliasDomains, []);
+    assert.throws(() => new VerticalDiscovery({ providers: [paypalResults], grouping: 'brand' }), /Unknown site grouping "brand"/);
+
+    const processed = await discovery.processSearchResults({ organic_results: [
+        { position: 1, link: 'https://www.paypal.com/' }, { position: 2, link: 'https://m.paypal.com/' }
+    ] }, 'fintech');
+    assert.strictEqual(processed.length, 1);
+    console.log(`✅ ${sites.map(result => result.domain).join(', ')}`);
+
+    // Test 4: Redirects
+    console.log('\n↪️  Test 4: Redirect resolution');
+    const requests = [];
+    const fetch = async url => {
+        requests.push(url);
+        if (url.includes('pypl.com')) return { finalUrl: 'https://www.paypal.com/us/digital-wallet' };
+        if (url.includes('paypal.co.uk')) return { finalUrl: 'https://www.paypal.com/uk/home' };
+        if (url.includes('wise.com')) throw new Error('timeout of 5000ms exceeded');
+        return { finalUrl: url };
+    };
+    assert.strictEqual(await resolveRedirect('https://pypl.com/app', { fetch }), 'https://www.paypal.com/us/digital-wallet');
+    const resolving = new VerticalDiscovery({ providers: [paypalResults], resolveRedirects: { fetch }, cache: { driver: 'memory' } });
+    const resolved = await resolving.discover(['online payments'], 'fintech', 10);
+    assert.deepStrictEqual(resolved.map(result => result.domain), ['paypal.com', 'stripe.com', 'wise.com']);
+    assert.deepStrictEqual(resolved[0].aliasDomains, ['m.paypal.com', 'paypal.co.uk', 'pypl.com']);
+    assert.strictEqual(resolved[0].position, 1);
+
+    requests.length = 0;
+    await resolving.invalidate({ vertical: 'fintech' });
+    await resolving.discover(['online payments'], 'fintech', 10);
+    assert.deepStrictEqual(requests, ['https://wise.com/'], 'resolved redirects are cached, failures are retried');
+    const unrelated = new VerticalDiscovery({ providers: [{ name: 'serpapi', discover: async () => [
+        { url: 'https://www.delta.com/', position: 1 }, { url: 'https://www.delta.org/', position: 2 }
+    ] }], resolveRedirects: { fetch: async url => ({ finalUrl: url }) }, cache: { driver: 'memory' } });
+    assert.strictEqual((await unrelated.discover(['insurance'], 'insurance', 10)).length, 2, 'no redirect, no merge');
+    const redirected = (await resolving.followRedirects([{ url: 'https://pypl.com/x', domain: 'pypl.com', aliasDomains: [], traffic: 0 }], 'fintech'))[0];
+    assert.deepStrictEqual([redirected.domain, redirected.redirectedFrom, redirected.isTopSite], ['paypal.com', 'https://pypl.com/x', true]);
+    console.log(`✅ pypl.com filed under paypal.com; ${resolving.cache.stats().namespaces.redirect.hits} cached redirects reused`);
+
+    // Test 5: Customer sites and the CLI
+    console.log('\n🏢 Test 5: Customer sites and --group-by');
+    const scanner = new WCAGAIV4Scanner({ discovery: { providers: [paypalResults] } });
+    assert.ok(scanner.isSameSite(paypal, 'https://www.paypal.co.uk/business'));
+    assert.ok(scanner.isSameSite(paypal, 'm.paypal.com'));
+    assert.ok(!scanner.isSameSite(paypal, 'paypal.example'));
+    assert.strictEqual(scanner.extractDomain('https://m.paypal.com/signin'), 'paypal.com');
+    try {
+        execFileSync(process.execPath, ['scanner-v4-integration.js', '--keywords=payments', '--vertical=fintech', '--group-by=brand'], { stdio: 'pipe' });
+        assert.fail('Unknown groupings should be rejected');
+    } catch (error) {
+        assert.strictEqual(error.status, 64);
+        assert.ok(error.stderr.toString().includes('Unknown --group-by "brand"'));
+    }
+    console.log('✅ Customer sites match by registrable domain and alias; --group-by is validated');
+
+    console.log('\n🎉 Site identity tests passed!');
+}
+
+if (require.main === module) {
+    testDomains().catch(error => {
+        console.error('❌ Site identity test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testDomains };
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { pathToFileURL } = require('url');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const SuppressionList = require('./backend/src/scanner/suppressions');
+const { toSarif } = require('./backend/src/reports/sarif');
+const { toJUnit } = require('./backend/src/reports/junit');
+const { formatReport } = require('./backend/src/reports/formatters');
+const { rules } = require('./backend/src/scanner/rules');
+
+/**
+ * Test WCAGAI v4.0 Output Formats
+ * Validates the SARIF 2.1.0 and JUnit XML serializers and the --format CLI option
+ */
+
+const PAGE = '<html lang="en"><head><title>Store</title></head><body><main><h1>Store</h1>' +
+    '<img src="cart.png" id="cart"><a href="/x"></a><p>Fish & "chips" <b>now</b></p></main></body></html>';
+
+async function testFormats() {
+    console.log('🚀 Testing WCAGAI v4.0 Output Formats...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    scanner.suppressions = new SuppressionList([{ rule: 'link-name', reason: 'Legacy nav', expires: '2099-01-01' }]);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-formats-'));
+    const filePath = path.join(dir, 'store.html');
+    const fileUrl = pathToFileURL(filePath).href;
+
+    const report = {
+        scanMode: 'local',
+        vertical: 'local',
+        results: [
+            { url: fileUrl, domain: 'store.html', scanResult: scanner.evaluateHtml(PAGE, { url: fileUrl }) },
+            { url: 'https://down.test/', domain: 'down.test', scanError: 'connect ECONNREFUSED <down>' }
+        ],
+        completedAt: '2026-01-05T10:00:00.000Z'
+    };
+
+    // Test 1: SARIF
+    console.log('📄 Test 1: SARIF 2.1.0');
+    const sarif = toSarif(report, { cwd: dir });
+    const run = sarif.runs[0];
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.rules.length, rules.length);
+    const imageAlt = run.results.find(r => r.ruleId === 'image-alt');
+    assert.strictEqual(imageAlt.level, 'error');
+    assert.strictEqual(run.tool.driver.rules[imageAlt.ruleIndex].id, 'image-alt');
+    assert.ok(run.tool.driver.rules[imageAlt.ruleIndex].properties.tags.includes('wcag111'));
+    assert.strictEqual(imageAlt.locations[0].physicalLocation.artifactLocation.uri, 'store.html');
+    assert.strictEqual(imageAlt.locations[0].logicalLocations[0].fullyQualifiedName, '#cart');
+    assert.ok(imageAlt.message.text.includes('1.1.1 Non-text Content'));
+    assert.ok(imageAlt.partialFingerprints['wcagaiFingerprint/v1']);
+    const linkName = run.results.find(r => r.ruleId === 'link-name');
+    assert.strictEqual(linkName.suppressions[0].kind, 'external');
+    assert.strictEqual(run.invocations[0].executionSuccessful, false);
+    assert.ok(run.invocations[0].toolExecutionNotifications[0].message.text.includes('down.test'));
+    console.log(`✅ ${run.results.length} results, ${run.tool.driver.rules.length} rules`);
+
+    // Test 2: JUnit
+    console.log('\n🧪 Test 2: JUnit XML');
+    const xml = toJUnit(report);
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const suites = $('testsuite');
+    assert.strictEqual(suites.length, 2);
+    const store = suites.first();
+    assert.strictEqual(store.attr('name'), 'store.html');
+    assert.strictEqual(Number(store.attr('tests')), rules.length);
+    assert.strictEqual(Number(store.attr('failures')), 1);
+    assert.strictEqual(Number(store.attr('skipped')), 1);
+    assert.ok(store.find('testcase[name^="image-alt"] failure').text().includes('#cart'));
+    assert.strictEqual(store.find('testcase[name^="link-name"] skipped').attr('message'), 'Suppressed: Legacy nav');
+    assert.strictEqual(suites.last().find('error').attr('message'), 'connect ECONNREFUSED <down>');
+    assert.strictEqual(Number($('testsuites').attr('errors')), 1);
+    assert.strictEqual(Number($('testsuites').attr('tests')), rules.length + 1);
+
+    const levelA = new WCAGAIV4Scanner();
+    levelA.conformance = { level: 'A', version: '2.2' };
+    const scoped = cheerio.load(toJUnit({ scanMode: 'direct', url: 'https://shop.test/', result: levelA.evaluateHtml(PAGE, { url: 'https://shop.test/' }) }), { xmlMode: true });
+    const names = scoped('testcase').toArray().map(el => scoped(el).attr('name').split(':')[0]);
+    assert.ok(names.includes('image-alt'));
+    assert.ok(!names.includes('color-contrast') && !names.includes('focus-visible'), 'AA rules are out of scope at Level A');
+    assert.strictEqual(Number(scoped('testsuite').attr('tests')), names.length);
+    console.log(`✅ ${suites.length} testsuites, ${$('testsuites').attr('failures')} failures, ${names.length} testcases at Level A`);
+
+    // Test 3: Crawled sites get a testsuite per page
+    console.log('\n🕸️  Test 3: Per-page testsuites');
+    const pages = ['https://shop.test/', 'https://shop.test/about'].map(url => ({ ...scanner.evaluateHtml(PAGE, { url }), url }));
+    const site = scanner.buildSiteResult(pages);
+    const crawled = cheerio.load(toJUnit({ scanMode: 'direct', url: 'https://shop.test/', result: site }), { xmlMode: true });
+    assert.deepStrictEqual(crawled('testsuite').toArray().map(el => crawled(el).attr('name')),
+        ['shop.test https://shop.test/', 'shop.test https://shop.test/about']);
+    assert.throws(() => formatReport(report, 'pdf'), /Unknown format/);
+    console.log('✅ One testsuite per crawled page');
+
+    // Test 4: CLI --format
+    console.log('\n💻 Test 4: --format CLI');
+    try {
+        fs.writeFileSync(filePath, PAGE);
+        execFileSync(process.execPath, [
+            path.join(__dirname, 'scanner-v4-integration.js'),
+            `--path=${filePath}`,
+            '--format=sarif'
+        ], { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        const written = JSON.parse(fs.readFileSync(path.join(dir, 'wcagai-results.sarif'), 'utf8'));
+        assert.strictEqual(written.version, '2.1.0');
+        assert.ok(written.runs[0].results.some(r => r.ruleId === 'image-alt'));
+        console.log('✅ --format=sarif writes wcagai-results.sarif');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎯 Output format tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testFormats().catch(error => {
+        console.error('❌ Output format test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testFormats };
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const VerticalDiscovery = require('./discovery');
+const {
+    JURISDICTIONS,
+    getJurisdiction,
+    resolveJurisdictions,
+    getStandardCriteria,
+    complianceDeadline,
+    assessJurisdictions
+} = require('./backend/src/compliance/jurisdictions');
+
+/**
+ * Test WCAGAI v4.0 Jurisdiction Profiles
+ * Validates profile lookup, clause mapping, deadlines and per-regime conformance
+ */
+
+const PAGE = '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+    '<img src="card.png"></main></body></html>';
+const CLEAN = '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+    '<img src="card.png" alt="Credit card"></main></body></html>';
+
+async function testJurisdictions() {
+    console.log('🚀 Testing WCAGAI v4.0 Jurisdiction Profiles...\n');
+
+    // Test 1: Profiles
+    console.log('🌐 Test 1: Profile lookup');
+    assert.strictEqual(getJurisdiction('EU').id, 'eu');
+    assert.throws(() => getJurisdiction('mars'), /Unknown jurisdiction "mars"/);
+    assert.deepStrictEqual(resolveJurisdictions('us, EU,us').map(j => j.id), ['us', 'eu']);
+    assert.deepStrictEqual(resolveJurisdictions(null, { vertical: 'fintech' }).map(j => j.id), ['uk', 'eu']);
+    assert.deepStrictEqual(resolveJurisdictions(undefined, { vertical: 'healthcare' }).map(j => j.id), ['us']);
+    Object.values(JURISDICTIONS).forEach(profile => {
+        assert.ok(profile.standards.length > 0, `${profile.id} lists its standards`);
+        assert.ok(profile.searchLocation && profile.enforcement);
+    });
+    console.log(`✅ ${Object.keys(JURISDICTIONS).length} jurisdiction profiles`);
+
+    // Test 2: Clause mapping
+    console.log('\n📑 Test 2: Success criteria to clauses');
+    const en301549 = getStandardCriteria(getJurisdiction('eu').standards[0]);
+    assert.strictEqual(en301549.find(c => c.id === '1.1.1').clause, '9.1.1.1');
+    assert.strictEqual(en301549.length, 50);
+    const aoda = getStandardCriteria(getJurisdiction('ca-on').standards[0]);
+    assert.strictEqual(aoda.find(c => c.id === '1.2.4'), undefined);
+    assert.strictEqual(aoda.length, 36);
+    const section508 = getStandardCriteria(getJurisdiction('us').standards[1]);
+    assert.strictEqual(section508.find(c => c.id === '1.3.4'), undefined);
+    console.log(`✅ EN 301 549: ${en301549.length} clauses, AODA: ${aoda.length} criteria`);
+
+    // Test 3: Deadlines
+    console.log('\n📅 Test 3: Compliance deadlines');
+    assert.strictEqual(complianceDeadline(resolveJurisdictions(null, { vertical: 'fintech' })), '2025-06-28');
+    assert.strictEqual(complianceDeadline(resolveJurisdictions(['us'])), '2026-04-24');
+    assert.strictEqual(complianceDeadline(resolveJurisdictions(['au'])), null);
+    console.log('✅ Latest primary deadline of the selected jurisdictions');
+
+    // Test 4: Conformance per regime
+    console.log('\n⚖️  Test 4: Conformance per regime');
+    const scanner = new WCAGAIV4Scanner();
+    const results = [
+        { url: 'https://a.test/', domain: 'a.test', scanResult: scanner.evaluateHtml(PAGE, { url: 'https://a.test/' }) },
+        { url: 'https://b.test/', domain: 'b.test', scanResult: scanner.evaluateHtml(CLEAN, { url: 'https://b.test/' }) },
+        { url: 'https://c.test/', domain: 'c.test', scanError: 'timeout' }
+    ];
+    const regimes = assessJurisdictions(results, resolveJurisdictions('eu,ca-on'));
+    assert.deepStrictEqual(regimes.map(r => r.id), ['eu', 'ca-on']);
+    const en = regimes[0].standards[0];
+    assert.strictEqual(en.target, 'WCAG 2.1 AA');
+    assert.strictEqual(en.sitesEvaluated, 2);
+    assert.strictEqual(en.sitesConforming, 1);
+    assert.strictEqual(en.conformanceRate, 0.5);
+    assert.deepStrictEqual(en.failingCriteria[0], { id: '1.1.1', clause: '9.1.1.1', name: 'Non-text Content', level: 'A', sites: 1 });
+
+    scanner.jurisdictions = resolveJurisdictions('eu,uk');
+    const analysis = scanner.generateVerticalAnalysis(results, 'fintech');
+    assert.deepStrictEqual(analysis.jurisdictions.map(r => r.id), ['eu', 'uk']);
+    assert.strictEqual(analysis.roiEstimate.complianceDeadline, '2025-06-28');
+    console.log(`✅ EN 301 549 conformance ${en.conformanceRate * 100}% (${en.failingCriteria.length} failing clauses)`);
+
+    // Test 5: Discovery search location
+    console.log('\n🔎 Test 5: Discovery market');
+    const discovery = new VerticalDiscovery({ cache: { driver: 'memory' } });
+    const locations = [];
+    discovery.providers[0].search = async params => { locations.push(params.location); return { organic_results: [] }; };
+    await discovery.discover(['banking'], 'fintech', 5);
+    await discovery.discover(['banking'], 'fintech', 5, { jurisdictions: ['ca-on'] });
+    assert.deepStrictEqual([...new Set(locations)], ['United Kingdom', 'Ontario, Canada']);
+    console.log(`✅ Searched ${[...new Set(locations)].join(' and ')}`);
+
+    // Test 6: CLI validation
+    console.log('\n⌨️  Test 6: --jurisdiction validation');
+    try {
+        execFileSync(process.execPath, ['scanner-v4-integration.js', '--url=https://example.invalid/', '--jurisdiction=atlantis'], { stdio: 'pipe' });
+        assert.fail('Unknown jurisdiction should be rejected');
+    } catch (error) {
+        assert.strictEqual(error.status, 64);
+        assert.ok(error.stderr.toString().includes('Unknown jurisdiction "atlantis"'));
+    }
+    console.log('✅ Unknown jurisdictions exit with code 64');
+
+    console.log('\n🎉 Jurisdiction profile tests passed!');
+}
+
+if (require.main === module) {
+    testJurisdictions().catch(error => {
+        console.error('❌ Jurisdiction profile test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testJurisdictions };
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const LegalRiskEngine = require('./backend/src/compliance/legalRisk');
+const { getVertical } = require('./backend/src/verticals/verticalRegistry');
+
+/**
+ * Test WCAGAI v4.0 Legal Risk Engine
+ * Validates ADA / EAA risk factors, settlement and cost estimates and persistence
+ */
+
+const BAD_PAGE = '<html><head></head><body><img src="hero.png"><img src="cart.png">' +
+    '<a href="/sale"></a><input type="text" id="email"><button></button></body></html>';
+const GOOD_PAGE = '<html lang="en"><head><title>Shop</title></head><body><main><h1>Shop</h1>' +
+    '<img src="hero.png" alt="Autumn sale"><a href="/sale">Sale</a></main></body></html>';
+
+async function testLegalRisk() {
+    console.log('🚀 Testing WCAGAI v4.0 Legal Risk Engine...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    const bad = scanner.evaluateHtml(BAD_PAGE, { url: 'https://shop.test/' });
+    const good = scanner.evaluateHtml(GOOD_PAGE, { url: 'https://shop.test/' });
+    const engine = new LegalRiskEngine();
+    const now = '2026-03-01T00:00:00Z';
+
+    // Test 1: ADA risk factors
+    console.log('⚖️  Test 1: ADA lawsuit risk');
+    const risky = engine.assess(bad, { vertical: 'ecommerce', traffic: 2000000, now });
+    const safe = engine.assess(good, { vertical: 'ecommerce', traffic: 2000000, now });
+    assert.ok(risky.adaRisk > getVertical('ecommerce').legal.adaBaseRate);
+    assert.ok(safe.adaRisk < risky.adaRisk);
+    assert.deepStrictEqual(risky.demandLetterCriteria, ['1.1.1', '4.1.2', '1.3.1', '2.4.4', '2.4.1', '2.4.2', '3.1.1']);
+    const cited = risky.factors.ada.find(f => f.factor === 'demandLetterCriteria');
+    assert.ok(cited.effect > 0);
+    assert.ok(risky.factors.ada.every(f => typeof f.effect === 'number' && f.description));
+    const newYork = engine.assess(bad, { vertical: 'ecommerce', traffic: 2000000, jurisdictions: ['US-NY'], now });
+    assert.ok(newYork.adaRisk > risky.adaRisk);
+    const ukOnly = engine.assess(bad, { vertical: 'ecommerce', jurisdictions: ['UK'], now });
+    assert.strictEqual(ukOnly.adaRisk, 0);
+    assert.strictEqual(ukOnly.settlementEstimate, 0);
+    console.log(`✅ ADA risk ${risky.adaRisk} (clean site ${safe.adaRisk}, New York ${newYork.adaRisk})`);
+
+    // Test 2: EAA risk
+    console.log('\n🇪🇺 Test 2: EAA compliance risk');
+    assert.strictEqual(risky.eaaRisk, 0);
+    assert.strictEqual(risky.deadline, null);
+    const eu = engine.assess(bad, { vertical: 'ecommerce', jurisdictions: ['US', 'EU'], now });
+    assert.ok(eu.eaaRisk > 0.3);
+    assert.strictEqual(eu.deadline.toISOString().slice(0, 10), LegalRiskEngine.EAA_DEADLINE);
+    assert.strictEqual(eu.factors.eaa.find(f => f.factor === 'deadline').effect, 0.7);
+    const beforeDeadline = engine.assess(bad, { vertical: 'ecommerce', jurisdictions: ['EU'], now: '2023-01-01' });
+    assert.ok(beforeDeadline.eaaRisk < eu.eaaRisk);
+    const health = engine.assess(bad, { vertical: 'healthcare', jurisdictions: ['EU'], now });
+    assert.strictEqual(health.eaaRisk, 0);
+    const micro = engine.assess(bad, { vertical: 'ecommerce', jurisdictions: ['EU'], organization: { employees: 4, annualTurnover: 500000 }, now });
+    assert.strictEqual(micro.eaaRisk, 0);
+    assert.strictEqual(micro.factors.eaa[0].factor, 'microenterprise');
+    console.log(`✅ EAA risk ${eu.eaaRisk} (before deadline ${beforeDeadline.eaaRisk})`);
+
+    // Test 3: Settlement and remediation cost
+    console.log('\n💵 Test 3: Settlement and remediation estimates');
+    const multipliers = risky.factors.settlement.reduce((total, f) => total * f.multiplier, 1);
+    assert.strictEqual(risky.settlementEstimate, Math.round(25000 * multipliers));
+    assert.strictEqual(risky.requiredFixes, bad.violations.length);
+    assert.strictEqual(risky.estimatedCost, risky.factors.cost.reduce((sum, f) => sum + f.cost, 0));
+    assert.ok(risky.estimatedCost > safe.estimatedCost);
+    assert.strictEqual(new LegalRiskEngine({ hourlyRate: 240 }).assess(bad).estimatedCost, risky.estimatedCost * 2);
+    assert.strictEqual(risky.level, 'HIGH');
+    console.log(`✅ Settlement $${risky.settlementEstimate}, ${risky.requiredFixes} fixes for $${risky.estimatedCost}`);
+
+    // Test 4: Persistence
+    console.log('\n💾 Test 4: LegalRiskAssessment and Scan updates');
+    const calls = [];
+    const prisma = {
+        legalRiskAssessment: { create: async ({ data }) => { calls.push(['create', data]); return { id: 'lra_1', ...data }; } },
+        scan: { update: async args => { calls.push(['update', args]); return args; } }
+    };
+    const stored = await new LegalRiskEngine({ prisma }).record(bad, { vertical: 'fintech', jurisdictions: ['US', 'EU'], customerId: 'cus_1', scanId: 'scan_1', now });
+    assert.strictEqual(stored.id, 'lra_1');
+    assert.strictEqual(calls[0][1].customerId, 'cus_1');
+    assert.strictEqual(calls[0][1].requiredFixes, bad.violations.length);
+    assert.deepStrictEqual(calls[1][1], {
+        where: { id: 'scan_1' },
+        data: { adaLawsuitRisk: stored.assessment.adaRisk, eaaComplianceRisk: stored.assessment.eaaRisk }
+    });
+    const memory = new LegalRiskEngine();
+    await memory.record(bad, { customerId: 'cus_2' });
+    assert.strictEqual(memory.records.length, 1);
+    console.log('✅ Assessment stored and scan risk fields written');
+
+    console.log('\n🎉 Legal risk engine tests passed!');
+}
+
+if (require.main === module) {
+    testLegalRisk().catch(error => {
+        console.error('❌ Legal risk engine test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testLegalRisk };
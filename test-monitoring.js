@@ -0,0 +1,203 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const MonitorScheduler = require('./backend/src/monitoring/monitorScheduler');
+const MonitorStore = require('./backend/src/monitoring/monitorStore');
+const { compareScans } = require('./backend/src/analysis/scanComparison');
+const { parseCron, nextRun } = require('./backend/src/monitoring/cronSchedule');
+const { WebhookChannel, EmailChannel, registerChannel, createChannel } = require('./backend/src/monitoring/alertChannels');
+
+/**
+ * Test WCAGAI v4.0 Scheduled Monitoring
+ * Validates cron schedules, persisted monitors, regression alerts and alert channels
+ */
+
+const CLEAN = '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+    '<img src="card.png" alt="Card"></main></body></html>';
+const REGRESSED = '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+    '<img src="card.png" alt="Card"><img src="promo.png"><button></button></main></body></html>';
+
+async function testMonitoring() {
+    console.log('🚀 Testing WCAGAI v4.0 Scheduled Monitoring...\n');
+
+    // Test 1: Cron schedules
+    console.log('⏰ Test 1: Cron schedules');
+    assert.strictEqual(nextRun('*/15 * * * *', '2026-05-01T10:07:30Z').toISOString(), '2026-05-01T10:15:00.000Z');
+    assert.strictEqual(nextRun('0 6 * * mon-fri', '2026-05-02T12:00:00Z').toISOString(), '2026-05-04T06:00:00.000Z');
+    assert.strictEqual(nextRun('@daily', '2026-12-31T23:59:00Z').toISOString(), '2027-01-01T00:00:00.000Z');
+    assert.strictEqual(nextRun('0 9 1 * 7', '2026-05-01T10:00:00Z').toISOString(), '2026-05-03T09:00:00.000Z');
+    assert.strictEqual(nextRun('30 8 * * *', '2026-05-01T08:30:00Z').toISOString(), '2026-05-02T08:30:00.000Z');
+    assert.throws(() => parseCron('0 6 * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), /Invalid minute "61"/);
+    assert.throws(() => parseCron('0 0 * foo *'), /Invalid month "foo"/);
+    assert.throws(() => nextRun('0 0 30 2 *', '2026-01-01T00:00:00Z'), /never fires/);
+    console.log('✅ Steps, ranges, names, macros and day-of-month OR day-of-week');
+
+    // Test 2: First run is the baseline, regressions alert
+    console.log('\n🔔 Test 2: Regression alerts');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-monitors-'));
+    const file = path.join(dir, 'monitors.json');
+    const captured = [];
+    registerChannel('capture', () => ({ send: async (alerts, { monitor }) => captured.push({ monitor: monitor.id, alerts }) }));
+
+    let page = CLEAN;
+    const scanner = new WCAGAIV4Scanner();
+    scanner.scanPage = async url => scanner.evaluateHtml(page, { url });
+    const scheduler = new MonitorScheduler({ scanner, file });
+
+    try {
+        assert.throws(() => scheduler.addMonitor({ schedule: '@daily' }), /needs a url or keywords/);
+        assert.throws(() => scheduler.addMonitor({ url: 'https://bank.test/', schedule: 'daily' }), /must have 5 fields/);
+        assert.throws(() => scheduler.addMonitor({ url: 'https://bank.test/', schedule: '@daily', channels: [{ type: 'pager' }] }), /Unknown alert channel "pager"/);
+        assert.throws(() => scheduler.addMonitor({ url: 'https://bank.test/', schedule: '@daily', channels: [{ type: 'webhook' }] }), /needs "url"/);
+
+        const monitor = scheduler.addMonitor({
+            url: 'https://bank.test/',
+            schedule: '0 6 * * *',
+            channels: [{ type: 'capture' }, { type: 'log', file: path.join(dir, 'alerts.jsonl') }],
+            scanOptions: { jurisdictions: ['au'], suppressions: [] }
+        }, new Date('2026-05-01T12:00:00Z'));
+        assert.strictEqual(monitor.nextRunAt, '2026-05-02T06:00:00.000Z');
+
+        assert.deepStrictEqual(await scheduler.tick(new Date('2026-05-02T05:59:00Z')), []);
+        const [baseline] = await scheduler.tick(new Date('2026-05-02T06:00:00Z'));
+        assert.strictEqual(baseline.comparison, null);
+        assert.deepStrictEqual(baseline.alerts, []);
+        assert.strictEqual(baseline.monitor.lastRun.score, 1);
+        assert.strictEqual(baseline.monitor.nextRunAt, '2026-05-03T06:00:00.000Z');
+
+        page = REGRESSED;
+        const [regressed] = await scheduler.tick(new Date('2026-05-03T06:00:30Z'));
+        assert.deepStrictEqual(regressed.alerts.map(alert => alert.type), ['score-drop', 'new-critical']);
+        assert.ok(regressed.alerts[0].details.scoreDelta < 0);
+        assert.deepStrictEqual(regressed.alerts[1].details.violations.map(v => v.ruleId).sort(), ['button-name', 'image-alt']);
+        assert.strictEqual(regressed.alerts[1].severity, 'critical');
+        assert.strictEqual(captured.length, 1);
+        const logged = fs.readFileSync(path.join(dir, 'alerts.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(logged.map(alert => alert.type), ['score-drop', 'new-critical']);
+
+        const [steady] = await scheduler.tick(new Date('2026-05-04T06:00:00Z'));
+        assert.deepStrictEqual(steady.alerts, []);
+        console.log(`✅ ${regressed.alerts.map(alert => alert.message).join('; ')}`);
+
+        // Test 3: Schedules survive a restart
+        console.log('\n💾 Test 3: Restart');
+        const restarted = new MonitorScheduler({ scanner, file });
+        const [stored] = restarted.listMonitors();
+        assert.strictEqual(stored.id, monitor.id);
+        assert.strictEqual(stored.runs, 3);
+        assert.strictEqual(stored.nextRunAt, '2026-05-05T06:00:00.000Z');
+        page = CLEAN;
+        const [recovered] = await restarted.tick(new Date('2026-05-09T07:00:00Z'));
+        assert.ok(recovered.comparison.summary.scoreDelta > 0, 'compared with the run saved before the restart');
+        assert.strictEqual(recovered.comparison.summary.fixedViolations, 2);
+        assert.strictEqual(recovered.monitor.nextRunAt, '2026-05-10T06:00:00.000Z');
+        assert.strictEqual(new MonitorStore({ file }).get(monitor.id).runs, 4);
+        console.log('✅ Missed runs collapse into one and compare against the stored run');
+
+        // Test 4: Deadline and failure alerts
+        console.log('\n📅 Test 4: Deadline and scan failure alerts');
+        page = REGRESSED;
+        const eu = scheduler.addMonitor({
+            url: 'https://bank.eu.test/',
+            schedule: '@weekly',
+            channels: [{ type: 'capture' }],
+            alerts: { deadlineDays: 30 },
+            scanOptions: { jurisdictions: ['eu'], suppressions: [] }
+        }, new Date('2025-06-01T00:00:00Z'));
+        const euRun = await scheduler.runMonitor(eu, new Date('2025-06-10T00:00:00Z'));
+        assert.deepStrictEqual(euRun.alerts.map(alert => alert.type), ['deadline']);
+        assert.strictEqual(euRun.alerts[0].details.daysLeft, 18);
+        assert.strictEqual((await scheduler.runMonitor(euRun.monitor, new Date('2025-06-17T00:00:00Z'))).alerts.length, 0);
+
+        scanner.scanPage = async () => { throw new Error('net::ERR_NAME_NOT_RESOLVED'); };
+        const failures = [];
+        scheduler.on('run:failed', ({ error }) => failures.push(error.message));
+        const failed = await scheduler.runMonitor(scheduler.store.get(monitor.id), new Date('2026-05-10T06:00:00Z'));
+        assert.strictEqual(failed.alerts[0].type, 'scan-failed');
+        assert.deepStrictEqual(failures, ['net::ERR_NAME_NOT_RESOLVED']);
+        assert.strictEqual(failed.monitor.lastRun.score, 1, 'a failed run keeps the last good baseline');
+
+        // Changes made while a scan runs survive it
+        const edited = scheduler.addMonitor({ url: 'https://edited.test/', schedule: '@daily', channels: [] }, new Date('2026-05-01T00:00:00Z'));
+        scanner.scanPage = async url => {
+            scheduler.store.save({ ...scheduler.store.get(edited.id), name: 'Renamed', enabled: false });
+            return scanner.evaluateHtml(CLEAN, { url });
+        };
+        await scheduler.runMonitor(edited, new Date('2026-05-02T00:00:00Z'));
+        const afterEdit = scheduler.store.get(edited.id);
+        assert.deepStrictEqual([afterEdit.name, afterEdit.enabled, afterEdit.runs, afterEdit.lastRun.score], ['Renamed', false, 1, 1]);
+        scanner.scanPage = async url => {
+            scheduler.removeMonitor(edited.id);
+            return scanner.evaluateHtml(CLEAN, { url });
+        };
+        await scheduler.runMonitor(afterEdit, new Date('2026-05-03T00:00:00Z'));
+        assert.strictEqual(scheduler.store.get(edited.id), null, 'a monitor removed mid-scan stays removed');
+
+        // Sites joining or leaving a discovery run don't count as a score drop
+        const site = (domain, html) => ({ url: `https://${domain}/`, domain, scanResult: scanner.evaluateHtml(html, { url: `https://${domain}/` }) });
+        const discovery = results => ({ scanMode: 'discovery', results });
+        const scoreDrops = (before, after) => scheduler.evaluateAlerts(monitor, after, compareScans(before, after))
+            .filter(alert => alert.type === 'score-drop');
+        const churned = discovery([site('a.test', CLEAN), site('c.test', REGRESSED),
+            { url: 'https://b.test/', domain: 'b.test', scanError: 'net::ERR_NAME_NOT_RESOLVED' }]);
+        assert.deepStrictEqual(scoreDrops(discovery([site('a.test', CLEAN), site('b.test', CLEAN)]), churned), []);
+        const [drop] = scoreDrops(discovery([site('a.test', CLEAN), site('b.test', CLEAN)]), discovery([site('a.test', REGRESSED), site('b.test', CLEAN)]));
+        assert.deepStrictEqual(drop.details.sites, ['a.test']);
+        console.log(`✅ ${euRun.alerts[0].message}`);
+
+        // Test 5: Channels
+        console.log('\n📨 Test 5: Webhook and email channels');
+        const posts = [];
+        const webhook = new WebhookChannel({ url: 'https://hooks.test/wcagai', http: { post: async (url, body) => posts.push({ url, body }) } });
+        await webhook.send(regressed.alerts, { monitor });
+        assert.strictEqual(posts[0].url, 'https://hooks.test/wcagai');
+        assert.strictEqual(posts[0].body.alerts.length, 2);
+        const mails = [];
+        await createChannel({ type: 'email', to: 'ops@bank.test' }, { emailTransport: { sendMail: async mail => mails.push(mail) } })
+            .send(regressed.alerts, { monitor });
+        assert.ok(mails[0].subject.startsWith('[WCAGAI] Critical: https://bank.test/'));
+        assert.ok(mails[0].text.includes('new critical'));
+        assert.throws(() => new EmailChannel({ to: 'ops@bank.test' }), /transport with sendMail/);
+
+        const flaky = [];
+        registerChannel('flaky', () => ({ send: async () => { throw new Error('503'); } }));
+        scheduler.on('alert:failed', ({ channel }) => flaky.push(channel));
+        await scheduler.dispatch({ ...monitor, channels: [{ type: 'flaky' }, { type: 'capture' }] }, regressed.alerts);
+        assert.deepStrictEqual(flaky, ['flaky']);
+        assert.strictEqual(captured[captured.length - 1].alerts.length, 2);
+        console.log('✅ Webhook payload, email summary, failing channels isolated');
+
+        // Test 6: CLI
+        console.log('\n⌨️  Test 6: --schedule');
+        const cliFile = path.join(dir, 'cli-monitors.json');
+        const run = args => execFileSync(process.execPath, ['scanner-v4-integration.js', ...args], { stdio: 'pipe' }).toString();
+        run(['--url=https://bank.test/', '--schedule=0 6 * * 1', '--alert=webhook:https://hooks.test/a?b=c', '--alert=log', `--monitors=${cliFile}`]);
+        const [cliMonitor] = new MonitorStore({ file: cliFile }).list();
+        assert.deepStrictEqual(cliMonitor.channels, [{ type: 'webhook', url: 'https://hooks.test/a?b=c' }, { type: 'log' }]);
+        assert.strictEqual(cliMonitor.schedule, '0 6 * * 1');
+        try {
+            run(['--url=https://bank.test/', '--schedule=whenever', `--monitors=${cliFile}`]);
+            assert.fail('Invalid schedules should be rejected');
+        } catch (error) {
+            assert.strictEqual(error.status, 64);
+        }
+        console.log('✅ Monitors added from the command line');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Scheduled monitoring tests passed!');
+}
+
+if (require.main === module) {
+    testMonitoring().catch(error => {
+        console.error('❌ Scheduled monitoring test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testMonitoring };
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const http = require('http');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const ScanQueue = require('./backend/src/scanner/scanQueue');
+
+/**
+ * Test WCAGAI v4.0 Scan Queue
+ * Validates the worker pool, per-domain politeness, retries, timeouts and cancellation
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testScanQueue() {
+    console.log('🚀 Testing WCAGAI v4.0 Scan Queue...\n');
+
+    // Test 1: Concurrency and per-domain politeness
+    console.log('⚙️  Test 1: Worker pool and per-domain limits');
+    let running = 0;
+    let maxRunning = 0;
+    const domainStarts = {};
+    const jobs = ['a.test', 'a.test', 'b.test', 'b.test', 'c.test', 'c.test'].map((domain, i) => ({
+        id: `job-${i}`,
+        domain,
+        run: async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            (domainStarts[domain] = domainStarts[domain] || []).push(Date.now());
+            await sleep(20);
+            running--;
+            return i;
+        }
+    }));
+
+    const queue = new ScanQueue({ concurrency: 2, perDomainConcurrency: 1, domainDelay: 60, retries: 0 });
+    const outcomes = await queue.run(jobs);
+    assert.deepStrictEqual(outcomes.map(o => o.result), [0, 1, 2, 3, 4, 5]);
+    assert.strictEqual(maxRunning, 2);
+    Object.values(domainStarts).forEach(([first, second]) => {
+        assert.ok(second - first >= 55, `same-domain starts ${second - first}ms apart`);
+    });
+    assert.throws(() => new ScanQueue({ concurrency: 0 }), /Queue concurrency must be a whole number above 0/);
+    assert.throws(() => new ScanQueue({ concurrency: NaN }), /Queue concurrency/);
+    console.log(`✅ Max ${maxRunning} concurrent, same-domain starts spaced by domainDelay`);
+
+    // Test 2: Retries with backoff
+    console.log('\n🔁 Test 2: Retries with exponential backoff');
+    let calls = 0;
+    const retryDelays = [];
+    const retryQueue = new ScanQueue({ retries: 2, backoff: 10, domainDelay: 0 });
+    retryQueue.on('retry', ({ delay }) => retryDelays.push(delay));
+    const [flaky] = await retryQueue.run([{
+        id: 'flaky',
+        domain: 'flaky.test',
+        run: async () => {
+            calls++;
+            if (calls < 3) throw new Error('ECONNRESET');
+            return 'ok';
+        }
+    }]);
+    assert.strictEqual(flaky.status, 'finished');
+    assert.strictEqual(flaky.attempts, 3);
+    assert.deepStrictEqual(retryDelays, [10, 20]);
+    console.log(`✅ Succeeded after ${flaky.attempts} attempts (delays ${retryDelays.join(', ')}ms)`);
+
+    // Test 3: Timeouts
+    console.log('\n⏱️  Test 3: Per-attempt timeout');
+    let timeoutSignal;
+    const [slow] = await new ScanQueue({ timeout: 30, retries: 0 }).run([{
+        id: 'slow',
+        domain: 'slow.test',
+        run: (signal) => {
+            timeoutSignal = signal;
+            return new Promise(() => {});
+        }
+    }]);
+    assert.strictEqual(slow.status, 'failed');
+    assert.ok(/Timed out/.test(slow.error));
+    assert.ok(timeoutSignal.aborted);
+    console.log(`✅ ${slow.error}`);
+
+    // Test 4: Cancellation
+    console.log('\n🛑 Test 4: Cancellation');
+    const cancelQueue = new ScanQueue({ concurrency: 1, domainDelay: 0 });
+    const progressEvents = [];
+    cancelQueue.on('progress', progress => progressEvents.push(progress));
+    const pendingRun = cancelQueue.run(['x.test', 'y.test', 'z.test'].map(domain => ({
+        id: domain,
+        domain,
+        run: (signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    })));
+    await sleep(10);
+    cancelQueue.cancel();
+    const cancelled = await pendingRun;
+    assert.deepStrictEqual(cancelled.map(o => o.status), ['cancelled', 'cancelled', 'cancelled']);
+    assert.strictEqual(progressEvents[progressEvents.length - 1].cancelled, 3);
+    console.log('✅ Running and pending jobs cancelled');
+
+    // Test 5: Discovery scans honour limit and emit progress events
+    console.log('\n📊 Test 5: scanWithDiscovery through the queue');
+    const server = http.createServer((req, res) => {
+        if (req.url === '/down') {
+            res.writeHead(500);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html lang="en"><head><title>Site</title></head><body><main><h1>Site</h1><img src="x.png"></main></body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const scanner = new WCAGAIV4Scanner();
+    const sites = Array.from({ length: 12 }, (_, i) => ({
+        url: i === 11 ? `${baseUrl}/down` : `${baseUrl}/site-${i}`,
+        domain: `site-${i}.test`,
+        position: i + 1
+    }));
+    scanner.discovery.discover = async () => sites;
+
+    const events = { started: 0, finished: 0, failed: 0 };
+    scanner.on('site:started', () => events.started++);
+    scanner.on('site:finished', () => events.finished++);
+    scanner.on('site:failed', () => events.failed++);
+
+    try {
+        const results = await scanner.scan({
+            keywords: ['patient portal'],
+            vertical: 'healthcare',
+            limit: 12,
+            queue: { concurrency: 4, domainDelay: 0, retries: 1, backoff: 5 }
+        });
+        assert.strictEqual(results.sitesScanned, 12);
+        assert.deepStrictEqual(results.results.map(r => r.domain), sites.map(s => s.domain));
+        assert.strictEqual(results.results[11].attempts, 2);
+        assert.ok(results.results[11].scanError);
+        assert.strictEqual(events.finished, 11);
+        assert.strictEqual(events.failed, 1);
+        assert.strictEqual(events.started, 13);
+        assert.strictEqual(results.analysis.successfulScans, 11);
+        console.log(`✅ ${results.sitesScanned} sites scanned (limit respected), ${events.failed} failure reported`);
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎯 Scan queue tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testScanQueue().catch(error => {
+        console.error('❌ Scan queue test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testScanQueue };
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const ScanHistory = require('./backend/src/analysis/scanHistory');
+
+/**
+ * Test WCAGAI v4.0 Scan History
+ * Validates persistence of runs and findings, and the score, criterion and time-to-fix trends
+ */
+
+const page = body => `<html lang="en"><head><title>Shop</title></head><body><main><h1>Shop</h1>${body}</main></body></html>`;
+
+// Week 1: two missing alts; week 2: hero fixed; week 3: everything fixed
+const WEEKS = [
+    { date: '2026-03-02T09:00:00.000Z', acme: '<img id="hero" src="h.png"><img id="logo" src="l.png">', rival: '<a id="more" href="/x"></a>' },
+    { date: '2026-03-09T09:00:00.000Z', acme: '<img id="hero" src="h.png" alt="Hero"><img id="logo" src="l.png">', rival: '<a id="more" href="/x"></a>' },
+    { date: '2026-03-23T09:00:00.000Z', acme: '<img id="hero" src="h.png" alt="Hero"><img id="logo" src="l.png" alt="Acme">', rival: '<a id="more" href="/x">More</a>' }
+];
+
+async function testScanHistory() {
+    console.log('🚀 Testing WCAGAI v4.0 Scan History...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    const site = (domain, html, scannedAt) => ({
+        url: `https://www.${domain}/`,
+        domain: `www.${domain}`,
+        vertical: 'ecommerce',
+        discoveredFrom: 'serpapi',
+        scanResult: scanner.evaluateHtml(page(html), { url: `https://www.${domain}/` }),
+        scannedAt
+    });
+    const report = week => ({
+        scanMode: 'discovery',
+        vertical: 'ecommerce',
+        keywords: ['shop', 'store'],
+        results: [
+            site('acme.test', week.acme, week.date),
+            site('rival.test', week.rival, week.date),
+            { url: 'https://down.test/', domain: 'down.test', scanError: 'timeout', scannedAt: week.date }
+        ],
+        completedAt: week.date
+    });
+
+    // Test 1: Persisting runs
+    console.log('🗄️  Test 1: Saving runs with findings and provenance');
+    const history = new ScanHistory();
+    const runs = [];
+    for (const week of WEEKS) {
+        runs.push(await history.record(report(week), { customerId: 'cus_1' }));
+    }
+    assert.strictEqual(runs[0].scans.length, 2);
+    assert.strictEqual(runs[0].skipped, 1);
+    const first = runs[0].scans[0];
+    assert.strictEqual(first.domain, 'acme.test');
+    assert.strictEqual(first.runId, runs[0].runId);
+    assert.deepStrictEqual(first.keywords, ['shop', 'store']);
+    assert.strictEqual(first.discoveredFrom, 'serpapi');
+    assert.strictEqual(first.customerId, 'cus_1');
+    assert.strictEqual(first.findings.length, 2);
+    assert.ok(first.findings.every(finding => finding.criteria.includes('1.1.1') && finding.fingerprint));
+    assert.strictEqual((await history.history({ domain: 'WWW.acme.test' })).length, 3);
+    assert.strictEqual((await history.history({ domain: 'acme.test', from: '2026-03-05', to: '2026-03-10' })).length, 1);
+    await assert.rejects(history.history({}), /needs a domain or a vertical/);
+
+    // Direct scans are filed under the registrable domain, like discovery results
+    const directHistory = new ScanHistory();
+    const direct = await directHistory.record({ scanMode: 'direct', url: 'https://m.acme.test/', result: scanner.evaluateHtml(page('<p>Shop</p>'), { url: 'https://m.acme.test/' }) });
+    assert.strictEqual(direct.scans[0].domain, 'acme.test');
+    assert.strictEqual((await directHistory.history({ domain: 'www.acme.test' })).length, 1);
+    console.log(`✅ ${runs.length} runs saved, failed sites skipped`);
+
+    // Test 2: Score over time
+    console.log('\n📈 Test 2: Score trends');
+    const domainTrend = await history.scoreTrend({ domain: 'acme.test' });
+    assert.strictEqual(domainTrend.points.length, 3);
+    assert.strictEqual(domainTrend.points[0].date, WEEKS[0].date);
+    assert.ok(domainTrend.points[0].score < domainTrend.points[1].score);
+    assert.strictEqual(domainTrend.points[2].violations, 0);
+    assert.ok(domainTrend.change > 0);
+    const verticalTrend = await history.scoreTrend({ vertical: 'ecommerce' });
+    assert.deepStrictEqual(verticalTrend.points.map(point => point.sites), [2, 2, 2]);
+    assert.deepStrictEqual(verticalTrend.points.map(point => point.runId), runs.map(run => run.runId));
+    assert.ok(verticalTrend.points[2].score > verticalTrend.points[0].score);
+    console.log(`✅ acme.test ${Math.round(domainTrend.points[0].score * 100)}% → ${Math.round(domainTrend.points[2].score * 100)}%`);
+
+    // Test 3: Violations by criterion
+    console.log('\n📊 Test 3: Violations by criterion over time');
+    const criteria = await history.criterionTrend({ vertical: 'ecommerce' });
+    assert.deepStrictEqual(criteria.criteria['1.1.1'], [2, 1, 0]);
+    assert.deepStrictEqual(criteria.criteria['2.4.4'], [1, 1, 0]);
+    assert.deepStrictEqual((await history.criterionTrend({ domain: 'rival.test' })).criteria['1.1.1'], undefined);
+    console.log(`✅ 1.1.1: ${criteria.criteria['1.1.1'].join(' → ')}`);
+
+    // Test 4: Time to fix
+    console.log('\n⏱️  Test 4: Time to fix');
+    const fixes = await history.timeToFix({ vertical: 'ecommerce' });
+    assert.strictEqual(fixes.fixed.length, fixes.fixed.filter(fix => fix.days > 0).length);
+    assert.deepStrictEqual(fixes.fixed.filter(fix => fix.domain === 'acme.test').map(fix => fix.days), [7, 21]);
+    assert.strictEqual(fixes.fixed.find(fix => fix.domain === 'rival.test').days, 21);
+    assert.strictEqual(fixes.open.length, 0);
+    assert.strictEqual(fixes.medianDays, 21);
+    assert.deepStrictEqual(fixes.byCriterion['1.1.1'], { fixed: 2, medianDays: 14 });
+
+    await history.record(report({ ...WEEKS[0], date: '2026-04-06T09:00:00.000Z' }));
+    const reopened = await history.timeToFix({ domain: 'acme.test' });
+    assert.strictEqual(reopened.open.length, 2);
+    assert.strictEqual(reopened.open[0].firstSeen, '2026-04-06T09:00:00.000Z');
+
+    // Crawls sample different pages: a page left out of a run isn't a fix
+    const crawled = new ScanHistory();
+    const crawl = (date, pages) => ({
+        scanMode: 'direct',
+        url: 'https://docs.test/',
+        result: scanner.buildSiteResult(Object.entries(pages).map(([url, html]) => scanner.evaluateHtml(page(html), { url }))),
+        completedAt: date
+    });
+    await crawled.record(crawl(WEEKS[0].date, { 'https://docs.test/': '<p>Docs</p>', 'https://docs.test/about': '<img id="team" src="t.png">' }));
+    const pagesRun = await crawled.record(crawl(WEEKS[1].date, { 'https://docs.test/': '<p>Docs</p>' }));
+    assert.deepStrictEqual(pagesRun.scans[0].pagesScanned, ['https://docs.test/']);
+    const skippedPage = await crawled.timeToFix({ domain: 'docs.test' });
+    assert.deepStrictEqual([skippedPage.fixed.length, skippedPage.open.length], [0, 1]);
+    await crawled.record(crawl(WEEKS[2].date, { 'https://docs.test/': '<p>Docs</p>', 'https://docs.test/about/': '<img id="team" src="t.png" alt="Team">' }));
+    assert.deepStrictEqual((await crawled.timeToFix({ domain: 'docs.test' })).fixed.map(fix => fix.days), [21]);
+    console.log(`✅ Median ${fixes.medianDays} days to fix, regressions reopen as new occurrences, unscanned pages stay open`);
+
+    // Test 5: Prisma delegate
+    console.log('\n🐘 Test 5: Prisma storage');
+    const created = [];
+    const prisma = {
+        scan: {
+            create: async args => { created.push(args); return { id: 'scan_1', ...args.data, findings: args.data.findings.create }; },
+            findMany: async () => []
+        }
+    };
+    await new ScanHistory({ prisma }).record(report(WEEKS[0]), { runId: 'run_1' });
+    assert.strictEqual(created.length, 2);
+    assert.strictEqual(created[0].data.runId, 'run_1');
+    assert.ok(created[0].data.createdAt instanceof Date);
+    assert.strictEqual(created[0].data.findings.create.length, 2);
+    assert.deepStrictEqual(created[0].include, { findings: true });
+    console.log('✅ Scans and findings created through prisma.scan');
+
+    // Test 6: Every scanner run is saved
+    console.log('\n🔁 Test 6: Scanner integration');
+    await scanner.scan({ html: page(WEEKS[0].acme), suppressions: [] });
+    const saved = await scanner.scan({ html: page(WEEKS[2].acme), suppressions: [] });
+    assert.ok(saved.runId);
+    const trends = await scanner.getTrends({ vertical: 'local' });
+    assert.strictEqual(trends.score.points.length, 2);
+    assert.strictEqual(trends.timeToFix.fixed.length, 2);
+    assert.strictEqual(trends.score.points[1].score, 1);
+    const skipped = await scanner.scan({ html: page(''), suppressions: [], history: false });
+    assert.strictEqual(skipped.runId, undefined);
+    console.log(`✅ ${trends.score.points.length} local runs in history`);
+
+    console.log('\n🎉 Scan history tests passed!');
+}
+
+if (require.main === module) {
+    testScanHistory().catch(error => {
+        console.error('❌ Scan history test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testScanHistory };
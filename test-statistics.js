@@ -0,0 +1,129 @@
+const assert = require('assert');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const {
+    mean,
+    median,
+    percentile,
+    standardDeviation,
+    confidenceInterval,
+    weightedMean,
+    weightedMedian,
+    rankAmong
+} = require('./backend/src/analysis/statistics');
+
+/**
+ * Test WCAGAI v4.0 Vertical Statistics
+ * Validates descriptive statistics, failure rates, traffic weighting and competitive ranking
+ */
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} !== ${expected}`);
+
+// Pages from best to worst
+const PAGES = {
+    good: '<html lang="en"><head><title>A</title></head><body><main><h1>A</h1><img src="a.png" alt="A"></main></body></html>',
+    fair: '<html lang="en"><head><title>B</title></head><body><main><h1>B</h1><img src="a.png"><img src="b.png" alt="B"></main></body></html>',
+    poor: '<html><head></head><body><img src="a.png"><a href="/x"></a><button></button></body></html>'
+};
+
+async function testStatistics() {
+    console.log('🚀 Testing WCAGAI v4.0 Vertical Statistics...\n');
+
+    // Test 1: Descriptive statistics
+    console.log('📐 Test 1: Descriptive statistics');
+    const values = [0.2, 0.4, 0.4, 0.6, 0.9];
+    close(mean(values), 0.5, 'mean');
+    assert.strictEqual(median(values), 0.4);
+    close(percentile(values, 25), 0.4, 'p25');
+    close(percentile(values, 90), 0.78, 'p90');
+    close(standardDeviation(values), Math.sqrt(0.28 / 4), 'sd');
+    const ci = confidenceInterval(values, { min: 0, max: 1 });
+    close(ci.marginOfError, 2.776 * standardDeviation(values) / Math.sqrt(5), 'margin');
+    close(ci.lower, 0.5 - ci.marginOfError, 'lower');
+    assert.strictEqual(confidenceInterval([0.5]), null);
+    assert.strictEqual(median([]), null);
+    close(weightedMean([0.2, 0.8], [1, 3]), 0.65, 'weighted mean');
+    assert.strictEqual(weightedMedian([0.2, 0.8, 0.5], [1, 3, 1]), 0.8);
+    assert.strictEqual(weightedMean([0.2], [0]), null);
+    assert.deepStrictEqual(rankAmong(0.6, [0.9, 0.6, 0.3, 0.1]), { position: 2, of: 5, percentile: 62.5 });
+    console.log('✅ Mean, median, percentiles, SD, 95% CI, weighted scores and ranks');
+
+    // Test 2: Vertical analysis
+    console.log('\n📊 Test 2: generateVerticalAnalysis statistics');
+    const scanner = new WCAGAIV4Scanner();
+    const site = (domain, kind, trafficScore) => ({
+        url: `https://${domain}/`,
+        domain,
+        trafficScore,
+        scanResult: scanner.evaluateHtml(PAGES[kind], { url: `https://${domain}/` })
+    });
+    const results = [
+        site('leader.test', 'good', 0.9),
+        site('acme.test', 'fair', 0.2),
+        site('mid.test', 'fair', 0.5),
+        site('laggard.test', 'poor', 0.1),
+        { url: 'https://down.test/', domain: 'down.test', scanError: 'timeout' }
+    ];
+    const analysis = scanner.generateVerticalAnalysis(results, 'ecommerce', { customerSite: 'www.acme.test' });
+    const scores = results.filter(r => r.scanResult).map(r => r.scanResult.complianceScore);
+    assert.strictEqual(analysis.statistics.count, 4);
+    close(analysis.statistics.median, median(scores), 'analysis median');
+    close(analysis.statistics.standardDeviation, standardDeviation(scores), 'analysis sd');
+    assert.ok(analysis.statistics.confidenceInterval.lower <= analysis.statistics.mean);
+    assert.ok(analysis.statistics.confidenceInterval.upper <= 1);
+    assert.ok(analysis.statistics.percentiles.p90 >= analysis.statistics.percentiles.p10);
+    console.log(`✅ Median ${analysis.statistics.median.toFixed(3)}, SD ${analysis.statistics.standardDeviation.toFixed(3)}`);
+
+    // Test 3: Failure rates and traffic weighting
+    console.log('\n📉 Test 3: Per-criterion failure rates and traffic weighting');
+    const nonText = analysis.criterionFailureRates.find(rate => rate.criterion === '1.1.1');
+    assert.strictEqual(nonText.sitesFailing, 3);
+    assert.strictEqual(nonText.failureRate, 0.75);
+    assert.strictEqual(nonText.name, 'Non-text Content');
+    assert.strictEqual(analysis.criterionFailureRates[0].criterion, '1.1.1');
+    assert.strictEqual(analysis.criterionFailureRates.find(rate => rate.criterion === '3.1.1').failureRate, 0.25);
+    close(analysis.trafficWeighted.averageComplianceScore, weightedMean(scores, [0.9, 0.2, 0.5, 0.1]), 'traffic weighted');
+    assert.ok(analysis.trafficWeighted.averageComplianceScore > analysis.averageComplianceScore);
+    assert.strictEqual(scanner.generateVerticalAnalysis(results.map(r => ({ ...r, trafficScore: 0 })), 'ecommerce').trafficWeighted, null);
+    console.log(`✅ 1.1.1 fails on ${nonText.failureRate * 100}% of sites, traffic-weighted ${analysis.trafficWeighted.averageCompliance}%`);
+
+    // Test 4: Competitive ranking
+    console.log('\n🏆 Test 4: Competitive ranking');
+    const ranking = analysis.competitiveRanking;
+    assert.strictEqual(ranking.site, 'acme.test');
+    assert.strictEqual(ranking.position, 2);
+    assert.strictEqual(ranking.of, 4);
+    close(ranking.percentile, 50, 'percentile');
+    assert.strictEqual(ranking.leader, 'leader.test');
+    assert.ok(ranking.gapToLeader > 0);
+    close(ranking.gapToMedian, 0, 'gap to median');
+    assert.strictEqual(scanner.generateVerticalAnalysis(results, 'ecommerce').competitiveRanking, null);
+    assert.strictEqual(scanner.generateVerticalAnalysis(results, 'ecommerce', { customerSite: 'down.test' }).competitiveRanking, null);
+    console.log(`✅ ${ranking.site} ranks #${ranking.position} of ${ranking.of} (${ranking.percentile}th percentile)`);
+
+    // Test 5: The customer site is scanned even when discovery misses it
+    console.log('\n🔎 Test 5: Customer site added to discovery');
+    scanner.discovery.discover = async () => results.filter(r => r.domain !== 'acme.test').map(({ url, domain, trafficScore }) => ({ url, domain, trafficScore }));
+    scanner.scanPage = async url => scanner.evaluateHtml(url.includes('acme') || url.includes('down') ? PAGES.fair : PAGES.good, { url });
+    const report = await scanner.scan({
+        keywords: ['shop'],
+        vertical: 'ecommerce',
+        customerSite: 'acme.test',
+        suppressions: [],
+        queue: { domainDelay: 0, retries: 0 }
+    });
+    assert.ok(report.results.some(r => r.domain === 'acme.test' && r.customer));
+    assert.strictEqual(report.analysis.competitiveRanking.site, 'acme.test');
+    assert.strictEqual(report.analysis.competitiveRanking.of, 5);
+    console.log(`✅ Customer ranked #${report.analysis.competitiveRanking.position} of ${report.analysis.competitiveRanking.of}`);
+
+    console.log('\n🎉 Vertical statistics tests passed!');
+}
+
+if (require.main === module) {
+    testStatistics().catch(error => {
+        console.error('❌ Vertical statistics test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testStatistics };
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const SuppressionList = require('./backend/src/scanner/suppressions');
+
+/**
+ * Test WCAGAI v4.0 Suppression Baseline
+ * Validates matching, scoring exclusion, expiry and .wcagai-baseline.json loading
+ */
+
+const PAGE = '<html lang="en"><head><title>Shop</title></head><body><main><h1>Shop</h1>' +
+    '<img src="logo.png" id="logo"><div id="chat-widget"><button></button></div></main></body></html>';
+
+async function testSuppressions() {
+    console.log('🚀 Testing WCAGAI v4.0 Suppression Baseline...\n');
+
+    // Test 1: Entry validation
+    console.log('📋 Test 1: Entry validation');
+    assert.throws(() => new SuppressionList([{ rule: 'image-alt', expires: '2030-01-01' }]), /needs a reason/);
+    assert.throws(() => new SuppressionList([{ rule: 'image-alt', reason: 'Vendor' }]), /needs an expires date/);
+    assert.throws(() => new SuppressionList([{ reason: 'Vendor', expires: '2030-01-01' }]), /must match on/);
+    assert.throws(() => new SuppressionList([{ rule: 'image-alt', reason: 'Vendor', expires: 'soon' }]), /invalid expires/);
+    console.log('✅ Entries need a matcher, a reason and a valid expiry');
+
+    // Test 2: Suppressed violations are excluded from the score
+    console.log('\n🙈 Test 2: Suppressed violations');
+    const scanner = new WCAGAIV4Scanner();
+    const unsuppressed = scanner.evaluateHtml(PAGE, { url: 'https://shop.test/' });
+
+    scanner.suppressions = new SuppressionList([
+        { rule: 'button-name', selector: '#chat-widget *', reason: 'Vendor chat widget', expires: '2099-12-31' }
+    ]);
+    const result = scanner.evaluateHtml(PAGE, { url: 'https://shop.test/' });
+    assert.strictEqual(result.totalViolations, unsuppressed.totalViolations - 1);
+    assert.ok(result.violations.every(v => v.ruleId !== 'button-name'));
+    assert.strictEqual(result.suppressedViolations.length, 1);
+    assert.strictEqual(result.suppressedViolations[0].suppression.reason, 'Vendor chat widget');
+    assert.ok(result.complianceScore > unsuppressed.complianceScore);
+
+    // Elements inside the widget are covered even when reported under their own id
+    const widget = PAGE.replace('<button></button>', '<button id="send"></button><img src="agent.png" id="agent">');
+    const nested = scanner.evaluateHtml(widget, { url: 'https://shop.test/' });
+    assert.deepStrictEqual(nested.suppressedViolations.map(v => v.selector), ['#send']);
+    assert.ok(nested.violations.some(v => v.selector === '#agent'), 'other rules are not suppressed');
+    assert.ok([...nested.violations, ...nested.suppressedViolations].every(v => !('matchedSelectors' in v)));
+    assert.strictEqual(new SuppressionList([{ selector: 'div[', reason: 'Typo', expires: '2099-12-31' }]).apply(nested.violations).suppressed.length, 0);
+    console.log(`✅ Score ${unsuppressed.compliancePercentage}% → ${result.compliancePercentage}% with 1 suppressed`);
+
+    // Test 3: Expired entries stop suppressing
+    console.log('\n⌛ Test 3: Expired suppressions');
+    scanner.suppressions = new SuppressionList([
+        { rule: 'image-alt', url: 'https://shop.test/*', reason: 'Logo redesign', expires: '2020-01-01' }
+    ]);
+    const expired = scanner.evaluateHtml(PAGE, { url: 'https://shop.test/' });
+    const logo = expired.violations.find(v => v.ruleId === 'image-alt');
+    assert.ok(logo.suppressionExpired);
+    assert.strictEqual(expired.suppressedViolations.length, 0);
+    assert.strictEqual(expired.expiredSuppressions.length, 1);
+    assert.strictEqual(expired.totalViolations, unsuppressed.totalViolations);
+    console.log(`✅ Lapsed entry ${expired.expiredSuppressions[0].id} reported, violation active again`);
+
+    // Test 4: Fingerprint matching and default file lookup
+    console.log('\n📁 Test 4: .wcagai-baseline.json');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-baseline-'));
+    const fingerprint = unsuppressed.violations.find(v => v.ruleId === 'image-alt').fingerprint;
+    fs.writeFileSync(path.join(dir, SuppressionList.DEFAULT_FILE), JSON.stringify({
+        suppressions: [{ fingerprint, reason: 'Decorative logo, alt added in next release', expires: '2099-01-01' }]
+    }));
+    const loaded = SuppressionList.resolve(undefined, dir);
+    assert.strictEqual(loaded.size, 1);
+    assert.strictEqual(SuppressionList.resolve(undefined, os.tmpdir()).size, 0);
+    const { suppressed } = loaded.apply(unsuppressed.violations);
+    assert.strictEqual(suppressed.length, 1);
+    assert.strictEqual(suppressed[0].ruleId, 'image-alt');
+    console.log(`✅ Loaded ${loaded.size} entry from ${SuppressionList.DEFAULT_FILE}`);
+
+    // Test 5: CLI --baseline
+    console.log('\n💻 Test 5: --baseline CLI');
+    fs.writeFileSync(path.join(dir, 'index.html'), PAGE);
+    fs.writeFileSync(path.join(dir, 'baseline.json'), JSON.stringify([
+        { rule: 'image-alt', reason: 'Tracked in SHOP-42', expires: '2099-01-01' },
+        { rule: 'button-name', reason: 'Old widget', expires: '2020-01-01' }
+    ]));
+    const output = execFileSync(process.execPath, [
+        path.join(__dirname, 'scanner-v4-integration.js'),
+        `--path=${path.join(dir, 'index.html')}`,
+        `--baseline=${path.join(dir, 'baseline.json')}`
+    ], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert.ok(output.includes('2 suppressions loaded'));
+    assert.ok(output.includes('"suppressedViolations": 1'));
+    assert.ok(output.includes('"expiredSuppressions": 1'));
+    console.log('✅ CLI applies the baseline file');
+
+    console.log('\n🎯 Suppression baseline tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testSuppressions().catch(error => {
+        console.error('❌ Suppression test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testSuppressions };
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const VerticalDiscovery = require('./discovery');
+const Cache = require('./backend/src/cache/cache');
+const {
+    TrafficStore,
+    parseVisits,
+    parseTrafficCsv,
+    parseTrafficJson,
+    parseTrafficSpec,
+    readTrafficFile
+} = require('./backend/src/discovery/trafficData');
+
+/**
+ * Test WCAGAI v4.0 Traffic Data
+ * Validates Semrush, Similarweb and validation-JSON imports, the traffic store and its join into discovery
+ */
+
+const SEMRUSH = 'Domain,Visits,Unique Visitors,Pages / Visits,Date\n' +
+    'www.nih.gov,"202,280,000","98,000,000",2.1,Sep 2025\n' +
+    'clevelandclinic.org,100.47M,51M,2.4,Sep 2025\n' +
+    'mayoclinic.org,n/a,,,Sep 2025\n';
+
+const SIMILARWEB = '\uFEFFWebsite;Monthly Visits;Category\r\n' +
+    'https://www.mayoclinic.org/;81770000;Health\r\n' +
+    'healthline.com;82970000;Health\r\n';
+
+// SerpAPI-style provider: organic results carry no traffic
+const serpLike = {
+    name: 'serpapi',
+    discover: async () => [
+        { url: 'https://www.webmd.com/', title: 'WebMD', position: 1 },
+        { url: 'https://small-clinic.test/', title: 'Small clinic', position: 2 },
+        { url: 'https://www.nih.gov/', title: 'NIH', position: 3 },
+        { url: 'https://www.mayoclinic.org/', title: 'Mayo Clinic', position: 4 }
+    ]
+};
+
+async function testTraffic() {
+    console.log('🚀 Testing WCAGAI v4.0 Traffic Data...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-traffic-'));
+
+    try {
+        // Test 1: Exports
+        console.log('📥 Test 1: Semrush, Similarweb and validation JSON');
+        assert.deepStrictEqual(['202.28M', '~120M', '1,200', '3.4k', 'N/A', 42].map(parseVisits), [202280000, 120000000, 1200, 3400, null, 42]);
+
+        const semrush = parseTrafficCsv(SEMRUSH);
+        assert.deepStrictEqual(semrush, [
+            { domain: 'nih.gov', visits: 202280000, source: 'Semrush', date: '2025-09-01' },
+            { domain: 'clevelandclinic.org', visits: 100470000, source: 'Semrush', date: '2025-09-01' }
+        ]);
+        const similarweb = parseTrafficCsv(SIMILARWEB, { format: 'similarweb', date: '2025-11-30' });
+        assert.deepStrictEqual(similarweb.map(record => [record.domain, record.source, record.date]),
+            [['mayoclinic.org', 'Similarweb', '2025-11-30'], ['healthline.com', 'Similarweb', '2025-11-30']]);
+        assert.throws(() => parseTrafficCsv('Domain,Bounce Rate\nnih.gov,40%'), /No visits column in semrush export/);
+
+        const validation = readTrafficFile('json:wcagai_v4_data_validation.json');
+        assert.strictEqual(validation.length, 5);
+        assert.deepStrictEqual(validation[0], { domain: 'nih.gov', visits: 202280000, source: 'Semrush September 2025 Rankings', date: '2025-11-08' });
+        assert.strictEqual(parseTrafficJson({ data_sources: { x: { top_sites: [{ site: 'a.test', projected_visits: '5M', actual_visits: 'N/A' }] } } })[0].visits, 5000000);
+        assert.deepStrictEqual(parseTrafficSpec('similarweb:exports/oct.csv'), { format: 'similarweb', file: 'exports/oct.csv' });
+        assert.deepStrictEqual(parseTrafficSpec('data.json'), { format: 'json', file: 'data.json' });
+        assert.throws(() => readTrafficFile(path.join(dir, 'missing.csv')), /No traffic export at/);
+        console.log(`✅ ${semrush.length} Semrush, ${similarweb.length} Similarweb and ${validation.length} validation records`);
+
+        // Test 2: Store
+        console.log('\n🗄️  Test 2: Traffic store');
+        const store = new TrafficStore({ file: path.join(dir, 'traffic.json') });
+        assert.strictEqual(store.lookup('nih.gov'), null);
+        assert.deepStrictEqual(store.import([...semrush, ...similarweb, ...validation]), { imported: 9, skipped: 0, domains: 5 });
+        assert.strictEqual(store.lookup('https://www.nih.gov/research').source, 'Semrush September 2025 Rankings', 'newest record wins');
+        assert.strictEqual(store.lookup('mayoclinic.org').source, 'Similarweb');
+        assert.strictEqual(store.import([{ domain: 'mayoclinic.org', visits: 1, source: 'Similarweb', date: '2025-01-01' }, { domain: 'nowhere', visits: 5, source: 'Semrush' }]).skipped, 2);
+        assert.strictEqual(store.lookup('mayoclinic.org').visits, 81770000, 'older imports do not replace newer ones');
+        store.import([{ domain: 'mayoclinic.org', visits: 90000000, source: 'Similarweb', date: '2025-12-31' }]);
+        assert.strictEqual(new TrafficStore({ file: store.file }).lookup('www.mayoclinic.org').visits, 90000000);
+        assert.ok(store.list().every(record => record.importedAt && record.date));
+        console.log(`✅ ${store.list().length} records for ${new Set(store.list().map(record => record.domain)).size} domains`);
+
+        // Test 3: Discovery ranking
+        console.log('\n🔎 Test 3: Traffic joined into discovery');
+        const discovery = new VerticalDiscovery({ providers: [serpLike], traffic: store, cache: { driver: 'memory' } });
+        const sites = await discovery.discover(['patient portal'], 'healthcare', 10);
+        assert.deepStrictEqual(sites.map(site => site.domain), ['nih.gov', 'mayoclinic.org', 'webmd.com', 'small-clinic.test']);
+        const nih = sites[0];
+        assert.strictEqual(nih.traffic, 202280000);
+        assert.ok(nih.trafficScore > 0.99);
+        assert.deepStrictEqual([nih.trafficSource, nih.trafficDate], ['Semrush September 2025 Rankings', '2025-11-08']);
+        const unknown = sites.find(site => site.domain === 'small-clinic.test');
+        assert.deepStrictEqual([unknown.traffic, unknown.trafficScore, unknown.trafficSource], [0, 0, null]);
+
+        const seeded = new VerticalDiscovery({ providers: [{ name: 'seed-list', discover: async () => [{ url: 'https://nih.gov/', traffic: 5000 }] }], traffic: store, cache: { driver: 'memory' } });
+        const [seed] = await seeded.discover(['research'], 'healthcare', 5);
+        assert.deepStrictEqual([seed.traffic, seed.trafficSource], [5000, 'seed-list'], 'provider numbers come first');
+
+        const fallback = new VerticalDiscovery({ providers: [{ name: 'none', discover: async () => [] }], traffic: store, cache: { driver: 'memory' } })
+            .getFallbackSites('healthcare');
+        assert.strictEqual(fallback.find(site => site.domain === 'nih.gov').traffic, 202280000);
+        assert.ok(fallback.filter(site => !site.trafficSource).every(site => site.trafficScore === 0.5));
+
+        const processed = await discovery.processSearchResults({ organic_results: [{ link: 'https://small-clinic.test/' }, { link: 'https://www.healthline.com/' }] }, 'healthcare');
+        assert.deepStrictEqual(processed.map(site => site.domain), ['healthline.com', 'small-clinic.test']);
+        console.log(`✅ ${sites.map(site => `${site.domain} ${site.traffic.toLocaleString('en-US')}`).join(', ')}`);
+
+        // Test 4: CLI
+        console.log('\n⌨️  Test 4: --import-traffic');
+        const csv = path.join(dir, 'health.csv');
+        fs.writeFileSync(csv, SEMRUSH);
+        const cacheDir = path.join(dir, 'cache');
+        await new Cache({ driver: `file:${cacheDir}` }).set('discovery', 'healthcare', []);
+        const cliStore = path.join(dir, 'cli-traffic.json');
+        const output = execFileSync(process.execPath, ['scanner-v4-integration.js', `--import-traffic=semrush:${csv},json:wcagai_v4_data_validation.json`,
+            `--traffic=${cliStore}`, `--cache=file:${cacheDir}`], { encoding: 'utf8' });
+        assert.ok(output.includes('Imported 7 traffic records (0 skipped)'));
+        assert.ok(output.includes('Removed 1 cached discovery result'));
+        assert.strictEqual(new TrafficStore({ file: cliStore }).lookup('clevelandclinic.org').visits, 100470000);
+
+        try {
+            execFileSync(process.execPath, ['scanner-v4-integration.js', '--import-traffic=similarweb:missing.csv', `--traffic=${cliStore}`], { stdio: 'pipe' });
+            assert.fail('Missing exports should be rejected');
+        } catch (error) {
+            assert.strictEqual(error.status, 64);
+            assert.ok(error.stderr.toString().includes('No traffic export at missing.csv'));
+        }
+        console.log(`✅ ${output.trim().split('\n')[0]}`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Traffic data tests passed!');
+}
+
+if (require.main === module) {
+    testTraffic().catch(error => {
+        console.error('❌ Traffic data test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testTraffic };
@@ -0,0 +1,180 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const VerticalDiscovery = require('./discovery');
+const LegalRiskEngine = require('./backend/src/compliance/legalRisk');
+const { resolveJurisdictions } = require('./backend/src/compliance/jurisdictions');
+const {
+    loadVerticals,
+    registerVertical,
+    listVerticals,
+    getVertical,
+    requireVertical,
+    resolveVertical,
+    buildVerticalQuery,
+    loadVerticalBenchmarks,
+    saveVerticalBenchmarks
+} = require('./backend/src/verticals/verticalRegistry');
+
+/**
+ * Test WCAGAI v4.0 Vertical Registry
+ * Validates vertical definitions, query templates, database overrides and their use across discovery, risk and analysis
+ */
+
+const PAGE = '<html lang="en"><head><title>Quote</title></head><body><main><h1>Quote</h1>' +
+    '<form><input type="text" id="zip"></form><img src="car.png"></main></body></html>';
+
+// In-memory stand-in for prisma.verticalBenchmark
+function benchmarkTable() {
+    const rows = new Map();
+    return {
+        rows,
+        findMany: async () => [...rows.values()],
+        upsert: async ({ where, create, update }) => {
+            const row = rows.has(where.vertical) ? { ...rows.get(where.vertical), ...update } : { ...create };
+            rows.set(where.vertical, row);
+            return row;
+        }
+    };
+}
+
+async function testVerticals() {
+    console.log('🚀 Testing WCAGAI v4.0 Vertical Registry...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcagai-verticals-'));
+
+    try {
+        // Test 1: Verticals from verticals.json
+        console.log('🏷️  Test 1: Built-in verticals');
+        assert.deepStrictEqual(listVerticals().map(v => v.id),
+            ['healthcare', 'fintech', 'ecommerce', 'government', 'education', 'travel', 'insurance']);
+        listVerticals().forEach(vertical => {
+            assert.ok(vertical.keywords.length > 0 && vertical.topSites.length > 0 && vertical.typicalIssues.length > 0, vertical.id);
+            assert.ok(vertical.reportPrice > 0 && vertical.complianceBenchmark > 0, vertical.id);
+        });
+        assert.strictEqual(getVertical('Fintech').reportPrice, 249900);
+        assert.strictEqual(getVertical('government').complianceDeadline, '2026-04-24');
+        assert.strictEqual(getVertical('local'), null);
+        assert.strictEqual(resolveVertical('local').complianceBenchmark, 0.5);
+        assert.throws(() => requireVertical('atlantis'), /Unknown vertical "atlantis" \(expected healthcare, fintech/);
+        console.log(`✅ ${listVerticals().length} verticals: ${listVerticals().map(v => v.name).join(', ')}`);
+
+        // Test 2: Query templates and discovery
+        console.log('\n🔎 Test 2: Query templates');
+        assert.strictEqual(buildVerticalQuery('healthcare', ['patient portal'], { year: 2026 }), 'patient portal healthcare sites 2026 patient portal medical');
+        assert.strictEqual(buildVerticalQuery('local', ['bakery', 'cafe'], { year: 2026 }), 'bakery cafe local sites 2026');
+        const discovery = new VerticalDiscovery({ providers: [{ name: 'none', discover: async () => [] }] });
+        assert.ok(discovery.buildSearchQuery(['city permits'], 'government').startsWith('city permits official government website'));
+        const fallback = discovery.getFallbackSites('education');
+        assert.deepStrictEqual(fallback.map(site => site.domain), getVertical('education').topSites);
+        assert.ok(fallback.every(site => site.predictedCompliance === 0.48));
+        assert.strictEqual(discovery.getVerticalStats('travel').regulatoryPressure, 'HIGH');
+        console.log(`✅ ${discovery.buildSearchQuery(['travel insurance'], 'insurance')}`);
+
+        // Test 3: Markets and legal risk follow the vertical
+        console.log('\n⚖️  Test 3: Jurisdictions and legal profiles');
+        assert.deepStrictEqual(resolveJurisdictions(undefined, { vertical: 'fintech' }).map(j => j.id), ['uk', 'eu']);
+        assert.deepStrictEqual(resolveJurisdictions(undefined, { vertical: 'travel' }).map(j => j.id), ['us', 'eu']);
+        assert.deepStrictEqual(resolveJurisdictions(undefined, { vertical: 'local' }).map(j => j.id), ['us']);
+
+        const scanner = new WCAGAIV4Scanner();
+        const scanResult = scanner.evaluateHtml(PAGE, { url: 'https://quote.test/' });
+        const engine = new LegalRiskEngine();
+        const now = '2026-01-01T00:00:00Z';
+        const travel = engine.assess({ scanResult }, { vertical: 'travel', jurisdictions: ['us', 'eu'], now });
+        const insurance = engine.assess({ scanResult }, { vertical: 'insurance', jurisdictions: ['us', 'eu'], now });
+        assert.ok(travel.adaRisk > insurance.adaRisk, 'higher ADA base rate');
+        assert.ok(travel.eaaRisk > insurance.eaaRisk, 'travel booking is in EAA scope, insurance is not');
+        console.log(`✅ Travel ADA ${Math.round(travel.adaRisk * 100)}% / EAA ${Math.round(travel.eaaRisk * 100)}%, insurance ADA ${Math.round(insurance.adaRisk * 100)}% / EAA ${Math.round(insurance.eaaRisk * 100)}%`);
+
+        // Test 4: Validation and config files
+        console.log('\n🧾 Test 4: Definitions');
+        assert.throws(() => registerVertical({ id: 'Pharma Co', keywords: ['pharmacy'], complianceBenchmark: 0.5 }), /lower-case slug/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: [], complianceBenchmark: 0.5 }), /needs a list of keywords/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: ['pharmacy'], complianceBenchmark: 74 }), /between 0 and 1/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: ['pharmacy'], complianceBenchmark: 0.5, queryTemplate: 'pharmacy {year}' }), /must contain \{keywords\}/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: ['pharmacy'], complianceBenchmark: 0.5, queryVariants: ['{keywords}', 'best pharmacy'] }), /query variant "best pharmacy" must contain \{keywords\}/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: ['pharmacy'], complianceBenchmark: 0.5, typicalIssues: ['9.9.9'] }), /unknown WCAG criterion "9.9.9"/);
+        assert.throws(() => registerVertical({ id: 'pharma', keywords: ['pharmacy'], complianceBenchmark: 0.5, complianceDeadline: 'soon' }), /not a YYYY-MM-DD date/);
+
+        const custom = path.join(dir, 'verticals.json');
+        fs.writeFileSync(custom, JSON.stringify({ verticals: [{ id: 'pharma', name: 'Pharmacy', keywords: ['online pharmacy'], complianceBenchmark: 0.4 }] }));
+        assert.deepStrictEqual(loadVerticals(custom).map(v => v.id), ['pharma']);
+        assert.strictEqual(getVertical('pharma').reportPrice, 199900);
+        assert.strictEqual(getVertical('pharma').regulatoryPressure, 'MEDIUM');
+        assert.strictEqual(getVertical('healthcare'), null);
+        loadVerticals();
+        assert.strictEqual(listVerticals().length, 7);
+        console.log('✅ Invalid definitions rejected; custom files replace the registry');
+
+        // Test 5: VerticalBenchmark table
+        console.log('\n🗄️  Test 5: VerticalBenchmark overrides');
+        const table = benchmarkTable();
+        const prisma = { verticalBenchmark: table };
+        assert.strictEqual(await saveVerticalBenchmarks(prisma), 7);
+        assert.strictEqual(table.rows.get('education').avgCompliance, 0.48);
+        assert.deepStrictEqual(table.rows.get('travel').legal, getVertical('travel').legal);
+
+        table.rows.set('insurance', { ...table.rows.get('insurance'), avgCompliance: 0.57, reportPrice: 219900, complianceDeadline: new Date('2027-01-01T00:00:00Z') });
+        table.rows.set('automotive', { vertical: 'automotive', name: 'Automotive', avgCompliance: 0.44, regulatoryPressure: 'LOW', keywords: ['car dealer'], topSites: ['carmax.com'], typicalIssues: [], jurisdictions: [] });
+        table.rows.set('pharma', { vertical: 'pharma', avgCompliance: 0.5, regulatoryPressure: 'LOW', keywords: [] });
+        const updated = await loadVerticalBenchmarks(prisma);
+        assert.strictEqual(updated.length, 8, 'the incomplete pharma row is skipped');
+        assert.strictEqual(getVertical('insurance').complianceBenchmark, 0.57);
+        assert.strictEqual(getVertical('insurance').reportPrice, 219900);
+        assert.strictEqual(getVertical('insurance').complianceDeadline, '2027-01-01');
+        assert.strictEqual(getVertical('insurance').keywords[0], 'insurance quote', 'empty columns keep the file values');
+        assert.strictEqual(getVertical('automotive').name, 'Automotive');
+        assert.strictEqual(getVertical('pharma'), null);
+        console.log(`✅ ${updated.length} verticals from the table, including new "automotive"`);
+
+        // Test 6: Discovery scans and analysis
+        console.log('\n📊 Test 6: Benchmark in the vertical analysis');
+        const dbScanner = new WCAGAIV4Scanner({ prisma });
+        loadVerticals();
+        await dbScanner.loadVerticals();
+        assert.strictEqual(getVertical('insurance').complianceBenchmark, 0.57, 'scanners load the table once');
+
+        scanner.discovery.discover = async () => [
+            { url: 'https://quote.test/', domain: 'quote.test', trafficScore: 0.5 },
+            { url: 'https://claims.test/', domain: 'claims.test', trafficScore: 0.2 }
+        ];
+        scanner.scanPage = async url => scanner.evaluateHtml(PAGE, { url });
+        const report = await scanner.scan({ keywords: ['auto insurance'], vertical: 'insurance', suppressions: [], history: false });
+        const { benchmark } = report.analysis;
+        assert.strictEqual(benchmark.vertical, 'Insurance');
+        assert.strictEqual(benchmark.expectedCompliance, 0.57);
+        assert.ok(Math.abs(benchmark.difference - (report.analysis.averageComplianceScore - 0.57)) < 1e-9);
+        assert.deepStrictEqual(benchmark.typicalIssues.map(issue => issue.criterion), getVertical('insurance').typicalIssues);
+        assert.strictEqual(benchmark.typicalIssues.find(issue => issue.criterion === '4.1.2').failureRate, 1);
+        assert.strictEqual(benchmark.typicalIssues.find(issue => issue.criterion === '2.4.4').failureRate, 0);
+        assert.strictEqual(scanner.generateVerticalAnalysis([], 'local').benchmark, null);
+        await assert.rejects(scanner.scan({ keywords: ['x'], vertical: 'atlantis', history: false }), /Unknown vertical "atlantis"/);
+
+        try {
+            execFileSync(process.execPath, ['scanner-v4-integration.js', '--keywords=banking', '--vertical=atlantis'], { stdio: 'pipe' });
+            assert.fail('Unknown verticals should be rejected');
+        } catch (error) {
+            assert.strictEqual(error.status, 64);
+            assert.ok(error.stderr.toString().includes('Unknown vertical "atlantis"'));
+        }
+        console.log(`✅ Insurance ${Math.round(report.analysis.averageComplianceScore * 100)}% vs ${Math.round(benchmark.expectedCompliance * 100)}% benchmark; unknown verticals exit with code 64`);
+    } finally {
+        loadVerticals();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Vertical registry tests passed!');
+}
+
+if (require.main === module) {
+    testVerticals().catch(error => {
+        console.error('❌ Vertical registry test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testVerticals };
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const SuppressionList = require('./backend/src/scanner/suppressions');
+const { TERMS, buildAcr, renderAcrHtml, renderAcrDocx } = require('./backend/src/reports/vpat');
+const { crc32 } = require('./backend/src/reports/docxWriter');
+const { formatReport } = require('./backend/src/reports/formatters');
+
+/**
+ * Test WCAGAI v4.0 Accessibility Conformance Report
+ * Validates VPAT conformance levels per criterion, editions and the HTML / DOCX output
+ */
+
+const PAGE = '<html lang="en"><head><title>Portal</title></head><body><main><h1>Portal</h1>' +
+    '<img src="logo.png" alt="Portal logo"><img src="hero.png" id="hero">' +
+    '<a href="/help"></a></main></body></html>';
+
+/**
+ * Entries of a stored (uncompressed) zip, checking each CRC
+ */
+function readZip(buffer) {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const data = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        assert.strictEqual(crc32(data), buffer.readUInt32LE(offset + 14), `CRC mismatch for ${name}`);
+        entries[name] = data.toString('utf8');
+        offset += 30 + nameLength + size;
+    }
+    return entries;
+}
+
+async function testVpat() {
+    console.log('🚀 Testing WCAGAI v4.0 Accessibility Conformance Report...\n');
+
+    const scanner = new WCAGAIV4Scanner();
+    scanner.suppressions = new SuppressionList([{ rule: 'link-name', reason: 'Legacy nav', expires: '2099-01-01' }]);
+    const report = {
+        scanMode: 'url',
+        url: 'https://portal.test/',
+        results: [{ url: 'https://portal.test/', domain: 'portal.test', scanResult: scanner.evaluateHtml(PAGE, { url: 'https://portal.test/' }) }]
+    };
+    const row = (acr, id) => acr.tables.flatMap(table => table.rows).find(r => r.id === id);
+
+    // Test 1: Conformance level per criterion
+    console.log('📋 Test 1: Conformance levels from rule results');
+    const acr = buildAcr(report, { product: { name: 'Patient Portal', version: '3.1' }, date: '2026-03-01' });
+    assert.strictEqual(acr.tables.length, 2);
+    assert.strictEqual(row(acr, '1.1.1').conformance, TERMS.PARTIALLY_SUPPORTS);
+    assert.ok(row(acr, '1.1.1').remarks.includes('1 of 2 automated checks failed'));
+    assert.ok(row(acr, '1.1.1').remarks.includes('#hero'));
+    assert.strictEqual(row(acr, '3.1.1').conformance, TERMS.SUPPORTS);
+    assert.strictEqual(row(acr, '1.2.2').conformance, TERMS.NOT_APPLICABLE);
+    // No inline colours: the contrast rule had nothing to check, which doesn't prove there's no text
+    assert.strictEqual(row(acr, '1.4.3').conformance, TERMS.NOT_EVALUATED);
+    assert.ok(row(acr, '1.4.3').remarks.includes('No content matched the automated checks'));
+    assert.strictEqual(row(acr, '1.4.1').conformance, TERMS.NOT_EVALUATED);
+    assert.ok(row(acr, '1.4.1').remarks.includes('manual evaluation'));
+    // Suppressed violations are still reported as failures
+    assert.strictEqual(row(acr, '2.4.4').conformance, TERMS.DOES_NOT_SUPPORT);
+    assert.ok(row(acr, '2.4.4').remarks.includes('known exceptions'));
+    assert.ok(!acr.tables.flatMap(table => table.rows).some(r => r.level === 'AAA'));
+    const total = Object.values(acr.summary).reduce((sum, count) => sum + count, 0);
+    assert.strictEqual(total, 55);
+    console.log(`✅ ${total} criteria: ${JSON.stringify(acr.summary)}`);
+
+    // Criteria outside the scan's target and undecided checks aren't claimed
+    const scoped = new WCAGAIV4Scanner();
+    scoped.conformance = { level: 'A', version: '2.2' };
+    const contrast = '<html lang="en"><head><title>Rates</title></head><body><main><h1>Rates</h1>' +
+        '<p style="color:#000">Fixed</p><div style="color:#999"><span>Variable</span></div></main></body></html>';
+    const scopedReport = result => ({ scanMode: 'direct', url: 'https://bank.test/', result });
+    const levelA = buildAcr(scopedReport(scoped.evaluateHtml(contrast, { url: 'https://bank.test/' })), { edition: '508' });
+    assert.strictEqual(row(levelA, '1.4.3').conformance, TERMS.NOT_EVALUATED);
+    assert.ok(row(levelA, '1.4.3').remarks.includes('Outside the scanned WCAG level and version'));
+    assert.strictEqual(row(levelA, '1.2.2').conformance, TERMS.NOT_APPLICABLE);
+    const undecided = buildAcr(scopedReport(scanner.evaluateHtml(contrast, { url: 'https://bank.test/' })));
+    assert.strictEqual(row(undecided, '1.4.3').conformance, TERMS.NOT_EVALUATED);
+    assert.ok(row(undecided, '1.4.3').remarks.includes('1 automated checks passed and 1 could not be decided'));
+    console.log('✅ Out-of-scope, unmatched and undecided criteria are Not Evaluated');
+
+    // Test 2: Reviewer overrides
+    console.log('\n✏️  Test 2: Editable remarks');
+    const reviewed = buildAcr(report, {
+        overrides: { '1.4.1': { conformance: TERMS.SUPPORTS, remarks: 'Links are underlined; status uses icons and text.' } }
+    });
+    assert.strictEqual(row(reviewed, '1.4.1').conformance, TERMS.SUPPORTS);
+    assert.strictEqual(row(reviewed, '1.4.1').remarks, 'Links are underlined; status uses icons and text.');
+    assert.strictEqual(row(reviewed, '1.4.1').edited, true);
+    assert.strictEqual(row(reviewed, '1.1.1').edited, false);
+    console.log('✅ Overrides replace the generated conformance and remarks');
+
+    // Test 3: Editions
+    console.log('\n📚 Test 3: Editions');
+    const section508 = buildAcr(report, { edition: '508' });
+    assert.strictEqual(row(section508, '2.5.3'), undefined);
+    assert.strictEqual(row(section508, '1.1.1').conformance, TERMS.PARTIALLY_SUPPORTS);
+    assert.strictEqual(row(section508, '302.1').conformance, TERMS.NOT_EVALUATED);
+    const eu = buildAcr(report, { edition: 'en301549' });
+    assert.strictEqual(row(eu, '9.1.1.1').conformance, TERMS.PARTIALLY_SUPPORTS);
+    assert.ok(row(eu, '9.1.3.4'));
+    assert.strictEqual(row(eu, '9.2.4.11'), undefined);
+    assert.strictEqual(row(eu, '4.2.1').conformance, TERMS.NOT_EVALUATED);
+    const aaa = buildAcr(report, { conformance: { level: 'AAA', version: '2.1' } });
+    assert.strictEqual(aaa.tables.length, 3);
+    assert.throws(() => buildAcr(report, { edition: 'iso' }), /Unknown VPAT edition/);
+    console.log('✅ WCAG, Section 508 and EN 301 549 editions');
+
+    // Test 4: HTML
+    console.log('\n🌐 Test 4: HTML output');
+    const html = renderAcrHtml(acr);
+    assert.ok(html.includes('<html lang="en">'));
+    assert.ok(html.includes('Patient Portal Accessibility Conformance Report'));
+    assert.ok(html.includes('<tr data-criterion="1.1.1">'));
+    assert.ok(html.includes('<th scope="row">1.1.1 Non-text Content (Level A)</th>'));
+    assert.ok(html.includes('VPAT® 2.5 WCAG Edition'));
+    console.log(`✅ ${html.length} bytes of HTML`);
+
+    // Test 5: DOCX
+    console.log('\n📝 Test 5: DOCX output');
+    const docx = renderAcrDocx(acr);
+    const entries = readZip(docx);
+    assert.ok(entries['[Content_Types].xml'].includes('wordprocessingml.document.main+xml'));
+    assert.ok(entries['word/document.xml'].includes('1.1.1 Non-text Content (Level A)'));
+    assert.ok(entries['word/document.xml'].includes(TERMS.PARTIALLY_SUPPORTS));
+    assert.ok(entries['docProps/core.xml'].includes('Patient Portal'));
+    assert.ok(Buffer.isBuffer(formatReport(report, 'vpat-docx', { edition: '508' })));
+    console.log(`✅ ${Object.keys(entries).length} package parts, ${docx.length} bytes`);
+
+    console.log('\n🎉 Accessibility conformance report tests passed!');
+}
+
+if (require.main === module) {
+    testVpat().catch(error => {
+        console.error('❌ Accessibility conformance report test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testVpat };
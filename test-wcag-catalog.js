@@ -0,0 +1,96 @@
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const WCAGAIV4Scanner = require('./scanner-v4-integration');
+const GrokRemediationEngine = require('./backend/src/ai/grokRemediation');
+const AccessibilityRuleEngine = require('./backend/src/scanner/ruleEngine');
+const { rules } = require('./backend/src/scanner/rules');
+const catalog = require('./backend/src/compliance/wcagCatalog');
+
+/**
+ * Test WCAGAI v4.0 WCAG Catalog
+ * Validates criterion counts per version/level, conformance scoping and catalog consumers
+ */
+
+// Low-contrast text (AA) next to an image without alt text (A)
+const PAGE = '<html lang="en"><head><title>Bank</title></head><body><main><h1>Bank</h1>' +
+    '<img src="logo.png"><p style="color:#999;background-color:#fff">Rates</p></main></body></html>';
+
+async function testWcagCatalog() {
+    console.log('🚀 Testing WCAGAI v4.0 WCAG Catalog...\n');
+
+    // Test 1: Catalog contents
+    console.log('📚 Test 1: Success criteria per version and level');
+    const counts = target => catalog.getCriteria(target).length;
+    assert.strictEqual(counts({ version: '2.0', level: 'AAA' }), 61);
+    assert.strictEqual(counts({ version: '2.1', level: 'AAA' }), 78);
+    assert.strictEqual(counts({ version: '2.2', level: 'AAA' }), 86);
+    assert.strictEqual(counts({ version: '2.1', level: 'AA' }), 50);
+    assert.strictEqual(counts({ version: '2.2', level: 'AA' }), 55);
+    assert.ok(catalog.isInScope('4.1.1', { version: '2.1', level: 'A' }));
+    assert.ok(!catalog.isInScope('4.1.1', { version: '2.2', level: 'A' }));
+    assert.ok(!catalog.isInScope('2.5.8', { version: '2.1', level: 'AAA' }));
+
+    const contrast = catalog.getCriterion('1.4.3');
+    assert.strictEqual(contrast.level, 'AA');
+    assert.strictEqual(contrast.principle.name, 'Perceivable');
+    assert.strictEqual(contrast.guideline.name, 'Distinguishable');
+    assert.ok(contrast.techniques.some(t => t.id === 'G18' && t.url.endsWith('/general/G18')));
+    assert.strictEqual(contrast.understandingUrl, 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html');
+    rules.forEach(rule => rule.wcag.forEach(id => assert.ok(catalog.getCriterion(id), `${rule.id} references unknown ${id}`)));
+    assert.throws(() => catalog.normalizeConformance({ level: 'AAAA' }), /Unknown WCAG level/);
+    console.log(`✅ ${catalog.CRITERIA.length} criteria, every rule maps to the catalog`);
+
+    // Test 2: Conformance target scopes the score
+    console.log('\n🎯 Test 2: Conformance target');
+    const scanner = new WCAGAIV4Scanner();
+    const aa = scanner.evaluateHtml(PAGE, { url: 'https://bank.test/' });
+    assert.strictEqual(aa.wcagLevel, 'AA');
+    assert.ok(aa.violations.some(v => v.ruleId === 'color-contrast'));
+    assert.strictEqual(aa.violations.find(v => v.ruleId === 'color-contrast').successCriterion, '1.4.3 Contrast (Minimum)');
+
+    scanner.conformance = catalog.normalizeConformance({ level: 'A', version: '2.0' });
+    const levelA = scanner.evaluateHtml(PAGE, { url: 'https://bank.test/' });
+    assert.strictEqual(levelA.wcagLevel, 'A');
+    assert.strictEqual(levelA.wcagVersion, '2.0');
+    assert.ok(levelA.violations.every(v => v.ruleId !== 'color-contrast'));
+    assert.ok(levelA.violations.some(v => v.ruleId === 'image-alt'));
+    assert.ok(levelA.complianceScore > aa.complianceScore);
+    assert.ok(scanner.ruleEngine.getRules({ level: 'A' }).length < scanner.ruleEngine.getRules().length);
+
+    // Violations only list the rule's criteria that are in scope
+    const imageAlt = rules.find(rule => rule.id === 'image-alt');
+    const mixed = new AccessibilityRuleEngine({ rules: [{ ...imageAlt, wcag: ['1.4.5', '1.1.1'] }] });
+    const [violation] = mixed.evaluate(PAGE, { level: 'A', version: '2.0' }).violations;
+    assert.deepStrictEqual(violation.wcagCriteria, ['1.1.1']);
+    assert.strictEqual(violation.successCriterion, '1.1.1 Non-text Content');
+    console.log(`✅ AA ${aa.compliancePercentage}% vs A ${levelA.compliancePercentage}%: out-of-scope rules don't count`);
+
+    // Test 3: Remediation engine uses the catalog
+    console.log('\n🤖 Test 3: Remediation engine');
+    const remediation = new GrokRemediationEngine();
+    assert.strictEqual(remediation.getWCAGRule('formLabels'), '3.3.2 Labels or Instructions');
+    assert.strictEqual(remediation.getWCAGRule('2.5.8'), '2.5.8 Target Size (Minimum)');
+    assert.strictEqual(remediation.getWCAGRule('unknown'), 'Unknown');
+    assert.ok(remediation.buildPrompt('altText', '<img>', 'hero', 'default', { level: 'AAA', version: '2.1' }).includes('WCAG 2.1 AAA'));
+    console.log('✅ getWCAGRule resolves types and criterion IDs');
+
+    // Test 4: CLI validation
+    console.log('\n💻 Test 4: --level CLI');
+    const run = spawnSync(process.execPath, [path.join(__dirname, 'scanner-v4-integration.js'), '--url=https://example.invalid/', '--level=AAAA'], { encoding: 'utf8', timeout: 60000 });
+    assert.strictEqual(run.status, 64);
+    assert.ok(run.stderr.includes('Unknown WCAG level'));
+    console.log('✅ Invalid level rejected before scanning');
+
+    console.log('\n🎯 WCAG catalog tests passed');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    testWcagCatalog().catch(error => {
+        console.error('❌ WCAG catalog test failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { testWcagCatalog };